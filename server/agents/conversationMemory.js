@@ -0,0 +1,247 @@
+// server/agents/conversationMemory.js
+import natural from 'natural';
+
+const { TfIdf } = natural;
+
+// Raw analysis state indexed for retrieval, by AgentState field
+const INDEXED_STATE_FIELDS = {
+  finalAnalysis: 'analysis',
+  contractData: 'program_analysis',
+  tokenData: 'token_data',
+  marketData: 'market_data',
+  onChainData: 'on_chain_metrics',
+  socialData: 'social_sentiment',
+  githubData: 'github_analysis'
+};
+
+const MAX_CHUNK_CHARS = 800;
+const MAX_VALUE_CHARS = 300;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 6;
+
+// Longest summary kept when the model cannot rewrite it
+const MAX_SUMMARY_CHARS = 1500;
+
+function envInt(name, fallback) {
+  const configured = parseInt(process.env[name], 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : fallback;
+}
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars)}...` : text;
+}
+
+/**
+ * Flatten a value into "path: value" lines
+ * @param {any} value - Value to flatten
+ * @param {string} path - Path of value
+ * @param {Array<string>} lines - Collects the lines
+ * @param {number} depth - Nesting depth
+ */
+function flattenValue(value, path, lines, depth = 0) {
+  if (value === null || value === undefined) return;
+
+  if (Array.isArray(value)) {
+    value.slice(0, MAX_ARRAY_ITEMS).forEach((item, index) => flattenValue(item, `${path}[${index}]`, lines, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) lines.push(`${path}: ${value.length - MAX_ARRAY_ITEMS} more items`);
+    return;
+  }
+
+  if (typeof value === 'object') {
+    if (depth >= MAX_DEPTH) {
+      lines.push(`${path}: ${truncate(JSON.stringify(value), MAX_VALUE_CHARS)}`);
+      return;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      flattenValue(child, path ? `${path}.${key}` : key, lines, depth + 1);
+    }
+    return;
+  }
+
+  lines.push(`${path}: ${truncate(String(value), MAX_VALUE_CHARS)}`);
+}
+
+/**
+ * Split the raw analysis state into retrievable chunks, grouped by source and
+ * top-level field so each chunk covers one topic
+ * @param {AgentState} state - Agent state
+ * @returns {Array<Object>} Chunks ({ source, topic, text })
+ */
+function buildStateChunks(state) {
+  const chunks = [];
+
+  for (const [field, source] of Object.entries(INDEXED_STATE_FIELDS)) {
+    if (!state || !state[field] || typeof state[field] !== 'object') continue;
+
+    const lines = [];
+    flattenValue(state[field], '', lines);
+
+    const topics = new Map();
+    for (const line of lines) {
+      const topic = line.split(/[.:[]/)[0];
+      if (!topics.has(topic)) topics.set(topic, []);
+      topics.get(topic).push(line);
+    }
+
+    for (const [topic, topicLines] of topics) {
+      let text = '';
+      for (const line of topicLines) {
+        if (text && text.length + line.length + 1 > MAX_CHUNK_CHARS) {
+          chunks.push({ source, topic, text });
+          text = '';
+        }
+        text += `${text ? '\n' : ''}${line}`;
+      }
+      if (text) chunks.push({ source, topic, text });
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Conversation memory for follow-up questions: the last few exchanges verbatim,
+ * a rolling summary of everything older, and retrieval over the full raw
+ * analysis state. Only the dialogue is persisted with the session; the index is
+ * rebuilt from the state for each question.
+ */
+class ConversationMemory {
+  constructor() {
+    this.summary = '';
+    this.summarizedExchanges = 0;
+    this.recentExchanges = [];  // [{ question, answer }], oldest first
+  }
+
+  /**
+   * Record a follow-up exchange, folding the oldest ones into the summary once
+   * there are more than MEMORY_RECENT_EXCHANGES (default 3)
+   * @param {Object} llm - Chat model used to rewrite the summary
+   * @param {string} question - Follow-up question
+   * @param {string} answer - Answer given
+   */
+  async addExchange(llm, question, answer) {
+    this.recentExchanges.push({ question, answer });
+
+    const keep = envInt('MEMORY_RECENT_EXCHANGES', 3);
+    while (this.recentExchanges.length > keep) {
+      const exchange = this.recentExchanges.shift();
+      await this.foldIntoSummary(llm, exchange);
+    }
+  }
+
+  /**
+   * Rewrite the rolling summary to include one more exchange
+   * @param {Object} llm - Chat model
+   * @param {Object} exchange - { question, answer }
+   */
+  async foldIntoSummary(llm, exchange) {
+    console.log('LOG: ConversationMemory.foldIntoSummary - Summarizing an older exchange');
+
+    const prompt = `CONVERSATION SUMMARY UPDATE
+
+    You maintain a running summary of a conversation about a Solana token analysis.
+
+    Current summary:
+    ${this.summary || '(empty)'}
+
+    New exchange to add:
+    User: ${exchange.question}
+    Assistant: ${exchange.answer}
+
+    Return only the updated summary, at most 150 words. Keep the user's questions and concerns,
+    specific numbers and conclusions, and drop pleasantries.`;
+
+    try {
+      const summary = (await llm.predict(prompt)).trim();
+      if (!summary) throw new Error('Empty summary');
+      this.summary = truncate(summary, MAX_SUMMARY_CHARS);
+    } catch (error) {
+      // Keep the most recent part of an extractive summary instead
+      console.error('ERROR: ConversationMemory.foldIntoSummary -', error.message);
+      const appended = `${this.summary}\nUser asked: ${truncate(exchange.question, 200)} Answer: ${truncate(exchange.answer, 300)}`.trim();
+      this.summary = appended.length > MAX_SUMMARY_CHARS ? appended.slice(-MAX_SUMMARY_CHARS) : appended;
+    }
+    this.summarizedExchanges++;
+  }
+
+  /**
+   * Find the raw state chunks most relevant to a question
+   * @param {AgentState} state - Agent state to search
+   * @param {string} question - Question
+   * @param {number} maxChars - Character budget for the returned chunks
+   * @returns {Array<Object>} Chunks ({ source, topic, text, score }), best first
+   */
+  retrieve(state, question, maxChars) {
+    const chunks = buildStateChunks(state);
+    if (chunks.length === 0) return [];
+
+    const index = new TfIdf();
+    // Index field names as words, so "mint authority" matches mint_authority
+    chunks.forEach(chunk => index.addDocument(`${chunk.source} ${chunk.text}`.replace(/[_.[\]]/g, ' ')));
+
+    const scores = [];
+    index.tfidfs(question.replace(/[_.[\]]/g, ' '), (i, score) => scores.push({ i, score }));
+
+    const selected = [];
+    let used = 0;
+    for (const { i, score } of scores.sort((a, b) => b.score - a.score)) {
+      if (score <= 0) break;
+      if (used + chunks[i].text.length > maxChars) continue;
+      selected.push({ ...chunks[i], score: parseFloat(score.toFixed(2)) });
+      used += chunks[i].text.length;
+    }
+
+    console.log(`LOG: ConversationMemory.retrieve - ${selected.length} of ${chunks.length} chunks selected, ${used} chars`);
+    return selected;
+  }
+
+  /**
+   * Assemble the memory context for a question within MEMORY_CONTEXT_CHARS
+   * (default 8000): the summary and recent exchanges first, the rest of the
+   * budget for retrieved state chunks
+   * @param {AgentState} state - Agent state
+   * @param {string} question - Follow-up question
+   * @returns {Object} { dialogue, retrieved }
+   */
+  buildContext(state, question) {
+    const budget = envInt('MEMORY_CONTEXT_CHARS', 8000);
+
+    const parts = [];
+    if (this.summary) parts.push(`Summary of earlier follow-ups (${this.summarizedExchanges} exchanges):\n${this.summary}`);
+    for (const exchange of this.recentExchanges) {
+      parts.push(`User: ${truncate(exchange.question, 500)}\nAssistant: ${truncate(exchange.answer, 1000)}`);
+    }
+
+    // The dialogue may take at most half the budget
+    const dialogue = truncate(parts.join('\n\n'), Math.floor(budget / 2));
+    const retrieved = this.retrieve(state, question, budget - dialogue.length);
+
+    return { dialogue, retrieved };
+  }
+
+  toJSON() {
+    return {
+      summary: this.summary,
+      summarizedExchanges: this.summarizedExchanges,
+      recentExchanges: this.recentExchanges
+    };
+  }
+
+  /**
+   * Rehydrate a memory previously produced by toJSON
+   * @param {Object} data - Serialized memory
+   * @returns {ConversationMemory} Restored memory
+   */
+  static fromJSON(data) {
+    const memory = new ConversationMemory();
+    if (data) {
+      Object.assign(memory, data);
+    }
+    return memory;
+  }
+}
+
+export {
+  ConversationMemory,
+  buildStateChunks
+};
@@ -0,0 +1,176 @@
+// server/agents/debateAgents.js
+import { generateValidatedJson } from '../services/llmOutput.js';
+import { DEBATE_SECTIONS, debateCaseSchema } from '../schemas/llmAnalysis.js';
+
+// What each side argues for
+const DEBATE_SIDES = {
+  bull: {
+    title: 'BULL',
+    stance: 'You argue FOR investing in this token. Build the strongest honest case that its risks are manageable and its upside is real.'
+  },
+  bear: {
+    title: 'BEAR',
+    stance: 'You argue AGAINST investing in this token. Build the strongest honest case that its risks outweigh its upside.'
+  }
+};
+
+/**
+ * Have one side of the debate build its case from the collected data
+ * @param {Object} llm - Chat model
+ * @param {string} side - bull or bear
+ * @param {Object} data - Debate input
+ * @param {string} data.tokenAddress - Token mint address
+ * @param {string} data.contextText - Collected data block (see buildPromptContext)
+ * @param {AbortSignal} data.signal - Aborts the model calls
+ * @returns {Object} { side, case, unknown_fields, repair_attempts } or { side, error }
+ */
+async function buildDebateCase(llm, side, { tokenAddress, contextText, signal }) {
+  console.log(`LOG: buildDebateCase - Building the ${side} case`);
+  const { title, stance } = DEBATE_SIDES[side];
+
+  const prompt = `DEBATE ROLE: ${title}
+
+    You are the ${side} analyst in a debate about a Solana token. ${stance}
+    Another analyst argues the opposite side and a judge will weigh both cases.
+
+    Token Address: ${tokenAddress || 'Unknown'}
+
+${contextText}
+
+    Rules:
+    - Every argument must cite a specific value from the data above as its evidence.
+    - Do not invent figures; treat missing data as unknown, and do not argue from it.
+    - Rate each argument's strength honestly; weak arguments hurt your credibility with the judge.
+    - Name the weakest point of your own case.
+
+    Return a JSON object with this structure:
+    {
+      "thesis": "<one or two sentence summary of your case>",
+      "arguments": [
+        {
+          "section": "<one of ${DEBATE_SECTIONS.join(', ')}>",
+          "claim": "<argument>",
+          "evidence": "<the data point it rests on>",
+          "strength": "<strong|moderate|weak>"
+        }
+      ],
+      "suggested_ratings": { "<section>": <0-10> },
+      "weakest_point": "<the weakest part of your own case>"
+    }`;
+
+  try {
+    const { data, unknownFields, repairAttempts } = await generateValidatedJson(llm, prompt, debateCaseSchema, {
+      label: `buildDebateCase(${side})`,
+      signal
+    });
+    return { side, case: data, unknown_fields: unknownFields, repair_attempts: repairAttempts };
+  } catch (error) {
+    console.error(`ERROR: buildDebateCase - ${side} case failed:`, error.message);
+    return { side, error: `Failed to build the ${side} case: ${error.message}` };
+  }
+}
+
+/**
+ * Build the bull and bear cases concurrently from the same data
+ * @param {Object} llm - Chat model
+ * @param {Object} data - Debate input (see buildDebateCase)
+ * @returns {Object} { bull, bear }
+ */
+async function runDebate(llm, data) {
+  const [bull, bear] = await Promise.all([
+    buildDebateCase(llm, 'bull', data),
+    buildDebateCase(llm, 'bear', data)
+  ]);
+  return { bull, bear };
+}
+
+/**
+ * Readable transcript of one side's case
+ * @param {Object} result - Result of buildDebateCase
+ * @returns {string} Transcript
+ */
+function formatCase(result) {
+  if (result.error) {
+    return `(The ${result.side} case could not be produced: ${result.error})`;
+  }
+
+  const debateCase = result.case;
+  const lines = [`Thesis: ${debateCase.thesis}`];
+  (debateCase.arguments || []).forEach((argument, index) => {
+    lines.push(`${index + 1}. [${argument.section}, ${argument.strength}] ${argument.claim} Evidence: ${argument.evidence}`);
+  });
+  const ratings = Object.entries(debateCase.suggested_ratings || {});
+  if (ratings.length > 0) {
+    lines.push(`Suggested ratings: ${ratings.map(([section, rating]) => `${section} ${rating}`).join(', ')}`);
+  }
+  lines.push(`Weakest point: ${debateCase.weakest_point}`);
+  return lines.join('\n');
+}
+
+/**
+ * Prompt section that puts both cases before the judge
+ * @param {Object} debate - Result of runDebate
+ * @returns {string} Prompt text
+ */
+function formatDebateForJudge(debate) {
+  return `DEBATE VERDICT:
+
+    A bull analyst and a bear analyst argued over this token using only the data above.
+    You are the judge. Weigh both cases against the data: discard arguments whose evidence
+    the data does not support, and set each rating where the evidence, not the rhetoric,
+    puts it. Your ratings and recommendation replace both sides' suggestions.
+
+    BULL CASE:
+${formatCase(debate.bull)}
+
+    BEAR CASE:
+${formatCase(debate.bear)}
+
+    In addition to the fields below, include in your JSON:
+      "stronger_side": "<bull|bear|balanced>",
+      "judge_reasoning": "<which arguments decided each contested rating, and why>"`;
+}
+
+/**
+ * The three transcripts returned with the analysis. Moves the judge's verdict
+ * fields out of the analysis into the judge transcript.
+ * @param {Object} debate - Result of runDebate
+ * @param {Object} analysis - Judge's analysis, modified in place
+ * @returns {Object} { bull, bear, judge }
+ */
+function buildDebateTranscripts(debate, analysis) {
+  const side = (result) => result.error ?
+    { error: result.error } :
+    {
+      ...result.case,
+      transcript: formatCase(result),
+      unknown_fields: result.unknown_fields
+    };
+
+  const judge = {
+    stronger_side: analysis.stronger_side ?? null,
+    reasoning: analysis.judge_reasoning ?? null,
+    ratings: Object.fromEntries(DEBATE_SECTIONS
+      .filter(section => typeof analysis[section]?.rating === 'number')
+      .map(section => [section, analysis[section].rating])),
+    risk_reward_ratio: analysis.risk_reward_ratio ?? null,
+    confidence_score: analysis.confidence_score ?? null
+  };
+  judge.transcript = [
+    `Stronger side: ${judge.stronger_side || 'unknown'}`,
+    `Reasoning: ${judge.reasoning || 'none given'}`,
+    `Ratings: ${Object.entries(judge.ratings).map(([section, rating]) => `${section} ${rating}`).join(', ') || 'none'}`,
+    `Risk/reward ${judge.risk_reward_ratio ?? 'unknown'}, confidence ${judge.confidence_score ?? 'unknown'}`,
+    `Recommendation: ${analysis.final_recommendation}`
+  ].join('\n');
+  delete analysis.stronger_side;
+  delete analysis.judge_reasoning;
+
+  return { bull: side(debate.bull), bear: side(debate.bear), judge };
+}
+
+export {
+  runDebate,
+  formatDebateForJudge,
+  buildDebateTranscripts
+};
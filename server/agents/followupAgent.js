@@ -0,0 +1,207 @@
+// server/agents/followupAgent.js
+import { z } from 'zod';
+import { fetchDexScreenerData } from '../services/dexscreener.js';
+import { fetchAllTokenHolders } from '../services/tokenHolders.js';
+import { analyzeMintAuthority, fetchTokenMetadata } from '../services/solanaProgram.js';
+import { analyzeTransactionPatterns } from '../services/onChainMetrics.js';
+import { generateValidatedJson } from '../services/llmOutput.js';
+
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Id under which the stored analysis is cited
+const ANALYSIS_SOURCE = 'analysis';
+
+// Tool outputs are trimmed to this many characters in the prompt
+const MAX_TOOL_OUTPUT_CHARS = 4000;
+
+// Large fields that add little to an answer
+const OMITTED_OUTPUT_FIELDS = ['raw_main_pair', 'all_pairs', 'raw_transactions', 'recent_signatures', 'holders_by_balance_range'];
+
+/**
+ * Tools the follow-up agent may call. Each takes the token mint and returns the
+ * service result unchanged, so answers can be checked against the same data.
+ */
+const FOLLOWUP_TOOLS = {
+  fetchDexScreenerData: {
+    description: 'Current price, market cap, liquidity, volume, price changes and buy/sell transaction counts from DexScreener',
+    run: ({ mint }) => fetchDexScreenerData(mint, { fresh: true })
+  },
+  fetchAllTokenHolders: {
+    description: 'Current largest holders (top 10 with balances and percentages), holder count and top-10 concentration',
+    // Same options as the on-chain metrics step, so a fresh analysis shares the cached result
+    run: ({ mint }) => fetchAllTokenHolders(mint, { maxPages: 3, pageSize: 20, showZeroBalance: false })
+  },
+  analyzeMintAuthority: {
+    description: 'Current mint and freeze authorities, supply and decimals of the token mint',
+    run: ({ mint }) => analyzeMintAuthority(mint)
+  },
+  fetchTokenMetadata: {
+    description: 'On-chain Metaplex metadata: name, symbol and metadata URI',
+    run: ({ mint }) => fetchTokenMetadata(mint)
+  },
+  analyzeTransactionPatterns: {
+    description: 'Recent on-chain transaction count and frequency (transactions per hour) for the token',
+    run: ({ mint }) => analyzeTransactionPatterns(mint)
+  }
+};
+
+const TOOL_NAMES = Object.keys(FOLLOWUP_TOOLS);
+
+// One agent turn: either a tool call or the final answer
+const followupTurnSchema = z.object({
+  action: z.enum(['call_tool', 'final_answer']),
+  tool: z.enum(TOOL_NAMES).optional(),
+  mint: z.string().optional(),
+  answer: z.string().optional(),
+  citations: z.array(z.object({
+    source: z.string(),
+    claim: z.string()
+  })).optional()
+});
+
+/**
+ * Maximum tool calls per question (FOLLOWUP_MAX_TOOL_CALLS, default 4)
+ * @returns {number} Tool call limit
+ */
+function maxToolCalls() {
+  const configured = parseInt(process.env.FOLLOWUP_MAX_TOOL_CALLS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : 4;
+}
+
+/**
+ * Serialize a tool output for the prompt, without bulky raw fields
+ * @param {any} output - Tool output
+ * @returns {string} JSON, trimmed to MAX_TOOL_OUTPUT_CHARS
+ */
+function formatToolOutput(output) {
+  const json = JSON.stringify(output, (key, value) => OMITTED_OUTPUT_FIELDS.includes(key) ? undefined : value, 2) || 'null';
+  return json.length > MAX_TOOL_OUTPUT_CHARS ? `${json.slice(0, MAX_TOOL_OUTPUT_CHARS)}\n... (truncated)` : json;
+}
+
+function describeSource(source) {
+  if (source.tool) return `${source.tool}(${source.mint}) at ${source.fetched_at}`;
+  if (source.memory) return `Stored ${source.memory} data`;
+  return 'Stored analysis';
+}
+
+function buildFollowupPrompt({ question, mint, sources, recentExchanges, remainingCalls }) {
+  const toolList = TOOL_NAMES
+    .map(name => `- ${name}: ${FOLLOWUP_TOOLS[name].description}`)
+    .join('\n    ');
+  const sourceBlocks = sources
+    .map(source => `[${source.id}] ${describeSource(source)}:\n    ${source.content}`)
+    .join('\n\n    ');
+
+  return `You answer follow-up questions about a Solana token analysis. Token mint: ${mint || 'Unknown'}
+
+    SOURCES:
+    ${sourceBlocks}
+    ${recentExchanges ? `
+    EARLIER CONVERSATION:
+    ${recentExchanges}
+    ` : ''}
+    TOOLS (fetch current data; ${remainingCalls} call(s) left):
+    ${remainingCalls > 0 ? toolList : '- none, answer from the sources above'}
+
+    FOLLOW-UP QUESTION: ${question}
+
+    If the question needs data the sources do not contain, or asks about the current state ("now", "still", "changed"),
+    call a tool instead of answering from the stored analysis. Never invent numbers.
+
+    Respond with a single JSON object, either
+    { "action": "call_tool", "tool": "<tool name>", "mint": "<mint, defaults to the analyzed token>" }
+    or
+    { "action": "final_answer", "answer": "<answer with [source id] after each claim>", "citations": [{ "source": "<source id>", "claim": "<claim taken from that source>" }] }
+
+    Every factual claim in the answer must cite the source it came from, e.g. [T1], [M1] or [${ANALYSIS_SOURCE}].`;
+}
+
+/**
+ * Answer a follow-up question with a tool-calling loop: the model may call the
+ * FOLLOWUP_TOOLS for fresh data before answering, and must cite the stored
+ * analysis, the retrieved raw data ([M1], [M2], ...) or the tool output
+ * ([T1], [T2], ...) behind every claim
+ * @param {Object} params - Agent parameters
+ * @param {Object} params.llm - Chat model with a predict(prompt) method
+ * @param {string} params.question - Follow-up question
+ * @param {string} params.mint - Analyzed token mint (default tool argument)
+ * @param {Object} params.analysis - Stored final analysis
+ * @param {string} params.recentExchanges - Earlier conversation (summary and recent exchanges), if any
+ * @param {Array<Object>} params.retrieved - Raw state chunks from ConversationMemory.retrieve
+ * @returns {Object} { answer, citations, tool_calls }
+ */
+async function runFollowupAgent({ llm, question, mint, analysis, recentExchanges = '', retrieved = [] }) {
+  console.log(`LOG: runFollowupAgent - Answering: ${question}`);
+
+  const sources = [{
+    id: ANALYSIS_SOURCE,
+    tool: null,
+    content: formatToolOutput(analysis || {})
+  }, ...retrieved.map((chunk, index) => ({
+    id: `M${index + 1}`,
+    tool: null,
+    memory: chunk.source,
+    content: chunk.text
+  }))];
+  const toolCalls = [];
+  const callLimit = maxToolCalls();
+
+  // One extra turn after the last tool call so the model can use its output
+  for (let turn = 0; turn <= callLimit; turn++) {
+    const remainingCalls = callLimit - toolCalls.length;
+    const prompt = buildFollowupPrompt({ question, mint, sources, recentExchanges, remainingCalls });
+    const { data } = await generateValidatedJson(llm, prompt, followupTurnSchema, { label: 'runFollowupAgent' });
+
+    if (data.action === 'call_tool' && data.tool && remainingCalls > 0) {
+      const toolMint = data.mint && SOLANA_ADDRESS.test(data.mint) ? data.mint : (mint || null);
+      const id = `T${toolCalls.length + 1}`;
+      console.log(`LOG: runFollowupAgent - ${id}: calling ${data.tool} for ${toolMint}`);
+
+      let output;
+      if (!toolMint) {
+        output = { success: false, error: 'No token mint to query' };
+      } else {
+        try {
+          output = await FOLLOWUP_TOOLS[data.tool].run({ mint: toolMint });
+        } catch (error) {
+          console.error(`ERROR: runFollowupAgent - ${data.tool} failed:`, error.message);
+          output = { success: false, error: `${data.tool} failed: ${error.message}` };
+        }
+      }
+
+      const call = { id, tool: data.tool, mint: toolMint, fetched_at: new Date().toISOString() };
+      toolCalls.push({ ...call, success: output?.success !== false && !output?.error });
+      sources.push({ ...call, content: formatToolOutput(output) });
+      continue;
+    }
+
+    if (data.action === 'final_answer' && data.answer && data.answer !== 'Unknown') {
+      const knownSources = new Set(sources.map(source => source.id));
+      const citations = (data.citations || []).filter(citation => knownSources.has(citation.source));
+      console.log(`LOG: runFollowupAgent - Answered after ${toolCalls.length} tool call(s), ${citations.length} citation(s)`);
+      return {
+        answer: data.answer,
+        citations: citations.map(citation => ({
+          ...citation,
+          tool: toolCalls.find(call => call.id === citation.source)?.tool || null
+        })),
+        tool_calls: toolCalls
+      };
+    }
+
+    // Tool call over the limit or unusable turn - ask again with no tools left
+    if (remainingCalls === 0) break;
+  }
+
+  console.error('ERROR: runFollowupAgent - No final answer from the model');
+  return {
+    answer: 'Unable to answer the follow-up question from the available data.',
+    citations: [],
+    tool_calls: toolCalls
+  };
+}
+
+export {
+  FOLLOWUP_TOOLS,
+  runFollowupAgent
+};
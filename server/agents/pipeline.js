@@ -0,0 +1,234 @@
+// server/agents/pipeline.js
+
+/**
+ * Error for a step that did not finish within its timeout
+ */
+class StepTimeoutError extends Error {
+  constructor(step, timeoutMs) {
+    super(`${step} timed out after ${timeoutMs}ms`);
+    this.name = 'StepTimeoutError';
+    this.step = step;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error message for a step result, or null when it succeeded
+ * Services report failures as { success: false, error } or { error } instead of throwing
+ * @param {Object} data - Step result
+ * @returns {string|null} Error message
+ */
+function stepResultError(data) {
+  return !data ? 'No data returned' :
+    data.error ? data.error :
+    data.success === false ? 'Step reported failure' : null;
+}
+
+/**
+ * Timeout for a step: PIPELINE_TIMEOUT_<STEP>_MS, then the step's own default,
+ * then PIPELINE_STEP_TIMEOUT_MS (default 60000)
+ * @param {Object} step - Step definition
+ * @returns {number} Timeout in milliseconds
+ */
+function stepTimeout(step) {
+  const candidates = [
+    process.env[`PIPELINE_TIMEOUT_${step.name.toUpperCase()}_MS`],
+    step.timeoutMs,
+    process.env.PIPELINE_STEP_TIMEOUT_MS
+  ];
+  for (const candidate of candidates) {
+    const timeoutMs = parseInt(candidate, 10);
+    if (Number.isInteger(timeoutMs) && timeoutMs > 0) return timeoutMs;
+  }
+  return 60000;
+}
+
+/**
+ * Check that every dependency exists and the steps form no cycle
+ * @param {Array<Object>} steps - Step definitions
+ */
+function validateStepGraph(steps) {
+  const byName = new Map(steps.map(step => [step.name, step]));
+  const state = new Map();  // name -> 'visiting' | 'done'
+
+  const visit = (step, path) => {
+    if (state.get(step.name) === 'done') return;
+    if (state.get(step.name) === 'visiting') {
+      throw new Error(`Pipeline dependency cycle: ${[...path, step.name].join(' -> ')}`);
+    }
+    state.set(step.name, 'visiting');
+    for (const dependency of step.deps || []) {
+      if (!byName.has(dependency)) {
+        throw new Error(`Pipeline step ${step.name} depends on unknown step ${dependency}`);
+      }
+      visit(byName.get(dependency), [...path, step.name]);
+    }
+    state.set(step.name, 'done');
+  };
+
+  steps.forEach(step => visit(step, []));
+}
+
+/**
+ * Run step work against a timeout and an abort signal. The work gets its own
+ * signal, aborted when the step times out or the pipeline is cancelled, so the
+ * LLM and HTTP calls it makes stop instead of running on in the background.
+ * @param {Function} run - Called with (signal); does the work
+ * @param {string} name - Step name
+ * @param {number} timeoutMs - Timeout
+ * @param {AbortSignal} signal - Cancellation signal
+ * @returns {Promise} Result of the work
+ */
+function raceStep(run, name, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new StepTimeoutError(name, timeoutMs);
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+  const aborted = new Promise((resolve, reject) => {
+    if (!signal) return;
+    onAbort = () => {
+      controller.abort(signal.reason);
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  const work = Promise.resolve().then(() => run(controller.signal));
+
+  return Promise.race([work, timeout, aborted]).finally(() => {
+    clearTimeout(timer);
+    if (signal && onAbort) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Run pipeline steps as a dependency graph: each step starts as soon as all the
+ * steps it depends on have finished, so independent steps run concurrently.
+ * A step that fails or times out does not stop the pipeline - its apply()
+ * receives a { success: false, error } result and dependent steps run with
+ * whatever data there is. run() receives a signal that is aborted when the step
+ * times out or the pipeline is cancelled; work that ignores it still has its
+ * result discarded.
+ *
+ * Step definition:
+ *   name       - Step name used in progress events
+ *   deps       - Names of steps that must finish first
+ *   timeoutMs  - Default timeout (see stepTimeout)
+ *   skip()     - Optional; returns a reason to skip the step, or null (the step fails if it throws)
+ *   run(signal) - Does the work and resolves with the step result; passes the
+ *                signal to its LLM and HTTP calls
+ *   apply(data) - Stores the result (or the failure) in the analysis state
+ *
+ * @param {Array<Object>} steps - Step definitions
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Stops the pipeline and aborts the running steps
+ * @param {Function} options.onStart - Called with (name) before a step runs; may throw to cancel
+ * @param {Function} options.onResult - Called with (name, data) when a step finishes or fails
+ * @param {Function} options.onSkip - Called with (name, reason) for a skipped step
+ * @returns {Object} Per-step record: { status (completed, failed, timed_out, skipped), reason,
+ *   error, started_at, finished_at, duration_ms, timeout_ms }
+ */
+async function runStepGraph(steps, { signal = null, onStart = () => {}, onResult = () => {}, onSkip = () => {} } = {}) {
+  validateStepGraph(steps);
+
+  const record = {};
+  const pending = new Map(steps.map(step => [step.name, step]));
+  const running = new Map();
+  const finished = new Set();
+  let failure = null;
+
+  const runStep = async (step) => {
+    // A skip check that throws degrades the step like a failed run does
+    let skipReason;
+    try {
+      skipReason = step.skip ? await step.skip() : null;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      console.error(`ERROR: runStepGraph - ${step.name} skip check failed:`, error.message);
+      const data = { success: false, error: `${step.name} skip check failed: ${error.message}` };
+      step.apply(data);
+      record[step.name] = { status: 'failed', finished_at: new Date().toISOString(), error: data.error };
+      onResult(step.name, data);
+      return;
+    }
+
+    if (skipReason) {
+      console.log(`LOG: runStepGraph - Skipping ${step.name}: ${skipReason}`);
+      record[step.name] = { status: 'skipped', reason: skipReason };
+      onSkip(step.name, skipReason);
+      return;
+    }
+
+    onStart(step.name);
+    const timeoutMs = stepTimeout(step);
+    const startedAt = Date.now();
+    record[step.name] = { status: 'running', started_at: new Date(startedAt).toISOString() };
+
+    let data;
+    let status;
+    try {
+      data = await raceStep(stepSignal => step.run(stepSignal), step.name, timeoutMs, signal);
+      status = stepResultError(data) ? 'failed' : 'completed';
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+
+      const timedOut = error instanceof StepTimeoutError;
+      console.error(`ERROR: runStepGraph - ${step.name} ${timedOut ? 'timed out' : 'failed'}:`, error.message);
+      data = timedOut ?
+        { success: false, error: error.message, timed_out: true } :
+        { success: false, error: `${step.name} failed: ${error.message}` };
+      status = timedOut ? 'timed_out' : 'failed';
+    }
+
+    step.apply(data);
+    record[step.name] = {
+      ...record[step.name],
+      status,
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt,
+      timeout_ms: timeoutMs,
+      ...(status === 'completed' ? {} : { error: stepResultError(data) })
+    };
+    onResult(step.name, data);
+  };
+
+  while (pending.size > 0 || running.size > 0) {
+    if (signal) signal.throwIfAborted();
+
+    for (const step of [...pending.values()]) {
+      if ((step.deps || []).every(dependency => finished.has(dependency))) {
+        pending.delete(step.name);
+        running.set(step.name, runStep(step).then(() => {
+          finished.add(step.name);
+        }, error => {
+          failure = failure || error;
+        }).finally(() => {
+          running.delete(step.name);
+        }));
+      }
+    }
+
+    if (running.size === 0) break;
+
+    // Wait for any running step; a cancelled or crashed step stops the whole run
+    await Promise.race(running.values());
+    if (failure) throw failure;
+  }
+
+  return record;
+}
+
+export {
+  StepTimeoutError,
+  stepResultError,
+  stepTimeout,
+  runStepGraph
+};
@@ -1,9 +1,9 @@
 // server/agents/researchBot.js
-import { ChatOpenAI } from '@langchain/openai';
 // import { fetchDexScreenerData } from '../../services/dexscreener.js';
 import { fetchDexScreenerData } from '../services/dexscreener.js';
 import axios from 'axios';
 import { parse } from 'url';
+import { createChatModel, defaultLLMProvider } from '../services/llmProviders.js';
 
 // Import services
 import { 
@@ -16,6 +16,44 @@ import { analyzeSocialSentiment } from '../services/socialSentiment.js';
 // Import on-chain metrics analysis service
 import { analyzeOnChainMetrics } from '../services/onChainMetrics.js';
 
+// Import GitHub repository analysis service
+import { analyzeGithubRepo, discoverGithubLinks } from '../services/github.js';
+
+// Import deterministic rule scoring
+import {
+  classifyTransactionTrend,
+  scoreTransactionActivity,
+  scoreAnalysisRules,
+  compareWithLLMRatings,
+  buildRuleBasedAnalysis
+} from '../services/ruleScoring.js';
+
+// Import the tool-calling follow-up agent
+import { runFollowupAgent } from './followupAgent.js';
+import { ConversationMemory } from './conversationMemory.js';
+import { runDebate, formatDebateForJudge, buildDebateTranscripts } from './debateAgents.js';
+
+// Import the dependency-graph step runner and the analysis depth profiles
+import { runStepGraph, stepResultError } from './pipeline.js';
+import { getAnalysisProfile, describeProfile } from '../services/analysisProfiles.js';
+
+// Import schema-validated LLM output handling
+import { generateValidatedJson } from '../services/llmOutput.js';
+import { buildPromptContext } from '../services/promptContext.js';
+import {
+  marketDataFetchedAt,
+  recordSource,
+  findSource,
+  verifyAnalysisFigures,
+  tagProvenance
+} from '../services/provenance.js';
+import { assessDataCompleteness, capConfidenceByCoverage } from '../services/dataCompleteness.js';
+import { assessmentSchema, comparativeVerdictSchema } from '../schemas/llmAnalysis.js';
+
+// Import input parsing and project name to mint resolution
+import { resolveInput } from '../services/inputParser.js';
+import { resolveProjectName } from '../services/tokenResolver.js';
+
 /**
  * Agent state class to manage conversation and analysis state
  */
@@ -24,15 +62,27 @@ class AgentState {
     this.messages = [];
     this.contractData = null;
     this.tokenData = null;
+    this.marketData = null;
     this.socialData = null;
     this.onChainData = null;  // Add new field for on-chain metrics
+    this.githubData = null;  // GitHub repository metrics (github.js)
     this.currentStep = 'start';
     this.finalAnalysis = null;
+    this.analysisId = null;  // Id of finalAnalysis in the analysis history
+    this.llmProvider = null;  // LLM provider that produced finalAnalysis, reused for follow-ups
     this.inputType = null;
+    this.input = null;  // Detected input kind and how it was resolved (inputParser.js)
     this.contractAddress = null;
     this.projectName = null;
+    this.nameResolution = null;  // Result of resolving projectName to a mint (tokenResolver.js)
+    this.profile = null;  // Analysis depth profile name (analysisProfiles.js)
+    this.pipeline = null;  // Status of each analysis step (pipeline.js)
+    this.verification = null;  // Model figures checked against the collected data (provenance.js)
+    this.valueSources = {};  // Source of the values in finalAnalysis by path, recorded as they are set (provenance.js)
+    this.completeness = null;  // Status of each data source and the data coverage (dataCompleteness.js)
     this.errors = [];
     this.conversationHistory = [];
+    this.memory = new ConversationMemory();  // Follow-up summary and retrieval (conversationMemory.js)
     this.context = {};
     this.tradingDecision = null;
     this.tradingResult = null;
@@ -50,73 +100,67 @@ class AgentState {
       content
     });
   }
+
+  /**
+   * Serialize the full state to a plain object for a session store
+   * @returns {Object} JSON-safe state snapshot
+   */
+  toJSON() {
+    return { ...this };
+  }
+
+  /**
+   * Rehydrate a state previously produced by toJSON
+   * @param {Object} data - Serialized state
+   * @returns {AgentState} Restored state
+   */
+  static fromJSON(data) {
+    const state = new AgentState();
+    if (data) {
+      Object.assign(state, data);
+      state.memory = ConversationMemory.fromJSON(data.memory);
+    }
+    return state;
+  }
 }
 
 /**
  * Main research bot class that orchestrates the analysis workflow
  */
 class ResearchBot {
-  constructor() {
-    console.log('LOG: ResearchBot constructor - Initializing with ChatOpenAI');
-    this.llm = new ChatOpenAI({
-      temperature: 0,
-      modelName: "gpt-4"
-    });
+  /**
+   * @param {Object} options - Bot options
+   * @param {string} options.llmProvider - LLM provider (defaults to LLM_PROVIDER, see llmProviders.js)
+   */
+  constructor(options = {}) {
+    this.llmProvider = options.llmProvider || defaultLLMProvider();
+    console.log(`LOG: ResearchBot constructor - Initializing with ${this.llmProvider} LLM provider`);
+    this.llm = createChatModel(this.llmProvider);
     this.state = null;
     console.log('LOG: ResearchBot constructor - Initialization complete');
   }
 
   /**
    * Analyze user input to determine what type of query it is
+   * Recognises token: prefixes, DexScreener/Birdeye/Solscan/pump.fun URLs, addresses
+   * and $TICKER cashtags; pair addresses are replaced by their base mint (see inputParser.js)
    * @param {string} inputText - User's query
-   * @returns {Object} Analysis results including type and value
+   * @returns {Object} Analysis results including type, value and the detected input
    */
   async analyzeUserInput(inputText) {
     console.log('LOG: analyzeUserInput - Starting analysis of:', inputText);
     
-    // Patterns for validation
-    const solanaAddressPattern = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
-    const tokenPrefix = /token:([1-9A-HJ-NP-Za-km-z]{32,44})/;
-    
     try {
-      // Check for token: prefix
-      console.log('LOG: analyzeUserInput - Checking for token prefix');
-      const tokenMatch = inputText.match(tokenPrefix);
-      if (tokenMatch) {
-        console.log(`LOG: analyzeUserInput - Found token prefix, value: ${tokenMatch[1]}`);
-        return { 
-          type: 'contract_address', 
-          value: tokenMatch[1], 
-          confidence: 'high'
-        };
-      }
-      
-      // Check for Solana address
-      console.log('LOG: analyzeUserInput - Checking for Solana address');
-      const solanaMatch = inputText.match(solanaAddressPattern);
-      
-      if (solanaMatch) {
-        console.log(`LOG: analyzeUserInput - Found Solana address: ${solanaMatch[0]}`);
-        return { 
-          type: 'contract_address', 
-          value: solanaMatch[0], 
-          confidence: 'high'
-        };
-      }
-      
-      // If no matches, treat as project name
-      console.log(`LOG: analyzeUserInput - No specific pattern matched, treating as project name: ${inputText.trim()}`);
-      return { 
-        type: 'project_name', 
-        value: inputText.trim(), 
-        confidence: 'medium'
-      };
+      const result = await resolveInput(inputText);
+      console.log(`LOG: analyzeUserInput - Input kind: ${result.input.kind}, type: ${result.type}, value: ${result.value}`);
+      return result;
     } catch (error) {
       console.error('ERROR: analyzeUserInput -', error);
       return { 
         type: 'project_name', 
         value: inputText.trim(), 
-        confidence: 'low'
+        confidence: 'low',
+        input: { kind: 'project_name', value: inputText.trim() }
       };
     }
   }
@@ -162,21 +206,7 @@ class ResearchBot {
       console.log('LOG: analyzeTransactionData - Calculated buy/sell ratios');
       
       // Determine transaction trend
-      let trend = "Stable";
-      if (h24.total > 0) {
-        const h24HourlyRate = h24.total / 24; // Avg transactions per hour over 24h
-        const h1HourlyRate = h1.total;        // Last hour rate
-        
-        if (h1HourlyRate > h24HourlyRate * 1.5) {
-          trend = "Strongly Increasing";
-        } else if (h1HourlyRate > h24HourlyRate * 1.2) {
-          trend = "Moderately Increasing";
-        } else if (h1HourlyRate < h24HourlyRate * 0.5) {
-          trend = "Strongly Decreasing";
-        } else if (h1HourlyRate < h24HourlyRate * 0.8) {
-          trend = "Moderately Decreasing";
-        }
-      }
+      const trend = classifyTransactionTrend(h24, h1);
       
       console.log(`LOG: analyzeTransactionData - Determined transaction trend: ${trend}`);
       
@@ -217,28 +247,9 @@ class ResearchBot {
       
       console.log(`LOG: analyzeTransactionData - Determined velocity trend: ${velocityTrend}`);
       
-      // Calculate rating based on transaction metrics
-      let transactionRating = 5; // Default neutral rating
-      
-      // Adjust rating based on 24h transaction volume
-      if (h24.total > 1000) transactionRating += 2;
-      else if (h24.total > 500) transactionRating += 1;
-      else if (h24.total < 10) transactionRating -= 2;
-      else if (h24.total < 50) transactionRating -= 1;
-      
-      // Adjust rating based on buy/sell ratio
+      // Rating comes from the documented transaction rules
       const numericBuyRatio24h = parseFloat(buyRatio24h);
-      if (numericBuyRatio24h > 2) transactionRating += 2;
-      else if (numericBuyRatio24h > 1.3) transactionRating += 1;
-      else if (numericBuyRatio24h < 0.5) transactionRating -= 2;
-      else if (numericBuyRatio24h < 0.8) transactionRating -= 1;
-      
-      // Adjust rating based on trend
-      if (trend === "Strongly Increasing") transactionRating += 1;
-      else if (trend === "Strongly Decreasing") transactionRating -= 1;
-      
-      // Cap the rating between 0 and 10
-      transactionRating = Math.max(0, Math.min(10, transactionRating));
+      const transactionRating = scoreTransactionActivity(transactions).rating ?? 0;
       
       console.log(`LOG: analyzeTransactionData - Calculated transaction rating: ${transactionRating}`);
       
@@ -310,13 +321,16 @@ class ResearchBot {
    * @param {Object} tokenMetrics - Token market data
    * @param {Object} onChainData - On-chain metrics analysis
    * @param {Object} socialData - Social sentiment data
+   * @param {Object} githubData - GitHub repository analysis
+   * @param {AbortSignal} signal - Aborts the model calls when the step times out
    * @returns {Object} Structured investment recommendation
    */
 
  // In the assessInvestmentPotential method in ResearchBot class
-async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, socialData) {
+async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, socialData, githubData = null, signal = null) {
   console.log('LOG: assessInvestmentPotential - Starting investment assessment');
-  console.log(`LOG: assessInvestmentPotential - Data available: Contract=${!!contractAnalysis}, Token=${!!tokenMetrics}, OnChain=${!!onChainData}, Social=${!!socialData}`);
+  console.log(`LOG: assessInvestmentPotential - Data available: Contract=${!!contractAnalysis}, Token=${!!tokenMetrics}, OnChain=${!!onChainData}, Social=${!!socialData}, GitHub=${!!githubData}`);
+  const hasGithubData = !!(githubData && githubData.success);
   
   try {
     // Extract market data for prompt enrichment
@@ -365,6 +379,20 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
       }
     }
     
+    // Deduplicated data block within the prompt token budget, security facts first
+    const context = buildPromptContext([
+      { key: 'program_analysis', title: 'Solana Program Security Analysis', data: contractAnalysis },
+      { key: 'market_data', title: 'Token Market Data', data: marketData },
+      { key: 'transactions', title: 'Transaction Data', data: transactions },
+      { key: 'token_metrics', title: 'Token Metrics', data: tokenMetrics },
+      { key: 'on_chain_metrics', title: 'On-Chain Metrics Analysis', data: onChainData },
+      { key: 'social_sentiment', title: 'Social Sentiment Analysis', data: socialData },
+      { key: 'github_analysis', title: 'GitHub Development Activity', data: hasGithubData ? githubData : null }
+    ]);
+    
+    // In debate mode a bull and a bear agent argue from the same data first, and this prompt judges them
+    const debate = this.debate ? await runDebate(this.llm, { tokenAddress, contextText: context.text, signal }) : null;
+    
     // Create analysis prompt with enhanced market data and better instructions
     console.log('LOG: assessInvestmentPotential - Creating analysis prompt');
     const prompt = `You are a professional cryptocurrency analyst specializing in Solana tokens. Provide a detailed, data-driven assessment of this token based on the following information.
@@ -373,24 +401,10 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
     
     Token Address: ${tokenAddress || "Unknown"}
     
-    Token Market Data:
-    ${JSON.stringify(marketData || {}, null, 2)}
-    
-    Solana Program Security Analysis:
-    ${JSON.stringify(contractAnalysis || {}, null, 2)}
-    
-    Token Metrics:
-    ${JSON.stringify(tokenMetrics || {}, null, 2)}
-    
-    On-Chain Metrics Analysis:
-    ${JSON.stringify(onChainData || {}, null, 2)}
-    
-    Social Sentiment Analysis:
-    ${JSON.stringify(socialData || {}, null, 2)}
-    
-    Transaction Data:
-    ${JSON.stringify(transactions || {}, null, 2)}
-
+${context.text}
+    ${debate ? `
+    ${formatDebateForJudge(debate)}
+    ` : ''}
     ANALYSIS REQUIREMENTS:
     
     1. SMART CONTRACT RISK ASSESSMENT:
@@ -423,7 +437,12 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
        - Include specific data points about community size or engagement if available
        - Mention specific platforms where token is discussed (Twitter, Telegram, etc.)
        - Note if sentiment data is limited or unavailable
-       
+       ${hasGithubData ? `
+       DEVELOPMENT ACTIVITY EVALUATION:
+       - Rate development health from 0-10 (higher is better)
+       - Use commit cadence, contributor count and concentration, star/fork growth, issue handling and releases
+       - Flag archived, abandoned or single-maintainer repositories
+       ` : ''}
     6. OVERALL INVESTMENT ASSESSMENT:
        - Calculate a risk/reward ratio (0-5 scale)
        - Provide a confidence score (0-100%)
@@ -485,7 +504,12 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
         "comment": "<detailed sentiment analysis with specific platforms mentioned>", 
         "community_strength": "<specific assessment of community>",
         "error": "<error or null>" 
-      },
+      },${hasGithubData ? `
+      "development_activity": {
+        "rating": <0-10>,
+        "comment": "<development analysis citing specific repository metrics>",
+        "error": "<error or null>"
+      },` : ''}
       "risk_reward_ratio": <0-5>,
       "confidence_score": <0-100>,
       "investment_timeframe": "<short/medium/long-term potential assessment>",
@@ -496,32 +520,33 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
     }`;
     
     console.log('LOG: assessInvestmentPotential - Sending prompt to LLM');
-    const response = await this.llm.predict(prompt);
-    console.log(`LOG: assessInvestmentPotential - Received LLM response, length: ${response.length}`);
     
-    // Parse the result - the LLM should return JSON
-    let analysis;
-    try {
-      console.log('LOG: assessInvestmentPotential - Attempting to parse response as JSON');
-      analysis = JSON.parse(response);
-      console.log('LOG: assessInvestmentPotential - Successfully parsed JSON response');
-    } catch (parseError) {
-      console.error('ERROR: assessInvestmentPotential - JSON parse error:', parseError);
-      console.log('LOG: assessInvestmentPotential - Attempting alternative JSON extraction');
-      
-      // If JSON parsing fails, extract JSON from the response
-      const jsonMatch = response.match(/```json\n([\s\S]*?)\n```/) || 
-                        response.match(/{[\s\S]*}/);
-      if (jsonMatch) {
-        console.log('LOG: assessInvestmentPotential - Found JSON match in response');
-        analysis = JSON.parse(jsonMatch[1] || jsonMatch[0]);
-        console.log('LOG: assessInvestmentPotential - Successfully parsed extracted JSON');
-      } else {
-        console.error('ERROR: assessInvestmentPotential - No JSON pattern found in response');
-        throw new Error('Failed to parse LLM response as JSON');
-      }
+    // Validate against the analysis schema, letting the model repair its own output
+    const { data: analysis, unknownFields, repairAttempts } = await generateValidatedJson(
+      this.llm,
+      prompt,
+      assessmentSchema({ debate: Boolean(debate), hasGithubData }),
+      { label: 'assessInvestmentPotential', signal }
+    );
+    console.log(`LOG: assessInvestmentPotential - LLM output validated after ${repairAttempts} repair attempt(s)`);
+    
+    // Everything the model returned is LLM output; values replaced below record their own source
+    const sources = this.state.valueSources || (this.state.valueSources = {});
+    Object.keys(analysis).forEach(key => recordSource(sources, key, 'llm'));
+    
+    // Bull, bear and judge transcripts
+    if (debate) {
+      analysis.debate = buildDebateTranscripts(debate, analysis);
+      recordSource(sources, 'debate', 'llm');
     }
     
+    // Required fields the model never filled correctly, as dotted paths
+    analysis.unknown_fields = unknownFields;
+    
+    // Which data fields the model saw, and which were dropped to fit the budget
+    analysis.prompt_context = context.report;
+    recordSource(sources, 'prompt_context', 'analysis_metadata', { subtree: true });
+    
     // Add timestamp if not present
     if (!analysis.timestamp) {
       console.log('LOG: assessInvestmentPotential - Adding missing timestamp');
@@ -542,6 +567,7 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
         liquidity_usd: marketData.liquidity_usd,
         base_token: marketData.base_token,
       };
+      recordSource(sources, 'token_info', 'dexscreener', { fetchedAt: marketDataFetchedAt(this.state) });
     }
     
     // Make sure token address is included in token_info if not already there
@@ -559,9 +585,11 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
       
       // Replace the LLM's transaction analysis with our more data-driven one
       analysis.transaction_analysis = detailedTransactionAnalysis;
+      this.recordTransactionSources('rules');
       
       // Also include raw transaction data directly
       analysis.raw_transactions = rawTransactions;
+      recordSource(sources, 'raw_transactions', 'dexscreener', { fetchedAt: marketDataFetchedAt(this.state), subtree: true });
     }
     
     // Add social media links if available in the social data
@@ -611,16 +639,19 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
       token_name: analysis.token_info?.name || "Unknown",
       token_symbol: analysis.token_info?.symbol || "Unknown",
       token_address: tokenAddress || analysis.token_info?.address || "Unknown",
-      price_usd: analysis.token_info?.price_usd || 0,
-      market_cap: analysis.token_info?.market_cap || 0,
-      fdv: analysis.token_info?.fdv || 0,
-      price_change_24h: analysis.token_info?.price_change_24h || 0,
-      liquidity_usd: analysis.token_info?.liquidity_usd || marketData?.liquidity_usd || 0,
+      // Missing figures stay null so the verifier fills them instead of "correcting" a placeholder
+      price_usd: analysis.token_info?.price_usd ?? null,
+      market_cap: analysis.token_info?.market_cap ?? null,
+      fdv: analysis.token_info?.fdv ?? null,
+      price_change_24h: analysis.token_info?.price_change_24h ?? null,
+      liquidity_usd: analysis.token_info?.liquidity_usd ?? marketData?.liquidity_usd ?? null,
     };
+    sources.market_summary = { ...(findSource(sources, 'token_info') || { source: 'default', fetched_at: null }) };
 
     // If there's raw pair data in tokenMetrics, include it directly in the result
     if (tokenMetrics && tokenMetrics.enhanced_market_data && tokenMetrics.enhanced_market_data.raw_main_pair) {
       analysis.raw_pair_data = tokenMetrics.enhanced_market_data.raw_main_pair;
+      recordSource(sources, 'raw_pair_data', 'dexscreener', { fetchedAt: marketDataFetchedAt(this.state), subtree: true });
     }
     
     // Add trading prompt flag
@@ -629,6 +660,8 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
     console.log('LOG: assessInvestmentPotential - Assessment complete');
     return analysis;
   } catch (error) {
+    // An aborted step has already been reported as timed out or cancelled
+    if (signal?.aborted) throw error;
     console.error('ERROR: assessInvestmentPotential -', error);
     console.log('LOG: assessInvestmentPotential - Returning fallback analysis due to error');
     
@@ -638,7 +671,7 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
       tokenAddress = this.state.contractAddress;
     }
     
-    return {
+    const fallback = {
       error: `Error generating recommendation: ${error.message}`,
       token_info: {
         name: "Unknown",
@@ -659,48 +692,101 @@ async assessInvestmentPotential(contractAnalysis, tokenMetrics, onChainData, soc
       timestamp: new Date().toISOString(),
       has_trading_prompt: true
     };
+    
+    // Placeholders, not assessed values
+    if (this.state) {
+      this.state.valueSources = {};
+      Object.keys(fallback).forEach(key => recordSource(this.state.valueSources, key, 'default'));
+    }
+    return fallback;
   }
 }
 
   /**
-   * Handle follow-up questions using the conversation history
+   * Handle follow-up questions with the tool-calling follow-up agent, which can
+   * fetch fresh market, holder and mint data and cites the source of each claim
    * @param {string} question - Follow-up question 
-   * @returns {string} Response to the question
+   * @returns {Object} { answer, citations, tool_calls }
    */
   async handleFollowupQuestion(question) {
     console.log(`LOG: handleFollowupQuestion - Processing question: ${question}`);
     
     if (!this.state || this.state.conversationHistory.length === 0) {
       console.log('LOG: handleFollowupQuestion - No state or conversation history available');
-      return "Please provide an initial query first.";
+      return { answer: "Please provide an initial query first.", citations: [], tool_calls: [] };
     }
     
     try {
-      // Create a concise context from conversation history
-      console.log('LOG: handleFollowupQuestion - Creating context from conversation history');
-      const context = this.state.conversationHistory
-        .slice(-2) // Only use last interaction
-        .map(entry => `${entry.role}: ${entry.content}`)
-        .join("\n");
+      // Summary of older follow-ups, the latest ones verbatim, and the raw
+      // analysis data relevant to this question
+      const { dialogue, retrieved } = this.state.memory.buildContext(this.state, question);
       
-      console.log(`LOG: handleFollowupQuestion - Context created, length: ${context.length}`);
-      
-      const prompt = `Based on this previous analysis:
-
-      ${context}
-
-      Please answer this follow-up question: ${question}
-
-      Provide a specific answer based on the available information.`;
+      return await runFollowupAgent({
+        llm: this.llm,
+        question,
+        mint: this.state.contractAddress,
+        analysis: this.state.finalAnalysis,
+        recentExchanges: dialogue,
+        retrieved
+      });
+    } catch (error) {
+      console.error('ERROR: handleFollowupQuestion -', error);
+      return { answer: `Error processing follow-up question: ${error.message}`, citations: [], tool_calls: [] };
+    }
+  }
 
-      console.log('LOG: handleFollowupQuestion - Sending prompt to LLM');
-      const response = await this.llm.predict(prompt);
-      console.log(`LOG: handleFollowupQuestion - Received response, length: ${response.length}`);
+  /**
+   * Write a comparative verdict for several tokens from an aligned comparison table
+   * The model only sees the table, so every claim must be traceable to its values
+   * @param {Object} table - Aligned comparison table (columns and field rows)
+   * @returns {Object} Verdict with preferred token and reasoning
+   */
+  async generateComparativeVerdict(table) {
+    console.log(`LOG: generateComparativeVerdict - Comparing ${table.columns.length} tokens`);
+    
+    try {
+      const prompt = `You are a professional cryptocurrency analyst comparing Solana tokens.
+      
+      Use ONLY the values in the comparison table below. Do not use outside knowledge, do not
+      estimate missing values, and treat null as "unknown". Every statement in your reasoning
+      must reference the table field it is based on.
+      
+      COMPARISON TABLE:
+      ${JSON.stringify(table, null, 2)}
+      
+      Ratings are 0-10 (higher is better; for smart_contract_risk higher means safer).
+      An active mint or freeze authority is a centralization risk.
+      
+      Return a JSON object with this structure:
+      {
+        "preferred_mint": "<mint address of the strongest candidate, or null if the data is insufficient>",
+        "verdict": "<2-4 sentence comparative verdict>",
+        "reasoning": [
+          { "field": "<table field>", "observation": "<what the values show>" }
+        ],
+        "key_tradeoffs": ["<tradeoff 1>", "<tradeoff 2>"]
+      }`;
+      
+      console.log('LOG: generateComparativeVerdict - Sending prompt to LLM');
+      const { data: verdict, unknownFields } = await generateValidatedJson(this.llm, prompt, comparativeVerdictSchema, {
+        label: 'generateComparativeVerdict'
+      });
       
-      return response;
+      // The preferred token must be one of the compared ones, not a mint the model made up
+      if (verdict.preferred_mint && !table.columns.includes(verdict.preferred_mint)) {
+        console.error(`ERROR: generateComparativeVerdict - Preferred mint ${verdict.preferred_mint} is not in the comparison table, dropping it`);
+        verdict.preferred_mint = null;
+        unknownFields.push('preferred_mint');
+      }
+      
+      return { ...verdict, unknown_fields: unknownFields };
     } catch (error) {
-      console.error('ERROR: handleFollowupQuestion -', error);
-      return `Error processing follow-up question: ${error.message}`;
+      console.error('ERROR: generateComparativeVerdict -', error);
+      return {
+        preferred_mint: null,
+        verdict: null,
+        error: `Error generating comparative verdict: ${error.message}`
+      };
     }
   }
 
@@ -745,6 +831,8 @@ extractTokenDataFromProgramAnalysis(programData) {
         supply: mintInfo?.supply,
         mintAuthority: mintInfo?.mintAuthority,
         canMintMore: mintInfo?.canMintMore,
+        freezeAuthority: mintInfo?.freezeAuthority,
+        canFreeze: mintInfo?.canFreeze,
         holder_count: holders?.holder_count || 0,
         tokenType: programData.program_data.tokenType,
         last_updated: new Date().toISOString()
@@ -761,16 +849,380 @@ extractTokenDataFromProgramAnalysis(programData) {
   }
 }
 
+/**
+ * Report a pipeline progress event to the registered listener, if any
+ * @param {string} type - Event type (step_started, step_completed, step_failed, step_skipped)
+ * @param {string} step - Pipeline step name
+ * @param {Object} payload - Extra event data (partial results, error)
+ */
+emitProgress(type, step, payload = {}) {
+  if (!this.onProgress) return;
+  
+  try {
+    this.onProgress({ type, step, ...payload, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error(`ERROR: emitProgress - Progress listener failed for ${type}/${step}:`, error);
+  }
+}
+
+/**
+ * Start a pipeline step - honours cancellation before any work is done
+ * @param {string} step - Pipeline step name
+ */
+beginStep(step) {
+  if (this.signal) {
+    this.signal.throwIfAborted();
+  }
+  this.emitProgress('step_started', step);
+}
+
+/**
+ * Emit the completion or failure event for a step based on its service result
+ * Services report failures as { success: false, error } or { error } instead of throwing
+ * @param {string} step - Pipeline step name
+ * @param {Object} data - Step result
+ */
+emitStepResult(step, data) {
+  const error = stepResultError(data);
+  
+  if (error) {
+    this.emitProgress('step_failed', step, { error, data });
+  } else {
+    this.emitProgress('step_completed', step, { data });
+  }
+}
+
+/**
+ * Pipeline steps that run after the input is resolved (see runStepGraph).
+ * Program, market and on-chain data are fetched concurrently; GitHub analysis
+ * waits for the market data (to find repository links), social sentiment for
+ * the token data, and the assessment for everything. Data steps outside the
+ * analysis profile are skipped.
+ * @returns {Array<Object>} Step definitions
+ */
+buildAnalysisSteps() {
+  const requireAddress = () => this.state.contractAddress ? null : 'No contract address';
+  const profile = this.profile;
+  let githubLinks = [];
+  
+  const steps = [
+    {
+      name: 'program_analysis',
+      deps: [],
+      timeoutMs: 60000,
+      skip: requireAddress,
+      run: signal => analyzeSolanaProgram(this.state.contractAddress, profile.useLLM ? this.llm : null, {
+        holderPages: profile.holderPages,
+        signatureLimit: profile.signatureLimit,
+        signal
+      }),
+      apply: data => {
+        this.state.contractData = data;
+        // Extract token data from contract analysis
+        this.state.tokenData = this.extractTokenDataFromProgramAnalysis(data);
+      }
+    },
+    {
+      name: 'market_data',
+      deps: [],
+      timeoutMs: 20000,
+      skip: requireAddress,
+      run: signal => fetchDexScreenerData(this.state.contractAddress, { signal }),
+      apply: data => { this.state.marketData = data; }
+    },
+    {
+      name: 'on_chain_metrics',
+      deps: [],
+      timeoutMs: 60000,
+      skip: requireAddress,
+      run: signal => analyzeOnChainMetrics(this.state.contractAddress, {
+        signatureLimit: profile.signatureLimit,
+        whalePages: profile.whalePages,
+        signal
+      }),
+      apply: data => { this.state.onChainData = data; }
+    },
+    {
+      // A repository linked directly, or found via DexScreener
+      name: 'github_analysis',
+      deps: ['market_data'],
+      timeoutMs: 30000,
+      skip: async () => {
+        githubLinks = this.state.input?.kind === 'github_url' ?
+          [this.state.input.url] :
+          await discoverGithubLinks(this.state.marketData);
+        return githubLinks.length > 0 ? null : 'No GitHub repository found';
+      },
+      run: signal => analyzeGithubRepo(githubLinks[0], { signal }),
+      apply: data => { this.state.githubData = data; }
+    },
+    {
+      name: 'social_sentiment',
+      deps: ['program_analysis', 'market_data'],
+      timeoutMs: 45000,
+      skip: () => (this.state.tokenData && !this.state.tokenData.error) || this.state.contractAddress || this.state.projectName ?
+        null : 'No token data, contract address or project name',
+      run: () => {
+        this.mergeMarketData();
+        // Prefer the full token data, then the address, then the project name
+        const subject = this.state.tokenData && !this.state.tokenData.error ?
+          this.state.tokenData :
+          this.state.contractAddress || this.state.projectName;
+        return analyzeSocialSentiment(subject);
+      },
+      apply: data => { this.state.socialData = data; }
+    },
+    {
+      name: 'investment_assessment',
+      deps: ['program_analysis', 'market_data', 'on_chain_metrics', 'github_analysis', 'social_sentiment'],
+      // A debate makes two more LLM calls before the judge
+      timeoutMs: this.debate ? 300000 : 180000,
+      skip: () => (this.state.contractData && !this.state.contractData.error) ||
+        (this.state.tokenData && !this.state.tokenData.error) ||
+        (this.state.marketData && this.state.marketData.success) ||
+        (this.state.githubData && this.state.githubData.success) ?
+        null : 'Insufficient data for analysis',
+      run: signal => {
+        this.mergeMarketData();
+        return this.generateFinalAnalysis(signal);
+      },
+      apply: data => {
+        if (data.success === false) this.state.valueSources = {};
+        this.state.finalAnalysis = data.success === false ? {
+          error: data.error,
+          final_recommendation: data.timed_out ?
+            "The assessment timed out before a recommendation was made. Please try again." :
+            "Analysis failed due to an unexpected error"
+        } : data;
+      }
+    }
+  ];
+  
+  return steps.map(step => {
+    const timeoutMs = profile.timeouts[step.name] || step.timeoutMs;
+    if (step.name === 'investment_assessment' || profile.steps.includes(step.name)) {
+      return { ...step, timeoutMs };
+    }
+    return { ...step, timeoutMs, skip: () => `Not part of the ${profile.name} profile` };
+  });
+}
+
+/**
+ * Fill gaps in the token and on-chain data from the DexScreener market data
+ */
+mergeMarketData() {
+  if (!this.state.marketData || !this.state.marketData.success) return;
+  
+  // If token data is missing or limited, enhance it with DexScreener data
+  if (!this.state.tokenData || !this.state.tokenData.name) {
+    console.log('LOG: mergeMarketData - Enhancing token data with DexScreener info');
+    
+    if (!this.state.tokenData) {
+      this.state.tokenData = {};
+    }
+    
+    // Add or update token data with DexScreener information
+    this.state.tokenData.name = this.state.tokenData.name || this.state.marketData.token_name;
+    this.state.tokenData.symbol = this.state.tokenData.symbol || this.state.marketData.token_symbol;
+    this.state.tokenData.token_address = this.state.contractAddress || this.state.marketData.token_address;
+    this.state.tokenData.market_cap = this.state.marketData.market_cap;
+    this.state.tokenData.fdv = this.state.marketData.fdv;
+    this.state.tokenData.price_usd = this.state.marketData.price_usd;
+    this.state.tokenData.liquidity_usd = this.state.marketData.liquidity_usd;
+    this.state.tokenData.volume_24h = this.state.marketData.volume_24h;
+    this.state.tokenData.price_change_24h = this.state.marketData.price_change.h24;
+    this.state.tokenData.base_token = this.state.marketData.base_token;
+    
+    // Add all the enhanced data
+    this.state.tokenData.enhanced_market_data = {
+      liquidity: this.state.marketData.liquidity_usd,
+      volume: this.state.marketData.volume,
+      price_change: this.state.marketData.price_change,
+      transactions: this.state.marketData.transactions,
+      base_token: this.state.marketData.base_token,
+      buy_sell_ratio_24h: this.state.marketData.buy_sell_ratio_24h,
+      pair_info: {
+        dex: this.state.marketData.dex,
+        pair_address: this.state.marketData.pair_address,
+        created_at: this.state.marketData.pair_created_at
+      },
+      socials: this.state.marketData.links.socials,
+      website: this.state.marketData.links.website,
+      all_pairs: this.state.marketData.all_pairs,
+      raw_main_pair: this.state.marketData.raw_main_pair
+    };
+  }
+  
+  // Add the DexScreener market data to the on-chain data
+  if (this.state.onChainData && this.state.onChainData.success !== false) {
+    console.log('LOG: mergeMarketData - Adding market data to on-chain data');
+    this.state.onChainData.market_data = {
+      price_usd: this.state.marketData.price_usd,
+      market_cap: this.state.marketData.market_cap,
+      fdv: this.state.marketData.fdv,
+      liquidity_usd: this.state.marketData.liquidity_usd,
+      volume_24h: this.state.marketData.volume_24h,
+      price_change_24h: this.state.marketData.price_change?.h24,
+      base_token: this.state.marketData.base_token
+    };
+  }
+}
+
+/**
+ * Assess the collected data and add the market, transaction, name resolution
+ * and rule-based score details to the result
+ * @param {AbortSignal} signal - Aborts the model calls when the step times out
+ * @returns {Object} Final analysis
+ */
+async generateFinalAnalysis(signal = null) {
+  console.log('LOG: generateFinalAnalysis - Data available for analysis, generating recommendation');
+  this.state.valueSources = {};
+  const sources = this.state.valueSources;
+  const ruleSections = scoreAnalysisRules({
+    contractData: this.state.contractData,
+    marketData: this.state.marketData,
+    onChainData: this.state.onChainData,
+    socialData: this.state.socialData
+  });
+  
+  // Profiles without the LLM are rated by the rules alone
+  const analysis = this.profile.useLLM ?
+    await this.assessInvestmentPotential(
+      this.state.contractData || {},
+      this.state.tokenData || {},
+      this.state.onChainData || {},
+      this.state.socialData || {},
+      this.state.githubData,
+      signal
+    ) :
+    buildRuleBasedAnalysis(ruleSections, this.profile.name);
+  
+  if (!this.profile.useLLM) {
+    Object.keys(analysis).forEach(key => recordSource(sources, key, 'rules'));
+  }
+  
+  // Ensure market data is included in the response
+  if (!analysis.token_info && this.state.marketData && this.state.marketData.success) {
+    analysis.token_info = {
+      name: this.state.marketData.token_name,
+      symbol: this.state.marketData.token_symbol,
+      address: this.state.contractAddress || this.state.marketData.token_address,
+      price_usd: this.state.marketData.price_usd,
+      market_cap: this.state.marketData.market_cap,
+      fdv: this.state.marketData.fdv,
+      price_change_24h: this.state.marketData.price_change?.h24
+    };
+    recordSource(sources, 'token_info', 'dexscreener', { fetchedAt: marketDataFetchedAt(this.state) });
+  }
+  
+  // Add socials directly from DexScreener if available and not already in the analysis
+  if (!analysis.socials && this.state.marketData && this.state.marketData.success && 
+      this.state.marketData.links && this.state.marketData.links.socials) {
+    console.log('LOG: generateFinalAnalysis - Adding social links from DexScreener to final analysis');
+    analysis.socials = this.state.marketData.links.socials;
+  }
+  
+  // Add website if available and not already in the analysis
+  if (!analysis.website && this.state.marketData && this.state.marketData.success && 
+      this.state.marketData.links && this.state.marketData.links.website) {
+    analysis.website = this.state.marketData.links.website;
+  }
+  
+  // NEW: OVERRIDE transaction_analysis with raw data from DexScreener
+  if (this.state.marketData && this.state.marketData.success && this.state.marketData.transactions) {
+    console.log('LOG: generateFinalAnalysis - Overriding transaction_analysis with raw DexScreener data');
+    
+    const transactionDetails = this.analyzeTransactionData(this.state.marketData.transactions);
+    const keptRating = analysis.transaction_analysis?.rating;
+    const hasRating = typeof keptRating === 'number';
+    
+    // Completely override transaction_analysis with raw data
+    analysis.transaction_analysis = {
+      // Keep LLM's rating if available; without one the section is unrated
+      rating: hasRating ? keptRating : null,
+      buy_sell_ratio: this.state.marketData.buy_sell_ratio_24h,
+      // Keep LLM's comment if sensible, otherwise override
+      comment: (analysis.transaction_analysis?.comment?.includes("null")) ? 
+              "Raw transaction data from DexScreener" : 
+              analysis.transaction_analysis?.comment || "Raw transaction data from DexScreener",
+      // Directly use the raw transaction data
+      "24h_transactions": this.state.marketData.transactions.h24,
+      "6h_transactions": this.state.marketData.transactions.h6,
+      "1h_transactions": this.state.marketData.transactions.h1,
+      "5m_transactions": this.state.marketData.transactions.m5,
+      "transaction_trend": transactionDetails.transaction_trend,
+      "buy_pressure_trend": transactionDetails.buy_pressure_trend,
+      "transaction_velocity": transactionDetails.transaction_velocity
+    };
+    
+    this.recordTransactionSources(hasRating ? findSource(sources, 'transaction_analysis.rating')?.source || 'llm' : 'default');
+    
+    // Also include raw transaction data directly
+    analysis.raw_transactions = this.state.marketData.transactions;
+    recordSource(sources, 'raw_transactions', 'dexscreener', { fetchedAt: marketDataFetchedAt(this.state), subtree: true });
+  }
+  
+  // Tell the client which token a project name was resolved to
+  if (this.state.nameResolution && this.state.nameResolution.status === 'resolved') {
+    analysis.name_resolution = {
+      query: this.state.nameResolution.query,
+      mint: this.state.nameResolution.mint,
+      candidates: this.state.nameResolution.candidates
+    };
+    recordSource(sources, 'name_resolution', 'dexscreener+jupiter', { fetchedAt: this.state.nameResolution.resolved_at || null, subtree: true });
+  }
+  
+  // Deterministic ratings from the collected data, reported next to the LLM ratings
+  console.log('LOG: generateFinalAnalysis - Computing rule-based scores');
+  analysis.rule_scores = compareWithLLMRatings(ruleSections, this.profile.useLLM ? analysis : {});
+  recordSource(sources, 'rule_scores', 'rule_scoring', { subtree: true });
+  
+  // Correct or flag figures the model reported that differ from the collected data
+  this.state.verification = verifyAnalysisFigures(analysis, this.state);
+  const { fields, ...verification } = this.state.verification;
+  analysis.verification = verification;
+  recordSource(sources, 'verification', 'analysis_metadata', { subtree: true });
+  
+  return analysis;
+}
+
+/**
+ * Record the sources of a transaction_analysis built from the DexScreener
+ * transactions: the counts and ratio are DexScreener's, the rest is computed
+ * @param {string} ratingSource - Source of transaction_analysis.rating
+ */
+recordTransactionSources(ratingSource) {
+  const sources = this.state.valueSources;
+  const fetchedAt = marketDataFetchedAt(this.state);
+  recordSource(sources, 'transaction_analysis', 'computed', { fetchedAt });
+  recordSource(sources, 'transaction_analysis.rating', ratingSource);
+  recordSource(sources, 'transaction_analysis.buy_sell_ratio', 'dexscreener', { fetchedAt });
+  for (const window of ['24h', '6h', '1h', '5m']) {
+    recordSource(sources, `transaction_analysis.${window}_transactions`, 'dexscreener', { fetchedAt });
+  }
+}
+
 /**
  * Process the initial research query
  * @param {string} query - User's initial query 
+ * @param {Object} options - Processing options
+ * @param {Function} options.onProgress - Called with a progress event as each step starts, finishes or fails
+ * @param {AbortSignal} options.signal - Cancels the analysis; running steps are aborted
+ * @param {string} options.profile - Analysis depth profile (defaults to ANALYSIS_PROFILE, see analysisProfiles.js)
+ * @param {boolean} options.debate - Assess in debate mode: bull and bear agents argue, a judge rates (see debateAgents.js)
  * @returns {Object} Analysis results
  */
-async processInitialQuery(query) {
+async processInitialQuery(query, options = {}) {
   console.log(`LOG: processInitialQuery - Processing query: ${query}`);
+  this.onProgress = options.onProgress || null;
+  this.signal = options.signal || null;
+  this.profile = getAnalysisProfile(options.profile);
+  this.debate = Boolean(options.debate);
   
   console.log('LOG: processInitialQuery - Creating new agent state');
   this.state = new AgentState();
+  this.state.llmProvider = this.llmProvider;
+  this.state.profile = this.profile.name;
   this.state.messages.push({ role: 'user', content: query });
   
   try {
@@ -778,6 +1230,7 @@ async processInitialQuery(query) {
     console.log('LOG: processInitialQuery - Step 1: Analyzing input type');
     const inputAnalysis = await this.analyzeUserInput(query);
     this.state.inputType = inputAnalysis.type;
+    this.state.input = inputAnalysis.input;
     console.log(`LOG: processInitialQuery - Input analysis complete, type: ${inputAnalysis.type}`);
     
     // Set appropriate state based on input type
@@ -790,207 +1243,55 @@ async processInitialQuery(query) {
       this.state.projectName = inputAnalysis.value;
       this.state.currentStep = 'token_search';
       console.log(`LOG: processInitialQuery - Set project name: ${inputAnalysis.value}`);
-    }
-    
-    // Step 2: Analyze contract if address available
-    if (this.state.contractAddress) {
-      console.log('LOG: processInitialQuery - Step 2: Analyzing contract/program');
-      this.state.contractData = await analyzeSolanaProgram(this.state.contractAddress, this.llm);
-      console.log('LOG: processInitialQuery - Contract analysis complete');
       
-      // Extract token data from contract analysis
-      this.state.tokenData = this.extractTokenDataFromProgramAnalysis(this.state.contractData);
-      console.log('LOG: processInitialQuery - Token data extracted from program analysis');
-    } else {
-      console.log('LOG: processInitialQuery - Step 2: No contract address, skipping');
-    }
-
-    // NEW STEP: Fetch DexScreener data for market metrics
-    if (this.state.contractAddress) {
-      console.log('LOG: processInitialQuery - Fetching DexScreener market data');
-      try {
-        console.log('LOG: processInitialQuery - Fetching DexScreener market data for address:', this.state.contractAddress);
-        this.state.marketData = await fetchDexScreenerData(this.state.contractAddress);
-        console.log('LOG: processInitialQuery - DexScreener data fetched successfully', this.state.marketData);
-        
-    // If token data is missing or limited, enhance it with DexScreener data
-if (this.state.marketData.success && (!this.state.tokenData || !this.state.tokenData.name)) {
-  console.log('LOG: processInitialQuery - Enhancing token data with DexScreener info');
-  
-  if (!this.state.tokenData) {
-    this.state.tokenData = {};
-  }
-  
-  // Add or update token data with DexScreener information
-  this.state.tokenData.name = this.state.tokenData.name || this.state.marketData.token_name;
-  this.state.tokenData.symbol = this.state.tokenData.symbol || this.state.marketData.token_symbol;
-  this.state.tokenData.token_address = this.state.contractAddress || this.state.marketData.token_address;
-  this.state.tokenData.market_cap = this.state.marketData.market_cap;
-  this.state.tokenData.fdv = this.state.marketData.fdv;
-  this.state.tokenData.price_usd = this.state.marketData.price_usd;
-  this.state.tokenData.liquidity_usd = this.state.marketData.liquidity_usd;
-  this.state.tokenData.volume_24h = this.state.marketData.volume_24h;
-  this.state.tokenData.price_change_24h = this.state.marketData.price_change.h24;
-  this.state.tokenData.base_token = this.state.marketData.base_token;
-  
-  // Add all the enhanced data
-  this.state.tokenData.enhanced_market_data = {
-    liquidity: this.state.marketData.liquidity_usd,
-    volume: this.state.marketData.volume,
-    price_change: this.state.marketData.price_change,
-    transactions: this.state.marketData.transactions,
-    base_token: this.state.marketData.base_token,
-    buy_sell_ratio_24h: this.state.marketData.buy_sell_ratio_24h,
-    pair_info: {
-      dex: this.state.marketData.dex,
-      pair_address: this.state.marketData.pair_address,
-      created_at: this.state.marketData.pair_created_at
-    },
-    socials: this.state.marketData.links.socials,
-    website: this.state.marketData.links.website,
-    all_pairs: this.state.marketData.all_pairs,
-    raw_main_pair: this.state.marketData.raw_main_pair
-  };
-}
-      } catch (marketError) {
-        console.error('ERROR: processInitialQuery - DexScreener analysis failed:', marketError);
-        this.state.marketData = { 
-          success: false, 
-          error: `Market data analysis failed: ${marketError.message}`
-        };
-      }
-    }
-
-    // Step 3: Analyze on-chain metrics if contract address is available
-    if (this.state.contractAddress) {
-      console.log('LOG: processInitialQuery - Step 3: Analyzing on-chain metrics');
-      try {
-        this.state.onChainData = await analyzeOnChainMetrics(this.state.contractAddress);
-        console.log('LOG: processInitialQuery - On-chain metrics analysis complete');
-        
-        // If we have market data from DexScreener, add it to onChainData
-        if (this.state.marketData && this.state.marketData.success) {
-          console.log('LOG: processInitialQuery - Adding market data to on-chain data');
-          this.state.onChainData.market_data = {
-            price_usd: this.state.marketData.price_usd,
-            market_cap: this.state.marketData.market_cap,
-            fdv: this.state.marketData.fdv,
-            liquidity_usd: this.state.marketData.liquidity_usd,
-            volume_24h: this.state.marketData.volume_24h,
-            price_change_24h: this.state.marketData.price_change?.h24,
-            base_token: this.state.marketData.base_token
+      if (this.state.input?.kind === 'github_url') {
+        // A repository link names a project, not a token - analyze the repository only
+        console.log('LOG: processInitialQuery - GitHub repository input, skipping name resolution');
+        this.emitProgress('step_skipped', 'name_resolution', { reason: 'GitHub repository input' });
+      } else {
+        // Resolve the name to a mint so the contract, market and on-chain steps can run
+        console.log('LOG: processInitialQuery - Resolving project name to a token mint');
+        this.beginStep('name_resolution');
+        this.state.nameResolution = await resolveProjectName(this.state.projectName);
+      
+        if (this.state.nameResolution.status === 'resolved') {
+          this.state.contractAddress = this.state.nameResolution.mint;
+          this.state.currentStep = 'contract_analysis';
+          console.log(`LOG: processInitialQuery - Project name resolved to contract address: ${this.state.contractAddress}`);
+          this.emitStepResult('name_resolution', this.state.nameResolution);
+        } else if (this.state.nameResolution.status === 'ambiguous') {
+          console.log('LOG: processInitialQuery - Project name is ambiguous, returning candidates');
+          this.emitStepResult('name_resolution', this.state.nameResolution);
+          this.state.finalAnalysis = {
+            needs_disambiguation: true,
+            query: this.state.projectName,
+            candidates: this.state.nameResolution.candidates,
+            input: this.state.input,
+            final_recommendation: `Several Solana tokens match "${this.state.projectName}". Choose one and analyze it by its select_query.`
           };
+          this.state.addToHistory('user', query);
+          this.state.addToHistory('assistant', JSON.stringify(this.state.finalAnalysis));
+          return this.state.finalAnalysis;
+        } else {
+          console.log('LOG: processInitialQuery - No token found for project name, continuing with the name only');
+          this.emitStepResult('name_resolution', {
+            ...this.state.nameResolution,
+            error: `No Solana token matches "${this.state.projectName}"`
+          });
         }
-      } catch (onChainError) {
-        console.error('ERROR: processInitialQuery - On-chain metrics analysis failed:', onChainError);
-        this.state.onChainData = { 
-          success: false, 
-          error: `On-chain metrics analysis failed: ${onChainError.message}`
-        };
       }
-    } else {
-      console.log('LOG: processInitialQuery - Step 3: No contract address, skipping on-chain metrics');
-    }
-
-    // Step 4: Analyze social sentiment for the token/project
-    if (this.state.tokenData && !this.state.tokenData.error) {
-      console.log('LOG: processInitialQuery - Step 4: Analyzing social sentiment using token data');
-      // Pass the entire token data object to analyzeSocialSentiment
-      this.state.socialData = await analyzeSocialSentiment(this.state.tokenData);
-      console.log('LOG: processInitialQuery - Social sentiment analysis complete');
-    } else if (this.state.contractAddress) {
-      console.log(`LOG: processInitialQuery - Step 4: Analyzing social sentiment using contract address: ${this.state.contractAddress}`);
-      this.state.socialData = await analyzeSocialSentiment(this.state.contractAddress);
-      console.log('LOG: processInitialQuery - Social sentiment analysis complete');
-    } else if (this.state.projectName) {
-      console.log(`LOG: processInitialQuery - Step 4: Analyzing social sentiment using project name: ${this.state.projectName}`);
-      this.state.socialData = await analyzeSocialSentiment(this.state.projectName);
-      console.log('LOG: processInitialQuery - Social sentiment analysis complete');
-    } else {
-      console.log('LOG: processInitialQuery - Step 4: No token data, contract address, or project name available for social sentiment analysis');
-      this.state.socialData = null;
     }
     
-    // Step 5: Generate final analysis
-    console.log('LOG: processInitialQuery - Step 5: Generating final analysis');
-    if ((this.state.contractData && !this.state.contractData.error) ||
-        (this.state.tokenData && !this.state.tokenData.error) ||
-        (this.state.marketData && this.state.marketData.success)) {
-      
-      console.log('LOG: processInitialQuery - Data available for analysis, generating recommendation');
-      this.state.finalAnalysis = await this.assessInvestmentPotential(
-        this.state.contractData || {},
-        this.state.tokenData || {},
-        this.state.onChainData || {},
-        this.state.socialData || {}
-      );
-      
-      // Ensure market data is included in the response
-      if (!this.state.finalAnalysis.token_info && this.state.marketData && this.state.marketData.success) {
-        this.state.finalAnalysis.token_info = {
-          name: this.state.marketData.token_name,
-          symbol: this.state.marketData.token_symbol,
-          address: this.state.contractAddress || this.state.marketData.token_address,
-          price_usd: this.state.marketData.price_usd,
-          market_cap: this.state.marketData.market_cap,
-          fdv: this.state.marketData.fdv,
-          price_change_24h: this.state.marketData.price_change?.h24
-        };
-      }
-      
-      // Add socials directly from DexScreener if available and not already in the analysis
-      if (!this.state.finalAnalysis.socials && this.state.marketData && this.state.marketData.success && 
-          this.state.marketData.links && this.state.marketData.links.socials) {
-        console.log('LOG: processInitialQuery - Adding social links from DexScreener to final analysis');
-        this.state.finalAnalysis.socials = this.state.marketData.links.socials;
-      }
-      
-      // Add website if available and not already in the analysis
-      if (!this.state.finalAnalysis.website && this.state.marketData && this.state.marketData.success && 
-          this.state.marketData.links && this.state.marketData.links.website) {
-        this.state.finalAnalysis.website = this.state.marketData.links.website;
-      }
-      
-      // NEW: OVERRIDE transaction_analysis with raw data from DexScreener
-      if (this.state.marketData && this.state.marketData.success && this.state.marketData.transactions) {
-        console.log('LOG: processInitialQuery - Overriding transaction_analysis with raw DexScreener data');
-        
-        // Calculate trend
-        let trend = "Stable";
-        const h24 = this.state.marketData.transactions.h24;
-        const h1 = this.state.marketData.transactions.h1;
-        
-        if (h24 && h1 && h24.total > 0) {
-          const h24Rate = h24.total / 24; // Avg per hour in 24h period
-          const h1Rate = h1.total;        // Last hour
-          if (h1Rate > h24Rate * 1.2) {   // 20% higher than average
-            trend = "Increasing";
-          } else if (h1Rate < h24Rate * 0.8) {  // 20% lower than average
-            trend = "Decreasing";
-          }
-        }
-        
-        // Completely override transaction_analysis with raw data
-        this.state.finalAnalysis.transaction_analysis = {
-          // Keep LLM's rating if available
-          rating: this.state.finalAnalysis.transaction_analysis?.rating || 7,
-          buy_sell_ratio: this.state.marketData.buy_sell_ratio_24h,
-          // Keep LLM's comment if sensible, otherwise override
-          comment: (this.state.finalAnalysis.transaction_analysis?.comment?.includes("null")) ? 
-                  "Raw transaction data from DexScreener" : 
-                  this.state.finalAnalysis.transaction_analysis?.comment || "Raw transaction data from DexScreener",
-          // Directly use the raw transaction data
-          "24h_transactions": this.state.marketData.transactions.h24,
-          "6h_transactions": this.state.marketData.transactions.h6,
-          "1h_transactions": this.state.marketData.transactions.h1,
-          "5m_transactions": this.state.marketData.transactions.m5,
-          "transaction_trend": trend
-        };
-        
-        // Also include raw transaction data directly
-        this.state.finalAnalysis.raw_transactions = this.state.marketData.transactions;
-      }
-    } else {
+    // Steps 2-5: collect the data and assess it, independent steps concurrently
+    console.log('LOG: processInitialQuery - Running analysis pipeline');
+    this.state.pipeline = await runStepGraph(this.buildAnalysisSteps(), {
+      signal: this.signal,
+      onStart: step => this.beginStep(step),
+      onResult: (step, data) => this.emitStepResult(step, data),
+      onSkip: (step, reason) => this.emitProgress('step_skipped', step, { reason })
+    });
+    
+    if (!this.state.finalAnalysis) {
       console.log('LOG: processInitialQuery - Insufficient data for analysis');
       this.state.finalAnalysis = {
         error: "Unable to gather sufficient data for analysis",
@@ -998,6 +1299,37 @@ if (this.state.marketData.success && (!this.state.tokenData || !this.state.token
       };
     }
     
+    // Report the depth the analysis ran at
+    this.state.finalAnalysis.profile = describeProfile(this.profile);
+    recordSource(this.state.valueSources, 'profile', 'analysis_metadata', { subtree: true });
+    
+    // Steps that failed or timed out - the analysis was made without their data
+    this.state.finalAnalysis.pipeline = {
+      steps: this.state.pipeline,
+      degraded_steps: Object.keys(this.state.pipeline)
+        .filter(step => ['failed', 'timed_out'].includes(this.state.pipeline[step].status))
+    };
+    recordSource(this.state.valueSources, 'pipeline', 'analysis_metadata', { subtree: true });
+    
+    // Which data sources the analysis rests on; confidence cannot exceed their coverage
+    this.state.completeness = assessDataCompleteness(this.state, this.profile);
+    capConfidenceByCoverage(this.state.finalAnalysis, this.state.completeness);
+    this.state.finalAnalysis.completeness = this.state.completeness;
+    recordSource(this.state.valueSources, 'completeness', 'analysis_metadata', { subtree: true });
+    if (this.state.completeness.confidence_capped) {
+      recordSource(this.state.valueSources, 'confidence_score', 'computed');
+    }
+    
+    // Source and fetch time of every number in the result
+    this.state.finalAnalysis.provenance = tagProvenance(
+      this.state.finalAnalysis,
+      this.state.verification?.fields || {},
+      this.state.valueSources
+    );
+    
+    // Report how the query was understood
+    this.state.finalAnalysis.input = this.state.input;
+    
     // Add trading prompt
     console.log('LOG: processInitialQuery - Adding trading prompt to final analysis');
     const tradingPrompt = "\n\nWould you like me to execute a token purchase for you? (yes/no): ";
@@ -1011,12 +1343,19 @@ if (this.state.marketData.success && (!this.state.tokenData || !this.state.token
     return this.state.finalAnalysis;
     
   } catch (error) {
+    // Cancellation is not an analysis failure - let the caller handle it
+    if (this.signal && this.signal.aborted) {
+      console.log('LOG: processInitialQuery - Analysis cancelled');
+      throw error;
+    }
+    
     console.error('ERROR: processInitialQuery -', error);
     console.log('LOG: processInitialQuery - Returning error response due to failure');
     
     return {
       error: `Analysis failed: ${error.message}`,
-      final_recommendation: "Analysis failed due to an unexpected error"
+      final_recommendation: "Analysis failed due to an unexpected error",
+      input: this.state.input
     };
   }
 }
@@ -1077,22 +1416,24 @@ if (this.state.marketData.success && (!this.state.tokenData || !this.state.token
   /**
    * Process follow-up questions
    * @param {string} question - User's follow-up question
-   * @returns {string} Response to the question
+   * @returns {Object} { answer, citations, tool_calls }
    */
   async processFollowup(question) {
     console.log(`LOG: processFollowup - Processing follow-up question: ${question}`);
     
     const response = await this.handleFollowupQuestion(question);
-    console.log(`LOG: processFollowup - Received response, length: ${response.length}`);
+    console.log(`LOG: processFollowup - Received response, length: ${response.answer.length}, tool calls: ${response.tool_calls.length}`);
     
     // Update conversation history
     console.log('LOG: processFollowup - Updating conversation history');
     this.state.addToHistory('user', question);
-    this.state.addToHistory('assistant', response);
+    this.state.addToHistory('assistant', response.answer);
+    await this.state.memory.addExchange(this.llm, question, response.answer);
     
     console.log('LOG: processFollowup - Processing complete');
     return response;
   }
 }
 
+export { AgentState };
 export default ResearchBot;
\ No newline at end of file
@@ -1,11 +1,16 @@
 // server/index.js
+// Load environment variables first - modules below read them when they load
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import * as dotenv from 'dotenv';
 import { apiRoutes } from './routes/api.js';
-
-// Load environment variables
-dotenv.config();
+import { attachMarketFeedSocket } from './routes/marketFeedSocket.js';
+import { apiKeyAuth, checkApiKeyConfiguration } from './middleware/apiKeys.js';
+import { installProviderCallTracking } from './services/usage.js';
+import { getJobQueue } from './services/jobQueue.js';
+import { checkStoreConfiguration } from './services/store.js';
+import { ERROR_CODES, sendError } from './middleware/errors.js';
+import { buildOpenApiDocument } from './schemas/openapi.js';
 
 // Initialize express app
 const app = express();
@@ -16,15 +21,44 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Routes
-app.use('/api', apiRoutes);
+// Count outgoing provider requests towards the calling API key
+installProviderCallTracking();
+
+// Stores need a writable directory unless STORE_BACKEND/SESSION_STORE=memory
+checkStoreConfiguration();
+
+// Routes - every API request needs a valid API key (API_AUTH=disabled turns this off)
+checkApiKeyConfiguration();
+app.use('/api', apiKeyAuth, apiRoutes);
+
+// OpenAPI specification of the /api routes (public, like the health check)
+const openApiDocument = buildOpenApiDocument();
+app.get('/openapi.json', (req, res) => {
+  res.status(200).json(openApiDocument);
+});
+
+// Malformed JSON bodies are client errors, not server failures
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Request body is not valid JSON');
+  }
+  console.error('Unhandled error:', error);
+  sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+});
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'healthy' });
 });
 
+// Jobs a previous process left unfinished can never complete
+getJobQueue().recoverInterrupted()
+  .catch(error => console.error('ERROR: Failed to recover interrupted jobs:', error.message));
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Live market feed over WebSocket
+attachMarketFeedSocket(server);
\ No newline at end of file
@@ -0,0 +1,281 @@
+// server/middleware/apiKeys.js
+import crypto from 'crypto';
+import fs from 'fs';
+import { getUsageLedger, runWithUsage, USAGE_METRICS } from '../services/usage.js';
+import { ERROR_CODES, sendError } from './errors.js';
+
+// Quotas applied when a key does not define its own (null means unlimited)
+const DEFAULT_QUOTAS = {
+  requests_per_day: 1000,
+  analyses_per_day: 100,
+  followups_per_day: 500,
+  llm_tokens_per_day: 1000000,
+  provider_calls_per_day: null
+};
+
+let cachedKeys = { mtimeMs: null, byHash: new Map() };
+
+/**
+ * Hash an API key - the key file stores hashes so plaintext keys never sit on disk
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function apiKeysFile() {
+  return process.env.API_KEYS_FILE || './data/api-keys.json';
+}
+
+/**
+ * Load API keys from API_KEYS_FILE (reloaded whenever the file changes).
+ * The file holds an array of { id, name, key_hash, quotas } entries; `key` may be
+ * used instead of `key_hash` for local development.
+ * @returns {Map} Key records by key hash
+ */
+function loadApiKeys() {
+  const keysFile = apiKeysFile();
+
+  let stat;
+  try {
+    stat = fs.statSync(keysFile);
+  } catch (error) {
+    if (cachedKeys.mtimeMs !== 0) {
+      console.error(`ERROR: loadApiKeys - API key file not found: ${keysFile}`);
+      cachedKeys = { mtimeMs: 0, byHash: new Map() };
+    }
+    return cachedKeys.byHash;
+  }
+
+  if (stat.mtimeMs === cachedKeys.mtimeMs) {
+    return cachedKeys.byHash;
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    const byHash = new Map();
+
+    for (const entry of entries) {
+      const keyHash = entry.key_hash || (entry.key ? hashApiKey(entry.key) : null);
+      if (!entry.id || !keyHash) {
+        console.error('ERROR: loadApiKeys - Skipping key entry without id or key_hash');
+        continue;
+      }
+      if (entry.disabled) continue;
+
+      byHash.set(keyHash, {
+        id: entry.id,
+        name: entry.name || entry.id,
+        quotas: { ...DEFAULT_QUOTAS, ...(entry.quotas || {}) }
+      });
+    }
+
+    console.log(`LOG: loadApiKeys - Loaded ${byHash.size} API keys from ${keysFile}`);
+    cachedKeys = { mtimeMs: stat.mtimeMs, byHash };
+  } catch (error) {
+    console.error(`ERROR: loadApiKeys - Failed to parse ${keysFile}:`, error.message);
+  }
+
+  return cachedKeys.byHash;
+}
+
+function isAuthDisabled() {
+  return process.env.API_AUTH === 'disabled';
+}
+
+/**
+ * Explain at startup why every request would be refused: authentication is on
+ * but there is no key file, or it holds no usable key
+ * @returns {boolean} True when authentication is disabled or at least one key is loaded
+ */
+function checkApiKeyConfiguration() {
+  if (isAuthDisabled()) {
+    console.log('LOG: checkApiKeyConfiguration - API key authentication is disabled (API_AUTH=disabled)');
+    return true;
+  }
+
+  const keysFile = apiKeysFile();
+  if (!fs.existsSync(keysFile)) {
+    console.error(`ERROR: checkApiKeyConfiguration - API key authentication is enabled but the key file ${keysFile} does not exist, so every /api request will be refused with 401. Create it (see API_KEYS_FILE) or set API_AUTH=disabled.`);
+    return false;
+  }
+
+  if (loadApiKeys().size === 0) {
+    console.error(`ERROR: checkApiKeyConfiguration - ${keysFile} holds no usable API key, so every /api request will be refused with 401`);
+    return false;
+  }
+  return true;
+}
+
+function extractApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header;
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  // EventSource cannot set headers, so the stream endpoint accepts a query parameter.
+  // Nowhere else: keys in URLs end up in proxy and access logs.
+  if (req.method === 'GET' && req.path === '/analyze/stream') {
+    return req.query.api_key || null;
+  }
+  return null;
+}
+
+/**
+ * Seconds until the daily quotas reset (UTC midnight)
+ * @returns {number} Seconds
+ */
+function secondsUntilPeriodReset() {
+  const now = new Date();
+  const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((tomorrow - now.getTime()) / 1000);
+}
+
+function quotaName(metric) {
+  return `${metric}_per_day`;
+}
+
+/**
+ * Find the first quota that would be exceeded by adding `amount` to `metric`
+ * @returns {string|null} Name of the exceeded quota
+ */
+function findExceededQuota(apiKey, account, metric, amount) {
+  const limit = apiKey.quotas[quotaName(metric)];
+  if (limit !== null && limit !== undefined && account.counters[metric] + amount > limit) {
+    return quotaName(metric);
+  }
+  return null;
+}
+
+function rejectQuota(res, quota) {
+  res.set('Retry-After', String(secondsUntilPeriodReset()));
+  return sendError(res, 429, ERROR_CODES.QUOTA_EXCEEDED, `Quota exceeded: ${quota}`, { quota });
+}
+
+/**
+ * Resolve a presented API key and charge one request to it
+ * @param {string} key - Plaintext key from the request
+ * @returns {Object} { apiKey, account } on success, or { status, code, message, quota } on failure
+ */
+async function authenticateApiKey(key) {
+  if (!key) {
+    return { status: 401, code: ERROR_CODES.UNAUTHORIZED, message: 'API key required' };
+  }
+
+  const apiKey = loadApiKeys().get(hashApiKey(key));
+  if (!apiKey) {
+    return { status: 401, code: ERROR_CODES.UNAUTHORIZED, message: 'Invalid API key' };
+  }
+
+  const account = await getUsageLedger().getAccount(apiKey.id);
+  const exceeded = findExceededQuota(apiKey, account, 'requests', 1);
+  if (exceeded) {
+    console.log(`LOG: authenticateApiKey - Key ${apiKey.id} exceeded ${exceeded}`);
+    return { status: 429, code: ERROR_CODES.QUOTA_EXCEEDED, message: `Quota exceeded: ${exceeded}`, quota: exceeded };
+  }
+
+  account.record('requests');
+  return { apiKey, account };
+}
+
+/**
+ * Authenticate requests with an API key, enforce the daily request quota and bind
+ * the key's usage account to the request so provider and LLM calls are charged to it
+ */
+async function apiKeyAuth(req, res, next) {
+  if (isAuthDisabled()) {
+    return next();
+  }
+
+  try {
+    const auth = await authenticateApiKey(extractApiKey(req));
+    if (auth.quota) {
+      return rejectQuota(res, auth.quota);
+    }
+    if (!auth.apiKey) {
+      return sendError(res, auth.status, auth.code, auth.message);
+    }
+
+    req.apiKey = auth.apiKey;
+    req.usageAccount = auth.account;
+
+    runWithUsage(auth.account, next);
+  } catch (error) {
+    console.error('Error in API key middleware:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+}
+
+/**
+ * Route middleware charging a metered operation against the key's quota.
+ * Metered operations call the LLM and the data providers, so they are also
+ * refused once the token or provider call quota is used up.
+ * @param {string} metric - Usage metric ('analyses' or 'followups')
+ * @param {Function} amountFn - Computes how many units the request consumes
+ * @param {Object} options - Options
+ * @param {boolean} options.charge - Record the units here; false only checks that they
+ *   fit, for routes that record what they actually consume themselves
+ * @returns {Function} Express middleware
+ */
+function requireQuota(metric, amountFn = () => 1, { charge = true } = {}) {
+  return (req, res, next) => {
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const amount = amountFn(req);
+    const exceeded = findExceededQuota(req.apiKey, req.usageAccount, metric, amount) ||
+      findExceededQuota(req.apiKey, req.usageAccount, 'llm_tokens', 0) ||
+      findExceededQuota(req.apiKey, req.usageAccount, 'provider_calls', 0);
+
+    if (exceeded) {
+      console.log(`LOG: requireQuota - Key ${req.apiKey.id} exceeded ${exceeded}`);
+      return rejectQuota(res, exceeded);
+    }
+
+    if (charge) req.usageAccount.record(metric, amount);
+    next();
+  };
+}
+
+/**
+ * Describe a key's usage and remaining quota for the current period
+ * @param {Object} apiKey - Authenticated key record
+ * @param {Object} account - Usage account
+ * @returns {Object} Usage report
+ */
+function describeUsage(apiKey, account) {
+  const remaining = {};
+  for (const metric of USAGE_METRICS) {
+    const limit = apiKey.quotas[quotaName(metric)];
+    if (limit !== null && limit !== undefined) {
+      remaining[quotaName(metric)] = Math.max(0, limit - account.counters[metric]);
+    }
+  }
+
+  return {
+    key_id: apiKey.id,
+    name: apiKey.name,
+    period: account.period,
+    resets_in_seconds: secondsUntilPeriodReset(),
+    usage: account.counters,
+    quotas: apiKey.quotas,
+    remaining
+  };
+}
+
+export {
+  DEFAULT_QUOTAS,
+  hashApiKey,
+  isAuthDisabled,
+  checkApiKeyConfiguration,
+  secondsUntilPeriodReset,
+  authenticateApiKey,
+  apiKeyAuth,
+  requireQuota,
+  describeUsage
+};
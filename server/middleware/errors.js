@@ -0,0 +1,37 @@
+// server/middleware/errors.js
+
+// Machine-readable error codes returned in every API error body
+const ERROR_CODES = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  NO_ACTIVE_SESSION: 'NO_ACTIVE_SESSION',
+  SESSION_CONFLICT: 'SESSION_CONFLICT',
+  NOT_FOUND: 'NOT_FOUND',
+  AUTH_DISABLED: 'AUTH_DISABLED',
+  JOB_FINISHED: 'JOB_FINISHED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  PROVIDER_ERROR: 'PROVIDER_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  RESPONSE_VALIDATION_FAILED: 'RESPONSE_VALIDATION_FAILED'
+};
+
+/**
+ * Send a structured API error: { error, code, details? }
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {any} details - Optional structured details (validation issues, ...)
+ */
+function sendError(res, status, code, message, details) {
+  const body = { error: message, code };
+  if (details !== undefined) {
+    body.details = details;
+  }
+  return res.status(status).json(body);
+}
+
+export {
+  ERROR_CODES,
+  sendError
+};
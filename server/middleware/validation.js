@@ -0,0 +1,121 @@
+// server/middleware/validation.js
+import { ERROR_CODES, sendError } from './errors.js';
+
+/**
+ * Flatten zod issues into { path, message, code } entries.
+ * For unions only the closest alternative is reported, which is far more
+ * useful than "invalid input" for every branch.
+ * @param {Array} issues - zod issues
+ * @param {Array} prefix - Path prefix (e.g. ['body'])
+ * @returns {Array} Flattened issues
+ */
+function formatIssues(issues, prefix = []) {
+  return issues.flatMap(issue => {
+    if (issue.code === 'invalid_union' && issue.unionErrors?.length > 0) {
+      const closest = issue.unionErrors.reduce((best, error) => (
+        error.issues.length < best.issues.length ? error : best
+      ));
+      return formatIssues(closest.issues, prefix);
+    }
+
+    return [{
+      path: [...prefix, ...issue.path].join('.'),
+      message: issue.message,
+      code: issue.code
+    }];
+  });
+}
+
+/**
+ * Validate request parts against zod schemas, replacing them with the parsed values
+ * @param {Object} schemas - Schemas for `body`, `query` and/or `params`
+ * @returns {Function} Express middleware
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const details = [];
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const parsed = schemas[part].safeParse(req[part] ?? {});
+      if (parsed.success) {
+        req[part] = parsed.data;
+      } else {
+        details.push(...formatIssues(parsed.error.issues, [part]));
+      }
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Request validation failed', details);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Response validation mode from API_RESPONSE_VALIDATION:
+ * `log` (default) reports mismatches, `strict` refuses to send them, `off` skips validation
+ */
+function responseValidationMode() {
+  return process.env.API_RESPONSE_VALIDATION || 'log';
+}
+
+/**
+ * Check a response payload against its documented schema
+ * @param {Object} schema - zod schema
+ * @param {any} data - Payload about to be sent
+ * @param {string} label - Route label for logging
+ * @returns {Array|null} Validation issues, or null when the payload conforms (or validation is off)
+ */
+function checkResponse(schema, data, label) {
+  if (responseValidationMode() === 'off') return null;
+
+  const parsed = schema.safeParse(data);
+  if (parsed.success) return null;
+
+  const details = formatIssues(parsed.error.issues, ['response']);
+  console.error(`ERROR: checkResponse - ${label} response does not match its schema:`, JSON.stringify(details));
+  return details;
+}
+
+/**
+ * Validate successful JSON responses of a route against a zod schema.
+ * In strict mode a non-conforming payload is replaced with a 500 error.
+ * @param {Object} schema - zod schema of the 2xx response body
+ * @returns {Function} Express middleware
+ */
+function validateResponse(schema) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (data) => {
+      if (res.statusCode >= 300) {
+        return json(data);
+      }
+
+      const details = checkResponse(schema, data, `${req.method} ${req.baseUrl}${req.route?.path || req.path}`);
+      if (details && responseValidationMode() === 'strict') {
+        res.status(500);
+        return json({
+          error: 'Response did not match the documented schema',
+          code: ERROR_CODES.RESPONSE_VALIDATION_FAILED,
+          details
+        });
+      }
+
+      return json(data);
+    };
+
+    next();
+  };
+}
+
+export {
+  formatIssues,
+  validateRequest,
+  responseValidationMode,
+  checkResponse,
+  validateResponse
+};
@@ -1,137 +1,443 @@
 // server/routes/api.js
 import express from 'express';
-import ResearchBot from '../agents/researchBot.js';
+import {
+  getBotInstance,
+  saveBotInstance,
+  runAnalysis
+} from '../services/analysisRunner.js';
+import { getSessionStore } from '../services/sessionStore.js';
+import { StoreConflictError } from '../services/store.js';
+import { getJobQueue, isJobFinished } from '../services/jobQueue.js';
+import { runBatchAnalysis } from '../services/batchAnalysis.js';
+import { compareTokens } from '../services/tokenComparison.js';
+import { getAnalysis, listTokenAnalyses } from '../services/analysisHistory.js';
+import { diffAnalyses } from '../services/analysisDiff.js';
+import { renderReport } from '../services/reportRenderer.js';
+import { providerUnavailableReason } from '../services/llmProviders.js';
+import { requireQuota, describeUsage } from '../middleware/apiKeys.js';
+import { ERROR_CODES, sendError } from '../middleware/errors.js';
+import { validateRequest, validateResponse, checkResponse, responseValidationMode } from '../middleware/validation.js';
+import {
+  analyzeRequestSchema,
+  analyzeStreamQuerySchema,
+  batchRequestSchema,
+  compareRequestSchema,
+  jobRequestSchema,
+  jobParamsSchema,
+  analysisParamsSchema,
+  analysisExportQuerySchema,
+  tokenAnalysesParamsSchema,
+  tokenAnalysesQuerySchema,
+  analysisDiffQuerySchema,
+  tradingDecisionRequestSchema,
+  followupRequestSchema,
+  resetRequestSchema,
+  analyzeResponseSchema,
+  batchResponseSchema,
+  compareResponseSchema,
+  jobAcceptedResponseSchema,
+  jobResponseSchema,
+  analysisRecordSchema,
+  tokenAnalysesResponseSchema,
+  analysisDiffResponseSchema,
+  textResultResponseSchema,
+  followupResponseSchema,
+  resetResponseSchema,
+  usageResponseSchema
+} from '../schemas/api.js';
 
 const router = express.Router();
 
-// Bot state manager to handle multiple sessions
-const botInstances = {};
+// Quota checks for metered operations - batch and compare run one analysis per distinct mint
+const analysisQuota = requireQuota('analyses');
+const countDistinctMints = req => (Array.isArray(req.body.mints) ? new Set(req.body.mints).size : 0);
+const perMintAnalysisQuota = requireQuota('analyses', countDistinctMints);
+// Compare reuses recent analyses, so getOrRunAnalysis charges only the ones it runs
+const compareAnalysisQuota = requireQuota('analyses', countDistinctMints, { charge: false });
+const followupQuota = requireQuota('followups');
 
-// Helper to get or create a bot instance for a session
-function getBotInstance(sessionId) {
-  if (!botInstances[sessionId]) {
-    botInstances[sessionId] = new ResearchBot();
+// Requests may pick an LLM provider, but only one this deployment has configured
+function checkLLMProvider(req, res, next) {
+  const part = req.method === 'GET' ? 'query' : 'body';
+  const provider = req[part].llm_provider;
+  const reason = provider ? providerUnavailableReason(provider) : null;
+  
+  if (reason) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Request validation failed', [{
+      path: `${part}.llm_provider`,
+      message: reason,
+      code: 'provider_unavailable'
+    }]);
   }
-  return botInstances[sessionId];
+  
+  next();
 }
 
-// Analyze endpoint - Initial query processing
-// Analyze endpoint - Initial query processing
-router.post('/analyze', async (req, res) => {
+// Helper to write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming analysis - emits a typed event as each pipeline step starts, finishes or fails
+async function streamAnalysis(req, res, query, sessionId, llmProvider, profile, debate) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // A client that disconnects cancels the analysis, so no more provider calls or LLM tokens are spent on it
+  let clientGone = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    clientGone = true;
+    controller.abort();
+  });
+  
+  // Keep proxies from closing the connection during slow steps
+  const heartbeat = setInterval(() => {
+    if (!clientGone) res.write(': ping\n\n');
+  }, 15000);
+  
+  const onProgress = (event) => {
+    if (!clientGone) sendEvent(res, event.type, event);
+  };
+  
   try {
-    const { query, session_id } = req.body;
-    
-    if (!query || !session_id) {
-      return res.status(400).json({ error: 'Query and session_id are required' });
-    }
-    
-    const bot = getBotInstance(session_id);
-    const result = await bot.processInitialQuery(query);
-    
-    // Extract token market data for a more concise response
-    let marketSummary = {};
-    
-    if (result.token_info) {
-      // If the LLM included token_info in the result, use it directly
-      marketSummary = {
-        token_name: result.token_info.name,
-        token_symbol: result.token_info.symbol,
-        price_usd: result.token_info.price_usd,
-        market_cap: result.token_info.market_cap,
-        fdv: result.token_info.fdv,
-        price_change_24h: result.token_info.price_change_24h
-      };
-    } else if (bot.state && bot.state.onChainData && bot.state.onChainData.market_data) {
-      // Use market data from onChainData if available
-      marketSummary = bot.state.onChainData.market_data;
-    } else if (bot.state && bot.state.onChainData && bot.state.onChainData.liquidity_metrics) {
-      // Fallback to liquidity metrics
-      const metrics = bot.state.onChainData.liquidity_metrics;
-      if (metrics.success) {
-        marketSummary = {
-          token_name: metrics.token_name,
-          token_symbol: metrics.token_symbol,
-          price_usd: metrics.price_usd,
-          market_cap: metrics.market_cap,
-          fdv: metrics.fdv,
-          price_change_24h: metrics.price_change_24h
-        };
+    const { response } = await runAnalysis({ query, sessionId, onProgress, signal: controller.signal, llmProvider, profile, debate });
+    
+    if (!clientGone) {
+      const details = checkResponse(analyzeResponseSchema, response, 'analyze stream');
+      
+      if (details && responseValidationMode() === 'strict') {
+        sendEvent(res, 'error', {
+          error: 'Response did not match the documented schema',
+          code: ERROR_CODES.RESPONSE_VALIDATION_FAILED,
+          details
+        });
+      } else {
+        sendEvent(res, 'analysis', response);
+        sendEvent(res, 'done', { session_id: sessionId });
       }
     }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log('LOG: streamAnalysis - Client disconnected, analysis cancelled');
+      return;
+    }
+    console.error('Error in analyze stream:', error);
+    if (!clientGone) sendEvent(res, 'error', { error: error.message, code: ERROR_CODES.INTERNAL_ERROR });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+// Jobs are only visible to the API key that submitted them
+function canAccessJob(req, job) {
+  return !req.apiKey || !job.api_key_id || job.api_key_id === req.apiKey.id;
+}
+
+// Analyze endpoint - Initial query processing
+// Clients sending "Accept: text/event-stream" receive the progress stream instead
+router.post('/analyze', validateRequest({ body: analyzeRequestSchema }), checkLLMProvider, analysisQuota, validateResponse(analyzeResponseSchema), async (req, res) => {
+  try {
+    const { query, session_id, llm_provider, profile, debate } = req.body;
     
-    res.status(200).json({
-      result,
-      market_summary: marketSummary,
-      has_trading_prompt: true
-    });
+    if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+      return await streamAnalysis(req, res, query, session_id, llm_provider, profile, debate);
+    }
+    
+    const { response } = await runAnalysis({ query, sessionId: session_id, llmProvider: llm_provider, profile, debate });
+    res.status(200).json(response);
   } catch (error) {
     console.error('Error in analyze endpoint:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
-// Trading decision endpoint
-router.post('/trading-decision', async (req, res) => {
+// Streaming analyze endpoint - EventSource friendly GET variant
+router.get('/analyze/stream', validateRequest({ query: analyzeStreamQuerySchema }), checkLLMProvider, analysisQuota, async (req, res) => {
+  const { query, session_id, llm_provider, profile, debate } = req.query;
+  
+  await streamAnalysis(req, res, query, session_id, llm_provider, profile, debate);
+});
+
+// Batch analysis endpoint - analyzes many mints and returns a ranked summary
+// The mint limit is configurable, so it is checked here rather than in the schema
+function checkBatchSize(req, res, next) {
+  const maxMints = parseInt(process.env.BATCH_MAX_MINTS, 10) || 50;
+  
+  if (req.body.mints.length > maxMints) {
+    return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Request validation failed', [{
+      path: 'body.mints',
+      message: `A batch can contain at most ${maxMints} mints`,
+      code: 'too_big'
+    }]);
+  }
+  
+  next();
+}
+
+router.post('/analyze/batch', validateRequest({ body: batchRequestSchema }), checkBatchSize, checkLLMProvider, perMintAnalysisQuota, validateResponse(batchResponseSchema), async (req, res) => {
   try {
-    const { decision, session_id } = req.body;
+    const { mints, concurrency, llm_provider } = req.body;
+    const maxConcurrency = parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || 4;
     
-    if (!decision || !session_id) {
-      return res.status(400).json({ error: 'Decision and session_id are required' });
+    const uniqueMints = [...new Set(mints)];
+    const requestedConcurrency = concurrency || parseInt(process.env.BATCH_CONCURRENCY, 10) || 2;
+    
+    const batch = await runBatchAnalysis(uniqueMints, {
+      concurrency: Math.max(1, Math.min(requestedConcurrency, maxConcurrency)),
+      llmProvider: llm_provider
+    });
+    
+    res.status(200).json(batch);
+  } catch (error) {
+    console.error('Error in batch analyze endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Side-by-side comparison of two to five tokens
+router.post('/compare', validateRequest({ body: compareRequestSchema }), checkLLMProvider, compareAnalysisQuota, validateResponse(compareResponseSchema), async (req, res) => {
+  try {
+    const { mints, refresh, llm_provider } = req.body;
+    const uniqueMints = [...new Set(mints)];
+    
+    const comparison = await compareTokens(uniqueMints, { refresh: Boolean(refresh), llmProvider: llm_provider });
+    res.status(200).json(comparison);
+  } catch (error) {
+    console.error('Error in compare endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Submit an asynchronous analysis job
+router.post('/jobs', validateRequest({ body: jobRequestSchema }), checkLLMProvider, analysisQuota, validateResponse(jobAcceptedResponseSchema), async (req, res) => {
+  try {
+    const { query, session_id, llm_provider, profile, debate } = req.body;
+    
+    const job = await getJobQueue().submit({ query, sessionId: session_id, llmProvider: llm_provider, profile, debate });
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `${req.baseUrl}/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('Error in jobs endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Job status, current step and result
+router.get('/jobs/:id', validateRequest({ params: jobParamsSchema }), validateResponse(jobResponseSchema), async (req, res) => {
+  try {
+    const job = await getJobQueue().get(req.params.id);
+    
+    if (!job || !canAccessJob(req, job)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Job not found');
+    }
+    
+    res.status(200).json(job);
+  } catch (error) {
+    console.error('Error in job status endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Cancel a queued or running job
+router.delete('/jobs/:id', validateRequest({ params: jobParamsSchema }), validateResponse(jobResponseSchema), async (req, res) => {
+  try {
+    const queue = getJobQueue();
+    const existing = await queue.get(req.params.id);
+    
+    if (!existing || !canAccessJob(req, existing)) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Job not found');
     }
     
-    const bot = getBotInstance(session_id);
+    if (isJobFinished(existing)) {
+      return sendError(res, 409, ERROR_CODES.JOB_FINISHED, `Job already ${existing.status}`, { job: existing });
+    }
+    
+    const job = await queue.cancel(req.params.id);
+    res.status(200).json(job);
+  } catch (error) {
+    console.error('Error in job cancel endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Stored analysis by id - permalink to past research
+router.get('/analyses/:id', validateRequest({ params: analysisParamsSchema }), validateResponse(analysisRecordSchema), async (req, res) => {
+  try {
+    const analysis = await getAnalysis(req.params.id);
+    
+    if (!analysis) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Analysis not found');
+    }
+    
+    res.status(200).json(analysis);
+  } catch (error) {
+    console.error('Error in analysis endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Download a stored analysis as a Markdown, HTML, PDF or CSV report
+router.get('/analyses/:id/export', validateRequest({ params: analysisParamsSchema, query: analysisExportQuerySchema }), async (req, res) => {
+  try {
+    const analysis = await getAnalysis(req.params.id);
+    
+    if (!analysis) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Analysis not found');
+    }
+    
+    const report = renderReport(analysis.result, req.query.format, {
+      analysisId: analysis.id,
+      query: analysis.query,
+      createdAt: analysis.created_at
+    });
+    
+    res.status(200)
+      .set('Content-Type', report.contentType)
+      .set('Content-Disposition', `attachment; filename="${report.filename}"`)
+      .send(report.body);
+  } catch (error) {
+    console.error('Error in analysis export endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Past analyses of a token, newest first
+router.get('/tokens/:mint/analyses', validateRequest({ params: tokenAnalysesParamsSchema, query: tokenAnalysesQuerySchema }), validateResponse(tokenAnalysesResponseSchema), async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+    const analyses = await listTokenAnalyses(req.params.mint, { limit, offset });
+    res.status(200).json(analyses);
+  } catch (error) {
+    console.error('Error in token analyses endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// What changed between two stored analyses of a token - by default the two most recent completed ones
+router.get('/tokens/:mint/analyses/diff', validateRequest({ params: tokenAnalysesParamsSchema, query: analysisDiffQuerySchema }), validateResponse(analysisDiffResponseSchema), async (req, res) => {
+  try {
+    const { mint } = req.params;
+    let ids = [req.query.from, req.query.to].filter(Boolean);
+    if (ids.length === 2 && ids[0] === ids[1]) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'from and to must be different analyses');
+    }
+    
+    if (ids.length < 2) {
+      const { analyses } = await listTokenAnalyses(mint, { limit: 100 });
+      const latest = analyses
+        .filter(analysis => analysis.status === 'completed' && !ids.includes(analysis.id))
+        .slice(0, 2 - ids.length)
+        .map(analysis => analysis.id);
+      ids = [...ids, ...latest];
+      
+      if (ids.length < 2) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'At least two analyses of this token are needed for a diff');
+      }
+    }
+    
+    const records = await Promise.all(ids.map(id => getAnalysis(id)));
+    const missing = ids.filter((id, i) => !records[i]);
+    if (missing.length > 0) {
+      return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Analysis not found', { ids: missing });
+    }
+    
+    const otherMint = records.find(record => record.mint !== mint);
+    if (otherMint) {
+      return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, `Analysis ${otherMint.id} is not an analysis of ${mint}`);
+    }
+    
+    // Always diff from the older analysis to the newer one
+    const [older, newer] = [...records].sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+    res.status(200).json(diffAnalyses(older, newer));
+  } catch (error) {
+    console.error('Error in analysis diff endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Trading decision endpoint
+router.post('/trading-decision', validateRequest({ body: tradingDecisionRequestSchema }), validateResponse(textResultResponseSchema), async (req, res) => {
+  try {
+    const { decision, session_id } = req.body;
+    
+    const bot = await getBotInstance(session_id);
     if (!bot.state) {
-      return res.status(400).json({ error: 'No active analysis session' });
+      return sendError(res, 400, ERROR_CODES.NO_ACTIVE_SESSION, 'No active analysis session');
     }
     
     const result = await bot.processTradingDecision(decision);
     
-    // Clear bot instance after trading decision
-    delete botInstances[session_id];
+    // Clear session after trading decision
+    await getSessionStore().delete(session_id);
     
     res.status(200).json({ result });
   } catch (error) {
     console.error('Error in trading-decision endpoint:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
 // Follow-up question endpoint
-router.post('/followup', async (req, res) => {
+router.post('/followup', validateRequest({ body: followupRequestSchema }), checkLLMProvider, followupQuota, validateResponse(followupResponseSchema), async (req, res) => {
   try {
-    const { question, session_id } = req.body;
+    const { question, session_id, llm_provider } = req.body;
     
-    if (!question || !session_id) {
-      return res.status(400).json({ error: 'Question and session_id are required' });
-    }
-    
-    const bot = getBotInstance(session_id);
+    const bot = await getBotInstance(session_id, { llmProvider: llm_provider });
     if (!bot.state) {
-      return res.status(400).json({ error: 'No active analysis session' });
+      return sendError(res, 400, ERROR_CODES.NO_ACTIVE_SESSION, 'No active analysis session');
     }
     
-    const result = await bot.processFollowup(question);
-    res.status(200).json({ result });
+    const followup = await bot.processFollowup(question);
+    await saveBotInstance(session_id, bot);
+    res.status(200).json({
+      result: followup.answer,
+      citations: followup.citations,
+      tool_calls: followup.tool_calls
+    });
   } catch (error) {
+    // Another request saved the session since it was loaded; its answer would be lost
+    if (error instanceof StoreConflictError) {
+      return sendError(res, 409, ERROR_CODES.SESSION_CONFLICT, 'The session was changed by another request, please retry');
+    }
     console.error('Error in followup endpoint:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
 // Reset session endpoint
-router.post('/reset', (req, res) => {
+router.post('/reset', validateRequest({ body: resetRequestSchema }), validateResponse(resetResponseSchema), async (req, res) => {
   try {
     const { session_id } = req.body;
     
-    if (!session_id) {
-      return res.status(400).json({ error: 'Session ID is required' });
-    }
-    
-    delete botInstances[session_id];
+    await getSessionStore().delete(session_id);
     res.status(200).json({ status: 'success', message: 'Session reset successfully' });
   } catch (error) {
     console.error('Error in reset endpoint:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
+  }
+});
+
+// Usage and remaining quota of the calling API key for the current day
+router.get('/usage', validateResponse(usageResponseSchema), (req, res) => {
+  try {
+    if (!req.apiKey) {
+      return sendError(res, 404, ERROR_CODES.AUTH_DISABLED, 'API key authentication is disabled');
+    }
+    
+    res.status(200).json(describeUsage(req.apiKey, req.usageAccount));
+  } catch (error) {
+    console.error('Error in usage endpoint:', error);
+    sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, error.message);
   }
 });
 
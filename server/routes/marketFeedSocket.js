@@ -0,0 +1,175 @@
+// server/routes/marketFeedSocket.js
+import { WebSocketServer } from 'ws';
+import { getMarketFeed, loadAnalysisBaseline } from '../services/marketFeed.js';
+import { authenticateApiKey, isAuthDisabled, secondsUntilPeriodReset } from '../middleware/apiKeys.js';
+import { ERROR_CODES } from '../middleware/errors.js';
+import { formatIssues } from '../middleware/validation.js';
+import { marketFeedClientMessageSchema } from '../schemas/api.js';
+
+const MARKET_FEED_PATH = '/api/market-feed';
+
+// Dead connections are detected with ping/pong at this interval
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify({ ...message, timestamp: new Date().toISOString() }));
+  }
+}
+
+// Reject an upgrade with a plain HTTP response carrying the usual error body
+function rejectUpgrade(socket, status, statusText, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  const headerLines = Object.entries({
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload),
+    'Connection': 'close',
+    ...headers
+  }).map(([name, value]) => `${name}: ${value}`);
+
+  socket.write(`HTTP/1.1 ${status} ${statusText}\r\n${headerLines.join('\r\n')}\r\n\r\n${payload}`);
+  socket.destroy();
+}
+
+function extractUpgradeApiKey(req, url) {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  // Browsers cannot set headers on WebSocket connections
+  return url.searchParams.get('api_key');
+}
+
+/**
+ * Handle one client connection: subscribe/unsubscribe messages in, feed messages out
+ * @param {WebSocket} socket - Client connection
+ * @param {number} maxMints - Maximum mints per connection
+ * @param {Object} apiKey - Authenticated key the feed's polls are charged to, if any
+ */
+function handleConnection(socket, maxMints, apiKey) {
+  const feed = getMarketFeed();
+  const subscriber = { send: (message) => send(socket, message), apiKeyId: apiKey?.id || null };
+  const mints = new Set();
+
+  socket.isAlive = true;
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return send(socket, { type: 'error', code: ERROR_CODES.VALIDATION_ERROR, error: 'Message is not valid JSON' });
+    }
+
+    const parsed = marketFeedClientMessageSchema.safeParse(message);
+    if (!parsed.success) {
+      return send(socket, {
+        type: 'error',
+        code: ERROR_CODES.VALIDATION_ERROR,
+        error: 'Message validation failed',
+        details: formatIssues(parsed.error.issues, ['message'])
+      });
+    }
+
+    const { type, mints: requested, session_id } = parsed.data;
+
+    try {
+      if (type === 'unsubscribe') {
+        for (const mint of requested) {
+          feed.unsubscribe(subscriber, mint);
+          mints.delete(mint);
+        }
+        return send(socket, { type: 'unsubscribed', mints: requested });
+      }
+
+      const added = requested.filter(mint => !mints.has(mint));
+      if (mints.size + added.length > maxMints) {
+        return send(socket, {
+          type: 'error',
+          code: ERROR_CODES.VALIDATION_ERROR,
+          error: `A connection can subscribe to at most ${maxMints} mints`
+        });
+      }
+
+      for (const mint of requested) {
+        const baseline = await loadAnalysisBaseline(mint, { sessionId: session_id });
+        // The socket may have closed while the baseline was loading
+        if (socket.readyState !== socket.OPEN) return;
+
+        mints.add(mint);
+        send(socket, { type: 'subscribed', mint, baseline });
+        feed.subscribe(subscriber, mint, baseline);
+      }
+    } catch (error) {
+      console.error('Error in market feed socket:', error);
+      send(socket, { type: 'error', code: ERROR_CODES.INTERNAL_ERROR, error: error.message });
+    }
+  });
+
+  socket.on('close', () => {
+    feed.unsubscribeAll(subscriber);
+  });
+}
+
+/**
+ * Serve the live market feed over WebSocket on the HTTP server, authenticating
+ * the upgrade request with the same API keys as the REST API
+ * @param {http.Server} server - HTTP server returned by app.listen
+ * @returns {WebSocketServer} WebSocket server
+ */
+function attachMarketFeedSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+  const maxMints = parseInt(process.env.MARKET_FEED_MAX_MINTS, 10) || 20;
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== MARKET_FEED_PATH) {
+      return rejectUpgrade(socket, 404, 'Not Found', { error: 'Not found', code: ERROR_CODES.NOT_FOUND });
+    }
+
+    try {
+      let apiKey = null;
+      if (!isAuthDisabled()) {
+        const auth = await authenticateApiKey(extractUpgradeApiKey(req, url));
+        if (!auth.apiKey) {
+          const headers = auth.quota ? { 'Retry-After': secondsUntilPeriodReset() } : {};
+          const statusText = auth.status === 429 ? 'Too Many Requests' : 'Unauthorized';
+          return rejectUpgrade(socket, auth.status, statusText, { error: auth.message, code: auth.code }, headers);
+        }
+        apiKey = auth.apiKey;
+      }
+
+      wss.handleUpgrade(req, socket, head, (client) => {
+        wss.emit('connection', client, req, apiKey);
+      });
+    } catch (error) {
+      console.error('Error in market feed upgrade:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error', { error: error.message, code: ERROR_CODES.INTERNAL_ERROR });
+    }
+  });
+
+  wss.on('connection', (socket, req, apiKey) => handleConnection(socket, maxMints, apiKey));
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  console.log(`LOG: attachMarketFeedSocket - Market feed listening on ${MARKET_FEED_PATH}`);
+  return wss;
+}
+
+export { attachMarketFeedSocket };
@@ -0,0 +1,594 @@
+// server/schemas/api.js
+import { z } from 'zod';
+import { USAGE_METRICS } from '../services/usage.js';
+import { LLM_PROVIDERS } from '../services/llmProviders.js';
+import { PROFILE_NAMES } from '../services/analysisProfiles.js';
+
+// Shared primitives
+
+const nonEmptyString = z.string().trim().min(1);
+
+const mintAddress = z.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/, 'Invalid mint address');
+
+// DexScreener reports some figures as decimal strings
+const numericValue = z.union([
+  z.number(),
+  z.string().regex(/^-?\d+(\.\d+)?(e[-+]?\d+)?$/i, 'Expected a numeric value')
+]);
+
+const timestamp = z.string();
+
+// Per-request LLM provider; whether it is configured is checked by the route
+const llmProvider = z.enum(LLM_PROVIDERS);
+
+// Analysis depth (server/services/analysisProfiles.js)
+const analysisProfile = z.enum(PROFILE_NAMES);
+
+// Request schemas
+
+const analyzeRequestSchema = z.object({
+  query: nonEmptyString,
+  session_id: nonEmptyString,
+  llm_provider: llmProvider.optional(),
+  profile: analysisProfile.optional(),
+  debate: z.boolean().optional()
+});
+
+const analyzeStreamQuerySchema = z.object({
+  query: nonEmptyString,
+  session_id: nonEmptyString,
+  llm_provider: llmProvider.optional(),
+  profile: analysisProfile.optional(),
+  // Query strings carry booleans as text
+  debate: z.enum(['true', 'false']).transform(value => value === 'true').optional(),
+  api_key: z.string().optional()
+});
+
+const batchRequestSchema = z.object({
+  mints: z.array(z.string()).min(1, 'mints must be a non-empty array of mint addresses'),
+  concurrency: z.coerce.number().int().min(1).optional(),
+  llm_provider: llmProvider.optional()
+});
+
+const compareRequestSchema = z.object({
+  mints: z.array(mintAddress)
+    .refine(mints => {
+      const distinct = new Set(mints).size;
+      return distinct >= 2 && distinct <= 5;
+    }, 'Between 2 and 5 distinct mints are required'),
+  refresh: z.boolean().optional(),
+  llm_provider: llmProvider.optional()
+});
+
+const jobRequestSchema = z.object({
+  query: nonEmptyString,
+  session_id: nonEmptyString.optional(),
+  llm_provider: llmProvider.optional(),
+  profile: analysisProfile.optional(),
+  debate: z.boolean().optional()
+});
+
+const jobParamsSchema = z.object({
+  id: z.string().uuid('Invalid job id')
+});
+
+const analysisParamsSchema = z.object({
+  id: z.string().uuid('Invalid analysis id')
+});
+
+const analysisExportQuerySchema = z.object({
+  format: z.enum(['markdown', 'html', 'pdf', 'csv']).default('markdown')
+});
+
+const tokenAnalysesParamsSchema = z.object({
+  mint: mintAddress
+});
+
+const tokenAnalysesQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  offset: z.coerce.number().int().min(0).optional()
+});
+
+// Both optional: the two most recent completed analyses of the token fill in what is missing
+const analysisDiffQuerySchema = z.object({
+  from: z.string().uuid('Invalid analysis id').optional(),
+  to: z.string().uuid('Invalid analysis id').optional()
+});
+
+const tradingDecisionRequestSchema = z.object({
+  decision: nonEmptyString,
+  session_id: nonEmptyString
+});
+
+const followupRequestSchema = z.object({
+  question: nonEmptyString,
+  session_id: nonEmptyString,
+  // Defaults to the provider of the session's analysis
+  llm_provider: llmProvider.optional()
+});
+
+const resetRequestSchema = z.object({
+  session_id: nonEmptyString
+});
+
+// Messages a client sends on the market feed WebSocket
+const marketFeedClientMessageSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('subscribe'),
+    mints: z.array(mintAddress).min(1),
+    session_id: nonEmptyString.optional()
+  }),
+  z.object({
+    type: z.literal('unsubscribe'),
+    mints: z.array(mintAddress).min(1)
+  })
+]);
+
+// Analysis schemas - the LLM may add fields, so objects pass unknown keys through
+
+const ratingValue = z.number().min(0).max(10);
+
+const analysisSectionSchema = z.object({
+  rating: ratingValue.nullable(),
+  comment: z.string().nullable().optional(),
+  error: z.string().nullable().optional()
+}).passthrough();
+
+const tokenInfoSchema = z.object({
+  name: z.string().nullable().optional(),
+  symbol: z.string().nullable().optional(),
+  address: z.string().nullable().optional(),
+  price_usd: numericValue.nullable().optional(),
+  market_cap: numericValue.nullable().optional(),
+  fdv: numericValue.nullable().optional(),
+  price_change_24h: numericValue.nullable().optional(),
+  liquidity_usd: numericValue.nullable().optional()
+}).passthrough();
+
+const ruleScoreSectionSchema = z.object({
+  rule_rating: z.number().min(0).max(10).nullable(),
+  llm_rating: z.number().nullable(),
+  difference: z.number().nullable(),
+  disagreement: z.boolean(),
+  rules: z.array(z.object({
+    rule: z.string(),
+    points: z.number(),
+    explanation: z.string()
+  })),
+  skipped_rules: z.array(z.string())
+});
+
+// Deterministic ratings computed next to the LLM ratings (server/services/ruleScoring.js)
+const ruleScoresSchema = z.object({
+  base_rating: z.number(),
+  disagreement_threshold: z.number(),
+  sections: z.record(ruleScoreSectionSchema),
+  disagreements: z.array(z.string())
+});
+
+// How the query was understood (server/services/inputParser.js)
+const queryInputSchema = z.object({
+  kind: z.enum(['token_prefix', 'dexscreener_url', 'birdeye_url', 'solscan_url', 'pumpfun_url', 'github_url', 'address', 'cashtag', 'project_name']),
+  value: z.string(),
+  url: z.string().nullable().optional(),
+  address_type: z.string().nullable().optional(),
+  pair_address: z.string().nullable().optional(),
+  dex: z.string().nullable().optional(),
+  resolved_mint: z.string().nullable().optional()
+});
+
+// Solana tokens matching a project name, best first (server/services/tokenResolver.js)
+const nameCandidateSchema = z.object({
+  mint: z.string(),
+  name: z.string().nullable().optional(),
+  symbol: z.string().nullable().optional(),
+  score: z.number(),
+  match: z.enum(['exact', 'prefix', 'partial']),
+  liquidity_usd: z.number().nullable(),
+  volume_24h: z.number().nullable(),
+  age_days: z.number().nullable(),
+  verified: z.boolean().nullable(),
+  holder_count: z.number().nullable(),
+  sources: z.array(z.string()),
+  select_query: z.string()
+});
+
+// Source and fetch time of each number, by path (server/services/provenance.js)
+const provenanceSchema = z.record(z.object({
+  source: z.string(),
+  fetched_at: z.string().nullable(),
+  verification: z.enum(['confirmed', 'corrected', 'filled', 'unverified']).optional()
+}));
+
+// Model figures checked against the collected data
+const verificationSchema = z.object({
+  checked: z.number(),
+  confirmed: z.number(),
+  corrected: z.number(),
+  filled: z.number(),
+  unverified: z.number(),
+  discrepancies: z.array(z.object({
+    path: z.string(),
+    reported: z.any(),
+    verified: z.any(),
+    source: z.string().nullable(),
+    action: z.enum(['corrected', 'filled', 'unverified'])
+  }))
+});
+
+// One side of a debate-mode assessment (server/agents/debateAgents.js)
+const debateCaseSchema = z.object({
+  thesis: z.string().optional(),
+  arguments: z.array(z.object({
+    section: z.string(),
+    claim: z.string(),
+    evidence: z.string(),
+    strength: z.string()
+  })).optional(),
+  suggested_ratings: z.record(z.number()).nullable().optional(),
+  weakest_point: z.string().optional(),
+  transcript: z.string().optional(),
+  unknown_fields: z.array(z.string()).optional(),
+  error: z.string().optional()
+}).passthrough();
+
+const debateSchema = z.object({
+  bull: debateCaseSchema,
+  bear: debateCaseSchema,
+  judge: z.object({
+    stronger_side: z.enum(['bull', 'bear', 'balanced']).nullable(),
+    reasoning: z.string().nullable(),
+    ratings: z.record(z.number()),
+    risk_reward_ratio: z.number().nullable(),
+    confidence_score: z.number().nullable(),
+    transcript: z.string()
+  })
+});
+
+// Depth the analysis ran at (server/services/analysisProfiles.js)
+const profileSchema = z.object({
+  name: analysisProfile,
+  steps: z.array(z.string()),
+  use_llm: z.boolean(),
+  holder_pages: z.number().int(),
+  whale_pages: z.number().int(),
+  signature_limit: z.number().int()
+});
+
+// Status of each analysis step (server/agents/pipeline.js)
+const pipelineSchema = z.object({
+  steps: z.record(z.object({
+    status: z.enum(['completed', 'failed', 'timed_out', 'skipped']),
+    reason: z.string().optional(),
+    error: z.string().optional(),
+    started_at: z.string().optional(),
+    finished_at: z.string().optional(),
+    duration_ms: z.number().optional(),
+    timeout_ms: z.number().optional()
+  })),
+  degraded_steps: z.array(z.string())
+});
+
+// Status of each data source and the coverage capping the confidence (server/services/dataCompleteness.js)
+const completenessSchema = z.object({
+  coverage_percent: z.number().min(0).max(100),
+  counts: z.object({
+    succeeded: z.number().int(),
+    failed: z.number().int(),
+    skipped: z.number().int()
+  }),
+  sources: z.record(z.object({
+    step: z.string(),
+    weight: z.number(),
+    status: z.enum(['succeeded', 'failed', 'skipped']),
+    reason: z.string().optional(),
+    counted: z.boolean()
+  })),
+  llm_confidence_score: z.number().nullable(),
+  confidence_capped: z.boolean()
+});
+
+const completedAnalysisSchema = z.object({
+  token_info: tokenInfoSchema.optional(),
+  smart_contract_risk: analysisSectionSchema,
+  token_performance: analysisSectionSchema,
+  transaction_analysis: analysisSectionSchema.optional(),
+  on_chain_metrics: analysisSectionSchema,
+  social_sentiment: analysisSectionSchema,
+  development_activity: analysisSectionSchema.optional(),
+  // null when the model could not provide a valid value (listed in unknown_fields);
+  // confidence_score is capped at completeness.coverage_percent
+  risk_reward_ratio: z.number().min(0).max(5).nullable(),
+  confidence_score: z.number().min(0).max(100).nullable(),
+  investment_timeframe: z.string().optional(),
+  specific_catalysts: z.array(z.string()).optional(),
+  specific_concerns: z.array(z.string()).optional(),
+  final_recommendation: z.string(),
+  rule_scores: ruleScoresSchema.optional(),
+  unknown_fields: z.array(z.string()).optional(),
+  debate: debateSchema.optional(),
+  // Data fields left out of the assessment prompt (server/services/promptContext.js)
+  prompt_context: z.object({
+    token_budget: z.number(),
+    estimated_tokens: z.number(),
+    included_fields: z.number(),
+    dropped_fields: z.array(z.object({
+      path: z.string(),
+      reason: z.enum(['omitted', 'truncated', 'duplicate', 'budget']),
+      duplicate_of: z.string().optional()
+    }))
+  }).optional(),
+  name_resolution: z.object({
+    query: z.string(),
+    mint: z.string(),
+    candidates: z.array(nameCandidateSchema)
+  }).optional(),
+  input: queryInputSchema.optional(),
+  profile: profileSchema.optional(),
+  pipeline: pipelineSchema.optional(),
+  completeness: completenessSchema.optional(),
+  verification: verificationSchema.optional(),
+  provenance: provenanceSchema.optional(),
+  timestamp
+}).passthrough();
+
+// processInitialQuery reports failures in the result instead of throwing
+const failedAnalysisSchema = z.object({
+  error: z.string(),
+  final_recommendation: z.string(),
+  input: queryInputSchema.nullable().optional(),
+  profile: profileSchema.optional(),
+  pipeline: pipelineSchema.optional(),
+  completeness: completenessSchema.optional(),
+  provenance: provenanceSchema.optional()
+}).passthrough();
+
+// A project name matched several tokens and none clearly won; nothing was analyzed
+const disambiguationSchema = z.object({
+  needs_disambiguation: z.literal(true),
+  query: z.string(),
+  candidates: z.array(nameCandidateSchema),
+  input: queryInputSchema.optional(),
+  final_recommendation: z.string()
+});
+
+const analysisResultSchema = z.union([completedAnalysisSchema, failedAnalysisSchema, disambiguationSchema]);
+
+const marketSummarySchema = z.object({
+  token_name: z.string().nullable().optional(),
+  token_symbol: z.string().nullable().optional(),
+  price_usd: numericValue.nullable().optional(),
+  market_cap: numericValue.nullable().optional(),
+  fdv: numericValue.nullable().optional(),
+  price_change_24h: numericValue.nullable().optional()
+}).passthrough();
+
+// Response schemas
+
+const analyzeResponseSchema = z.object({
+  // Permalink id in the analysis history (null if the analysis could not be stored)
+  analysis_id: z.string().nullable().optional(),
+  result: analysisResultSchema,
+  market_summary: marketSummarySchema,
+  has_trading_prompt: z.boolean()
+});
+
+const batchResponseSchema = z.object({
+  summary: z.object({
+    total: z.number().int(),
+    succeeded: z.number().int(),
+    failed: z.number().int(),
+    started_at: timestamp,
+    finished_at: timestamp
+  }),
+  ranking: z.array(z.object({
+    rank: z.number().int().nullable(),
+    mint: z.string(),
+    status: z.enum(['succeeded', 'failed']),
+    token_name: z.string().nullable(),
+    token_symbol: z.string().nullable(),
+    composite_score: z.number().nullable(),
+    risk_reward_ratio: z.number().nullable(),
+    confidence_score: z.number().nullable(),
+    ratings: z.record(z.number().nullable()),
+    final_recommendation: z.string().nullable(),
+    error: z.string().optional()
+  })),
+  results: z.array(z.object({
+    mint: z.string(),
+    status: z.enum(['succeeded', 'failed']),
+    error: z.string().optional(),
+    response: analyzeResponseSchema.nullable()
+  }))
+});
+
+const compareResponseSchema = z.object({
+  tokens: z.array(z.object({
+    mint: z.string(),
+    status: z.enum(['succeeded', 'failed']),
+    reused: z.boolean(),
+    error: z.string().optional()
+  })),
+  table: z.object({
+    columns: z.array(z.string()),
+    rows: z.array(z.object({
+      field: z.string(),
+      label: z.string(),
+      group: z.string(),
+      values: z.array(z.any())
+    }))
+  }),
+  verdict: z.object({
+    preferred_mint: z.string().nullable(),
+    verdict: z.string().nullable(),
+    reasoning: z.array(z.object({ field: z.string(), observation: z.string() }).passthrough()).optional(),
+    key_tradeoffs: z.array(z.string()).optional(),
+    // Fields the model could not provide validly, including a preferred_mint outside the table
+    unknown_fields: z.array(z.string()).optional(),
+    error: z.string().optional()
+  }).passthrough().nullable(),
+  timestamp
+});
+
+const jobStatusSchema = z.enum(['queued', 'running', 'cancelling', 'completed', 'failed', 'cancelled']);
+
+const jobAcceptedResponseSchema = z.object({
+  job_id: z.string(),
+  status: jobStatusSchema,
+  status_url: z.string()
+});
+
+const jobResponseSchema = z.object({
+  id: z.string(),
+  status: jobStatusSchema,
+  query: z.string(),
+  session_id: z.string().nullable(),
+  llm_provider: z.string().nullable().optional(),
+  profile: z.string().nullable().optional(),
+  debate: z.boolean().optional(),
+  api_key_id: z.string().nullable().optional(),
+  current_step: z.string().nullable(),
+  steps: z.record(z.enum(['started', 'completed', 'failed', 'skipped'])),
+  result: analyzeResponseSchema.nullable(),
+  error: z.string().nullable(),
+  created_at: timestamp,
+  started_at: timestamp.nullable(),
+  finished_at: timestamp.nullable()
+});
+
+const analysisRecordSchema = z.object({
+  id: z.string(),
+  query: z.string(),
+  session_id: z.string().nullable(),
+  mint: z.string().nullable(),
+  input_type: z.string().nullable(),
+  status: z.enum(['completed', 'failed']),
+  created_at: timestamp,
+  result: analysisResultSchema,
+  market_summary: marketSummarySchema,
+  raw_outputs: z.object({
+    program_analysis: z.any(),
+    token_data: z.any(),
+    market_data: z.any(),
+    on_chain_metrics: z.any(),
+    social_sentiment: z.any(),
+    github_analysis: z.any()
+  })
+});
+
+const tokenAnalysesResponseSchema = z.object({
+  mint: z.string(),
+  total: z.number().int(),
+  analyses: z.array(z.object({
+    id: z.string(),
+    query: z.string(),
+    status: z.enum(['completed', 'failed']),
+    created_at: timestamp,
+    token_name: z.string().nullable(),
+    token_symbol: z.string().nullable(),
+    risk_reward_ratio: z.any(),
+    confidence_score: z.any()
+  }))
+});
+
+const analysisDiffResponseSchema = z.object({
+  mint: z.string(),
+  from: z.object({ id: z.string(), created_at: timestamp, query: z.string() }),
+  to: z.object({ id: z.string(), created_at: timestamp, query: z.string() }),
+  elapsed_hours: z.number().nullable(),
+  changes: z.array(z.object({
+    field: z.string(),
+    label: z.string(),
+    group: z.enum(['security', 'metadata', 'market', 'holders', 'ratings', 'recommendation']),
+    from: z.any(),
+    to: z.any(),
+    change: z.number().nullable(),
+    change_percent: z.number().nullable(),
+    significance: z.enum(['high', 'medium', 'low'])
+  })),
+  unchanged: z.array(z.string()),
+  summary: z.object({
+    high: z.number().int(),
+    medium: z.number().int(),
+    low: z.number().int()
+  }),
+  narrative: z.string()
+});
+
+const textResultResponseSchema = z.object({
+  result: z.string()
+});
+
+const followupResponseSchema = z.object({
+  // Answer with [source] markers: "analysis" for the stored analysis, T1, T2, ... for tool calls
+  result: z.string(),
+  citations: z.array(z.object({
+    source: z.string(),
+    claim: z.string(),
+    tool: z.string().nullable()
+  })),
+  tool_calls: z.array(z.object({
+    id: z.string(),
+    tool: z.string(),
+    mint: z.string().nullable(),
+    fetched_at: timestamp,
+    success: z.boolean()
+  }))
+});
+
+const resetResponseSchema = z.object({
+  status: z.literal('success'),
+  message: z.string()
+});
+
+const usageCountersSchema = z.object(Object.fromEntries(USAGE_METRICS.map(metric => [metric, z.number()])));
+
+const usageResponseSchema = z.object({
+  key_id: z.string(),
+  name: z.string(),
+  period: z.string(),
+  resets_in_seconds: z.number().int(),
+  usage: usageCountersSchema,
+  quotas: z.record(z.number().nullable()),
+  remaining: z.record(z.number())
+});
+
+const errorResponseSchema = z.object({
+  error: z.string(),
+  code: z.string(),
+  details: z.any().optional()
+});
+
+export {
+  mintAddress,
+  analyzeRequestSchema,
+  analyzeStreamQuerySchema,
+  batchRequestSchema,
+  compareRequestSchema,
+  jobRequestSchema,
+  jobParamsSchema,
+  analysisParamsSchema,
+  analysisExportQuerySchema,
+  tokenAnalysesParamsSchema,
+  tokenAnalysesQuerySchema,
+  analysisDiffQuerySchema,
+  tradingDecisionRequestSchema,
+  followupRequestSchema,
+  resetRequestSchema,
+  marketFeedClientMessageSchema,
+  analysisSectionSchema,
+  analysisResultSchema,
+  analyzeResponseSchema,
+  batchResponseSchema,
+  compareResponseSchema,
+  jobAcceptedResponseSchema,
+  jobResponseSchema,
+  analysisRecordSchema,
+  tokenAnalysesResponseSchema,
+  analysisDiffResponseSchema,
+  textResultResponseSchema,
+  followupResponseSchema,
+  resetResponseSchema,
+  usageResponseSchema,
+  errorResponseSchema
+};
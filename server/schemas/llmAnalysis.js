@@ -0,0 +1,116 @@
+// server/schemas/llmAnalysis.js
+import { z } from 'zod';
+
+// Structure the model must return from the investment assessment prompt.
+// Required fields the model cannot fill after the repair attempts are set to
+// unknown values (see fillUnknownFields in server/services/llmOutput.js).
+
+const rating = z.number().min(0).max(10);
+
+const sectionSchema = z.object({
+  rating,
+  comment: z.string().min(1),
+  error: z.string().nullable().optional()
+}).passthrough();
+
+const llmTokenInfoSchema = z.object({
+  name: z.string().nullable().optional(),
+  symbol: z.string().nullable().optional(),
+  address: z.string().nullable().optional(),
+  price_usd: z.number().nullable().optional(),
+  market_cap: z.number().nullable().optional(),
+  fdv: z.number().nullable().optional(),
+  price_change_24h: z.number().nullable().optional(),
+  liquidity_usd: z.number().nullable().optional()
+}).passthrough();
+
+const investmentAnalysisSchema = z.object({
+  token_info: llmTokenInfoSchema.optional(),
+  smart_contract_risk: sectionSchema.extend({
+    key_risks: z.array(z.string()).optional()
+  }),
+  token_performance: sectionSchema.extend({
+    key_metrics: z.object({
+      liquidity_rating: rating.optional(),
+      volume_rating: rating.optional(),
+      price_stability: rating.optional()
+    }).passthrough().optional()
+  }),
+  // Replaced by the data-driven transaction analysis when DexScreener has counts
+  transaction_analysis: z.object({
+    rating: rating.optional(),
+    comment: z.string().optional()
+  }).passthrough().optional(),
+  on_chain_metrics: sectionSchema.extend({
+    holder_distribution: z.string().optional(),
+    transaction_patterns: z.string().optional()
+  }),
+  social_sentiment: sectionSchema.extend({
+    community_strength: z.string().optional()
+  }),
+  // Only requested when a GitHub repository was analyzed; required then (see assessmentSchema)
+  development_activity: sectionSchema.optional(),
+  risk_reward_ratio: z.number().min(0).max(5),
+  confidence_score: z.number().min(0).max(100),
+  investment_timeframe: z.string().min(1),
+  specific_catalysts: z.array(z.string()),
+  specific_concerns: z.array(z.string()),
+  final_recommendation: z.string().min(1),
+  timestamp: z.string().optional()
+}).passthrough();
+
+// Sections a debate argument can be about
+const DEBATE_SECTIONS = ['smart_contract_risk', 'token_performance', 'transaction_analysis', 'on_chain_metrics', 'social_sentiment', 'development_activity', 'overall'];
+
+// Case built by the bull or bear agent in debate mode (server/agents/debateAgents.js)
+const debateCaseSchema = z.object({
+  thesis: z.string().min(1),
+  arguments: z.array(z.object({
+    section: z.enum(DEBATE_SECTIONS),
+    claim: z.string().min(1),
+    evidence: z.string().min(1),
+    strength: z.enum(['strong', 'moderate', 'weak'])
+  })).min(1),
+  suggested_ratings: z.record(rating),
+  weakest_point: z.string().min(1)
+}).passthrough();
+
+// The judge returns the usual assessment plus its verdict on the debate.
+// stronger_side has no neutral unknown value, so it is null when the judge gives none.
+const debateJudgeSchema = investmentAnalysisSchema.extend({
+  stronger_side: z.enum(['bull', 'bear', 'balanced']).nullable(),
+  judge_reasoning: z.string().min(1)
+});
+
+/**
+ * Schema an assessment is validated against: the judge's in debate mode, with
+ * the development_activity section required when a repository was analyzed
+ * @param {Object} options - Options
+ * @param {boolean} options.debate - Whether the assessment is a debate verdict
+ * @param {boolean} options.hasGithubData - Whether GitHub data was in the prompt
+ * @returns {z.ZodObject} Schema
+ */
+function assessmentSchema({ debate = false, hasGithubData = false } = {}) {
+  const schema = debate ? debateJudgeSchema : investmentAnalysisSchema;
+  return hasGithubData ? schema.extend({ development_activity: sectionSchema }) : schema;
+}
+
+// Verdict over the aligned comparison table (generateComparativeVerdict)
+const comparativeVerdictSchema = z.object({
+  preferred_mint: z.string().min(1).nullable(),
+  verdict: z.string().min(1),
+  reasoning: z.array(z.object({
+    field: z.string().min(1),
+    observation: z.string().min(1)
+  }).passthrough()),
+  key_tradeoffs: z.array(z.string())
+}).passthrough();
+
+export {
+  investmentAnalysisSchema,
+  assessmentSchema,
+  comparativeVerdictSchema,
+  DEBATE_SECTIONS,
+  debateCaseSchema,
+  debateJudgeSchema
+};
@@ -0,0 +1,296 @@
+// server/schemas/openapi.js
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import {
+  analyzeRequestSchema,
+  analyzeStreamQuerySchema,
+  batchRequestSchema,
+  compareRequestSchema,
+  jobRequestSchema,
+  tradingDecisionRequestSchema,
+  followupRequestSchema,
+  resetRequestSchema,
+  analyzeResponseSchema,
+  batchResponseSchema,
+  compareResponseSchema,
+  jobAcceptedResponseSchema,
+  jobResponseSchema,
+  analysisRecordSchema,
+  analysisExportQuerySchema,
+  tokenAnalysesParamsSchema,
+  tokenAnalysesQuerySchema,
+  tokenAnalysesResponseSchema,
+  analysisDiffQuerySchema,
+  analysisDiffResponseSchema,
+  textResultResponseSchema,
+  followupResponseSchema,
+  resetResponseSchema,
+  usageResponseSchema,
+  errorResponseSchema
+} from './api.js';
+
+// Named component schemas referenced from the paths below
+const COMPONENT_SCHEMAS = {
+  AnalyzeRequest: analyzeRequestSchema,
+  BatchRequest: batchRequestSchema,
+  CompareRequest: compareRequestSchema,
+  JobRequest: jobRequestSchema,
+  TradingDecisionRequest: tradingDecisionRequestSchema,
+  FollowupRequest: followupRequestSchema,
+  ResetRequest: resetRequestSchema,
+  AnalyzeResponse: analyzeResponseSchema,
+  BatchResponse: batchResponseSchema,
+  CompareResponse: compareResponseSchema,
+  JobAccepted: jobAcceptedResponseSchema,
+  Job: jobResponseSchema,
+  AnalysisRecord: analysisRecordSchema,
+  TokenAnalyses: tokenAnalysesResponseSchema,
+  AnalysisDiff: analysisDiffResponseSchema,
+  TextResult: textResultResponseSchema,
+  FollowupResponse: followupResponseSchema,
+  ResetResponse: resetResponseSchema,
+  Usage: usageResponseSchema,
+  Error: errorResponseSchema
+};
+
+function toJsonSchema(schema) {
+  const { $schema, ...jsonSchema } = zodToJsonSchema(schema, {
+    target: 'openApi3',
+    $refStrategy: 'none',
+    // Unknown request fields are stripped rather than rejected
+    removeAdditionalStrategy: 'strict'
+  });
+  return jsonSchema;
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function jsonContent(name) {
+  return { content: { 'application/json': { schema: ref(name) } } };
+}
+
+function errorResponse(description) {
+  return { description, ...jsonContent('Error') };
+}
+
+// Error responses shared by every authenticated, validated route
+const COMMON_ERRORS = {
+  400: errorResponse('Request validation failed (code VALIDATION_ERROR)'),
+  401: errorResponse('Missing or invalid API key (code UNAUTHORIZED)'),
+  429: errorResponse('Daily quota exceeded (code QUOTA_EXCEEDED)'),
+  500: errorResponse('Internal error (code INTERNAL_ERROR or RESPONSE_VALIDATION_FAILED)')
+};
+
+function operation({ summary, description, requestBody, parameters, security, responses }) {
+  return {
+    summary,
+    ...(description ? { description } : {}),
+    ...(security ? { security } : {}),
+    ...(parameters ? { parameters } : {}),
+    ...(requestBody ? { requestBody: { required: true, ...jsonContent(requestBody) } } : {}),
+    responses: { ...responses, ...COMMON_ERRORS }
+  };
+}
+
+function schemaParameters(schema, location) {
+  const jsonSchema = toJsonSchema(schema);
+  return Object.entries(jsonSchema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: (jsonSchema.required || []).includes(name),
+    schema: property
+  }));
+}
+
+const idPathParameter = {
+  name: 'id',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' }
+};
+
+/**
+ * Build the OpenAPI 3 document describing the /api routes
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'SolanaSentinel API',
+      version: '1.0.0',
+      description: 'AI-powered Solana token analysis. Errors are returned as { error, code, details }.'
+    },
+    servers: [{ url: '/api' }],
+    security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }],
+    paths: {
+      '/analyze': {
+        post: operation({
+          summary: 'Analyze a token or project',
+          description: 'Send "Accept: text/event-stream" to receive progress events instead of a single JSON response.',
+          requestBody: 'AnalyzeRequest',
+          responses: {
+            200: {
+              description: 'Completed analysis',
+              content: {
+                'application/json': { schema: ref('AnalyzeResponse') },
+                'text/event-stream': { schema: { type: 'string' } }
+              }
+            }
+          }
+        })
+      },
+      '/analyze/stream': {
+        get: operation({
+          summary: 'Stream analysis progress as Server-Sent Events',
+          description: 'Events: step_started, step_completed, step_failed, step_skipped, analysis (AnalyzeResponse), done, error.',
+          parameters: schemaParameters(analyzeStreamQuerySchema, 'query'),
+          // EventSource cannot set headers, so only this route accepts the key in the query
+          security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }, { ApiKeyQuery: [] }],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+          }
+        })
+      },
+      '/analyze/batch': {
+        post: operation({
+          summary: 'Analyze many mints and rank them',
+          requestBody: 'BatchRequest',
+          responses: { 200: { description: 'Per-token results and ranked table', ...jsonContent('BatchResponse') } }
+        })
+      },
+      '/compare': {
+        post: operation({
+          summary: 'Compare 2-5 tokens side by side',
+          requestBody: 'CompareRequest',
+          responses: { 200: { description: 'Aligned comparison table and verdict', ...jsonContent('CompareResponse') } }
+        })
+      },
+      '/jobs': {
+        post: operation({
+          summary: 'Queue an asynchronous analysis',
+          requestBody: 'JobRequest',
+          responses: { 202: { description: 'Job accepted', ...jsonContent('JobAccepted') } }
+        })
+      },
+      '/jobs/{id}': {
+        get: operation({
+          summary: 'Job status, current step and result',
+          parameters: [idPathParameter],
+          responses: {
+            200: { description: 'Job record', ...jsonContent('Job') },
+            404: errorResponse('Job not found (code NOT_FOUND)')
+          }
+        }),
+        delete: operation({
+          summary: 'Cancel a queued or running job',
+          parameters: [idPathParameter],
+          responses: {
+            200: { description: 'Updated job record', ...jsonContent('Job') },
+            404: errorResponse('Job not found (code NOT_FOUND)'),
+            409: errorResponse('Job already finished (code JOB_FINISHED)')
+          }
+        })
+      },
+      '/analyses/{id}': {
+        get: operation({
+          summary: 'Stored analysis with its query and raw service outputs',
+          parameters: [idPathParameter],
+          responses: {
+            200: { description: 'Analysis record', ...jsonContent('AnalysisRecord') },
+            404: errorResponse('Analysis not found (code NOT_FOUND)')
+          }
+        })
+      },
+      '/analyses/{id}/export': {
+        get: operation({
+          summary: 'Download a stored analysis as a report',
+          description: 'CSV exports contain the numeric metrics only, one row per metric.',
+          parameters: [idPathParameter, ...schemaParameters(analysisExportQuerySchema, 'query')],
+          responses: {
+            200: {
+              description: 'Report file',
+              content: {
+                'text/markdown': { schema: { type: 'string' } },
+                'text/html': { schema: { type: 'string' } },
+                'application/pdf': { schema: { type: 'string', format: 'binary' } },
+                'text/csv': { schema: { type: 'string' } }
+              }
+            },
+            404: errorResponse('Analysis not found (code NOT_FOUND)')
+          }
+        })
+      },
+      '/tokens/{mint}/analyses': {
+        get: operation({
+          summary: 'Past analyses of a token, newest first',
+          parameters: [
+            ...schemaParameters(tokenAnalysesParamsSchema, 'path'),
+            ...schemaParameters(tokenAnalysesQuerySchema, 'query')
+          ],
+          responses: { 200: { description: 'Page of analysis summaries', ...jsonContent('TokenAnalyses') } }
+        })
+      },
+      '/tokens/{mint}/analyses/diff': {
+        get: operation({
+          summary: 'What changed between two stored analyses of a token (default: the two most recent)',
+          parameters: [
+            ...schemaParameters(tokenAnalysesParamsSchema, 'path'),
+            ...schemaParameters(analysisDiffQuerySchema, 'query')
+          ],
+          responses: {
+            200: { description: 'Field changes with significance and a narrative', ...jsonContent('AnalysisDiff') },
+            400: errorResponse('The analyses are of different tokens (code VALIDATION_ERROR)'),
+            404: errorResponse('An analysis is missing or there are fewer than two (code NOT_FOUND)')
+          }
+        })
+      },
+      '/trading-decision': {
+        post: operation({
+          summary: 'Answer the trading prompt of a session',
+          requestBody: 'TradingDecisionRequest',
+          responses: { 200: { description: 'Trading result', ...jsonContent('TextResult') } }
+        })
+      },
+      '/followup': {
+        post: operation({
+          summary: 'Ask a follow-up question about the session analysis',
+          requestBody: 'FollowupRequest',
+          responses: {
+            200: { description: 'Answer with citations and the tool calls it used', ...jsonContent('FollowupResponse') },
+            409: errorResponse('The session changed while the question was answered (code SESSION_CONFLICT)')
+          }
+        })
+      },
+      '/reset': {
+        post: operation({
+          summary: 'Reset a session',
+          requestBody: 'ResetRequest',
+          responses: { 200: { description: 'Session reset', ...jsonContent('ResetResponse') } }
+        })
+      },
+      '/usage': {
+        get: operation({
+          summary: 'Usage and remaining quota of the calling API key',
+          responses: {
+            200: { description: 'Usage report', ...jsonContent('Usage') },
+            404: errorResponse('API key authentication is disabled (code AUTH_DISABLED)')
+          }
+        })
+      }
+    },
+    components: {
+      securitySchemes: {
+        ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' },
+        ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+      },
+      schemas: Object.fromEntries(
+        Object.entries(COMPONENT_SCHEMAS).map(([name, schema]) => [name, toJsonSchema(schema)])
+      )
+    }
+  };
+}
+
+export { buildOpenApiDocument };
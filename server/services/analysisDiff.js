@@ -0,0 +1,232 @@
+// server/services/analysisDiff.js
+import { extractComparisonRecord } from './tokenComparison.js';
+import { ANALYSIS_SECTIONS } from './analysisRunner.js';
+
+// Compared fields, in report order. `high` / `medium` are the change thresholds:
+// percent for `percent` fields, absolute for `absolute` fields; other kinds
+// have a fixed significance whenever the value changes. `nullMeansNone` marks
+// fields where null is a value (a revoked authority) rather than missing data.
+const DIFF_FIELDS = [
+  { field: 'mint_authority_active', label: 'Mint authority active', group: 'security', kind: 'flag', significance: 'high' },
+  { field: 'mint_authority', label: 'Mint authority', group: 'security', kind: 'text', significance: 'high', nullMeansNone: true },
+  { field: 'freeze_authority_active', label: 'Freeze authority active', group: 'security', kind: 'flag', significance: 'high' },
+  { field: 'freeze_authority', label: 'Freeze authority', group: 'security', kind: 'text', significance: 'high', nullMeansNone: true },
+  { field: 'metadata_name', label: 'Metadata name', group: 'metadata', kind: 'text', significance: 'high' },
+  { field: 'metadata_symbol', label: 'Metadata symbol', group: 'metadata', kind: 'text', significance: 'high' },
+  { field: 'metadata_uri', label: 'Metadata URI', group: 'metadata', kind: 'text', significance: 'medium' },
+  { field: 'price_usd', label: 'Price (USD)', group: 'market', kind: 'percent', high: 20, medium: 5 },
+  { field: 'market_cap', label: 'Market cap (USD)', group: 'market', kind: 'percent', high: 20, medium: 5 },
+  { field: 'liquidity_usd', label: 'Liquidity (USD)', group: 'market', kind: 'percent', high: 25, medium: 10 },
+  { field: 'holder_count', label: 'Holder count (sampled)', group: 'holders', kind: 'percent', high: 25, medium: 10 },
+  { field: 'top10_concentration_percent', label: 'Top-10 holder concentration (%)', group: 'holders', kind: 'absolute', high: 5, medium: 2 },
+  ...ANALYSIS_SECTIONS.map(section => ({
+    field: `${section}_rating`,
+    label: `${section} rating (0-10)`,
+    group: 'ratings',
+    kind: 'absolute',
+    high: 3,
+    medium: 1
+  })),
+  { field: 'risk_reward_ratio', label: 'Risk/reward ratio (0-5)', group: 'ratings', kind: 'absolute', high: 1.5, medium: 0.5 },
+  { field: 'confidence_score', label: 'Confidence score (0-100)', group: 'ratings', kind: 'absolute', high: 25, medium: 10 },
+  { field: 'recommendation_stance', label: 'Recommendation stance', group: 'recommendation', kind: 'text', significance: 'high' },
+  // Free text is reworded on every run, so a new wording alone is a minor change
+  { field: 'final_recommendation', label: 'Recommendation', group: 'recommendation', kind: 'text', significance: 'low' }
+];
+
+// Stance of a free-text recommendation, first match wins ("do not buy" is avoid, not buy)
+const RECOMMENDATION_STANCES = [
+  { stance: 'avoid', pattern: /\b(avoid|stay away|do not (buy|invest)|don't (buy|invest)|not recommended)\b/i },
+  { stance: 'sell', pattern: /\b(sell|exit|take profits?)\b/i },
+  { stance: 'hold', pattern: /\b(hold|wait|monitor|watch|neutral|caution)\b/i },
+  { stance: 'buy', pattern: /\b(buy|accumulate|invest|entry)\b/i }
+];
+
+const SIGNIFICANCE_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Changes described in the narrative
+const MAX_NARRATIVE_CHANGES = 5;
+
+/**
+ * Flat snapshot of a stored analysis: the comparison fields plus on-chain
+ * metadata and the recommendation
+ * @param {Object} record - Stored analysis record (analysisHistory.js)
+ * @returns {Object} Snapshot keyed by diff field
+ */
+function snapshotRecord(record) {
+  const raw = record.raw_outputs || {};
+  const state = {
+    contractData: raw.program_analysis,
+    marketData: raw.market_data,
+    onChainData: raw.on_chain_metrics
+  };
+  const metadata = raw.program_analysis?.token_analysis?.metadata?.success ?
+    raw.program_analysis.token_analysis.metadata :
+    null;
+
+  return {
+    ...extractComparisonRecord(record.mint, record.result, state),
+    metadata_name: metadata ? metadata.name ?? null : null,
+    metadata_symbol: metadata ? metadata.symbol ?? null : null,
+    metadata_uri: metadata ? metadata.uri ?? null : null,
+    recommendation_stance: recommendationStance(record.result?.final_recommendation),
+    final_recommendation: record.result?.final_recommendation ?? null
+  };
+}
+
+/**
+ * Classify a free-text recommendation
+ * @param {string} recommendation - final_recommendation of an analysis
+ * @returns {string|null} avoid, sell, hold, buy, or null if none applies
+ */
+function recommendationStance(recommendation) {
+  if (typeof recommendation !== 'string') return null;
+  const match = RECOMMENDATION_STANCES.find(({ pattern }) => pattern.test(recommendation));
+  return match ? match.stance : null;
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Describe how one field changed, or null if it did not
+ * @param {Object} definition - Entry of DIFF_FIELDS
+ * @param {any} from - Value in the earlier analysis
+ * @param {any} to - Value in the later analysis
+ * @returns {Object|null} Change entry
+ */
+function diffField(definition, from, to) {
+  const { field, label, group, kind } = definition;
+  const base = { field, label, group, from: from ?? null, to: to ?? null };
+
+  if (kind === 'percent' || kind === 'absolute') {
+    const before = toNumber(from);
+    const after = toNumber(to);
+    if (before === null && after === null) return null;
+    if (before === null || after === null) {
+      return { ...base, change: null, change_percent: null, significance: 'low' };
+    }
+    if (before === after) return null;
+
+    const change = after - before;
+    const changePercent = before !== 0 ? (change / Math.abs(before)) * 100 : null;
+    const magnitude = kind === 'percent' ?
+      (changePercent === null ? Infinity : Math.abs(changePercent)) :
+      Math.abs(change);
+    const significance = magnitude >= definition.high ? 'high' :
+      magnitude >= definition.medium ? 'medium' : 'low';
+
+    return {
+      ...base,
+      change: parseFloat(change.toPrecision(6)),
+      change_percent: changePercent === null ? null : parseFloat(changePercent.toFixed(2)),
+      significance
+    };
+  }
+
+  const same = typeof from === 'string' && typeof to === 'string' ?
+    from.trim() === to.trim() :
+    (from ?? null) === (to ?? null);
+  if (same) return null;
+
+  // A value only one analysis could collect is reported, but as a minor change
+  const missing = from === null || from === undefined || to === null || to === undefined;
+  const significance = missing && !definition.nullMeansNone ?
+    'low' :
+    definition.significance;
+  return { ...base, change: null, change_percent: null, significance };
+}
+
+function formatValue(value, noneLabel = 'unknown') {
+  if (value === null || value === undefined) return noneLabel;
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value === 'number') return Math.abs(value) >= 1000 ? Math.round(value).toLocaleString('en-US') : String(value);
+  return `"${value}"`;
+}
+
+/**
+ * One sentence per change
+ * @param {Object} change - Change entry
+ * @returns {string} Sentence
+ */
+function describeChange(change) {
+  const { field, label, from, to } = change;
+
+  if (field === 'mint_authority_active' || field === 'freeze_authority_active') {
+    const name = field === 'mint_authority_active' ? 'Mint authority' : 'Freeze authority';
+    if (to === true) return `${name} is active again after being revoked.`;
+    if (to === false) return `${name} has been revoked.`;
+  }
+  if (field === 'recommendation_stance') {
+    return `Recommendation moved from ${from} to ${to}.`;
+  }
+  if (change.change_percent !== null && change.change_percent !== undefined && (field === 'price_usd' || field === 'market_cap' || field === 'liquidity_usd' || field === 'holder_count')) {
+    const direction = change.change > 0 ? 'rose' : 'fell';
+    return `${label} ${direction} ${Math.abs(change.change_percent)}% (${formatValue(toNumber(from))} -> ${formatValue(toNumber(to))}).`;
+  }
+  if (field === 'mint_authority' || field === 'freeze_authority') {
+    return `${label} changed from ${formatValue(from, 'none')} to ${formatValue(to, 'none')}.`;
+  }
+  return `${label} changed from ${formatValue(from)} to ${formatValue(to)}.`;
+}
+
+/**
+ * Compare two stored analyses of the same token
+ * @param {Object} fromRecord - Earlier analysis record
+ * @param {Object} toRecord - Later analysis record
+ * @returns {Object} { mint, from, to, elapsed_hours, changes, unchanged, summary: { high, medium, low }, narrative }
+ */
+function diffAnalyses(fromRecord, toRecord) {
+  console.log(`LOG: diffAnalyses - Comparing analysis ${fromRecord.id} with ${toRecord.id}`);
+
+  const before = snapshotRecord(fromRecord);
+  const after = snapshotRecord(toRecord);
+
+  const changes = [];
+  const unchanged = [];
+  for (const definition of DIFF_FIELDS) {
+    const change = diffField(definition, before[definition.field], after[definition.field]);
+    if (change) {
+      changes.push(change);
+    } else {
+      unchanged.push(definition.field);
+    }
+  }
+
+  const summary = { high: 0, medium: 0, low: 0 };
+  changes.forEach(change => summary[change.significance]++);
+
+  // Most significant first, keeping the DIFF_FIELDS order within a level
+  const important = changes
+    .filter(change => change.significance !== 'low')
+    .sort((a, b) => SIGNIFICANCE_ORDER[a.significance] - SIGNIFICANCE_ORDER[b.significance])
+    .slice(0, MAX_NARRATIVE_CHANGES);
+
+  const elapsedHours = (Date.parse(toRecord.created_at) - Date.parse(fromRecord.created_at)) / 3600000;
+  const period = !Number.isFinite(elapsedHours) ? 'the two analyses' :
+    Math.abs(elapsedHours) < 1 ? `${Math.round(Math.abs(elapsedHours) * 60)} minutes` :
+    `${Math.round(Math.abs(elapsedHours) * 10) / 10} hours`;
+  const narrative = important.length > 0 ?
+    `Over ${period}: ${important.map(describeChange).join(' ')}` :
+    `No significant changes over ${period}${changes.length > 0 ? ` (${changes.length} minor)` : ''}.`;
+
+  return {
+    mint: toRecord.mint,
+    from: { id: fromRecord.id, created_at: fromRecord.created_at, query: fromRecord.query },
+    to: { id: toRecord.id, created_at: toRecord.created_at, query: toRecord.query },
+    elapsed_hours: Number.isFinite(elapsedHours) ? parseFloat(elapsedHours.toFixed(2)) : null,
+    changes,
+    unchanged,
+    summary,
+    narrative
+  };
+}
+
+export {
+  DIFF_FIELDS,
+  recommendationStance,
+  snapshotRecord,
+  diffAnalyses
+};
@@ -0,0 +1,153 @@
+// server/services/analysisHistory.js
+import { randomUUID } from 'crypto';
+import { createStore } from './store.js';
+
+// Analyses are kept forever unless ANALYSIS_RETENTION_MS is set
+function retentionMs() {
+  return parseInt(process.env.ANALYSIS_RETENTION_MS, 10) || 0;
+}
+
+let analysisStore = null;
+let mintIndexStore = null;
+
+// Index updates for the same mint are serialized so concurrent analyses never drop an entry
+const indexWrites = new Map();
+
+function getAnalysisStore() {
+  if (!analysisStore) {
+    analysisStore = createStore('analyses', { ttlMs: retentionMs() });
+  }
+  return analysisStore;
+}
+
+function getMintIndexStore() {
+  if (!mintIndexStore) {
+    mintIndexStore = createStore('analysis-index', { ttlMs: retentionMs() });
+  }
+  return mintIndexStore;
+}
+
+/**
+ * Short listing entry for the per-mint index
+ * @param {Object} record - Stored analysis record
+ * @returns {Object} Index entry
+ */
+function summarizeRecord(record) {
+  const result = record.result || {};
+  return {
+    id: record.id,
+    query: record.query,
+    status: record.status,
+    created_at: record.created_at,
+    token_name: result.token_info?.name ?? null,
+    token_symbol: result.token_info?.symbol ?? null,
+    risk_reward_ratio: result.risk_reward_ratio ?? null,
+    confidence_score: result.confidence_score ?? null
+  };
+}
+
+/**
+ * Add an analysis to the newest-first index of its mint
+ * @param {string} mint - Token mint address
+ * @param {Object} entry - Index entry (see summarizeRecord)
+ */
+function appendToMintIndex(mint, entry) {
+  const previous = indexWrites.get(mint) || Promise.resolve();
+  const write = previous
+    .then(async () => {
+      const index = (await getMintIndexStore().get(mint)) || [];
+      await getMintIndexStore().set(mint, [entry, ...index]);
+    })
+    .catch(error => {
+      console.error(`ERROR: appendToMintIndex - Failed to index analysis ${entry.id} for ${mint}:`, error.message);
+    });
+
+  indexWrites.set(mint, write);
+  write.then(() => {
+    if (indexWrites.get(mint) === write) indexWrites.delete(mint);
+  });
+  return write;
+}
+
+/**
+ * Persist a finished analysis with its query and every raw service output
+ * @param {Object} params - Analysis to record
+ * @param {string} params.query - Input query
+ * @param {string} params.sessionId - Session the analysis ran in, if any
+ * @param {Object} params.response - API response payload (result and market summary)
+ * @param {Object} params.state - Agent state that produced the analysis
+ * @returns {Object} Stored analysis record
+ */
+async function recordAnalysis({ query, sessionId, response, state }) {
+  const record = {
+    id: randomUUID(),
+    query,
+    session_id: sessionId || null,
+    mint: state?.contractAddress || null,
+    input_type: state?.inputType || null,
+    status: response.result?.error ? 'failed' : 'completed',
+    created_at: new Date().toISOString(),
+    result: response.result,
+    market_summary: response.market_summary,
+    raw_outputs: JSON.parse(JSON.stringify({
+      program_analysis: state?.contractData ?? null,
+      token_data: state?.tokenData ?? null,
+      market_data: state?.marketData ?? null,
+      on_chain_metrics: state?.onChainData ?? null,
+      social_sentiment: state?.socialData ?? null,
+      github_analysis: state?.githubData ?? null
+    }))
+  };
+
+  console.log(`LOG: recordAnalysis - Storing analysis ${record.id} for query: ${query}`);
+  await getAnalysisStore().set(record.id, record);
+
+  if (record.mint) {
+    await appendToMintIndex(record.mint, summarizeRecord(record));
+  }
+
+  return record;
+}
+
+/**
+ * Look up a stored analysis
+ * @param {string} id - Analysis identifier
+ * @returns {Object|null} Analysis record
+ */
+async function getAnalysis(id) {
+  return await getAnalysisStore().get(id);
+}
+
+/**
+ * List the stored analyses of a mint, newest first
+ * @param {string} mint - Token mint address
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Maximum entries to return
+ * @param {number} options.offset - Entries to skip
+ * @returns {Object} Total count and the requested page of index entries
+ */
+async function listTokenAnalyses(mint, options = {}) {
+  const limit = options.limit || 20;
+  const offset = options.offset || 0;
+
+  let index = (await getMintIndexStore().get(mint)) || [];
+
+  // Records expire individually, so drop index entries past the retention period
+  const retention = retentionMs();
+  if (retention > 0) {
+    const cutoff = Date.now() - retention;
+    index = index.filter(entry => Date.parse(entry.created_at) > cutoff);
+  }
+
+  return {
+    mint,
+    total: index.length,
+    analyses: index.slice(offset, offset + limit)
+  };
+}
+
+export {
+  recordAnalysis,
+  getAnalysis,
+  listTokenAnalyses
+};
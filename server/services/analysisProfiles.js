@@ -0,0 +1,106 @@
+// server/services/analysisProfiles.js
+
+// Data steps of the analysis pipeline; the assessment always runs
+const DATA_STEPS = ['program_analysis', 'market_data', 'on_chain_metrics', 'github_analysis', 'social_sentiment'];
+
+/**
+ * Named analysis depths.
+ *   steps          - Data steps that run
+ *   useLLM         - Whether the LLM writes the security analysis and the assessment;
+ *                    without it the result is built from the rule-based ratings
+ *   holderPages    - Holder distribution pages of 100 in the program analysis (0: first 10 holders only)
+ *   whalePages     - Holder pages of 20 for the whale activity in the on-chain metrics
+ *   signatureLimit - Recent signatures read for transaction patterns and performance (max 1000)
+ *   timeouts       - Step timeouts replacing the pipeline defaults
+ *   reusable       - Complete enough for comparisons to reuse as a recent analysis
+ */
+const ANALYSIS_PROFILES = {
+  quick: {
+    description: 'Program, market and on-chain data with shallow pagination, rated by rules only',
+    steps: ['program_analysis', 'market_data', 'on_chain_metrics'],
+    useLLM: false,
+    holderPages: 0,
+    whalePages: 1,
+    signatureLimit: 25,
+    timeouts: {},
+    reusable: false
+  },
+  standard: {
+    description: 'Every data source with the LLM assessment',
+    steps: DATA_STEPS,
+    useLLM: true,
+    holderPages: 0,
+    whalePages: 3,
+    signatureLimit: 100,
+    timeouts: {},
+    reusable: true
+  },
+  deep: {
+    description: 'Every data source with full holder pagination and a longer signature window',
+    steps: DATA_STEPS,
+    useLLM: true,
+    holderPages: 10,
+    whalePages: 10,
+    signatureLimit: 1000,
+    timeouts: { program_analysis: 180000, on_chain_metrics: 180000 },
+    reusable: true
+  },
+  security: {
+    description: 'Contract, authority and holder concentration checks only',
+    steps: ['program_analysis', 'on_chain_metrics'],
+    useLLM: true,
+    holderPages: 3,
+    whalePages: 5,
+    signatureLimit: 100,
+    timeouts: { program_analysis: 90000 },
+    reusable: false
+  }
+};
+
+const PROFILE_NAMES = Object.keys(ANALYSIS_PROFILES);
+
+/**
+ * Profile used when a request names none (ANALYSIS_PROFILE, default standard)
+ * @returns {string} Profile name
+ */
+function defaultAnalysisProfile() {
+  const configured = process.env.ANALYSIS_PROFILE;
+  return PROFILE_NAMES.includes(configured) ? configured : 'standard';
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} name - Profile name (defaults to defaultAnalysisProfile())
+ * @returns {Object} Profile with its name
+ */
+function getAnalysisProfile(name) {
+  const profileName = name || defaultAnalysisProfile();
+  const profile = ANALYSIS_PROFILES[profileName];
+  if (!profile) {
+    throw new Error(`Unknown analysis profile: ${profileName}`);
+  }
+  return { name: profileName, ...profile };
+}
+
+/**
+ * Profile settings as echoed in the analysis result
+ * @param {Object} profile - Profile from getAnalysisProfile
+ * @returns {Object} { name, steps, use_llm, holder_pages, whale_pages, signature_limit }
+ */
+function describeProfile(profile) {
+  return {
+    name: profile.name,
+    steps: profile.steps,
+    use_llm: profile.useLLM,
+    holder_pages: profile.holderPages,
+    whale_pages: profile.whalePages,
+    signature_limit: profile.signatureLimit
+  };
+}
+
+export {
+  PROFILE_NAMES,
+  defaultAnalysisProfile,
+  getAnalysisProfile,
+  describeProfile
+};
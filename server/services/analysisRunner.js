@@ -0,0 +1,187 @@
+// server/services/analysisRunner.js
+import ResearchBot, { AgentState } from '../agents/researchBot.js';
+import { getSessionStore } from './sessionStore.js';
+import { createStore } from './store.js';
+import { recordAnalysis } from './analysisHistory.js';
+import { getAnalysisProfile, defaultAnalysisProfile } from './analysisProfiles.js';
+import { defaultLLMProvider } from './llmProviders.js';
+import { recordUsage } from './usage.js';
+
+// Completed token analyses are reused by comparisons for this long
+const DEFAULT_RECENT_ANALYSIS_TTL_MS = 15 * 60 * 1000;
+
+let recentAnalyses = null;
+
+function getRecentAnalysisStore() {
+  if (!recentAnalyses) {
+    recentAnalyses = createStore('recent-analyses', {
+      ttlMs: parseInt(process.env.RECENT_ANALYSIS_TTL_MS, 10) || DEFAULT_RECENT_ANALYSIS_TTL_MS
+    });
+  }
+  return recentAnalyses;
+}
+
+// A recent analysis is only reused for the same token, provider and profile
+function recentAnalysisKey(mint, llmProvider, profile) {
+  return `${mint}:${llmProvider}:${profile}`;
+}
+
+// Rated sections of a final analysis, in display order
+const ANALYSIS_SECTIONS = [
+  'smart_contract_risk',
+  'token_performance',
+  'transaction_analysis',
+  'on_chain_metrics',
+  'social_sentiment',
+  'development_activity'
+];
+
+/**
+ * Get a bot instance carrying the stored state for a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} options - Bot options
+ * @param {string} options.llmProvider - LLM provider (defaults to the one the session's analysis used)
+ * @returns {ResearchBot} Bot with rehydrated state (state is null for new sessions)
+ */
+async function getBotInstance(sessionId, options = {}) {
+  const state = await getSessionStore().load(sessionId);
+  const bot = new ResearchBot({ llmProvider: options.llmProvider || state?.llmProvider });
+  bot.state = state;
+  return bot;
+}
+
+/**
+ * Persist a bot's state after it has been updated
+ * @param {string} sessionId - Session identifier
+ * @param {ResearchBot} bot - Bot whose state should be saved
+ */
+async function saveBotInstance(sessionId, bot) {
+  await getSessionStore().save(sessionId, bot.state);
+}
+
+/**
+ * Build the concise market summary returned alongside an analysis
+ * @param {Object} result - Final analysis
+ * @param {ResearchBot} bot - Bot that produced the analysis
+ * @returns {Object} Market summary
+ */
+function buildMarketSummary(result, bot) {
+  let marketSummary = {};
+
+  if (result.token_info) {
+    // If the LLM included token_info in the result, use it directly
+    marketSummary = {
+      token_name: result.token_info.name,
+      token_symbol: result.token_info.symbol,
+      price_usd: result.token_info.price_usd,
+      market_cap: result.token_info.market_cap,
+      fdv: result.token_info.fdv,
+      price_change_24h: result.token_info.price_change_24h
+    };
+  } else if (bot.state && bot.state.onChainData && bot.state.onChainData.market_data) {
+    // Use market data from onChainData if available
+    marketSummary = bot.state.onChainData.market_data;
+  } else if (bot.state && bot.state.onChainData && bot.state.onChainData.liquidity_metrics) {
+    // Fallback to liquidity metrics
+    const metrics = bot.state.onChainData.liquidity_metrics;
+    if (metrics.success) {
+      marketSummary = {
+        token_name: metrics.token_name,
+        token_symbol: metrics.token_symbol,
+        price_usd: metrics.price_usd,
+        market_cap: metrics.market_cap,
+        fdv: metrics.fdv,
+        price_change_24h: metrics.price_change_24h
+      };
+    }
+  }
+
+  return marketSummary;
+}
+
+/**
+ * Run the full analysis pipeline for a query, optionally bound to a session
+ * @param {Object} params - Run parameters
+ * @param {string} params.query - User query (mint address, project name, ...)
+ * @param {string} params.sessionId - Optional session to store the resulting state in
+ * @param {Function} params.onProgress - Optional progress listener (see ResearchBot.processInitialQuery)
+ * @param {AbortSignal} params.signal - Optional cancellation signal
+ * @param {string} params.llmProvider - Optional LLM provider (defaults to LLM_PROVIDER)
+ * @param {string} params.profile - Optional analysis depth profile (defaults to ANALYSIS_PROFILE)
+ * @param {boolean} params.debate - Optional bull/bear/judge debate mode for the assessment
+ * @returns {Object} API response payload and the bot that produced it
+ */
+async function runAnalysis({ query, sessionId, onProgress, signal, llmProvider, profile, debate }) {
+  console.log(`LOG: runAnalysis - Running analysis for query: ${query}`);
+
+  // A new analysis starts from a fresh state with the requested provider, replacing the session's previous one
+  const bot = new ResearchBot({ llmProvider });
+  const result = await bot.processInitialQuery(query, { onProgress, signal, profile, debate });
+
+  const response = {
+    analysis_id: null,
+    result,
+    market_summary: buildMarketSummary(result, bot),
+    // Nothing was analyzed when a project name still needs a token to be chosen
+    has_trading_prompt: !result.needs_disambiguation
+  };
+
+  // Keep every finished analysis so it can be revisited after the session is gone
+  try {
+    const record = await recordAnalysis({ query, sessionId, response, state: bot.state });
+    response.analysis_id = record.id;
+    if (bot.state) bot.state.analysisId = record.id;
+  } catch (error) {
+    console.error('ERROR: runAnalysis - Failed to store analysis history:', error.message);
+  }
+
+  if (sessionId) {
+    await saveBotInstance(sessionId, bot);
+  }
+
+  // Remember successful token analyses so comparisons can reuse them, unless a reduced profile made them
+  if (bot.state && bot.state.contractAddress && !result.error && getAnalysisProfile(bot.state.profile).reusable) {
+    await getRecentAnalysisStore().set(recentAnalysisKey(bot.state.contractAddress, bot.llmProvider, bot.state.profile), {
+      response,
+      state: JSON.parse(JSON.stringify(bot.state))
+    });
+  }
+
+  return {
+    response,
+    bot
+  };
+}
+
+/**
+ * Reuse a recent analysis of a mint made with the same provider and the default
+ * profile, or run a new one. Only a new analysis is charged to the usage account.
+ * @param {string} mint - Token mint address
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Ignore recent analyses and always run a new one
+ * @param {string} options.llmProvider - LLM provider for a new analysis
+ * @returns {Object} API response payload, agent state and whether it was reused
+ */
+async function getOrRunAnalysis(mint, options = {}) {
+  const key = recentAnalysisKey(mint, options.llmProvider || defaultLLMProvider(), defaultAnalysisProfile());
+  if (!options.refresh) {
+    const recent = await getRecentAnalysisStore().get(key);
+    if (recent) {
+      console.log(`LOG: getOrRunAnalysis - Reusing recent analysis for ${mint}`);
+      return { response: recent.response, state: AgentState.fromJSON(recent.state), reused: true };
+    }
+  }
+
+  recordUsage('analyses', 1);
+  const { response, bot } = await runAnalysis({ query: `token:${mint}`, llmProvider: options.llmProvider });
+  return { response, state: bot.state, reused: false };
+}
+
+export {
+  ANALYSIS_SECTIONS,
+  getBotInstance,
+  saveBotInstance,
+  buildMarketSummary,
+  runAnalysis,
+  getOrRunAnalysis
+};
@@ -0,0 +1,151 @@
+// server/services/batchAnalysis.js
+import { runAnalysis, ANALYSIS_SECTIONS } from './analysisRunner.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+const MINT_ADDRESS_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Normalize a numeric value to 0-1 given its scale, or null if it is not a number
+ * @param {any} value - Raw value from the analysis
+ * @param {number} scale - Maximum value of the scale
+ * @returns {number|null} Normalized value
+ */
+function normalize(value, scale) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return null;
+  return Math.max(0, Math.min(1, number / scale));
+}
+
+/**
+ * Compute the composite ranking score of an analysis (0-100).
+ * Weights: risk/reward (0-5 scale) 40%, average section rating (0-10 scale) 40%,
+ * confidence score (0-100) 20%. Missing components are left out and the
+ * remaining weights are re-normalized.
+ * @param {Object} analysis - Final analysis
+ * @returns {Object} Composite score and the section ratings it used
+ */
+function scoreAnalysis(analysis) {
+  const ratings = {};
+  const ratingValues = [];
+
+  for (const section of ANALYSIS_SECTIONS) {
+    const rating = normalize(analysis?.[section]?.rating, 10);
+    ratings[section] = rating === null ? null : analysis[section].rating;
+    if (rating !== null) ratingValues.push(rating);
+  }
+
+  const components = [
+    { weight: 0.4, value: normalize(analysis?.risk_reward_ratio, 5) },
+    { weight: 0.4, value: ratingValues.length > 0 ? ratingValues.reduce((a, b) => a + b, 0) / ratingValues.length : null },
+    { weight: 0.2, value: normalize(analysis?.confidence_score, 100) }
+  ].filter(component => component.value !== null);
+
+  const totalWeight = components.reduce((sum, component) => sum + component.weight, 0);
+  const compositeScore = totalWeight > 0
+    ? components.reduce((sum, component) => sum + component.weight * component.value, 0) / totalWeight * 100
+    : 0;
+
+  return {
+    composite_score: parseFloat(compositeScore.toFixed(2)),
+    ratings
+  };
+}
+
+/**
+ * Build the ranked summary table from per-token batch results
+ * Failed tokens are listed after the ranked ones without a rank
+ * @param {Array} results - Per-token batch results
+ * @returns {Array} Ranked table rows
+ */
+function rankBatchResults(results) {
+  const rows = results.map(entry => {
+    const analysis = entry.response?.result;
+    const row = {
+      rank: null,
+      mint: entry.mint,
+      status: entry.status,
+      token_name: analysis?.token_info?.name || null,
+      token_symbol: analysis?.token_info?.symbol || null,
+      composite_score: null,
+      risk_reward_ratio: analysis?.risk_reward_ratio ?? null,
+      confidence_score: analysis?.confidence_score ?? null,
+      ratings: {},
+      final_recommendation: analysis?.final_recommendation || null
+    };
+
+    if (entry.status === 'succeeded') {
+      const { composite_score, ratings } = scoreAnalysis(analysis);
+      row.composite_score = composite_score;
+      row.ratings = ratings;
+    } else {
+      row.error = entry.error;
+    }
+
+    return row;
+  });
+
+  const ranked = rows
+    .filter(row => row.status === 'succeeded')
+    .sort((a, b) => b.composite_score - a.composite_score);
+  ranked.forEach((row, index) => {
+    row.rank = index + 1;
+  });
+
+  return [...ranked, ...rows.filter(row => row.status !== 'succeeded')];
+}
+
+/**
+ * Analyze many mints with a concurrency limit; a failing mint never aborts the batch
+ * @param {Array<string>} mints - Token mint addresses
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum analyses running at once
+ * @param {string} options.llmProvider - LLM provider for every analysis
+ * @returns {Object} Per-token results and ranked summary table
+ */
+async function runBatchAnalysis(mints, options = {}) {
+  const concurrency = options.concurrency || 2;
+  console.log(`LOG: runBatchAnalysis - Analyzing ${mints.length} mints with concurrency ${concurrency}`);
+
+  const startedAt = new Date().toISOString();
+
+  const results = await mapWithConcurrency(mints, concurrency, async (mint) => {
+    if (typeof mint !== 'string' || !MINT_ADDRESS_PATTERN.test(mint)) {
+      return { mint, status: 'failed', error: 'Invalid mint address', response: null };
+    }
+
+    try {
+      const { response } = await runAnalysis({ query: `token:${mint}`, llmProvider: options.llmProvider });
+
+      // processInitialQuery reports failures in the result instead of throwing
+      if (response.result?.error) {
+        return { mint, status: 'failed', error: response.result.error, response };
+      }
+
+      return { mint, status: 'succeeded', response };
+    } catch (error) {
+      console.error(`ERROR: runBatchAnalysis - Analysis failed for ${mint}:`, error);
+      return { mint, status: 'failed', error: error.message, response: null };
+    }
+  });
+
+  const succeeded = results.filter(entry => entry.status === 'succeeded').length;
+  console.log(`LOG: runBatchAnalysis - Batch complete: ${succeeded}/${mints.length} succeeded`);
+
+  return {
+    summary: {
+      total: mints.length,
+      succeeded,
+      failed: mints.length - succeeded,
+      started_at: startedAt,
+      finished_at: new Date().toISOString()
+    },
+    ranking: rankBatchResults(results),
+    results
+  };
+}
+
+export {
+  scoreAnalysis,
+  rankBatchResults,
+  runBatchAnalysis
+};
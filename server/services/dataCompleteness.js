@@ -0,0 +1,140 @@
+// server/services/dataCompleteness.js
+import { stepResultError } from '../agents/pipeline.js';
+
+// Skip reasons for data that does not exist rather than data that is missing;
+// these sources, and the ones outside the profile, are reported but left out
+// of the coverage
+const NOT_APPLICABLE_REASONS = ['No GitHub repository found'];
+
+/**
+ * Data sources behind an analysis, in report order. `weight` is the share of
+ * the coverage a source carries: authority, holder and market data decide most
+ * of the security and price picture, so they weigh more. `check` returns an
+ * error message when the step ran but the source has no data, or null. `skip`
+ * returns a reason when the profile leaves the source out although its step runs.
+ */
+const DATA_SOURCES = [
+  {
+    source: 'program_data',
+    step: 'program_analysis',
+    weight: 1,
+    check: state => state.contractData?.program_data ? null : 'No program account data'
+  },
+  ...['mint_info', 'metadata', 'holders', 'extensions', 'performance'].map(key => ({
+    source: key,
+    step: 'program_analysis',
+    weight: key === 'mint_info' ? 3 : key === 'holders' ? 2 : 1,
+    check: state => {
+      const tokenAnalysis = state.contractData?.token_analysis;
+      if (!tokenAnalysis || tokenAnalysis.is_token === false) return 'Address is not a token mint';
+      return stepResultError(tokenAnalysis[key]);
+    }
+  })),
+  {
+    source: 'security_analysis',
+    step: 'program_analysis',
+    weight: 1,
+    skip: (state, profile) => profile.useLLM ? null : `Not part of the ${profile.name} profile`,
+    check: state => {
+      if (state.contractData?.security_analysis_error) return state.contractData.security_analysis_error;
+      const analysis = state.contractData?.security_analysis;
+      return typeof analysis !== 'string' || analysis.trim() === '' ? 'No security analysis returned' : null;
+    }
+  },
+  {
+    source: 'market_data',
+    step: 'market_data',
+    weight: 3,
+    check: state => stepResultError(state.marketData)
+  },
+  ...['transaction_patterns', 'whale_activity', 'liquidity_metrics'].map(key => ({
+    source: key,
+    step: 'on_chain_metrics',
+    weight: 1,
+    check: state => stepResultError(state.onChainData?.[key])
+  })),
+  {
+    source: 'github',
+    step: 'github_analysis',
+    weight: 1,
+    check: state => stepResultError(state.githubData)
+  },
+  {
+    // The sentiment step reports success on DexScreener data alone, so the
+    // Twitter result is what tells whether there was any social data
+    source: 'twitter_sentiment',
+    step: 'social_sentiment',
+    weight: 2,
+    check: state => stepResultError(state.socialData) || stepResultError(state.socialData?.twitter)
+  }
+];
+
+/**
+ * Status of every data source of an analysis
+ * @param {AgentState} state - Agent state after the pipeline
+ * @param {Object} profile - Analysis profile (analysisProfiles.js)
+ * @returns {Object} { coverage_percent, counts: { succeeded, failed, skipped }, sources }
+ *   where sources maps each source to { step, weight, status, reason?, counted }; sources
+ *   outside the profile and sources that do not apply are not counted
+ */
+function assessDataCompleteness(state, profile) {
+  const sources = {};
+  const counts = { succeeded: 0, failed: 0, skipped: 0 };
+  let applicableWeight = 0;
+  let succeededWeight = 0;
+
+  for (const definition of DATA_SOURCES) {
+    const step = state.pipeline?.[definition.step];
+    const profileSkip = definition.skip ? definition.skip(state, profile) : null;
+    const outsideProfile = !profile.steps.includes(definition.step) || Boolean(profileSkip);
+
+    let entry;
+    if (!step || step.status === 'skipped') {
+      entry = { status: 'skipped', reason: step?.reason || 'Step did not run' };
+    } else if (step.status === 'failed' || step.status === 'timed_out') {
+      entry = { status: 'failed', reason: step.error || (step.status === 'timed_out' ? 'Step timed out' : 'Step failed') };
+    } else if (profileSkip) {
+      entry = { status: 'skipped', reason: profileSkip };
+    } else {
+      const error = definition.check(state);
+      entry = error ? { status: 'failed', reason: error } : { status: 'succeeded' };
+    }
+
+    const counted = !(entry.status === 'skipped' && (outsideProfile || NOT_APPLICABLE_REASONS.includes(entry.reason)));
+    if (counted) {
+      applicableWeight += definition.weight;
+      if (entry.status === 'succeeded') succeededWeight += definition.weight;
+    }
+    counts[entry.status]++;
+    sources[definition.source] = { step: definition.step, weight: definition.weight, ...entry, counted };
+  }
+
+  const coveragePercent = applicableWeight > 0 ? Math.round((succeededWeight / applicableWeight) * 100) : 0;
+  console.log(`LOG: assessDataCompleteness - Coverage ${coveragePercent}%: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.skipped} skipped`);
+
+  return { coverage_percent: coveragePercent, counts, sources };
+}
+
+/**
+ * Cap the analysis confidence at the data coverage, so an assessment made from
+ * a fraction of the data cannot claim more certainty than that fraction
+ * @param {Object} analysis - Final analysis, capped in place
+ * @param {Object} completeness - Result of assessDataCompleteness, extended in place
+ *   with llm_confidence_score and confidence_capped
+ */
+function capConfidenceByCoverage(analysis, completeness) {
+  const reported = typeof analysis.confidence_score === 'number' ? analysis.confidence_score : null;
+  completeness.llm_confidence_score = reported;
+  completeness.confidence_capped = reported !== null && reported > completeness.coverage_percent;
+
+  if (completeness.confidence_capped) {
+    console.log(`LOG: capConfidenceByCoverage - Capping confidence ${reported} at coverage ${completeness.coverage_percent}`);
+    analysis.confidence_score = completeness.coverage_percent;
+  }
+}
+
+export {
+  DATA_SOURCES,
+  assessDataCompleteness,
+  capConfidenceByCoverage
+};
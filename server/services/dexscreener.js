@@ -1,13 +1,33 @@
 // server/services/dexscreener.js - SIMPLIFIED FIX
 import axios from 'axios';
 import { withRetry, delay } from './tokenHolders.js';
+import { cachedProviderCall } from './providerCache.js';
 
 /**
  * Fetch token pair data from DexScreener API with enhanced information
+ * Results are shared through the provider cache, so repeated lookups of the same
+ * token within a few seconds (social sentiment, batch runs) reuse one request
  * @param {string} tokenAddress - Token address
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.fresh - Skip the provider cache (live feeds poll for new numbers)
+ * @param {AbortSignal} options.signal - Aborts the request; callers sharing an in-flight
+ *   request see the failure too, and failures are not cached
  * @returns {Object} Processed token market data with all available information
  */
-async function fetchDexScreenerData(tokenAddress) {
+async function fetchDexScreenerData(tokenAddress, options = {}) {
+  if (options.fresh) {
+    return requestDexScreenerData(tokenAddress, options.signal);
+  }
+  return cachedProviderCall('dexscreener', tokenAddress, () => requestDexScreenerData(tokenAddress, options.signal));
+}
+
+/**
+ * Uncached DexScreener request and processing
+ * @param {string} tokenAddress - Token address
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Object} Processed token market data with all available information
+ */
+async function requestDexScreenerData(tokenAddress, signal) {
   console.log(`LOG: fetchDexScreenerData - Starting for token address: ${tokenAddress}`);
   
   try {
@@ -24,7 +44,8 @@ async function fetchDexScreenerData(tokenAddress) {
           'Accept': 'application/json',
           'User-Agent': 'SolanaTokenAnalyzer/1.0'
         },
-        timeout: 15000
+        timeout: 15000,
+        signal
       });
       
       if (!res.data || !res.data.pairs) {
@@ -253,6 +274,63 @@ async function fetchDexScreenerData(tokenAddress) {
   }
 }
 
+/**
+ * Look up a Solana pair (pool) address on DexScreener
+ * @param {string} pairAddress - Pair or pool account address
+ * @returns {Object} { success, pair_address, dex, base_token, quote_token } or { success: false, error }
+ */
+async function fetchDexScreenerPair(pairAddress) {
+  return cachedProviderCall('dexscreener-pair', pairAddress, async () => {
+    console.log(`LOG: fetchDexScreenerPair - Looking up pair: ${pairAddress}`);
+    
+    try {
+      const url = `https://api.dexscreener.com/latest/dex/pairs/solana/${pairAddress}`;
+      const response = await withRetry(async () => axios.get(url, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'SolanaTokenAnalyzer/1.0'
+        },
+        timeout: 15000
+      }), {
+        maxRetries: 2,
+        initialDelayMs: 1000,
+        maxDelayMs: 5000,
+        backoffFactor: 2,
+        jitterFactor: 0.2
+      });
+      
+      const pair = response.data?.pair || response.data?.pairs?.[0];
+      if (!pair || !pair.baseToken) {
+        console.log(`LOG: fetchDexScreenerPair - No pair found for: ${pairAddress}`);
+        return { success: false, error: 'No DexScreener pair found for this address' };
+      }
+      
+      return {
+        success: true,
+        pair_address: pair.pairAddress,
+        dex: pair.dexId,
+        base_token: {
+          name: pair.baseToken.name,
+          symbol: pair.baseToken.symbol,
+          address: pair.baseToken.address
+        },
+        quote_token: {
+          name: pair.quoteToken?.name,
+          symbol: pair.quoteToken?.symbol,
+          address: pair.quoteToken?.address
+        }
+      };
+    } catch (error) {
+      console.error('ERROR: fetchDexScreenerPair -', error.message);
+      return {
+        success: false,
+        error: `Failed to fetch DexScreener pair: ${error.message}`
+      };
+    }
+  });
+}
+
 export {
-  fetchDexScreenerData
+  fetchDexScreenerData,
+  fetchDexScreenerPair
 };
\ No newline at end of file
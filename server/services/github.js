@@ -0,0 +1,447 @@
+// server/services/github.js
+import axios from 'axios';
+import { Octokit } from 'octokit';
+import { cachedProviderCall } from './providerCache.js';
+import { recordUsage } from './usage.js';
+
+// Repository statistics change slowly, so they are cached longer than market data
+const DEFAULT_GITHUB_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stargazer pages fetched from the end of the list to measure recent star growth
+const MAX_STARGAZER_PAGES = 3;
+
+// First path segments of github.com pages that are not users or organizations
+const RESERVED_GITHUB_PATHS = new Set([
+  'about', 'apps', 'collections', 'contact', 'customer-stories', 'enterprise', 'events', 'explore',
+  'features', 'login', 'marketplace', 'orgs', 'pricing', 'security', 'settings', 'signup', 'site',
+  'sponsors', 'topics', 'trending'
+]);
+
+const GITHUB_URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/([A-Za-z0-9-]+)(?:\/([A-Za-z0-9._-]+))?/i;
+
+let octokitClient = null;
+
+/**
+ * Shared GitHub client, authenticated with GITHUB_TOKEN when it is set
+ * @returns {Octokit} GitHub client
+ */
+function getOctokit() {
+  if (!octokitClient) {
+    octokitClient = new Octokit({
+      auth: process.env.GITHUB_TOKEN || undefined,
+      userAgent: 'SolanaTokenAnalyzer/1.0',
+      throttle: {
+        // Retry once on short rate-limit waits; a long wait fails the request instead of stalling the analysis
+        onRateLimit: (retryAfter, options) => options.request.retryCount === 0 && retryAfter <= 10,
+        onSecondaryRateLimit: (retryAfter, options) => options.request.retryCount === 0 && retryAfter <= 10
+      }
+    });
+    // Count GitHub API requests towards the caller's API key usage
+    octokitClient.hook.before('request', () => recordUsage('provider_calls'));
+  }
+  return octokitClient;
+}
+
+/**
+ * Extract the owner and repository from a GitHub URL
+ * @param {string} url - GitHub URL (github.com/owner or github.com/owner/repo/...)
+ * @returns {Object|null} { owner, repo } where repo is null for user/organization links
+ */
+function parseGithubUrl(url) {
+  const match = String(url || '').match(GITHUB_URL_PATTERN);
+  if (!match || RESERVED_GITHUB_PATHS.has(match[1].toLowerCase())) {
+    return null;
+  }
+  return { owner: match[1], repo: match[2] ? match[2].replace(/\.git$/, '') : null };
+}
+
+/**
+ * Find GitHub links in a block of text (a web page, a list of URLs)
+ * @param {string} text - Text to search
+ * @returns {Array<string>} Distinct github.com/owner[/repo] URLs, repositories first
+ */
+function extractGithubLinks(text) {
+  const links = new Map();
+  for (const match of String(text || '').matchAll(new RegExp(GITHUB_URL_PATTERN.source, 'gi'))) {
+    const parsed = parseGithubUrl(match[0]);
+    if (!parsed) continue;
+    const url = `https://github.com/${parsed.owner}${parsed.repo ? `/${parsed.repo}` : ''}`;
+    links.set(url.toLowerCase(), url);
+  }
+  return [...links.values()].sort((a, b) => (parseGithubUrl(b).repo ? 1 : 0) - (parseGithubUrl(a).repo ? 1 : 0));
+}
+
+/**
+ * Fetch a project website and collect the GitHub links on it
+ * @param {string} websiteUrl - Website URL
+ * @returns {Object} { success, links } or { success: false, error }
+ */
+async function findGithubLinksOnWebsite(websiteUrl) {
+  return cachedProviderCall('website-github-links', websiteUrl, async () => {
+    try {
+      const response = await axios.get(websiteUrl, {
+        headers: { 'Accept': 'text/html', 'User-Agent': 'SolanaTokenAnalyzer/1.0' },
+        timeout: 10000,
+        maxContentLength: 2 * 1024 * 1024,
+        responseType: 'text'
+      });
+      return { success: true, links: extractGithubLinks(response.data) };
+    } catch (error) {
+      console.error(`ERROR: findGithubLinksOnWebsite - Failed to fetch ${websiteUrl}:`, error.message);
+      return { success: false, error: `Failed to fetch website: ${error.message}` };
+    }
+  }, { ttlMs: parseInt(process.env.GITHUB_CACHE_TTL_MS, 10) || DEFAULT_GITHUB_CACHE_TTL_MS });
+}
+
+/**
+ * Discover a project's GitHub links from DexScreener socials and websites
+ * @param {Object} marketData - DexScreener market data (see fetchDexScreenerData)
+ * @returns {Array<string>} GitHub URLs, most specific first
+ */
+async function discoverGithubLinks(marketData) {
+  if (!marketData || !marketData.success || !marketData.links) {
+    return [];
+  }
+
+  const { socials = [], website, docs } = marketData.links;
+  const direct = extractGithubLinks([
+    ...socials.map(social => social.url),
+    website,
+    docs
+  ].filter(Boolean).join(' '));
+
+  if (direct.some(link => parseGithubUrl(link).repo)) {
+    console.log(`LOG: discoverGithubLinks - Found GitHub links in DexScreener data: ${direct.join(', ')}`);
+    return direct;
+  }
+
+  // No repository linked directly - look on the project's own pages
+  const pages = [website, docs].filter(url => url && !parseGithubUrl(url));
+  const found = [...direct];
+  for (const page of pages) {
+    const result = await findGithubLinksOnWebsite(page);
+    if (result.success) found.push(...result.links);
+  }
+
+  const links = extractGithubLinks(found.join(' '));
+  console.log(`LOG: discoverGithubLinks - Found ${links.length} GitHub link(s)`);
+  return links;
+}
+
+/**
+ * Last page number in a GitHub Link header
+ * @param {string} link - Link header
+ * @returns {number|null} Last page, or null when there is a single page
+ */
+function lastPageFromLink(link) {
+  const match = (link || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function daysSince(date, now = Date.now()) {
+  return date ? parseFloat(((now - new Date(date).getTime()) / DAY_MS).toFixed(1)) : null;
+}
+
+function countSince(dates, days, now = Date.now()) {
+  return dates.filter(date => date && now - new Date(date).getTime() <= days * DAY_MS).length;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Pick a user's or organization's most-starred repository
+ * @param {string} owner - User or organization
+ * @param {Object} request - Octokit request options ({ signal })
+ * @returns {string|null} Repository name
+ */
+async function findMainRepository(owner, request = {}) {
+  const { data } = await getOctokit().rest.search.repos({
+    q: `user:${owner} fork:false`,
+    sort: 'stars',
+    order: 'desc',
+    per_page: 1,
+    request
+  });
+  return data.items?.[0]?.name || null;
+}
+
+/**
+ * Weekly commit counts for the last year, with a recent-commits fallback while
+ * GitHub is still computing the statistics (it answers 202 with no data)
+ */
+async function getCommitActivity(owner, repo, request = {}) {
+  const octokit = getOctokit();
+  const [participation, latest] = await Promise.all([
+    octokit.rest.repos.getParticipationStats({ owner, repo, request }),
+    octokit.rest.repos.listCommits({ owner, repo, per_page: 1, request })
+  ]);
+
+  const lastCommitAt = latest.data[0]?.commit?.committer?.date || latest.data[0]?.commit?.author?.date || null;
+  const weekly = participation.data?.all;
+
+  if (Array.isArray(weekly) && weekly.length === 52) {
+    const last13 = sum(weekly.slice(-13));
+    const previous13 = sum(weekly.slice(-26, -13));
+    return {
+      source: 'weekly_stats',
+      commits_last_4_weeks: sum(weekly.slice(-4)),
+      commits_last_13_weeks: last13,
+      commits_last_52_weeks: sum(weekly),
+      average_weekly_commits: parseFloat((sum(weekly) / 52).toFixed(1)),
+      active_weeks_last_52: weekly.filter(count => count > 0).length,
+      // Last quarter compared with the quarter before it
+      trend: previous13 === 0 ? (last13 > 0 ? 'increasing' : 'inactive') :
+        last13 > previous13 * 1.25 ? 'increasing' :
+        last13 < previous13 * 0.75 ? 'decreasing' : 'stable',
+      last_commit_at: lastCommitAt
+    };
+  }
+
+  const { data } = await octokit.rest.repos.listCommits({
+    owner,
+    repo,
+    since: new Date(Date.now() - 30 * DAY_MS).toISOString(),
+    per_page: 100,
+    request
+  });
+  return {
+    source: 'recent_commits',
+    commits_last_30_days: data.length,
+    commits_last_30_days_capped: data.length === 100,
+    last_commit_at: lastCommitAt
+  };
+}
+
+/**
+ * Contributor count and how concentrated the contributions are
+ */
+async function getContributors(owner, repo, request = {}) {
+  const octokit = getOctokit();
+  const [countResponse, topResponse] = await Promise.all([
+    octokit.rest.repos.listContributors({ owner, repo, per_page: 1, request }),
+    octokit.rest.repos.listContributors({ owner, repo, per_page: 100, request })
+  ]);
+
+  const top = Array.isArray(topResponse.data) ? topResponse.data : [];
+  const contributions = top.map(contributor => contributor.contributions || 0);
+  const total = sum(contributions);
+  const share = count => total > 0 ? parseFloat((sum(contributions.slice(0, count)) / total * 100).toFixed(1)) : null;
+
+  return {
+    contributor_count: lastPageFromLink(countResponse.headers.link) ?? top.length,
+    // Shares are computed over the top 100 contributors
+    top_contributor_share_percent: share(1),
+    top_3_contributors_share_percent: share(3),
+    top_contributors: top.slice(0, 5).map(contributor => ({
+      login: contributor.login,
+      contributions: contributor.contributions
+    }))
+  };
+}
+
+/**
+ * Stars and forks gained in the last 30 and 90 days
+ */
+async function getGrowth(owner, repo, stars, request = {}) {
+  const octokit = getOctokit();
+
+  // Stargazers are listed oldest first; walk back from the last page
+  const starDates = [];
+  let starsComplete = stars === 0;
+  const lastPage = Math.ceil(stars / 100);
+  for (let page = lastPage; page > 0 && page > lastPage - MAX_STARGAZER_PAGES; page--) {
+    const { data } = await octokit.rest.activity.listStargazersForRepo({
+      owner,
+      repo,
+      per_page: 100,
+      page,
+      headers: { accept: 'application/vnd.github.star+json' },
+      request
+    });
+    starDates.unshift(...data.map(entry => entry.starred_at));
+    if (page === 1 || countSince([data[0]?.starred_at], 90) === 0) {
+      starsComplete = true;
+      break;
+    }
+  }
+
+  const { data: forks } = await octokit.rest.repos.listForks({ owner, repo, sort: 'newest', per_page: 100, request });
+  const forkDates = forks.map(fork => fork.created_at);
+  const forksComplete = forks.length < 100 || countSince([forkDates[forkDates.length - 1]], 90) === 0;
+
+  return {
+    stars_last_30_days: countSince(starDates, 30),
+    stars_last_90_days: countSince(starDates, 90),
+    forks_last_30_days: countSince(forkDates, 30),
+    forks_last_90_days: countSince(forkDates, 90),
+    // false when the counts are lower bounds (more activity than was fetched)
+    stars_growth_complete: starsComplete,
+    forks_growth_complete: forksComplete
+  };
+}
+
+/**
+ * Open and closed issue counts (pull requests excluded)
+ */
+async function getIssueStats(owner, repo, request = {}) {
+  const octokit = getOctokit();
+  const [open, closed] = await Promise.all([
+    octokit.rest.search.issuesAndPullRequests({ q: `repo:${owner}/${repo} type:issue state:open`, per_page: 1, request }),
+    octokit.rest.search.issuesAndPullRequests({ q: `repo:${owner}/${repo} type:issue state:closed`, per_page: 1, request })
+  ]);
+
+  const openCount = open.data.total_count;
+  const closedCount = closed.data.total_count;
+  return {
+    open_issues: openCount,
+    closed_issues: closedCount,
+    closed_ratio: openCount + closedCount > 0 ? parseFloat((closedCount / (openCount + closedCount)).toFixed(2)) : null
+  };
+}
+
+/**
+ * Release count, latest release and release frequency
+ */
+async function getReleaseHistory(owner, repo, request = {}) {
+  const { data } = await getOctokit().rest.repos.listReleases({ owner, repo, per_page: 100, request });
+  const published = data
+    .filter(release => !release.draft && release.published_at)
+    .map(release => ({ tag: release.tag_name, published_at: release.published_at, prerelease: release.prerelease }));
+
+  const dates = published.map(release => new Date(release.published_at).getTime()).sort((a, b) => b - a);
+  const gaps = dates.slice(1).map((date, index) => (dates[index] - date) / DAY_MS);
+
+  return {
+    release_count: published.length,
+    release_count_capped: data.length === 100,
+    latest_release: published[0] || null,
+    releases_last_365_days: countSince(published.map(release => release.published_at), 365),
+    average_days_between_releases: gaps.length > 0 ? parseFloat((sum(gaps) / gaps.length).toFixed(1)) : null
+  };
+}
+
+/**
+ * Analyze a GitHub repository's development activity and community
+ * @param {string} repoUrl - Repository URL; for a user/organization URL its most-starred repository is used
+ * @param {Object} options - Analysis options
+ * @param {AbortSignal} options.signal - Aborts the GitHub requests
+ * @returns {Object} Repository metrics, or { success: false, error }
+ */
+async function analyzeGithubRepo(repoUrl, options = {}) {
+  console.log(`LOG: analyzeGithubRepo - Starting for: ${repoUrl}`);
+
+  const parsed = parseGithubUrl(repoUrl);
+  if (!parsed) {
+    return { success: false, error: `Not a GitHub repository URL: ${repoUrl}` };
+  }
+
+  let repo = parsed.repo;
+  if (!repo) {
+    try {
+      repo = await findMainRepository(parsed.owner, { signal: options.signal });
+    } catch (error) {
+      console.error('ERROR: analyzeGithubRepo - Repository search failed:', error.message);
+      return { success: false, error: `GitHub repository search failed: ${error.message}` };
+    }
+    if (!repo) {
+      return { success: false, error: `No public repositories found for ${parsed.owner}` };
+    }
+    console.log(`LOG: analyzeGithubRepo - Using ${parsed.owner}'s most-starred repository: ${repo}`);
+  }
+
+  const key = `${parsed.owner}/${repo}`.toLowerCase();
+  return cachedProviderCall('github', key, () => requestGithubAnalysis(parsed.owner, repo, { signal: options.signal }), {
+    ttlMs: parseInt(process.env.GITHUB_CACHE_TTL_MS, 10) || DEFAULT_GITHUB_CACHE_TTL_MS
+  });
+}
+
+/**
+ * Uncached repository analysis
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} request - Octokit request options ({ signal })
+ * @returns {Object} Repository metrics, or { success: false, error }
+ */
+async function requestGithubAnalysis(owner, repo, request) {
+  let repository;
+  try {
+    ({ data: repository } = await getOctokit().rest.repos.get({ owner, repo, request }));
+  } catch (error) {
+    console.error(`ERROR: analyzeGithubRepo - Failed to fetch ${owner}/${repo}:`, error.message);
+    return {
+      success: false,
+      error: error.status === 404 ? `GitHub repository ${owner}/${repo} not found` : `GitHub API error: ${error.message}`
+    };
+  }
+
+  // The remaining metrics are independent; one failing (e.g. GitHub refusing to list
+  // contributors of a very large repository) leaves the others intact
+  const [commits, contributors, growth, issues, releases] = await Promise.allSettled([
+    getCommitActivity(repository.owner.login, repository.name, request),
+    getContributors(repository.owner.login, repository.name, request),
+    getGrowth(repository.owner.login, repository.name, repository.stargazers_count, request),
+    getIssueStats(repository.owner.login, repository.name, request),
+    getReleaseHistory(repository.owner.login, repository.name, request)
+  ]);
+
+  const errors = [];
+  const valueOf = (result, name) => {
+    if (result.status === 'fulfilled') return result.value;
+    console.error(`ERROR: analyzeGithubRepo - ${name} failed:`, result.reason?.message);
+    errors.push(`${name}: ${result.reason?.message}`);
+    return null;
+  };
+
+  const commitActivity = valueOf(commits, 'commit_activity');
+  const releaseHistory = valueOf(releases, 'releases');
+  const activityDates = [
+    repository.pushed_at,
+    commitActivity?.last_commit_at,
+    releaseHistory?.latest_release?.published_at
+  ].filter(Boolean).sort();
+  const lastActivityAt = activityDates[activityDates.length - 1] || null;
+
+  console.log(`LOG: analyzeGithubRepo - Analysis complete for ${repository.full_name}, ${errors.length} metric(s) failed`);
+
+  return {
+    success: true,
+    repository: {
+      full_name: repository.full_name,
+      url: repository.html_url,
+      description: repository.description ?? null,
+      language: repository.language ?? null,
+      license: repository.license?.spdx_id || null,
+      created_at: repository.created_at,
+      archived: repository.archived,
+      is_fork: repository.fork,
+      age_days: daysSince(repository.created_at)
+    },
+    popularity: {
+      stars: repository.stargazers_count,
+      forks: repository.forks_count,
+      watchers: repository.subscribers_count ?? null,
+      ...valueOf(growth, 'growth')
+    },
+    commit_activity: commitActivity,
+    contributors: valueOf(contributors, 'contributors'),
+    issues: valueOf(issues, 'issues'),
+    releases: releaseHistory,
+    last_activity: {
+      pushed_at: repository.pushed_at,
+      last_activity_at: lastActivityAt,
+      days_since_last_activity: daysSince(lastActivityAt)
+    },
+    errors
+  };
+}
+
+export {
+  parseGithubUrl,
+  extractGithubLinks,
+  discoverGithubLinks,
+  analyzeGithubRepo
+};
@@ -0,0 +1,195 @@
+// server/services/inputParser.js
+import { PublicKey } from '@solana/web3.js';
+import { withRetry } from './tokenHolders.js';
+import { fetchDexScreenerPair } from './dexscreener.js';
+import { parseGithubUrl } from './github.js';
+import { getSolanaConnection } from './solanaRpc.js';
+
+const connection = getSolanaConnection();
+
+const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+const TOKEN_2022_PROGRAM_ID = new PublicKey('TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+
+// SPL account sizes; Token-2022 accounts with extensions store their type at byte 165
+const MINT_ACCOUNT_SIZE = 82;
+const TOKEN_ACCOUNT_SIZE = 165;
+const TOKEN_2022_ACCOUNT_TYPE_MINT = 1;
+
+const SOLANA_ADDRESS = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
+const ADDRESS_SEGMENT = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const TOKEN_PREFIX = /token:([1-9A-HJ-NP-Za-km-z]{32,44})/;
+const CASHTAG = /(?:^|\s)\$([A-Za-z][A-Za-z0-9_]{0,19})(?![A-Za-z0-9_])/;
+const URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})(\/[^\s]*)?/gi;
+
+// Sites whose token pages carry the address in the path
+const URL_SOURCES = [
+  { kind: 'dexscreener_url', host: 'dexscreener.com' },
+  { kind: 'birdeye_url', host: 'birdeye.so' },
+  { kind: 'solscan_url', host: 'solscan.io' },
+  { kind: 'pumpfun_url', host: 'pump.fun' }
+];
+
+/**
+ * Find the address in a DexScreener, Birdeye, Solscan or pump.fun URL
+ * @param {string} text - User input
+ * @returns {Object|null} { kind, address, url } for the first supported URL
+ */
+function parseTokenUrl(text) {
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const host = match[1].toLowerCase();
+    const source = URL_SOURCES.find(candidate => host === candidate.host || host.endsWith(`.${candidate.host}`));
+    if (!source) continue;
+
+    // dexscreener.com/solana/<pair or mint>, birdeye.so/token/<mint>?chain=solana,
+    // solscan.io/token/<mint>, pump.fun/coin/<mint>
+    const address = (match[2] || '').split(/[/?#&=]/).find(segment => ADDRESS_SEGMENT.test(segment));
+    if (address) {
+      return { kind: source.kind, address, url: match[0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Classify user input without any network calls
+ * @param {string} text - User input
+ * @returns {Object} { input_kind, value, url } where input_kind is token_prefix,
+ *   dexscreener_url, birdeye_url, solscan_url, pumpfun_url, github_url, address, cashtag or project_name
+ */
+function parseInputText(text) {
+  const input = String(text || '').trim();
+
+  const tokenMatch = input.match(TOKEN_PREFIX);
+  if (tokenMatch) {
+    return { input_kind: 'token_prefix', value: tokenMatch[1], url: null };
+  }
+
+  const url = parseTokenUrl(input);
+  if (url) {
+    return { input_kind: url.kind, value: url.address, url: url.url };
+  }
+
+  const github = parseGithubUrl(input);
+  if (github) {
+    return {
+      input_kind: 'github_url',
+      value: github.repo || github.owner,
+      url: `https://github.com/${github.owner}${github.repo ? `/${github.repo}` : ''}`
+    };
+  }
+
+  const address = input.match(SOLANA_ADDRESS);
+  if (address) {
+    return { input_kind: 'address', value: address[0], url: null };
+  }
+
+  const cashtag = input.match(CASHTAG);
+  if (cashtag) {
+    return { input_kind: 'cashtag', value: cashtag[1], url: null };
+  }
+
+  return { input_kind: 'project_name', value: input, url: null };
+}
+
+/**
+ * Check on-chain what kind of account an address is
+ * @param {string} address - Account address
+ * @returns {string} mint, token_account, program, account, not_found or unknown (RPC failed)
+ */
+async function getAccountKind(address) {
+  try {
+    const info = await withRetry(async () => connection.getAccountInfo(new PublicKey(address)), {
+      maxRetries: 2,
+      initialDelayMs: 1000,
+      maxDelayMs: 5000,
+      backoffFactor: 2,
+      jitterFactor: 0.2
+    });
+
+    if (!info) return 'not_found';
+    if (info.executable) return 'program';
+
+    if (info.owner.equals(TOKEN_PROGRAM_ID)) {
+      return info.data.length === MINT_ACCOUNT_SIZE ? 'mint' : 'token_account';
+    }
+    if (info.owner.equals(TOKEN_2022_PROGRAM_ID)) {
+      const isMint = info.data.length === MINT_ACCOUNT_SIZE ||
+        (info.data.length > TOKEN_ACCOUNT_SIZE && info.data[TOKEN_ACCOUNT_SIZE] === TOKEN_2022_ACCOUNT_TYPE_MINT);
+      return isMint ? 'mint' : 'token_account';
+    }
+
+    // Owned by some other program - AMM pools and bonding curves land here
+    return 'account';
+  } catch (error) {
+    console.error(`ERROR: getAccountKind - Failed to fetch account ${address}:`, error.message);
+    return 'unknown';
+  }
+}
+
+/**
+ * Turn user input into the mint or project name to analyze. Addresses that are
+ * not mints on-chain are looked up as DexScreener pairs and replaced by the
+ * pair's base mint.
+ * @param {string} text - User input
+ * @returns {Object} { type: contract_address|project_name, value, confidence, input }
+ */
+async function resolveInput(text) {
+  const parsed = parseInputText(text);
+  console.log(`LOG: resolveInput - Detected ${parsed.input_kind}: ${parsed.value}`);
+
+  const input = {
+    kind: parsed.input_kind,
+    value: parsed.value,
+    url: parsed.url,
+    // mint, pair, or the on-chain account kind when it is neither (see getAccountKind)
+    address_type: null,
+    pair_address: null,
+    dex: null,
+    resolved_mint: null
+  };
+
+  if (parsed.input_kind === 'project_name' || parsed.input_kind === 'cashtag' || parsed.input_kind === 'github_url') {
+    return {
+      type: 'project_name',
+      value: parsed.value,
+      confidence: parsed.input_kind === 'project_name' ? 'medium' : 'high',
+      input
+    };
+  }
+
+  // An explicit token: prefix is trusted as a mint
+  if (parsed.input_kind === 'token_prefix') {
+    input.address_type = 'mint';
+    input.resolved_mint = parsed.value;
+    return { type: 'contract_address', value: parsed.value, confidence: 'high', input };
+  }
+
+  input.address_type = await getAccountKind(parsed.value);
+
+  if (input.address_type !== 'mint') {
+    const pair = await fetchDexScreenerPair(parsed.value);
+    if (pair.success) {
+      console.log(`LOG: resolveInput - ${parsed.value} is a ${pair.dex} pair, base mint: ${pair.base_token.address}`);
+      input.address_type = 'pair';
+      input.pair_address = parsed.value;
+      input.dex = pair.dex;
+      input.resolved_mint = pair.base_token.address;
+      return { type: 'contract_address', value: pair.base_token.address, confidence: 'high', input };
+    }
+  }
+
+  // A mint, or an address we could not identify - analyze it as given
+  input.resolved_mint = parsed.value;
+  return {
+    type: 'contract_address',
+    value: parsed.value,
+    confidence: input.address_type === 'mint' ? 'high' : 'medium',
+    input
+  };
+}
+
+export {
+  parseInputText,
+  getAccountKind,
+  resolveInput
+};
@@ -0,0 +1,261 @@
+// server/services/jobQueue.js
+import { randomUUID } from 'crypto';
+import { createStore } from './store.js';
+import { runAnalysis } from './analysisRunner.js';
+import { currentUsageAccount, runWithUsage } from './usage.js';
+
+// Finished jobs are kept this long for later retrieval
+const DEFAULT_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Asynchronous analysis job queue with bounded concurrency and cancellation.
+ * Job records are persisted in a store so results survive the request that
+ * created them; running jobs are tracked in memory with their AbortController,
+ * so only the process running a job can cancel it.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of analyses running at once
+   * @param {Object} options.store - Key/value store for job records (see store.js)
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 2;
+    this.store = options.store;
+    this.pending = [];
+    this.active = new Map();
+    this.writes = new Map();
+    // Usage account of each pending or running job, captured at submit time
+    this.accounts = new Map();
+  }
+
+  /**
+   * Persist a job record - writes for the same job are serialized so a slow
+   * progress update can never overwrite a later status
+   * @param {Object} job - Job record
+   */
+  persist(job) {
+    const previous = this.writes.get(job.id) || Promise.resolve();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const write = previous
+      .then(() => this.store.set(job.id, snapshot))
+      .catch(error => {
+        console.error(`ERROR: JobQueue.persist - Failed to persist job ${job.id}:`, error.message);
+      });
+
+    this.writes.set(job.id, write);
+    write.then(() => {
+      if (this.writes.get(job.id) === write) this.writes.delete(job.id);
+    });
+    return write;
+  }
+
+  /**
+   * Queue a new analysis job
+   * @param {Object} params - Job parameters
+   * @param {string} params.query - Analysis query
+   * @param {string} params.sessionId - Optional session to store the resulting state in
+   * @param {string} params.llmProvider - Optional LLM provider (defaults to LLM_PROVIDER)
+   * @param {string} params.profile - Optional analysis depth profile (defaults to ANALYSIS_PROFILE)
+   * @param {boolean} params.debate - Optional bull/bear/judge debate mode for the assessment
+   * @returns {Object} Job record
+   */
+  async submit({ query, sessionId, llmProvider, profile, debate }) {
+    const account = currentUsageAccount();
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      query,
+      session_id: sessionId || null,
+      llm_provider: llmProvider || null,
+      profile: profile || null,
+      debate: Boolean(debate),
+      api_key_id: account?.keyId || null,
+      current_step: null,
+      steps: {},
+      result: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+
+    console.log(`LOG: JobQueue.submit - Queued job ${job.id} for query: ${query}`);
+    await this.persist(job);
+
+    if (account) this.accounts.set(job.id, account);
+    this.pending.push(job);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Look up a job by id
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Job record
+   */
+  async get(jobId) {
+    const running = this.active.get(jobId);
+    if (running) return running.job;
+
+    const queued = this.pending.find(job => job.id === jobId);
+    if (queued) return queued;
+
+    return await this.store.get(jobId);
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job identifier
+   * @returns {Object|null} Updated job record, or null if unknown
+   */
+  async cancel(jobId) {
+    const queuedIndex = this.pending.findIndex(job => job.id === jobId);
+    if (queuedIndex !== -1) {
+      const [job] = this.pending.splice(queuedIndex, 1);
+      this.accounts.delete(jobId);
+      console.log(`LOG: JobQueue.cancel - Cancelled queued job ${jobId}`);
+      return await this.finish(job, 'cancelled', { error: 'Cancelled before start' });
+    }
+
+    const running = this.active.get(jobId);
+    if (running) {
+      // The pipeline stops at its next step boundary; run() records the final status
+      console.log(`LOG: JobQueue.cancel - Cancelling running job ${jobId}`);
+      running.controller.abort();
+      running.job.status = 'cancelling';
+      await this.persist(running.job);
+      return running.job;
+    }
+
+    return await this.store.get(jobId);
+  }
+
+  /**
+   * Fail the jobs a previous process left queued or running. Their pending
+   * list and AbortControllers died with that process, so nothing would ever
+   * finish them. Call once at startup, before accepting jobs.
+   * @returns {number} Number of jobs marked as interrupted
+   */
+  async recoverInterrupted() {
+    let recovered = 0;
+    for (const jobId of await this.store.keys()) {
+      if (this.active.has(jobId) || this.pending.some(job => job.id === jobId)) continue;
+
+      const job = await this.store.get(jobId);
+      if (!job || isJobFinished(job)) continue;
+
+      await this.finish(job, 'failed', { error: `Interrupted: the server restarted while the job was ${job.status}` });
+      recovered++;
+    }
+
+    if (recovered > 0) {
+      console.log(`LOG: JobQueue.recoverInterrupted - Marked ${recovered} interrupted jobs as failed`);
+    }
+    return recovered;
+  }
+
+  // Start queued jobs while there is free capacity
+  pump() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.run(job).catch(error => {
+        console.error(`ERROR: JobQueue.run - Job ${job.id} crashed:`, error);
+      });
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.active.set(job.id, { job, controller });
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    await this.persist(job);
+
+    const onProgress = (event) => {
+      if (event.type === 'step_started') {
+        job.current_step = event.step;
+      }
+      job.steps[event.step] = event.type.replace('step_', '');
+      this.persist(job);
+    };
+
+    // Jobs start from whichever request or job freed a slot, so the submitter's
+    // usage account is bound explicitly
+    const account = this.accounts.get(job.id);
+    const analyze = () => runAnalysis({
+      query: job.query,
+      sessionId: job.session_id,
+      llmProvider: job.llm_provider || undefined,
+      profile: job.profile || undefined,
+      debate: job.debate,
+      onProgress,
+      signal: controller.signal
+    });
+
+    try {
+      const { response } = account ? await runWithUsage(account, analyze) : await analyze();
+      await this.finish(job, 'completed', { result: response });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.finish(job, 'cancelled', { error: 'Cancelled by client' });
+      } else {
+        console.error(`ERROR: JobQueue.run - Job ${job.id} failed:`, error);
+        await this.finish(job, 'failed', { error: error.message });
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.accounts.delete(job.id);
+      this.pump();
+    }
+  }
+
+  async finish(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.current_step = null;
+    job.finished_at = new Date().toISOString();
+
+    console.log(`LOG: JobQueue - Job ${job.id} finished with status: ${status}`);
+    await this.persist(job);
+    return job;
+  }
+}
+
+/**
+ * Check whether a job has reached a terminal status
+ * @param {Object} job - Job record
+ * @returns {boolean} True when the job can no longer change
+ */
+function isJobFinished(job) {
+  return FINISHED_STATUSES.includes(job.status);
+}
+
+let sharedJobQueue = null;
+
+/**
+ * Get the process-wide job queue, creating it on first use
+ * JOB_CONCURRENCY bounds parallel analyses, JOB_RETENTION_MS how long finished jobs are kept
+ * @returns {JobQueue} Shared job queue
+ */
+function getJobQueue() {
+  if (!sharedJobQueue) {
+    sharedJobQueue = new JobQueue({
+      concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+      store: createStore('jobs', {
+        ttlMs: parseInt(process.env.JOB_RETENTION_MS, 10) || DEFAULT_JOB_RETENTION_MS
+      })
+    });
+  }
+  return sharedJobQueue;
+}
+
+export {
+  JobQueue,
+  getJobQueue,
+  isJobFinished
+};
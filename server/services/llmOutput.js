@@ -0,0 +1,186 @@
+// server/services/llmOutput.js
+import { z } from 'zod';
+import { formatIssues } from '../middleware/validation.js';
+
+// Value for required string fields the model could not fill
+const UNKNOWN = 'Unknown';
+
+/**
+ * Number of repair prompts after the first answer fails validation
+ * LLM_REPAIR_ATTEMPTS overrides the default of 2 (0 disables repairs)
+ * @returns {number} Maximum repair attempts
+ */
+function maxRepairAttempts() {
+  const configured = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : 2;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parse a model response as JSON, accepting a fenced ```json block or the
+ * outermost braces when the model wraps the object in prose
+ * @param {string} text - Model response
+ * @returns {Object} { value } on success, { error } otherwise
+ */
+function parseJsonResponse(text) {
+  const attempts = [
+    text,
+    text.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/)?.[1],
+    text.match(/{[\s\S]*}/)?.[0]
+  ].filter(Boolean);
+
+  let lastError = 'Response is empty';
+  for (const candidate of attempts) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+  return { error: lastError };
+}
+
+function unwrapSchema(schema) {
+  let inner = schema;
+  let optional = false;
+  let declaredDefault;
+  while (inner instanceof z.ZodOptional || inner instanceof z.ZodNullable || inner instanceof z.ZodDefault) {
+    if (inner instanceof z.ZodOptional) optional = true;
+    if (inner instanceof z.ZodDefault && declaredDefault === undefined) declaredDefault = inner._def.defaultValue();
+    inner = inner instanceof z.ZodDefault ? inner._def.innerType : inner.unwrap();
+  }
+  return { inner, optional, declaredDefault };
+}
+
+function unknownValue(schema, declaredDefault) {
+  if (declaredDefault !== undefined) return declaredDefault;
+  if (schema instanceof z.ZodString) return UNKNOWN;
+  // Enums only get a value they allow: their default, or 'Unknown' when it is an option
+  if (schema instanceof z.ZodEnum && schema.options.includes(UNKNOWN)) return UNKNOWN;
+  if (schema instanceof z.ZodArray) return [];
+  if (schema instanceof z.ZodRecord) return {};
+  return null;
+}
+
+/**
+ * Coerce a partial object into the shape of an object schema: valid fields are
+ * kept, invalid optional fields dropped, and invalid required fields replaced by
+ * an unknown value and reported by path: the declared default, 'Unknown' for
+ * strings and enums that allow it, [] or {} for lists and records, otherwise null
+ * @param {z.ZodObject} schema - Object schema
+ * @param {any} value - Partial model output
+ * @param {Array<string>} unknownFields - Collects the paths marked unknown
+ * @param {Array<string>} path - Path of value within the root object
+ * @returns {Object} Object with every required field present
+ */
+function fillUnknownFields(schema, value, unknownFields = [], path = []) {
+  const source = isPlainObject(value) ? value : {};
+  const shape = schema.shape;
+  const result = {};
+
+  // Extra fields pass through like they do for .passthrough() schemas
+  for (const [key, extra] of Object.entries(source)) {
+    if (!(key in shape)) result[key] = extra;
+  }
+
+  for (const [key, fieldSchema] of Object.entries(shape)) {
+    const fieldValue = source[key];
+    const fieldPath = [...path, key];
+
+    const parsed = fieldSchema.safeParse(fieldValue);
+    if (parsed.success) {
+      // parsed.data also carries declared defaults of missing fields
+      if (parsed.data !== undefined) result[key] = parsed.data;
+      continue;
+    }
+
+    const { inner, optional, declaredDefault } = unwrapSchema(fieldSchema);
+
+    if (inner instanceof z.ZodObject && (!optional || isPlainObject(fieldValue))) {
+      result[key] = fillUnknownFields(inner, fieldValue, unknownFields, fieldPath);
+    } else if (inner instanceof z.ZodArray && Array.isArray(fieldValue)) {
+      // Keep the items that are valid rather than discarding the whole list
+      result[key] = fieldValue.filter(item => inner.element.safeParse(item).success);
+    } else if (!optional) {
+      result[key] = unknownValue(inner, declaredDefault);
+      unknownFields.push(fieldPath.join('.'));
+    }
+  }
+
+  return result;
+}
+
+function buildRepairPrompt(prompt, response, issues) {
+  return `${prompt}
+
+    Your previous response was:
+    ${response}
+
+    It does not match the required JSON structure:
+    ${issues.map(issue => `- ${issue.path || '(root)'}: ${issue.message}`).join('\n    ')}
+
+    Return the corrected analysis as a single JSON object with every required field, and nothing else.`;
+}
+
+/**
+ * Ask the model for JSON matching an object schema. Answers that do not parse or
+ * validate are sent back with the list of problems, up to maxRepairAttempts times;
+ * whatever is still missing afterwards is marked unknown, so the result always
+ * has every required field.
+ * @param {Object} llm - Chat model with a predict(prompt) method
+ * @param {string} prompt - Prompt asking for JSON
+ * @param {z.ZodObject} schema - Expected structure
+ * @param {Object} options - Options
+ * @param {string} options.label - Caller name for log lines
+ * @param {number} options.maxRepairs - Override for the repair attempt limit
+ * @param {AbortSignal} options.signal - Aborts the model calls
+ * @returns {Object} { data, unknownFields, repairAttempts, issues }
+ */
+async function generateValidatedJson(llm, prompt, schema, options = {}) {
+  const label = options.label || 'generateValidatedJson';
+  const maxRepairs = options.maxRepairs ?? maxRepairAttempts();
+
+  let response = await llm.predict(prompt, { signal: options.signal });
+  let candidate = null;
+  let issues = [];
+  let attempt = 0;
+
+  while (true) {
+    console.log(`LOG: ${label} - Validating LLM response, length: ${response.length}`);
+    const parsed = parseJsonResponse(response);
+
+    if (parsed.error) {
+      issues = [{ path: '', message: `Response is not valid JSON: ${parsed.error}`, code: 'invalid_json' }];
+    } else {
+      candidate = parsed.value;
+      const result = schema.safeParse(candidate);
+      if (result.success) {
+        return { data: result.data, unknownFields: [], repairAttempts: attempt, issues: [] };
+      }
+      issues = formatIssues(result.error.issues);
+    }
+
+    if (attempt >= maxRepairs) break;
+    attempt++;
+
+    console.log(`LOG: ${label} - Response has ${issues.length} problem(s), repair attempt ${attempt}/${maxRepairs}`);
+    response = await llm.predict(buildRepairPrompt(prompt, response, issues), { signal: options.signal });
+  }
+
+  // Out of attempts: keep what the last parseable answer got right
+  const unknownFields = [];
+  const data = fillUnknownFields(schema, candidate, unknownFields);
+  console.error(`ERROR: ${label} - Response still invalid after ${attempt} repair attempt(s), marked unknown: ${unknownFields.join(', ') || 'none'}`);
+
+  return { data, unknownFields, repairAttempts: attempt, issues };
+}
+
+export {
+  UNKNOWN,
+  parseJsonResponse,
+  fillUnknownFields,
+  generateValidatedJson
+};
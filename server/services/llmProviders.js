@@ -0,0 +1,223 @@
+// server/services/llmProviders.js
+import fs from 'fs';
+import axios from 'axios';
+import { ChatOpenAI } from '@langchain/openai';
+import { createLLMUsageCallbacks, currentUsageAccount, recordUsage } from './usage.js';
+
+// Every provider returns a model with the predict(prompt, options) method the agent uses;
+// options.signal aborts the call
+const LLM_PROVIDERS = ['openai', 'openai-compatible', 'anthropic', 'fake'];
+
+const DEFAULT_FIXTURES_PATH = new URL('../fixtures/llmFixtures.json', import.meta.url);
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+/**
+ * Chat model for the Anthropic Messages API
+ */
+class AnthropicChatModel {
+  /**
+   * @param {Object} options - Model options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.model - Model name
+   * @param {number} options.maxTokens - Maximum tokens per answer
+   * @param {UsageAccount} options.account - Account charged for calls and tokens
+   */
+  constructor(options) {
+    this.model = options.model;
+    this.maxTokens = options.maxTokens;
+    this.account = options.account;
+    // A dedicated instance, so LLM calls are not also counted as provider calls
+    this.client = axios.create({
+      baseURL: ANTHROPIC_API_URL,
+      timeout: 120000,
+      headers: {
+        'x-api-key': options.apiKey,
+        'anthropic-version': ANTHROPIC_API_VERSION,
+        'content-type': 'application/json'
+      }
+    });
+  }
+
+  async predict(prompt, options = {}) {
+    const response = await this.client.post('/messages', {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: 0,
+      messages: [{ role: 'user', content: prompt }]
+    }, { signal: options.signal });
+
+    const usage = response.data.usage || {};
+    recordUsage('llm_calls', 1, this.account);
+    recordUsage('llm_tokens', (usage.input_tokens || 0) + (usage.output_tokens || 0), this.account);
+
+    return (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
+
+/**
+ * Deterministic offline model: answers every prompt with the first fixture whose
+ * `match` text (or every text of a `match` array) occurs in the prompt. Fixtures
+ * from LLM_FAKE_FIXTURES are tried before the built-in ones in
+ * server/fixtures/llmFixtures.json.
+ */
+class FakeChatModel {
+  /**
+   * @param {Object} options - Model options
+   * @param {Array} options.fixtures - Fixtures ({ name, match, response }) in match order
+   * @param {UsageAccount} options.account - Account charged for calls and tokens
+   */
+  constructor(options) {
+    this.fixtures = options.fixtures;
+    this.account = options.account;
+    this.calls = [];
+  }
+
+  async predict(prompt, options = {}) {
+    options.signal?.throwIfAborted();
+    const fixture = this.fixtures.find(candidate => [].concat(candidate.match).every(text => prompt.includes(text)));
+    if (!fixture) {
+      throw new Error('No LLM fixture matches the prompt');
+    }
+
+    const response = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    this.calls.push({ fixture: fixture.name || null, prompt_length: prompt.length });
+
+    // Rough token estimate so quotas behave like they do with a real provider
+    recordUsage('llm_calls', 1, this.account);
+    recordUsage('llm_tokens', Math.ceil((prompt.length + response.length) / 4), this.account);
+
+    return response;
+  }
+}
+
+function readFixtures(path) {
+  const fixtures = JSON.parse(fs.readFileSync(path, 'utf8'));
+  if (!Array.isArray(fixtures)) {
+    throw new Error(`LLM fixtures in ${path} must be an array`);
+  }
+  return fixtures;
+}
+
+let builtInFixtures = null;
+
+function loadFixtures() {
+  if (!builtInFixtures) {
+    builtInFixtures = readFixtures(DEFAULT_FIXTURES_PATH);
+  }
+  // Custom fixtures are re-read for every model so they can be edited between runs
+  const custom = process.env.LLM_FAKE_FIXTURES ? readFixtures(process.env.LLM_FAKE_FIXTURES) : [];
+  return [...custom, ...builtInFixtures];
+}
+
+/**
+ * Whether the offline fixture provider may be used: only in tests (NODE_ENV=test)
+ * or when explicitly enabled (LLM_ENABLE_FAKE=1), so a client can never get
+ * fixture text passed off as an analysis from a production server
+ * @returns {boolean} True when `fake` is enabled
+ */
+function isFakeProviderEnabled() {
+  return process.env.NODE_ENV === 'test' || process.env.LLM_ENABLE_FAKE === '1';
+}
+
+/**
+ * Provider used when a request does not choose one (LLM_PROVIDER, default openai)
+ * @returns {string} Provider name
+ */
+function defaultLLMProvider() {
+  return process.env.LLM_PROVIDER || 'openai';
+}
+
+/**
+ * Why a provider cannot be used in this deployment
+ * @param {string} provider - Provider name
+ * @returns {string|null} Reason, or null when the provider is usable
+ */
+function providerUnavailableReason(provider) {
+  if (!LLM_PROVIDERS.includes(provider)) {
+    return `Unknown LLM provider: ${provider}`;
+  }
+
+  const allowed = (process.env.LLM_ALLOWED_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (allowed.length > 0 && !allowed.includes(provider) && provider !== defaultLLMProvider()) {
+    return `LLM provider ${provider} is not enabled on this server`;
+  }
+
+  if (provider === 'openai' && !process.env.OPENAI_API_KEY) {
+    return 'OPENAI_API_KEY is not set';
+  }
+  if (provider === 'openai-compatible' && !process.env.OPENAI_COMPATIBLE_BASE_URL) {
+    return 'OPENAI_COMPATIBLE_BASE_URL is not set';
+  }
+  if (provider === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
+    return 'ANTHROPIC_API_KEY is not set';
+  }
+  if (provider === 'fake' && !isFakeProviderEnabled()) {
+    return 'The fake LLM provider is only available with NODE_ENV=test or LLM_ENABLE_FAKE=1';
+  }
+
+  return null;
+}
+
+/**
+ * Create the chat model for a provider, configured from the environment
+ * @param {string} provider - Provider name (defaults to LLM_PROVIDER)
+ * @returns {Object} Chat model with a predict(prompt, options) method
+ */
+function createChatModel(provider = defaultLLMProvider()) {
+  // Charge LLM calls and tokens to the API key of the request creating the model
+  const account = currentUsageAccount();
+  console.log(`LOG: createChatModel - Creating ${provider} chat model`);
+
+  switch (provider) {
+    case 'openai':
+      return new ChatOpenAI({
+        temperature: 0,
+        modelName: process.env.OPENAI_MODEL || 'gpt-4',
+        callbacks: createLLMUsageCallbacks(account)
+      });
+
+    case 'openai-compatible':
+      // llama.cpp, Ollama, vLLM and similar servers expose the OpenAI chat API
+      return new ChatOpenAI({
+        temperature: 0,
+        modelName: process.env.OPENAI_COMPATIBLE_MODEL || 'local-model',
+        // These servers usually ignore the key, but the client requires one
+        openAIApiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+        configuration: { baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL },
+        callbacks: createLLMUsageCallbacks(account)
+      });
+
+    case 'anthropic':
+      return new AnthropicChatModel({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+        maxTokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS, 10) || 4096,
+        account
+      });
+
+    case 'fake':
+      // Also guards LLM_PROVIDER=fake, which requests never pass through providerUnavailableReason
+      if (!isFakeProviderEnabled()) {
+        throw new Error('The fake LLM provider is only available with NODE_ENV=test or LLM_ENABLE_FAKE=1');
+      }
+      return new FakeChatModel({ fixtures: loadFixtures(), account });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+}
+
+export {
+  LLM_PROVIDERS,
+  AnthropicChatModel,
+  FakeChatModel,
+  isFakeProviderEnabled,
+  defaultLLMProvider,
+  providerUnavailableReason,
+  createChatModel
+};
@@ -0,0 +1,350 @@
+// server/services/marketFeed.js
+import { fetchDexScreenerData } from './dexscreener.js';
+import { getSessionStore } from './sessionStore.js';
+import { getAnalysis, listTokenAnalyses } from './analysisHistory.js';
+import { getUsageLedger, runWithUsage } from './usage.js';
+import { ERROR_CODES } from '../middleware/errors.js';
+
+const TRANSACTION_WINDOWS = ['h24', 'h6', 'h1', 'm5'];
+
+/**
+ * Reduce DexScreener market data to the numbers the live feed tracks
+ * @param {Object} marketData - Result of fetchDexScreenerData
+ * @returns {Object} Market snapshot
+ */
+function extractMarketSnapshot(marketData) {
+  const transactions = {};
+  for (const window of TRANSACTION_WINDOWS) {
+    const counts = marketData.transactions?.[window] || {};
+    transactions[window] = {
+      buys: counts.buys || 0,
+      sells: counts.sells || 0,
+      total: counts.total || 0
+    };
+  }
+
+  return {
+    price_usd: marketData.price_usd ?? null,
+    liquidity_usd: marketData.liquidity_usd ?? null,
+    market_cap: marketData.market_cap ?? null,
+    fdv: marketData.fdv ?? null,
+    volume_24h: marketData.volume?.h24 ?? null,
+    volume_1h: marketData.volume?.h1 ?? null,
+    price_change_24h: marketData.price_change?.h24 ?? null,
+    transactions,
+    fetched_at: new Date().toISOString()
+  };
+}
+
+function numericDelta(previous, current) {
+  if (typeof previous !== 'number' || typeof current !== 'number' || previous === current) return null;
+  return {
+    previous,
+    current,
+    change: current - previous,
+    change_pct: previous !== 0 ? parseFloat(((current - previous) / previous * 100).toFixed(4)) : null
+  };
+}
+
+/**
+ * Changes between two snapshots of the same mint
+ * @param {Object} previous - Earlier snapshot
+ * @param {Object} current - Latest snapshot
+ * @returns {Object|null} Changed metrics, or null when nothing moved
+ */
+function computeMarketDeltas(previous, current) {
+  const deltas = {};
+
+  for (const field of ['price_usd', 'liquidity_usd', 'market_cap', 'fdv', 'volume_24h', 'volume_1h']) {
+    const delta = numericDelta(previous[field], current[field]);
+    if (delta) deltas[field] = delta;
+  }
+
+  const transactions = {};
+  for (const window of TRANSACTION_WINDOWS) {
+    const before = previous.transactions[window];
+    const after = current.transactions[window];
+    if (before.buys !== after.buys || before.sells !== after.sells) {
+      transactions[window] = {
+        buys: after.buys - before.buys,
+        sells: after.sells - before.sells,
+        total: after.total - before.total
+      };
+    }
+  }
+  if (Object.keys(transactions).length > 0) deltas.transactions = transactions;
+
+  return Object.keys(deltas).length > 0 ? deltas : null;
+}
+
+/**
+ * Compare live numbers with the numbers an analysis was based on
+ * @param {Object} baseline - Analysis baseline (see loadAnalysisBaseline)
+ * @param {Object} snapshot - Latest snapshot
+ * @param {Object} thresholds - Percent move per metric that counts as significant
+ * @returns {Array} Alerts for every metric past its threshold
+ */
+function detectSignificantMoves(baseline, snapshot, thresholds) {
+  if (!baseline) return [];
+
+  const alerts = [];
+  for (const [field, threshold] of Object.entries(thresholds)) {
+    const delta = numericDelta(baseline[field], snapshot[field]);
+    if (delta && delta.change_pct !== null && Math.abs(delta.change_pct) >= threshold) {
+      alerts.push({
+        metric: field,
+        baseline: delta.previous,
+        current: delta.current,
+        change_pct: delta.change_pct,
+        threshold_pct: threshold,
+        direction: delta.change > 0 ? 'up' : 'down'
+      });
+    }
+  }
+  return alerts;
+}
+
+const BASELINE_FIELDS = ['price_usd', 'liquidity_usd', 'volume_24h'];
+
+// Stored analyses searched for baseline figures the newer ones lack
+const BASELINE_HISTORY_LIMIT = 20;
+
+function baselineFigure(marketData, field) {
+  const value = field === 'volume_24h' ? marketData.volume?.h24 : marketData[field];
+  return typeof value === 'number' ? value : null;
+}
+
+/**
+ * Take the figures the baseline still lacks from an analysis' market data
+ * @param {Object} baseline - Baseline being built
+ * @param {Object} marketData - Market data the analysis was based on
+ * @param {Object} origin - { source, analysis_id, analyzed_at } of the analysis
+ */
+function addBaselineFigures(baseline, marketData, origin) {
+  if (!marketData || !marketData.success) return;
+
+  for (const field of BASELINE_FIELDS) {
+    const value = baselineFigure(marketData, field);
+    if (baseline[field] !== null || value === null) continue;
+
+    baseline[field] = value;
+    baseline.figure_sources[field] = origin;
+    // The newest analysis contributing a figure describes the baseline as a whole
+    if (!baseline.source) Object.assign(baseline, origin);
+  }
+}
+
+function isBaselineComplete(baseline) {
+  return BASELINE_FIELDS.every(field => baseline[field] !== null);
+}
+
+/**
+ * Market numbers of the last successful analysis of a mint: the session's analysis
+ * when it covers this mint, otherwise the newest completed stored analysis. Each
+ * figure comes from the newest such analysis that has it, so a failed analysis or
+ * one without market data does not leave the feed without a baseline.
+ * @param {string} mint - Token mint address
+ * @param {Object} options - Baseline options
+ * @param {string} options.sessionId - Session whose last analysis should be used
+ * @returns {Object|null} Baseline numbers with the analyses they came from
+ */
+async function loadAnalysisBaseline(mint, options = {}) {
+  const baseline = { source: null, analysis_id: null, analyzed_at: null, figure_sources: {} };
+  for (const field of BASELINE_FIELDS) baseline[field] = null;
+
+  if (options.sessionId) {
+    const state = await getSessionStore().load(options.sessionId);
+    if (state && state.contractAddress === mint && state.finalAnalysis && !state.finalAnalysis.error) {
+      addBaselineFigures(baseline, state.marketData, {
+        source: 'session',
+        analysis_id: state.analysisId || null,
+        analyzed_at: state.finalAnalysis.timestamp || null
+      });
+    }
+  }
+
+  if (!isBaselineComplete(baseline)) {
+    const { analyses } = await listTokenAnalyses(mint, { limit: BASELINE_HISTORY_LIMIT });
+    for (const entry of analyses) {
+      if (entry.status !== 'completed') continue;
+      // The session's analysis is usually stored too
+      if (entry.id === baseline.analysis_id) continue;
+
+      const record = await getAnalysis(entry.id);
+      if (!record) continue;
+      addBaselineFigures(baseline, record.raw_outputs?.market_data, {
+        source: 'history',
+        analysis_id: record.id,
+        analyzed_at: record.created_at
+      });
+      if (isBaselineComplete(baseline)) break;
+    }
+  }
+
+  return baseline.source ? baseline : null;
+}
+
+/**
+ * Polls market data once per subscribed mint, however many subscribers it has,
+ * and pushes snapshots and deltas to each subscriber.
+ * A subscriber is any object with a send(message) method; its apiKeyId, when set,
+ * names the key whose usage account the polls are charged to.
+ */
+class MarketFeed {
+  /**
+   * @param {Object} options - Feed options
+   * @param {number} options.intervalMs - Poll interval per mint
+   * @param {Object} options.thresholds - Percent moves against the analysis baseline that are flagged
+   * @param {Function} options.fetchMarketData - Market data source (defaults to uncached DexScreener)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || 15000;
+    this.thresholds = options.thresholds || { price_usd: 10, liquidity_usd: 20, volume_24h: 50 };
+    this.fetchMarketData = options.fetchMarketData || (mint => fetchDexScreenerData(mint, { fresh: true }));
+    this.feeds = new Map();
+  }
+
+  /**
+   * Subscribe to a mint; the latest snapshot is sent right away when there is one
+   * @param {Object} subscriber - Receives feed messages
+   * @param {string} mint - Token mint address
+   * @param {Object} baseline - Analysis baseline for significant-move detection
+   */
+  subscribe(subscriber, mint, baseline = null) {
+    let feed = this.feeds.get(mint);
+    if (!feed) {
+      console.log(`LOG: MarketFeed.subscribe - Starting feed for ${mint}`);
+      // The first poll is charged to this subscriber, so it is registered before polling starts
+      feed = { subscribers: new Map([[subscriber, baseline]]), latest: null, timer: null, polling: false };
+      this.feeds.set(mint, feed);
+      feed.timer = setInterval(() => this.poll(mint), this.intervalMs);
+      this.poll(mint);
+      return;
+    }
+
+    feed.subscribers.set(subscriber, baseline);
+
+    if (feed.latest) {
+      subscriber.send(this.buildMessage('snapshot', mint, feed.latest, null, baseline));
+    }
+  }
+
+  unsubscribe(subscriber, mint) {
+    const feed = this.feeds.get(mint);
+    if (!feed) return;
+
+    feed.subscribers.delete(subscriber);
+    if (feed.subscribers.size === 0) {
+      console.log(`LOG: MarketFeed.unsubscribe - No subscribers left, stopping feed for ${mint}`);
+      clearInterval(feed.timer);
+      this.feeds.delete(mint);
+    }
+  }
+
+  unsubscribeAll(subscriber) {
+    for (const mint of [...this.feeds.keys()]) {
+      this.unsubscribe(subscriber, mint);
+    }
+  }
+
+  buildMessage(type, mint, snapshot, deltas, baseline) {
+    const alerts = detectSignificantMoves(baseline, snapshot, this.thresholds);
+    return {
+      type,
+      mint,
+      data: snapshot,
+      ...(deltas ? { deltas } : {}),
+      baseline,
+      significant_move: alerts.length > 0,
+      alerts
+    };
+  }
+
+  async poll(mint) {
+    const feed = this.feeds.get(mint);
+    // Skip a tick while the previous request for this mint is still in flight
+    if (!feed || feed.polling) return;
+    feed.polling = true;
+
+    try {
+      const account = await this.pollingAccount(feed);
+      const marketData = await runWithUsage(account, () => this.fetchMarketData(mint));
+      if (!this.feeds.has(mint)) return;
+
+      if (!marketData || !marketData.success) {
+        for (const subscriber of feed.subscribers.keys()) {
+          subscriber.send({ type: 'error', mint, code: ERROR_CODES.PROVIDER_ERROR, error: marketData?.error || 'Market data unavailable' });
+        }
+        return;
+      }
+
+      const snapshot = extractMarketSnapshot(marketData);
+      const previous = feed.latest;
+      feed.latest = snapshot;
+
+      const deltas = previous ? computeMarketDeltas(previous, snapshot) : null;
+      if (previous && !deltas) return;
+
+      for (const [subscriber, baseline] of feed.subscribers) {
+        subscriber.send(this.buildMessage(previous ? 'update' : 'snapshot', mint, snapshot, deltas, baseline));
+      }
+    } catch (error) {
+      console.error(`ERROR: MarketFeed.poll - Failed to poll ${mint}:`, error.message);
+    } finally {
+      feed.polling = false;
+    }
+  }
+
+  /**
+   * Usage account charged for a feed's polls: one request serves every subscriber,
+   * so it is charged to the longest-subscribed one that authenticated with a key
+   * @param {Object} feed - Feed of one mint
+   * @returns {UsageAccount|null} Account for the current period
+   */
+  async pollingAccount(feed) {
+    for (const subscriber of feed.subscribers.keys()) {
+      if (subscriber.apiKeyId) {
+        return await getUsageLedger().getAccount(subscriber.apiKeyId);
+      }
+    }
+    return null;
+  }
+
+  stop() {
+    for (const feed of this.feeds.values()) {
+      clearInterval(feed.timer);
+    }
+    this.feeds.clear();
+  }
+}
+
+let sharedMarketFeed = null;
+
+/**
+ * Get the process-wide market feed, creating it on first use
+ * MARKET_FEED_INTERVAL_MS sets the poll interval; MARKET_FEED_PRICE_MOVE_PCT,
+ * MARKET_FEED_LIQUIDITY_MOVE_PCT and MARKET_FEED_VOLUME_MOVE_PCT the significant-move thresholds
+ * @returns {MarketFeed} Shared market feed
+ */
+function getMarketFeed() {
+  if (!sharedMarketFeed) {
+    sharedMarketFeed = new MarketFeed({
+      intervalMs: parseInt(process.env.MARKET_FEED_INTERVAL_MS, 10) || 15000,
+      thresholds: {
+        price_usd: parseFloat(process.env.MARKET_FEED_PRICE_MOVE_PCT) || 10,
+        liquidity_usd: parseFloat(process.env.MARKET_FEED_LIQUIDITY_MOVE_PCT) || 20,
+        volume_24h: parseFloat(process.env.MARKET_FEED_VOLUME_MOVE_PCT) || 50
+      }
+    });
+  }
+  return sharedMarketFeed;
+}
+
+export {
+  extractMarketSnapshot,
+  computeMarketDeltas,
+  detectSignificantMoves,
+  loadAnalysisBaseline,
+  MarketFeed,
+  getMarketFeed
+};
@@ -1,22 +1,23 @@
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import axios from 'axios';
 import { fetchAllTokenHolders } from './tokenHolders.js';
-// Initialize Solana connection
-const connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+import { getSolanaConnection } from './solanaRpc.js';
+const connection = getSolanaConnection();
 
 /**
  * Analyzes transaction patterns for a token
  * @param {string} tokenAddress - Token mint address
+ * @param {number} signatureLimit - Recent signatures to analyze (default: 100, max 1000)
  * @returns {Object} Transaction pattern analysis
  */
 // Update analyzeTransactionPatterns
 // Update analyzeTransactionPatterns
-async function analyzeTransactionPatterns(tokenAddress) {
+async function analyzeTransactionPatterns(tokenAddress, signatureLimit = 100) {
   try {
     // Get recent signatures only first
     const signatures = await connection.getSignaturesForAddress(
       new PublicKey(tokenAddress),
-      { limit: 100 }
+      { limit: signatureLimit }
     );
 
     // Analyze transaction patterns
@@ -53,13 +54,14 @@ async function analyzeTransactionPatterns(tokenAddress) {
 /**
  * Analyzes whale activity for a token
  * @param {string} tokenAddress - Token mint address
+ * @param {number} maxPages - Holder pages of 20 to fetch (default: 3)
  * @returns {Object} Whale activity analysis
  */
-async function analyzeWhaleActivity(tokenAddress) {
+async function analyzeWhaleActivity(tokenAddress, maxPages = 3) {
   try {
   
     const holderData = await fetchAllTokenHolders(tokenAddress, {
-      maxPages: 3,
+      maxPages,
       pageSize: 20,
       showZeroBalance: false
     });
@@ -95,9 +97,10 @@ async function analyzeWhaleActivity(tokenAddress) {
 /**
  * Analyzes liquidity metrics for a token
  * @param {string} tokenAddress - Token mint address
+ * @param {AbortSignal} signal - Aborts the requests
  * @returns {Object} Liquidity analysis
  */
-async function analyzeLiquidityMetrics(tokenAddress) {
+async function analyzeLiquidityMetrics(tokenAddress, signal) {
   try {
     // Try multiple sources with fallback
     const sources = [
@@ -111,13 +114,14 @@ async function analyzeLiquidityMetrics(tokenAddress) {
     // Try each source until one works
     for (const url of sources) {
       try {
-        const response = await axios.get(url, { timeout: 5000 });
+        const response = await axios.get(url, { timeout: 5000, signal });
         if (response.data) {
           data = response.data;
           source = url;
           break;
         }
       } catch (sourceError) {
+        if (axios.isCancel(sourceError)) throw sourceError;
         console.log(`Source ${url} failed, trying next...`);
       }
     }
@@ -197,15 +201,19 @@ async function analyzeLiquidityMetrics(tokenAddress) {
 /**
  * Comprehensive on-chain metrics analysis
  * @param {string} tokenAddress - Token mint address
+ * @param {Object} options - Analysis options
+ * @param {number} options.signatureLimit - Recent signatures for transaction patterns (default: 100)
+ * @param {number} options.whalePages - Holder pages for whale activity (default: 3)
+ * @param {AbortSignal} options.signal - Aborts the liquidity requests (RPC calls cannot be aborted)
  * @returns {Object} Complete on-chain analysis
  */
-async function analyzeOnChainMetrics(tokenAddress) {
+async function analyzeOnChainMetrics(tokenAddress, options = {}) {
   try {
     // Run all analyses in parallel but catch errors for each
     const [transactionResults, whaleResults, liquidityResults] = await Promise.allSettled([
-      analyzeTransactionPatterns(tokenAddress),
-      analyzeWhaleActivity(tokenAddress),
-      analyzeLiquidityMetrics(tokenAddress)
+      analyzeTransactionPatterns(tokenAddress, options.signatureLimit),
+      analyzeWhaleActivity(tokenAddress, options.whalePages),
+      analyzeLiquidityMetrics(tokenAddress, options.signal)
     ]);
     
     // Prepare results, including any that failed
@@ -223,6 +231,16 @@ async function analyzeOnChainMetrics(tokenAddress) {
       timestamp: new Date().toISOString()
     };
     
+    // Nothing was collected when every analysis failed, so the step failed too
+    const analyses = { 'transaction patterns': result.transaction_patterns, 'whale activity': result.whale_activity, 'liquidity metrics': result.liquidity_metrics };
+    if (Object.values(analyses).every(analysis => !analysis || analysis.success === false || analysis.error)) {
+      result.success = false;
+      result.error = `All on-chain analyses failed: ${Object.entries(analyses)
+        .map(([name, analysis]) => `${name}: ${analysis?.error || 'no data'}`)
+        .join('; ')}`;
+      console.error(`ERROR: analyzeOnChainMetrics - ${result.error}`);
+    }
+    
     // Extract key market information for top level access
     if (liquidityResults.status === 'fulfilled' && liquidityResults.value.success) {
       const metrics = liquidityResults.value;
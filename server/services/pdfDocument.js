@@ -0,0 +1,165 @@
+// server/services/pdfDocument.js
+
+// A4 page in PDF points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Average glyph width of Helvetica as a fraction of the font size - slightly
+// generous so wrapped lines never run past the right margin
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+// Characters outside WinAnsi that commonly appear in analyses
+const CHARACTER_REPLACEMENTS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', '…': '...', '•': '-',
+  '∞': 'inf', '≥': '>=', '≤': '<=', ' ': ' '
+};
+
+/**
+ * Make text safe for a PDF literal string in the standard Helvetica encoding
+ * @param {string} text - Text to encode
+ * @returns {string} Escaped Latin-1 text
+ */
+function encodeText(text) {
+  return String(text)
+    .replace(/[‘’“”–—…•∞≥≤ ]/g, char => CHARACTER_REPLACEMENTS[char])
+    .replace(/[^\x20-\x7E\xA1-\xFF]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Split text into lines that fit the given width
+ * @param {string} text - Text to wrap
+ * @param {number} fontSize - Font size in points
+ * @param {number} width - Available width in points
+ * @returns {Array<string>} Wrapped lines
+ */
+function wrapText(text, fontSize, width) {
+  const maxChars = Math.max(10, Math.floor(width / (fontSize * AVERAGE_CHAR_WIDTH)));
+  const lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      // Break words longer than a full line (addresses, URLs)
+      let remaining = word;
+      while (remaining.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(remaining.slice(0, maxChars));
+        remaining = remaining.slice(maxChars);
+      }
+
+      if (!line) {
+        line = remaining;
+      } else if (line.length + 1 + remaining.length <= maxChars) {
+        line += ` ${remaining}`;
+      } else {
+        lines.push(line);
+        line = remaining;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Minimal text-only PDF writer (Helvetica, A4, automatic wrapping and page breaks).
+ * Enough for analysis reports without pulling in a PDF library.
+ */
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.newPage();
+  }
+
+  newPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * Add wrapped text
+   * @param {string} text - Text to add
+   * @param {Object} options - Text options
+   * @param {number} options.size - Font size (default 10)
+   * @param {boolean} options.bold - Use the bold font
+   * @param {number} options.indent - Left indent in points
+   */
+  text(text, options = {}) {
+    const size = options.size || 10;
+    const indent = options.indent || 0;
+    const leading = size * 1.35;
+    const font = options.bold ? 'F2' : 'F1';
+
+    for (const line of wrapText(text, size, PAGE_WIDTH - 2 * MARGIN - indent)) {
+      if (this.y - leading < MARGIN) {
+        this.newPage();
+      }
+      this.y -= leading;
+      this.current.push(`BT /${font} ${size} Tf 1 0 0 1 ${MARGIN + indent} ${this.y.toFixed(2)} Tm (${encodeText(line)}) Tj ET`);
+    }
+    return this;
+  }
+
+  heading(text, level = 1) {
+    this.space(level === 1 ? 8 : 6);
+    return this.text(text, { size: level === 1 ? 18 : 13, bold: true });
+  }
+
+  space(points = 6) {
+    this.y -= points;
+    return this;
+  }
+
+  /**
+   * Serialize the document
+   * @returns {Buffer} PDF file contents
+   */
+  toBuffer() {
+    const objects = [];
+    const pageIds = [];
+
+    // Object ids: 1 catalog, 2 page tree, 3-4 fonts, then a page and content stream per page
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    this.pages.forEach((operations, index) => {
+      const pageId = 5 + index * 2;
+      const contentId = pageId + 1;
+      const content = operations.join('\n');
+
+      pageIds.push(pageId);
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+      objects[contentId] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = Buffer.byteLength(output, 'latin1');
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+export { PdfDocument };
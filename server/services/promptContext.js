@@ -0,0 +1,194 @@
+// server/services/promptContext.js
+
+// Rough token estimate for prompt text; JSON and addresses average ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+// Raw provider payloads that repeat fields already extracted next to them
+const OMITTED_FIELDS = ['raw_main_pair', 'raw_transactions', 'recent_signatures'];
+
+const MAX_ARRAY_ITEMS = 10;
+const MAX_VALUE_CHARS = 1000;
+
+// Field names that mean the same across sources, mapped to one name for deduplication
+const FIELD_ALIASES = {
+  name: 'token_name',
+  symbol: 'token_symbol',
+  liquidity: 'liquidity_usd',
+  buy_sell_ratio_24h: 'buy_sell_ratio',
+  price_change_24h: 'price_change_h24',
+  token_address: 'address',
+  token_mint: 'address'
+};
+
+// Field names that only identify a fact together with their parent (mint_authority.is_revoked)
+const GENERIC_FIELDS = new Set([
+  'is_revoked', 'authority', 'address', 'success', 'error', 'value', 'count', 'status',
+  'total', 'buys', 'sells', 'usd', 'h24', 'h6', 'h1', 'm5', 'url', 'type', 'label', 'percentage', 'amount'
+]);
+
+// Fields matching an earlier tier are kept first when the budget runs out
+const PRIORITY_TIERS = [
+  // Security: authorities, supply, holder concentration, token program features
+  /authority|freeze|mint|upgrade|owner|supply|decimals|holder|whale|concentration|top_?10|risk|security|extension|mutable|burn|lock|rug|honeypot|warning|(^|\.)(name|symbol|token_name|token_symbol|token_address)$/i,
+  // Market and trading activity
+  /price|market_cap|fdv|liquidity|volume|buy|sell|txn|transaction|pair_created|(^|[._])age/i,
+  // Sentiment, development and links
+  /sentiment|tweet|social|commit|contributor|star|fork|issue|release|website|rating|score/i
+];
+
+/**
+ * Estimate the number of tokens in prompt text
+ * @param {string} text - Prompt text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Token budget for the analysis context (PROMPT_CONTEXT_TOKEN_BUDGET, default 6000)
+ * @returns {number} Token budget
+ */
+function contextTokenBudget() {
+  const configured = parseInt(process.env.PROMPT_CONTEXT_TOKEN_BUDGET, 10);
+  return Number.isInteger(configured) && configured > 0 ? configured : 6000;
+}
+
+function canonicalField(path) {
+  const segments = path.split('.').map(segment => segment.replace(/\[\d+\]$/, ''));
+  let field = segments[segments.length - 1];
+  if (GENERIC_FIELDS.has(field) && segments.length > 1) {
+    field = `${segments[segments.length - 2]}_${field}`;
+  }
+  field = field.replace(/_24h$/, '_h24');
+  return FIELD_ALIASES[field] || field;
+}
+
+function fieldTier(path) {
+  const tier = PRIORITY_TIERS.findIndex(pattern => pattern.test(path));
+  return tier === -1 ? PRIORITY_TIERS.length : tier;
+}
+
+/**
+ * Flatten a section into leaf fields, dropping raw payloads and long array tails
+ * @param {any} value - Value to flatten
+ * @param {string} path - Path of value within its section
+ * @param {Array<Object>} fields - Collects { path, value }
+ * @param {Array<Object>} dropped - Collects { path, reason }
+ */
+function flattenSection(value, path, fields, dropped) {
+  if (value === undefined) return;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return;
+    // Lists of plain values stay on one line
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      fields.push({ path, value });
+      return;
+    }
+    value.slice(0, MAX_ARRAY_ITEMS).forEach((item, index) => flattenSection(item, `${path}[${index}]`, fields, dropped));
+    if (value.length > MAX_ARRAY_ITEMS) {
+      dropped.push({ path: `${path}[${MAX_ARRAY_ITEMS}-${value.length - 1}]`, reason: 'truncated' });
+    }
+    return;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (OMITTED_FIELDS.includes(key)) {
+        if (child !== undefined && child !== null) dropped.push({ path: childPath, reason: 'omitted' });
+        continue;
+      }
+      flattenSection(child, childPath, fields, dropped);
+    }
+    return;
+  }
+
+  fields.push({ path, value });
+}
+
+function formatValue(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_CHARS ? `${text.slice(0, MAX_VALUE_CHARS)}...` : text;
+}
+
+/**
+ * Build the data block of an analysis prompt within a token budget. Sections
+ * are flattened to "path: value" lines; a field whose value already appeared
+ * under the same name earlier (outside lists) is dropped as a duplicate, and when
+ * the rest does not fit, the lowest-priority fields are dropped first
+ * (security facts, then market activity, then sentiment and development, then
+ * everything else).
+ * @param {Array<Object>} sections - [{ key, title, data }] in order of precedence for duplicates
+ * @param {Object} options - Options
+ * @param {number} options.tokenBudget - Token budget (defaults to PROMPT_CONTEXT_TOKEN_BUDGET)
+ * @returns {Object} { text, report: { token_budget, estimated_tokens, included_fields, dropped_fields } }
+ */
+function buildPromptContext(sections, { tokenBudget = contextTokenBudget() } = {}) {
+  const candidates = [];
+  const dropped = [];
+  const seen = new Map();  // canonical field + value -> first path
+
+  for (const section of sections) {
+    if (!section.data || typeof section.data !== 'object') continue;
+
+    const fields = [];
+    const sectionDropped = [];
+    flattenSection(section.data, '', fields, sectionDropped);
+    dropped.push(...sectionDropped.map(field => ({ ...field, path: `${section.key}.${field.path}` })));
+
+    for (const field of fields) {
+      const path = `${section.key}.${field.path}`;
+      const line = `${field.path}: ${formatValue(field.value)}`;
+      const dedupeKey = `${canonicalField(field.path)}=${JSON.stringify(field.value)}`;
+
+      // List items repeat field names by design, so only fields outside lists are deduplicated
+      const inList = field.path.includes('[');
+      if (!inList && seen.has(dedupeKey)) {
+        dropped.push({ path, reason: 'duplicate', duplicate_of: seen.get(dedupeKey) });
+        continue;
+      }
+      if (!inList) seen.set(dedupeKey, path);
+      candidates.push({ section: section.key, path, line, tier: fieldTier(field.path), order: candidates.length });
+    }
+  }
+
+  // Section headings are always included, with room for a "(no data)" line
+  const headings = sections.filter(section => section.data && typeof section.data === 'object');
+  let used = headings.reduce((total, section) => total + estimateTokens(`${section.title}:\n(no data)\n\n`), 0);
+
+  const kept = new Set();
+  const byPriority = [...candidates].sort((a, b) => a.tier - b.tier || a.order - b.order);
+  for (const candidate of byPriority) {
+    const cost = estimateTokens(`${candidate.line}\n`);
+    if (used + cost > tokenBudget) {
+      dropped.push({ path: candidate.path, reason: 'budget' });
+      continue;
+    }
+    kept.add(candidate);
+    used += cost;
+  }
+
+  const text = headings.map(section => {
+    const lines = candidates.filter(candidate => candidate.section === section.key && kept.has(candidate));
+    return `${section.title}:\n${lines.length > 0 ? lines.map(candidate => candidate.line).join('\n') : '(no data)'}`;
+  }).join('\n\n');
+
+  const report = {
+    token_budget: tokenBudget,
+    estimated_tokens: estimateTokens(text),
+    included_fields: kept.size,
+    dropped_fields: dropped
+  };
+
+  const counts = dropped.reduce((totals, field) => ({ ...totals, [field.reason]: (totals[field.reason] || 0) + 1 }), {});
+  console.log(`LOG: buildPromptContext - ${kept.size} fields, ~${report.estimated_tokens}/${tokenBudget} tokens, dropped: ${JSON.stringify(counts)}`);
+
+  return { text, report };
+}
+
+export {
+  estimateTokens,
+  buildPromptContext
+};
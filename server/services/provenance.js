@@ -0,0 +1,258 @@
+// server/services/provenance.js
+
+// Figures the model reports that can be checked against the collected data,
+// keyed by the reference figure they should equal
+const VERIFIED_FIELDS = [
+  { path: 'token_info.name', figure: 'name' },
+  { path: 'token_info.symbol', figure: 'symbol' },
+  { path: 'token_info.address', figure: 'address' },
+  { path: 'token_info.price_usd', figure: 'price_usd' },
+  { path: 'token_info.market_cap', figure: 'market_cap' },
+  { path: 'token_info.fdv', figure: 'fdv' },
+  { path: 'token_info.price_change_24h', figure: 'price_change_24h' },
+  { path: 'token_info.liquidity_usd', figure: 'liquidity_usd' },
+  { path: 'market_summary.token_name', figure: 'name' },
+  { path: 'market_summary.token_symbol', figure: 'symbol' },
+  { path: 'market_summary.token_address', figure: 'address' },
+  { path: 'market_summary.price_usd', figure: 'price_usd' },
+  { path: 'market_summary.market_cap', figure: 'market_cap' },
+  { path: 'market_summary.fdv', figure: 'fdv' },
+  { path: 'market_summary.price_change_24h', figure: 'price_change_24h' },
+  { path: 'market_summary.liquidity_usd', figure: 'liquidity_usd' },
+  { path: 'transaction_analysis.buy_sell_ratio', figure: 'buy_sell_ratio' }
+];
+
+/**
+ * Relative difference allowed between a reported and a collected figure
+ * (VERIFY_RELATIVE_TOLERANCE, default 0.01)
+ * @returns {number} Tolerance
+ */
+function relativeTolerance() {
+  const configured = parseFloat(process.env.VERIFY_RELATIVE_TOLERANCE);
+  return Number.isFinite(configured) && configured >= 0 ? configured : 0.01;
+}
+
+function stepFinishedAt(state, step) {
+  return state?.pipeline?.[step]?.finished_at || null;
+}
+
+/**
+ * When the DexScreener market data was fetched
+ * @param {AgentState} state - Agent state
+ * @returns {string|null} ISO time
+ */
+function marketDataFetchedAt(state) {
+  return state?.marketData?.timestamp || stepFinishedAt(state, 'market_data');
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => target[key], object);
+  parent[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Figures collected from the data services, with their source and fetch time.
+ * DexScreener market data is preferred; the DexScreener liquidity metrics of the
+ * on-chain step are the fallback.
+ * @param {AgentState} state - Agent state after the data steps
+ * @returns {Object} figure -> { value, source, fetched_at }
+ */
+function collectReferenceFigures(state) {
+  const figures = {};
+  const add = (figure, value, source, fetchedAt) => {
+    if (value === undefined || value === null || value === '' || Number.isNaN(value)) return;
+    if (!figures[figure]) figures[figure] = { value, source, fetched_at: fetchedAt };
+  };
+
+  if (state?.contractAddress) {
+    const resolution = state.nameResolution?.status === 'resolved' ? state.nameResolution : null;
+    add('address', state.contractAddress, resolution ? 'dexscreener+jupiter' : 'query', resolution?.resolved_at || null);
+  }
+
+  const market = state?.marketData?.success ? state.marketData : null;
+  if (market) {
+    const fetchedAt = marketDataFetchedAt(state);
+    add('name', market.token_name, 'dexscreener', fetchedAt);
+    add('symbol', market.token_symbol, 'dexscreener', fetchedAt);
+    add('price_usd', market.price_usd, 'dexscreener', fetchedAt);
+    add('market_cap', market.market_cap, 'dexscreener', fetchedAt);
+    add('fdv', market.fdv, 'dexscreener', fetchedAt);
+    add('price_change_24h', market.price_change?.h24, 'dexscreener', fetchedAt);
+    add('liquidity_usd', market.liquidity_usd, 'dexscreener', fetchedAt);
+    add('buy_sell_ratio', market.buy_sell_ratio_24h, 'dexscreener', fetchedAt);
+  }
+
+  const liquidity = state?.onChainData?.liquidity_metrics?.success ? state.onChainData.liquidity_metrics : null;
+  if (liquidity) {
+    const fetchedAt = state.onChainData.timestamp || stepFinishedAt(state, 'on_chain_metrics');
+    const source = liquidity.source || 'dexscreener';
+    add('name', liquidity.token_name, source, fetchedAt);
+    add('symbol', liquidity.token_symbol, source, fetchedAt);
+    add('price_usd', liquidity.price_usd, source, fetchedAt);
+    add('market_cap', liquidity.market_cap, source, fetchedAt);
+    add('fdv', liquidity.fdv, source, fetchedAt);
+    add('price_change_24h', liquidity.price_change_24h, source, fetchedAt);
+    add('liquidity_usd', liquidity.liquidity_usd, source, fetchedAt);
+    add('buy_sell_ratio', liquidity.buy_sell_ratio, source, fetchedAt);
+  }
+
+  return figures;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || value === 'Unknown';
+}
+
+/**
+ * Compare a reported value with the collected one
+ * @param {any} reported - Value from the model
+ * @param {any} reference - Collected value
+ * @returns {boolean} Whether they agree
+ */
+function valuesMatch(reported, reference) {
+  if (typeof reference === 'number') {
+    const number = typeof reported === 'number' ? reported : parseFloat(String(reported).replace(/[$,%\s]/g, ''));
+    if (!Number.isFinite(number)) return false;
+    return Math.abs(number - reference) <= relativeTolerance() * Math.abs(reference) + Number.EPSILON;
+  }
+  return String(reported).trim().toLowerCase() === String(reference).trim().toLowerCase();
+}
+
+/**
+ * Check the figures the model reported against the collected data. Values that
+ * differ are replaced by the collected ones and missing values are filled in;
+ * figures with nothing to check against are flagged as unverified.
+ * @param {Object} analysis - Final analysis, corrected in place
+ * @param {AgentState} state - Agent state with the collected data
+ * @returns {Object} { checked, confirmed, corrected, filled, unverified, fields, discrepancies }
+ */
+function verifyAnalysisFigures(analysis, state) {
+  const figures = collectReferenceFigures(state);
+  const report = { checked: 0, confirmed: 0, corrected: 0, filled: 0, unverified: 0, fields: {}, discrepancies: [] };
+
+  for (const { path, figure } of VERIFIED_FIELDS) {
+    const [section] = path.split('.');
+    if (!analysis[section] || typeof analysis[section] !== 'object') continue;
+
+    const reported = getPath(analysis, path);
+    const reference = figures[figure];
+    if (isMissing(reported) && !reference) continue;
+
+    report.checked++;
+    let result;
+    if (!reference) {
+      result = 'unverified';
+    } else if (isMissing(reported)) {
+      result = 'filled';
+    } else {
+      result = valuesMatch(reported, reference.value) ? 'confirmed' : 'corrected';
+    }
+    report[result]++;
+
+    // Numbers within the tolerance are replaced too, so the result carries the exact collected value
+    if (result === 'corrected' || result === 'filled' || (result === 'confirmed' && typeof reference.value === 'number')) {
+      setPath(analysis, path, reference.value);
+    }
+    if (result !== 'confirmed') {
+      report.discrepancies.push({
+        path,
+        reported: isMissing(reported) ? null : reported,
+        verified: reference ? reference.value : null,
+        source: reference ? reference.source : null,
+        action: result
+      });
+    }
+    report.fields[path] = reference ?
+      { verification: result, source: reference.source, fetched_at: reference.fetched_at } :
+      { verification: result };
+  }
+
+  console.log(`LOG: verifyAnalysisFigures - ${report.checked} checked: ${report.confirmed} confirmed, ${report.corrected} corrected, ${report.filled} filled, ${report.unverified} unverified`);
+  return report;
+}
+
+/**
+ * Record where the values set under a path of the analysis come from. The
+ * code that sets a value records it; the entry covers every number below the
+ * path that has no entry of its own.
+ * @param {Object} sources - path -> entry, the AgentState valueSources
+ * @param {string} path - Dotted path in the analysis
+ * @param {string} source - `llm`, `rules`, `computed`, `default`, `dexscreener`, ...
+ * @param {Object} options - Options
+ * @param {string} options.fetchedAt - When the data was fetched; defaults to the analysis time
+ * @param {boolean} options.subtree - Tag the object at the path once instead of every number in it
+ */
+function recordSource(sources, path, source, { fetchedAt = null, subtree = false } = {}) {
+  sources[path] = subtree ? { source, fetched_at: fetchedAt, subtree: true } : { source, fetched_at: fetchedAt };
+}
+
+/**
+ * Entry recorded for a path or its closest recorded parent
+ * @param {Object} sources - path -> entry
+ * @param {string} path - Dotted path in the analysis
+ * @returns {Object|null} { source, fetched_at, subtree? }
+ */
+function findSource(sources, path) {
+  for (let prefix = path; prefix; prefix = prefix.slice(0, Math.max(prefix.lastIndexOf('.'), 0))) {
+    if (sources[prefix]) return sources[prefix];
+  }
+  return null;
+}
+
+/**
+ * Tag every number in the analysis with its source and fetch time
+ * @param {Object} analysis - Final analysis (after verifyAnalysisFigures)
+ * @param {Object} verifiedFields - `fields` of the verification report
+ * @param {Object} sources - Sources recorded with recordSource
+ * @returns {Object} path -> { source, fetched_at, verification? }; a subtree
+ *   entry covers every number below that path. Numbers nothing recorded a
+ *   source for are tagged `unknown`.
+ */
+function tagProvenance(analysis, verifiedFields, sources) {
+  const provenance = {};
+  const generatedAt = analysis.timestamp || new Date().toISOString();
+
+  const tag = (path) => {
+    const verified = verifiedFields[path];
+    if (verified && verified.source) {
+      return { source: verified.source, fetched_at: verified.fetched_at, verification: verified.verification };
+    }
+    const recorded = findSource(sources, path);
+    const entry = recorded ?
+      { source: recorded.source, fetched_at: recorded.fetched_at || generatedAt } :
+      { source: 'unknown', fetched_at: null };
+    return verified ? { ...entry, verification: verified.verification } : entry;
+  };
+
+  const walk = (value, path) => {
+    if (path && sources[path]?.subtree && value && typeof value === 'object') {
+      provenance[path] = tag(path);
+      return;
+    }
+    if (typeof value === 'number') {
+      provenance[path] = tag(path);
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        if (key === 'provenance') continue;
+        walk(child, path ? `${path}.${key}` : key);
+      }
+    }
+  };
+
+  walk(analysis, '');
+  return provenance;
+}
+
+export {
+  marketDataFetchedAt,
+  recordSource,
+  findSource,
+  collectReferenceFigures,
+  verifyAnalysisFigures,
+  tagProvenance
+};
@@ -0,0 +1,80 @@
+// server/services/providerCache.js
+
+// Short default so market data never goes noticeably stale
+const DEFAULT_PROVIDER_CACHE_TTL_MS = 30 * 1000;
+
+// namespace:key -> { promise, expiresAt }
+const cacheEntries = new Map();
+
+/**
+ * Run a provider call through a shared cache. Concurrent callers asking for the
+ * same key share one in-flight request, and successful results are reused until
+ * the TTL expires - this keeps batch runs from hitting DexScreener or Helius
+ * several times for the same token.
+ * @param {string} namespace - Provider name (e.g. 'dexscreener')
+ * @param {string} key - Cache key within the provider
+ * @param {Function} fn - Async function performing the provider call
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - Time-to-live for successful results
+ * @param {Function} options.shouldCache - Decides whether a result is cacheable (default: success !== false)
+ * @returns {Promise<any>} Provider result (a private copy, safe to mutate)
+ */
+async function cachedProviderCall(namespace, key, fn, options = {}) {
+  const ttlMs = options.ttlMs ?? (parseInt(process.env.PROVIDER_CACHE_TTL_MS, 10) || DEFAULT_PROVIDER_CACHE_TTL_MS);
+  const shouldCache = options.shouldCache || (result => result && result.success !== false);
+  const cacheKey = `${namespace}:${key}`;
+
+  const existing = cacheEntries.get(cacheKey);
+  if (existing && (existing.expiresAt === null || existing.expiresAt > Date.now())) {
+    console.log(`LOG: cachedProviderCall - Cache hit for ${cacheKey}`);
+    return structuredClone(await existing.promise);
+  }
+
+  // expiresAt stays null while the request is in flight so concurrent callers share it
+  const entry = { promise: null, expiresAt: null };
+  entry.promise = (async () => {
+    try {
+      const result = await fn();
+      if (ttlMs > 0 && shouldCache(result)) {
+        entry.expiresAt = Date.now() + ttlMs;
+      } else {
+        cacheEntries.delete(cacheKey);
+      }
+      return result;
+    } catch (error) {
+      cacheEntries.delete(cacheKey);
+      throw error;
+    }
+  })();
+
+  cacheEntries.set(cacheKey, entry);
+  pruneExpired();
+
+  return structuredClone(await entry.promise);
+}
+
+/**
+ * Drop cached results for a namespace, or everything when no namespace is given
+ * @param {string} namespace - Optional provider name
+ */
+function clearProviderCache(namespace) {
+  for (const cacheKey of cacheEntries.keys()) {
+    if (!namespace || cacheKey.startsWith(`${namespace}:`)) {
+      cacheEntries.delete(cacheKey);
+    }
+  }
+}
+
+function pruneExpired() {
+  const now = Date.now();
+  for (const [cacheKey, entry] of cacheEntries) {
+    if (entry.expiresAt !== null && entry.expiresAt <= now) {
+      cacheEntries.delete(cacheKey);
+    }
+  }
+}
+
+export {
+  cachedProviderCall,
+  clearProviderCache
+};
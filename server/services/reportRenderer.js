@@ -0,0 +1,513 @@
+// server/services/reportRenderer.js
+import { ANALYSIS_SECTIONS } from './analysisRunner.js';
+import { PdfDocument } from './pdfDocument.js';
+
+// Supported export formats
+const REPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+const SECTION_TITLES = {
+  smart_contract_risk: 'Smart Contract Risk',
+  token_performance: 'Token Performance',
+  transaction_analysis: 'Transaction Analysis',
+  on_chain_metrics: 'On-Chain Metrics',
+  social_sentiment: 'Social Sentiment',
+  development_activity: 'Development Activity'
+};
+
+const TOKEN_INFO_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'symbol', label: 'Symbol' },
+  { field: 'address', label: 'Address' },
+  { field: 'price_usd', label: 'Price (USD)' },
+  { field: 'market_cap', label: 'Market cap (USD)' },
+  { field: 'fdv', label: 'Fully diluted valuation (USD)' },
+  { field: 'price_change_24h', label: 'Price change 24h (%)' },
+  { field: 'liquidity_usd', label: 'Liquidity (USD)' }
+];
+
+const TRANSACTION_WINDOWS = [
+  { key: 'h24', label: '24h' },
+  { key: 'h6', label: '6h' },
+  { key: 'h1', label: '1h' },
+  { key: 'm5', label: '5m' }
+];
+
+function humanize(key) {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(value.trim())) return parseFloat(value);
+  return null;
+}
+
+function formatValue(value) {
+  if (!isPresent(value)) return 'n/a';
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 8 });
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+/**
+ * Split an analysis section into its scalar details and string lists.
+ * Per-window transaction counts are left out - the transaction table covers them.
+ * @param {Object} section - Section of the final analysis
+ * @returns {Object} Details and lists
+ */
+function describeSection(section) {
+  const details = [];
+  const lists = [];
+
+  for (const [key, value] of Object.entries(section)) {
+    if (['rating', 'comment', 'error'].includes(key) || /_transactions$/.test(key) || !isPresent(value)) continue;
+
+    if (Array.isArray(value)) {
+      const items = value.filter(isScalar).map(String);
+      if (items.length > 0) lists.push({ key, label: humanize(key), items });
+    } else if (typeof value === 'object') {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (isScalar(subValue)) details.push({ key: `${key}.${subKey}`, label: `${humanize(key)}: ${humanize(subKey)}`, value: subValue });
+      }
+    } else {
+      details.push({ key, label: humanize(key), value });
+    }
+  }
+
+  return { details, lists };
+}
+
+/**
+ * Build the format-independent report model from a final analysis
+ * @param {Object} analysis - Final analysis (finalAnalysis)
+ * @param {Object} meta - Report metadata
+ * @param {string} meta.analysisId - Analysis history id
+ * @param {string} meta.query - Input query
+ * @param {string} meta.createdAt - When the analysis ran
+ * @returns {Object} Report model
+ */
+function buildReportModel(analysis, meta = {}) {
+  const tokenInfo = analysis.token_info || {};
+  const tokenLabel = tokenInfo.name
+    ? `${tokenInfo.name}${tokenInfo.symbol ? ` (${tokenInfo.symbol})` : ''}`
+    : tokenInfo.address || meta.query || 'Unknown token';
+
+  const sections = ANALYSIS_SECTIONS
+    .filter(key => analysis[key])
+    .map(key => ({
+      key,
+      title: SECTION_TITLES[key],
+      rating: analysis[key].rating ?? null,
+      comment: analysis[key].comment || null,
+      error: analysis[key].error || null,
+      ...describeSection(analysis[key])
+    }));
+
+  const ruleSections = analysis.rule_scores?.sections || {};
+  const ruleScores = ANALYSIS_SECTIONS
+    .filter(key => ruleSections[key])
+    .map(key => ({
+      key,
+      title: SECTION_TITLES[key],
+      rule_rating: ruleSections[key].rule_rating,
+      llm_rating: ruleSections[key].llm_rating,
+      difference: ruleSections[key].difference,
+      disagreement: ruleSections[key].disagreement,
+      rules: (ruleSections[key].rules || []).map(rule => `${rule.points > 0 ? '+' : ''}${rule.points} ${rule.rule}: ${rule.explanation}`)
+    }));
+
+  const rawTransactions = analysis.raw_transactions || {};
+  const transactions = TRANSACTION_WINDOWS
+    .filter(({ key }) => rawTransactions[key])
+    .map(({ key, label }) => {
+      const { buys = 0, sells = 0 } = rawTransactions[key];
+      return {
+        key,
+        window: label,
+        buys,
+        sells,
+        total: rawTransactions[key].total ?? buys + sells,
+        buy_sell_ratio: sells > 0 ? parseFloat((buys / sells).toFixed(2)) : null
+      };
+    });
+
+  return {
+    title: `Token Analysis: ${tokenLabel}`,
+    meta: {
+      analysis_id: meta.analysisId || null,
+      query: meta.query || null,
+      analyzed_at: meta.createdAt || analysis.timestamp || null,
+      generated_at: new Date().toISOString()
+    },
+    error: analysis.error || null,
+    tokenInfo: TOKEN_INFO_FIELDS
+      .filter(({ field }) => isPresent(tokenInfo[field]))
+      .map(({ field, label }) => ({ field, label, value: tokenInfo[field] })),
+    overall: [
+      { field: 'risk_reward_ratio', label: 'Risk/reward ratio (0-5)', value: analysis.risk_reward_ratio },
+      { field: 'confidence_score', label: 'Confidence score (0-100)', value: analysis.confidence_score },
+      { field: 'data_coverage_percent', label: 'Data coverage (%)', value: analysis.completeness?.coverage_percent },
+      { field: 'investment_timeframe', label: 'Investment timeframe', value: analysis.investment_timeframe }
+    ].filter(row => isPresent(row.value)),
+    recommendation: analysis.final_recommendation || null,
+    sections,
+    catalysts: (analysis.specific_catalysts || []).filter(isScalar).map(String),
+    concerns: (analysis.specific_concerns || []).filter(isScalar).map(String),
+    ruleScores,
+    transactions
+  };
+}
+
+// Markdown
+
+function escapeMarkdownCell(value) {
+  return formatValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+  ].join('\n');
+}
+
+const RULE_SCORE_HEADERS = ['Section', 'LLM rating', 'Rule rating', 'Difference', 'Disagreement'];
+
+function ruleScoreRow(row) {
+  return [row.title, row.llm_rating, row.rule_rating, row.difference, row.disagreement];
+}
+
+function renderMarkdown(model) {
+  const lines = [`# ${model.title}`, ''];
+
+  if (model.meta.query) lines.push(`- **Query:** ${model.meta.query}`);
+  if (model.meta.analyzed_at) lines.push(`- **Analyzed:** ${model.meta.analyzed_at}`);
+  if (model.meta.analysis_id) lines.push(`- **Analysis ID:** ${model.meta.analysis_id}`);
+  lines.push('');
+
+  if (model.error) lines.push(`> **Analysis error:** ${model.error}`, '');
+
+  if (model.tokenInfo.length > 0) {
+    lines.push('## Token Info', '', markdownTable(['Field', 'Value'], model.tokenInfo.map(row => [row.label, row.value])), '');
+  }
+
+  if (model.overall.length > 0 || model.recommendation) {
+    lines.push('## Overall Assessment', '');
+    if (model.overall.length > 0) {
+      lines.push(markdownTable(['Metric', 'Value'], model.overall.map(row => [row.label, row.value])), '');
+    }
+    if (model.recommendation) lines.push(`**Recommendation:** ${model.recommendation}`, '');
+  }
+
+  for (const section of model.sections) {
+    lines.push(`## ${section.title} — ${formatValue(section.rating)}/10`, '');
+    if (section.comment) lines.push(section.comment, '');
+    if (section.error) lines.push(`_Error: ${section.error}_`, '');
+    if (section.details.length > 0) {
+      lines.push(markdownTable(['Metric', 'Value'], section.details.map(row => [row.label, row.value])), '');
+    }
+    for (const list of section.lists) {
+      lines.push(`**${list.label}:**`, '', ...list.items.map(item => `- ${item}`), '');
+    }
+  }
+
+  if (model.catalysts.length > 0) {
+    lines.push('## Catalysts', '', ...model.catalysts.map(item => `- ${item}`), '');
+  }
+
+  if (model.concerns.length > 0) {
+    lines.push('## Concerns', '', ...model.concerns.map(item => `- ${item}`), '');
+  }
+
+  if (model.ruleScores.length > 0) {
+    lines.push('## Rule-based Ratings', '', markdownTable(RULE_SCORE_HEADERS, model.ruleScores.map(ruleScoreRow)), '');
+    for (const row of model.ruleScores.filter(row => row.rules.length > 0)) {
+      lines.push(`**${row.title}:**`, '', ...row.rules.map(rule => `- ${rule}`), '');
+    }
+  }
+
+  if (model.transactions.length > 0) {
+    lines.push('## Transactions', '', markdownTable(
+      ['Window', 'Buys', 'Sells', 'Total', 'Buy/sell ratio'],
+      model.transactions.map(row => [row.window, row.buys, row.sells, row.total, row.buy_sell_ratio])
+    ), '');
+  }
+
+  lines.push(`_Generated ${model.meta.generated_at}_`, '');
+  return lines.join('\n');
+}
+
+// HTML
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function htmlTable(headers, rows) {
+  return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(formatValue(cell))}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function htmlList(items) {
+  return `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+// Styles are inlined so the exported file renders anywhere without assets
+const HTML_STYLES = `
+  body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+  h1 { border-bottom: 2px solid #d0d7de; padding-bottom: .3rem; }
+  h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: .2rem; }
+  table { border-collapse: collapse; width: 100%; margin: .75rem 0; }
+  th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; vertical-align: top; word-break: break-word; }
+  th { background: #f6f8fa; }
+  .meta { color: #57606a; font-size: .9rem; }
+  .rating { float: right; font-weight: normal; color: #57606a; }
+  .error { background: #ffebe9; border: 1px solid #ff8182; padding: .5rem .75rem; border-radius: 6px; }
+  .recommendation { background: #f6f8fa; border-left: 4px solid #0969da; padding: .5rem .75rem; }`;
+
+function renderHtml(model) {
+  const parts = [];
+
+  parts.push(`<h1>${escapeHtml(model.title)}</h1>`);
+  parts.push(`<p class="meta">${[
+    model.meta.query && `Query: ${escapeHtml(model.meta.query)}`,
+    model.meta.analyzed_at && `Analyzed: ${escapeHtml(model.meta.analyzed_at)}`,
+    model.meta.analysis_id && `Analysis ID: ${escapeHtml(model.meta.analysis_id)}`
+  ].filter(Boolean).join(' &middot; ')}</p>`);
+
+  if (model.error) parts.push(`<p class="error">Analysis error: ${escapeHtml(model.error)}</p>`);
+
+  if (model.tokenInfo.length > 0) {
+    parts.push('<h2>Token Info</h2>', htmlTable(['Field', 'Value'], model.tokenInfo.map(row => [row.label, row.value])));
+  }
+
+  if (model.overall.length > 0 || model.recommendation) {
+    parts.push('<h2>Overall Assessment</h2>');
+    if (model.overall.length > 0) parts.push(htmlTable(['Metric', 'Value'], model.overall.map(row => [row.label, row.value])));
+    if (model.recommendation) parts.push(`<p class="recommendation">${escapeHtml(model.recommendation)}</p>`);
+  }
+
+  for (const section of model.sections) {
+    parts.push(`<h2>${escapeHtml(section.title)} <span class="rating">${escapeHtml(formatValue(section.rating))}/10</span></h2>`);
+    if (section.comment) parts.push(`<p>${escapeHtml(section.comment)}</p>`);
+    if (section.error) parts.push(`<p class="error">${escapeHtml(section.error)}</p>`);
+    if (section.details.length > 0) parts.push(htmlTable(['Metric', 'Value'], section.details.map(row => [row.label, row.value])));
+    for (const list of section.lists) {
+      parts.push(`<p><strong>${escapeHtml(list.label)}</strong></p>`, htmlList(list.items));
+    }
+  }
+
+  if (model.catalysts.length > 0) parts.push('<h2>Catalysts</h2>', htmlList(model.catalysts));
+  if (model.concerns.length > 0) parts.push('<h2>Concerns</h2>', htmlList(model.concerns));
+
+  if (model.ruleScores.length > 0) {
+    parts.push('<h2>Rule-based Ratings</h2>', htmlTable(RULE_SCORE_HEADERS, model.ruleScores.map(ruleScoreRow)));
+    for (const row of model.ruleScores.filter(row => row.rules.length > 0)) {
+      parts.push(`<p><strong>${escapeHtml(row.title)}</strong></p>`, htmlList(row.rules));
+    }
+  }
+
+  if (model.transactions.length > 0) {
+    parts.push('<h2>Transactions</h2>', htmlTable(
+      ['Window', 'Buys', 'Sells', 'Total', 'Buy/sell ratio'],
+      model.transactions.map(row => [row.window, row.buys, row.sells, row.total, row.buy_sell_ratio])
+    ));
+  }
+
+  parts.push(`<p class="meta">Generated ${escapeHtml(model.meta.generated_at)}</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(model.title)}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+// PDF
+
+function renderPdf(model) {
+  const pdf = new PdfDocument();
+
+  pdf.heading(model.title);
+  const metaLine = [
+    model.meta.query && `Query: ${model.meta.query}`,
+    model.meta.analyzed_at && `Analyzed: ${model.meta.analyzed_at}`,
+    model.meta.analysis_id && `Analysis ID: ${model.meta.analysis_id}`
+  ].filter(Boolean).join('  |  ');
+  if (metaLine) pdf.text(metaLine, { size: 8 });
+
+  if (model.error) pdf.space().text(`Analysis error: ${model.error}`, { bold: true });
+
+  const rows = (entries) => {
+    for (const row of entries) {
+      pdf.text(`${row.label}: ${formatValue(row.value)}`, { indent: 10 });
+    }
+  };
+
+  if (model.tokenInfo.length > 0) {
+    pdf.heading('Token Info', 2);
+    rows(model.tokenInfo);
+  }
+
+  if (model.overall.length > 0 || model.recommendation) {
+    pdf.heading('Overall Assessment', 2);
+    rows(model.overall);
+    if (model.recommendation) pdf.space(4).text(`Recommendation: ${model.recommendation}`);
+  }
+
+  for (const section of model.sections) {
+    pdf.heading(`${section.title} - ${formatValue(section.rating)}/10`, 2);
+    if (section.comment) pdf.text(section.comment);
+    if (section.error) pdf.text(`Error: ${section.error}`, { bold: true });
+    if (section.details.length > 0) {
+      pdf.space(3);
+      rows(section.details);
+    }
+    for (const list of section.lists) {
+      pdf.space(3).text(`${list.label}:`, { bold: true });
+      list.items.forEach(item => pdf.text(`- ${item}`, { indent: 10 }));
+    }
+  }
+
+  if (model.catalysts.length > 0) {
+    pdf.heading('Catalysts', 2);
+    model.catalysts.forEach(item => pdf.text(`- ${item}`, { indent: 10 }));
+  }
+
+  if (model.concerns.length > 0) {
+    pdf.heading('Concerns', 2);
+    model.concerns.forEach(item => pdf.text(`- ${item}`, { indent: 10 }));
+  }
+
+  if (model.ruleScores.length > 0) {
+    pdf.heading('Rule-based Ratings', 2);
+    for (const row of model.ruleScores) {
+      pdf.text(`${row.title}: LLM ${formatValue(row.llm_rating)}/10, rules ${formatValue(row.rule_rating)}/10${row.disagreement ? ' (disagreement)' : ''}`, { bold: row.disagreement });
+      row.rules.forEach(rule => pdf.text(`- ${rule}`, { indent: 10 }));
+    }
+  }
+
+  if (model.transactions.length > 0) {
+    pdf.heading('Transactions', 2);
+    for (const row of model.transactions) {
+      pdf.text(`${row.window}: ${row.buys} buys, ${row.sells} sells, ${row.total} total, buy/sell ratio ${formatValue(row.buy_sell_ratio)}`, { indent: 10 });
+    }
+  }
+
+  pdf.space(10).text(`Generated ${model.meta.generated_at}`, { size: 8 });
+  return pdf.toBuffer();
+}
+
+// CSV
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of every numeric metric in the report, one row per metric
+ * @param {Object} model - Report model
+ * @returns {string} CSV text
+ */
+function renderCsv(model) {
+  const rows = [];
+  const add = (section, metric, value) => {
+    const number = toNumber(value);
+    if (number !== null) rows.push([section, metric, number]);
+  };
+
+  model.tokenInfo.forEach(row => add('token_info', row.field, row.value));
+  model.overall.forEach(row => add('overall', row.field, row.value));
+  for (const section of model.sections) {
+    add(section.key, 'rating', section.rating);
+    section.details.forEach(row => add(section.key, row.key, row.value));
+  }
+  for (const row of model.ruleScores) {
+    add(row.key, 'rule_rating', row.rule_rating);
+    add(row.key, 'rating_difference', row.difference);
+  }
+  for (const row of model.transactions) {
+    add('transactions', `${row.window}_buys`, row.buys);
+    add('transactions', `${row.window}_sells`, row.sells);
+    add('transactions', `${row.window}_total`, row.total);
+    add('transactions', `${row.window}_buy_sell_ratio`, row.buy_sell_ratio);
+  }
+
+  const analysisId = model.meta.analysis_id || '';
+  return [
+    ['analysis_id', 'section', 'metric', 'value'],
+    ...rows.map(row => [analysisId, ...row])
+  ].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+const RENDERERS = {
+  markdown: renderMarkdown,
+  html: renderHtml,
+  pdf: renderPdf,
+  csv: renderCsv
+};
+
+/**
+ * Render a final analysis as a downloadable report
+ * @param {Object} analysis - Final analysis (finalAnalysis)
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {Object} meta - Report metadata (see buildReportModel)
+ * @returns {Object} Report body, content type and suggested file name
+ */
+function renderReport(analysis, format, meta = {}) {
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+
+  console.log(`LOG: renderReport - Rendering ${format} report${meta.analysisId ? ` for analysis ${meta.analysisId}` : ''}`);
+  const model = buildReportModel(analysis, meta);
+  const { contentType, extension } = REPORT_FORMATS[format];
+
+  const symbol = analysis.token_info?.symbol;
+  const baseName = [
+    'analysis',
+    typeof symbol === 'string' ? symbol.replace(/[^A-Za-z0-9_-]/g, '') : null,
+    meta.analysisId ? meta.analysisId.slice(0, 8) : null
+  ].filter(Boolean).join('-');
+
+  return {
+    body: RENDERERS[format](model),
+    contentType,
+    filename: `${baseName}.${extension}`
+  };
+}
+
+export {
+  REPORT_FORMATS,
+  buildReportModel,
+  renderReport
+};
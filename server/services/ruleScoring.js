@@ -0,0 +1,422 @@
+// server/services/ruleScoring.js
+
+// Every section starts at a neutral rating; each rule that applies adds or
+// subtracts points and the result is clamped to 0-10 (higher is better/safer)
+const BASE_RATING = 5;
+
+/**
+ * Clamp a rating to the 0-10 scale
+ * @param {number} rating - Unclamped rating
+ * @returns {number} Rating between 0 and 10
+ */
+function clampRating(rating) {
+  return Math.max(0, Math.min(10, rating));
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+function formatUsd(value) {
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+/**
+ * Classify recent transaction activity against the 24h average
+ * @param {Object} h24 - 24h transaction counts
+ * @param {Object} h1 - 1h transaction counts
+ * @returns {string} Trend label
+ */
+function classifyTransactionTrend(h24, h1) {
+  if (!h24 || !h1 || !(h24.total > 0)) return 'Stable';
+
+  const h24HourlyRate = h24.total / 24; // Avg transactions per hour over 24h
+  const h1HourlyRate = h1.total;        // Last hour rate
+
+  if (h1HourlyRate > h24HourlyRate * 1.5) return 'Strongly Increasing';
+  if (h1HourlyRate > h24HourlyRate * 1.2) return 'Moderately Increasing';
+  if (h1HourlyRate < h24HourlyRate * 0.5) return 'Strongly Decreasing';
+  if (h1HourlyRate < h24HourlyRate * 0.8) return 'Moderately Decreasing';
+  return 'Stable';
+}
+
+/**
+ * Rules per section. Each rule has an id, a description of what it measures and
+ * an evaluate function returning { points, explanation }, or null when the data
+ * it needs was not collected. Thresholds are documented in the README.
+ */
+const RULES = {
+  smart_contract_risk: [
+    {
+      id: 'mint_authority',
+      description: 'Revoked mint authority +2, active mint authority -2',
+      evaluate: ({ mintInfo }) => {
+        if (!mintInfo || !mintInfo.success) return null;
+        return mintInfo.canMintMore
+          ? { points: -2, explanation: `Mint authority ${mintInfo.mintAuthority} can still mint new supply` }
+          : { points: 2, explanation: 'Mint authority is revoked, supply is fixed' };
+      }
+    },
+    {
+      id: 'freeze_authority',
+      description: 'Revoked freeze authority +1, active freeze authority -2',
+      evaluate: ({ mintInfo }) => {
+        if (!mintInfo || !mintInfo.success) return null;
+        return mintInfo.canFreeze
+          ? { points: -2, explanation: `Freeze authority ${mintInfo.freezeAuthority} can freeze holder accounts` }
+          : { points: 1, explanation: 'Freeze authority is revoked' };
+      }
+    },
+    {
+      id: 'token_extensions',
+      description: 'Token-2022 extensions present -1 (transfer fees or hooks cannot be ruled out)',
+      evaluate: ({ extensions }) => {
+        if (!extensions || !extensions.success) return null;
+        return extensions.has_extensions
+          ? { points: -1, explanation: 'Token-2022 extensions are enabled and could not be inspected' }
+          : { points: 0, explanation: 'No token extensions' };
+      }
+    },
+    {
+      id: 'metadata',
+      description: 'No on-chain metadata -1',
+      evaluate: ({ metadata }) => {
+        if (!metadata) return null;
+        return metadata.success
+          ? { points: 0, explanation: 'Token metadata found' }
+          : { points: -1, explanation: 'No token metadata could be found' };
+      }
+    }
+  ],
+
+  token_performance: [
+    {
+      id: 'liquidity_depth',
+      description: 'Liquidity >= $1M +2, >= $100k +1, < $50k -1, < $10k -2',
+      evaluate: ({ market }) => {
+        const liquidity = toNumber(market?.liquidity_usd);
+        if (liquidity === null) return null;
+        const points = liquidity >= 1000000 ? 2 : liquidity >= 100000 ? 1 : liquidity < 10000 ? -2 : liquidity < 50000 ? -1 : 0;
+        return { points, explanation: `Liquidity of ${formatUsd(liquidity)}` };
+      }
+    },
+    {
+      id: 'volume_to_liquidity',
+      description: '24h volume between 0.5x and 10x liquidity +1, above 20x -1 (possible wash trading), below 0.05x -1',
+      evaluate: ({ market }) => {
+        const volume = toNumber(market?.volume?.h24);
+        const liquidity = toNumber(market?.liquidity_usd);
+        if (volume === null || !liquidity) return null;
+        const turnover = volume / liquidity;
+        const points = turnover > 20 ? -1 : turnover < 0.05 ? -1 : (turnover >= 0.5 && turnover <= 10) ? 1 : 0;
+        return { points, explanation: `24h volume is ${turnover.toFixed(2)}x liquidity` };
+      }
+    },
+    {
+      id: 'price_change_24h',
+      description: '24h price change >= +10% +1, <= -10% -1, <= -30% -2',
+      evaluate: ({ market }) => {
+        const change = toNumber(market?.price_change?.h24);
+        if (change === null) return null;
+        const points = change <= -30 ? -2 : change <= -10 ? -1 : change >= 10 ? 1 : 0;
+        return { points, explanation: `Price changed ${change}% in 24h` };
+      }
+    },
+    {
+      id: 'pair_age',
+      description: 'Trading pair younger than 1 day -2, younger than 7 days -1, older than 90 days +1',
+      evaluate: ({ market }) => {
+        const createdAt = toNumber(market?.pair_created_at);
+        if (!createdAt) return null;
+        const ageDays = (Date.now() - createdAt) / 86400000;
+        const points = ageDays < 1 ? -2 : ageDays < 7 ? -1 : ageDays > 90 ? 1 : 0;
+        return { points, explanation: `Main trading pair is ${ageDays.toFixed(1)} days old` };
+      }
+    },
+    {
+      id: 'fdv_to_market_cap',
+      description: 'Fully diluted valuation above 2x market cap -1 (large supply not yet circulating)',
+      evaluate: ({ market }) => {
+        const fdv = toNumber(market?.fdv);
+        const marketCap = toNumber(market?.market_cap);
+        if (!fdv || !marketCap) return null;
+        const ratio = fdv / marketCap;
+        return { points: ratio > 2 ? -1 : 0, explanation: `FDV is ${ratio.toFixed(2)}x market cap` };
+      }
+    }
+  ],
+
+  transaction_analysis: [
+    {
+      id: 'transaction_count_24h',
+      description: '24h transactions > 1000 +2, > 500 +1, < 50 -1, < 10 -2',
+      evaluate: ({ transactions }) => {
+        const total = transactions?.h24?.total;
+        if (typeof total !== 'number') return null;
+        const points = total > 1000 ? 2 : total > 500 ? 1 : total < 10 ? -2 : total < 50 ? -1 : 0;
+        return { points, explanation: `${total} transactions in the last 24h` };
+      }
+    },
+    {
+      id: 'buy_sell_ratio_24h',
+      description: '24h buy/sell ratio > 2 +2, > 1.3 +1, < 0.8 -1, < 0.5 -2',
+      evaluate: ({ transactions }) => {
+        const h24 = transactions?.h24;
+        if (!h24 || !(h24.sells > 0)) return null;
+        const ratio = h24.buys / h24.sells;
+        const points = ratio > 2 ? 2 : ratio > 1.3 ? 1 : ratio < 0.5 ? -2 : ratio < 0.8 ? -1 : 0;
+        return { points, explanation: `${h24.buys} buys vs ${h24.sells} sells (ratio ${ratio.toFixed(2)})` };
+      }
+    },
+    {
+      id: 'activity_trend',
+      description: 'Last hour more than 1.5x the 24h hourly average +1, below 0.5x -1',
+      evaluate: ({ transactions }) => {
+        if (!transactions?.h24 || !transactions?.h1) return null;
+        const trend = classifyTransactionTrend(transactions.h24, transactions.h1);
+        const points = trend === 'Strongly Increasing' ? 1 : trend === 'Strongly Decreasing' ? -1 : 0;
+        return { points, explanation: `Transaction activity is ${trend.toLowerCase()}` };
+      }
+    }
+  ],
+
+  on_chain_metrics: [
+    {
+      id: 'holder_concentration',
+      description: 'Top 10 holders own > 80% -2, > 50% -1, < 25% +1',
+      evaluate: ({ whales }) => {
+        const concentration = toNumber(whales?.concentration_percentage);
+        if (!whales?.success || !concentration) return null;
+        const points = concentration > 80 ? -2 : concentration > 50 ? -1 : concentration < 25 ? 1 : 0;
+        return { points, explanation: `Top 10 holders own ${concentration}% of the supply` };
+      }
+    },
+    {
+      id: 'holder_count',
+      description: 'Fewer than 50 holders found -2, fewer than 200 -1 (counts are sampled, so only low counts are scored)',
+      evaluate: ({ whales }) => {
+        const holders = toNumber(whales?.total_holders);
+        if (!whales?.success || holders === null) return null;
+        const points = holders < 50 ? -2 : holders < 200 ? -1 : 0;
+        return { points, explanation: `${holders} holders found` };
+      }
+    },
+    {
+      id: 'transaction_frequency',
+      description: 'On-chain activity >= 100 transactions/hour +1, < 1 transaction/hour -1',
+      evaluate: ({ patterns }) => {
+        const frequency = toNumber(patterns?.transaction_frequency);
+        if (!patterns || patterns.success === false || !patterns.total_transactions) return null;
+        const points = frequency >= 100 ? 1 : frequency < 1 ? -1 : 0;
+        return { points, explanation: `${frequency} transactions per hour on the mint account` };
+      }
+    }
+  ],
+
+  social_sentiment: [
+    {
+      id: 'twitter_sentiment',
+      description: 'Twitter sentiment score >= 0.5 +2, >= 0.1 +1, <= -0.1 -1, <= -0.5 -2',
+      evaluate: ({ social }) => {
+        if (!social?.twitter?.success) return null;
+        const score = toNumber(social.overall_sentiment_score) ?? 0;
+        const points = score >= 0.5 ? 2 : score >= 0.1 ? 1 : score <= -0.5 ? -2 : score <= -0.1 ? -1 : 0;
+        return { points, explanation: `Sentiment score ${score.toFixed(2)} from ${social.twitter.total_tweets} tweets` };
+      }
+    },
+    {
+      id: 'twitter_activity',
+      description: 'At least 50 recent tweets +1, none found -1',
+      evaluate: ({ social }) => {
+        if (!social || !social.twitter) return null;
+        const tweets = social.twitter.total_tweets || 0;
+        const points = tweets >= 50 ? 1 : tweets === 0 ? -1 : 0;
+        return { points, explanation: tweets === 0 ? 'No recent tweets found' : `${tweets} recent tweets` };
+      }
+    },
+    {
+      id: 'listed_socials',
+      description: 'Two or more social channels listed +1, none -1',
+      evaluate: ({ market }) => {
+        if (!market) return null;
+        const socials = market.links?.socials || [];
+        const points = socials.length >= 2 ? 1 : socials.length === 0 ? -1 : 0;
+        return { points, explanation: `${socials.length} social channels listed on DexScreener` };
+      }
+    },
+    {
+      id: 'website',
+      description: 'No project website -1',
+      evaluate: ({ market }) => {
+        if (!market) return null;
+        return market.links?.website
+          ? { points: 0, explanation: `Website: ${market.links.website}` }
+          : { points: -1, explanation: 'No project website listed' };
+      }
+    }
+  ]
+};
+
+/**
+ * Run the rules of one section
+ * @param {Array} rules - Rules of the section
+ * @param {Object} inputs - Normalized collected data
+ * @returns {Object} Rating (null when no rule had data) with the rules that applied
+ */
+function scoreSection(rules, inputs) {
+  const applied = [];
+  const skipped = [];
+
+  for (const rule of rules) {
+    const result = rule.evaluate(inputs);
+    if (result) {
+      applied.push({ rule: rule.id, points: result.points, explanation: result.explanation });
+    } else {
+      skipped.push(rule.id);
+    }
+  }
+
+  const rating = applied.length > 0
+    ? clampRating(applied.reduce((sum, rule) => sum + rule.points, BASE_RATING))
+    : null;
+
+  return { rating, rules: applied, skipped_rules: skipped };
+}
+
+/**
+ * Score only the DexScreener transaction counts
+ * @param {Object} transactions - Transaction counts per window (h24, h6, h1, m5)
+ * @returns {Object} Transaction section score
+ */
+function scoreTransactionActivity(transactions) {
+  return scoreSection(RULES.transaction_analysis, { transactions });
+}
+
+/**
+ * Compute deterministic ratings for every analysis section from the collected data
+ * @param {Object} data - Collected data
+ * @param {Object} data.contractData - Result of analyzeSolanaProgram
+ * @param {Object} data.marketData - Result of fetchDexScreenerData
+ * @param {Object} data.onChainData - Result of analyzeOnChainMetrics
+ * @param {Object} data.socialData - Result of analyzeSocialSentiment
+ * @returns {Object} Section scores keyed by section
+ */
+function scoreAnalysisRules({ contractData, marketData, onChainData, socialData } = {}) {
+  const tokenAnalysis = contractData?.token_analysis?.is_token ? contractData.token_analysis : null;
+  const market = marketData && marketData.success ? marketData : null;
+
+  const inputs = {
+    mintInfo: tokenAnalysis?.mint_info,
+    extensions: tokenAnalysis?.extensions,
+    metadata: tokenAnalysis?.metadata,
+    market,
+    transactions: market?.transactions,
+    whales: onChainData?.whale_activity,
+    patterns: onChainData?.transaction_patterns,
+    social: socialData && Object.keys(socialData).length > 0 ? socialData : null
+  };
+
+  const sections = {};
+  for (const [section, rules] of Object.entries(RULES)) {
+    sections[section] = scoreSection(rules, inputs);
+  }
+  return sections;
+}
+
+/**
+ * Put rule ratings next to the LLM ratings and flag sections where they disagree
+ * RULE_SCORE_DISAGREEMENT_THRESHOLD sets the rating gap that counts as a disagreement (default 3)
+ * @param {Object} ruleSections - Result of scoreAnalysisRules
+ * @param {Object} analysis - Final analysis with the LLM ratings
+ * @returns {Object} Rule scores with the comparison per section
+ */
+function compareWithLLMRatings(ruleSections, analysis) {
+  const threshold = parseFloat(process.env.RULE_SCORE_DISAGREEMENT_THRESHOLD) || 3;
+  const sections = {};
+  const disagreements = [];
+
+  for (const [section, score] of Object.entries(ruleSections)) {
+    const llmRating = toNumber(analysis?.[section]?.rating);
+    const difference = llmRating !== null && score.rating !== null ? llmRating - score.rating : null;
+    const disagreement = difference !== null && Math.abs(difference) >= threshold;
+
+    if (disagreement) disagreements.push(section);
+    sections[section] = {
+      rule_rating: score.rating,
+      llm_rating: llmRating,
+      difference,
+      disagreement,
+      rules: score.rules,
+      skipped_rules: score.skipped_rules
+    };
+  }
+
+  if (disagreements.length > 0) {
+    console.log(`LOG: compareWithLLMRatings - Rule and LLM ratings disagree on: ${disagreements.join(', ')}`);
+  }
+
+  return {
+    base_rating: BASE_RATING,
+    disagreement_threshold: threshold,
+    sections,
+    disagreements
+  };
+}
+
+/**
+ * Build a final analysis from the rule ratings alone, for analysis profiles that
+ * do not call the LLM. Rules that added points become catalysts and rules that
+ * subtracted points become concerns; the risk/reward ratio and confidence score
+ * need the model's judgement and are left null.
+ * @param {Object} ruleSections - Result of scoreAnalysisRules
+ * @param {string} profileName - Analysis profile, named in the recommendation
+ * @returns {Object} Analysis with the sections of the LLM assessment
+ */
+function buildRuleBasedAnalysis(ruleSections, profileName) {
+  const analysis = {};
+  const catalysts = [];
+  const concerns = [];
+
+  for (const [section, score] of Object.entries(ruleSections)) {
+    analysis[section] = {
+      rating: score.rating,
+      comment: score.rules.length > 0 ?
+        score.rules.map(rule => rule.explanation).join('. ') :
+        'No collected data for the rule-based rating',
+      error: null
+    };
+    for (const rule of score.rules) {
+      if (rule.points > 0) catalysts.push(rule.explanation);
+      if (rule.points < 0) concerns.push(rule.explanation);
+    }
+  }
+
+  const rated = Object.values(ruleSections).filter(score => score.rating !== null);
+  const average = rated.length > 0 ?
+    rated.reduce((sum, score) => sum + score.rating, 0) / rated.length :
+    null;
+
+  return {
+    ...analysis,
+    risk_reward_ratio: null,
+    confidence_score: null,
+    investment_timeframe: 'Not assessed',
+    specific_catalysts: catalysts,
+    specific_concerns: concerns,
+    final_recommendation: average === null ?
+      `No rule applied to the collected data (${profileName} profile, no LLM assessment). Run a standard analysis for a recommendation.` :
+      `Rule-based ratings only (${profileName} profile, no LLM assessment): average ${average.toFixed(1)}/10 over ${rated.length} sections with ${concerns.length} concerns. Run a standard analysis for a recommendation.`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+export {
+  RULES,
+  classifyTransactionTrend,
+  scoreTransactionActivity,
+  scoreAnalysisRules,
+  compareWithLLMRatings,
+  buildRuleBasedAnalysis
+};
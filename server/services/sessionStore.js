@@ -0,0 +1,96 @@
+// server/services/sessionStore.js
+import { createStore } from './store.js';
+import { AgentState } from '../agents/researchBot.js';
+
+// Abandoned sessions are evicted after this long without activity
+const DEFAULT_SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Session store that persists ResearchBot AgentState between requests.
+ * The backing store decides where sessions live (file or memory); this layer
+ * handles serialization and rehydration of the agent state, and refuses to
+ * save a loaded state over a newer one.
+ */
+class SessionStore {
+  /**
+   * @param {Object} store - Key/value store backend (see store.js)
+   */
+  constructor(store) {
+    this.store = store;
+    // Revision each loaded state was read at
+    this.revisions = new WeakMap();
+  }
+
+  /**
+   * Load the agent state for a session
+   * @param {string} sessionId - Session identifier
+   * @returns {AgentState|null} Rehydrated state or null if none/expired
+   */
+  async load(sessionId) {
+    const entry = await this.store.getVersioned(sessionId);
+    if (!entry) {
+      console.log(`LOG: SessionStore.load - No stored state for session ${sessionId}`);
+      return null;
+    }
+    const state = AgentState.fromJSON(entry.value);
+    this.revisions.set(state, entry.revision);
+    return state;
+  }
+
+  /**
+   * Persist the agent state for a session, refreshing its TTL. A state that was
+   * loaded is only saved if the session has not changed since; a new state
+   * (a new analysis) replaces whatever the session held.
+   * @param {string} sessionId - Session identifier
+   * @param {AgentState} state - Agent state to persist
+   * @throws {StoreConflictError} When the session was saved by another request after this state was loaded
+   */
+  async save(sessionId, state) {
+    if (!state) return;
+    const data = JSON.parse(JSON.stringify(state));
+    const revision = this.revisions.has(state) ?
+      await this.store.setIfRevision(sessionId, data, this.revisions.get(state)) :
+      await this.store.set(sessionId, data);
+    this.revisions.set(state, revision);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId - Session identifier
+   */
+  async delete(sessionId) {
+    await this.store.delete(sessionId);
+  }
+}
+
+/**
+ * Create the session store configured for this deployment
+ * SESSION_STORE selects the backend ('file' or 'memory'), SESSION_TTL_MS the eviction TTL
+ * @returns {SessionStore} Session store
+ */
+function createSessionStore() {
+  const ttlMs = parseInt(process.env.SESSION_TTL_MS, 10) || DEFAULT_SESSION_TTL_MS;
+  const backend = process.env.SESSION_STORE || process.env.STORE_BACKEND || 'file';
+
+  console.log(`LOG: createSessionStore - Using ${backend} backend with TTL ${ttlMs}ms`);
+  return new SessionStore(createStore('sessions', { backend, ttlMs }));
+}
+
+let sharedSessionStore = null;
+
+/**
+ * Get the process-wide session store, creating it on first use
+ * @returns {SessionStore} Shared session store
+ */
+function getSessionStore() {
+  if (!sharedSessionStore) {
+    sharedSessionStore = createSessionStore();
+  }
+  return sharedSessionStore;
+}
+
+export {
+  SessionStore,
+  createSessionStore,
+  getSessionStore
+};
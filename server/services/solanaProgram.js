@@ -1,9 +1,9 @@
 // server/services/solanaProgram.js
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import axios from 'axios';
+import { getSolanaConnection } from './solanaRpc.js';
 
-// Initialize Solana connection
-const connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+const connection = getSolanaConnection();
 
 // Standard SPL Token Program ID
 const TOKEN_PROGRAM_ID = new PublicKey('TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
@@ -42,6 +42,8 @@ async function withRetry(
       }
       return await fn();
     } catch (error) {
+      // An aborted request was cancelled on purpose; retrying would undo that
+      if (axios.isCancel(error)) throw error;
       lastError = error;
       const isRateLimit = error.message?.includes('rate limit') || 
                          error.response?.status === 429 ||
@@ -178,8 +180,10 @@ async function analyzeMintAuthority(tokenAddress) {
     
     console.log('STEP: analyzeMintAuthority - Account info received, data length:', mintInfo.data.length);
     
-    // For SPL tokens, authority is at bytes 0-32
+    // SPL mint layout: mint authority COption (4 + 32 bytes), supply u64 at 36,
+    // decimals at 44, is_initialized at 45, freeze authority COption (4 + 32 bytes) at 46
     let mintAuthority = null;
+    let freezeAuthority = null;
     let supply = null;
     let decimals = null;
     
@@ -190,17 +194,24 @@ async function analyzeMintAuthority(tokenAddress) {
       decimals = mintInfo.data[44];
       console.log('STEP: analyzeMintAuthority - Decimals:', decimals);
       
-      // Extract authority (pubkey at offset 0)
-      const authorityBytes = mintInfo.data.slice(0, 32);
-      // Check if all bytes are 0 (no authority)
-      const hasAuthority = !authorityBytes.every(b => b === 0);
+      // Extract mint authority (option tag at offset 0, pubkey at offset 4)
+      const hasAuthority = mintInfo.data.readUInt32LE(0) === 1;
       console.log('STEP: analyzeMintAuthority - Has mint authority:', hasAuthority);
       
       if (hasAuthority) {
-        mintAuthority = new PublicKey(authorityBytes).toString();
+        mintAuthority = new PublicKey(mintInfo.data.slice(4, 36)).toString();
         console.log('STEP: analyzeMintAuthority - Mint authority:', mintAuthority);
       }
       
+      // Extract freeze authority (option tag at offset 46, pubkey at offset 50)
+      const hasFreezeAuthority = mintInfo.data.length >= 82 && mintInfo.data.readUInt32LE(46) === 1;
+      console.log('STEP: analyzeMintAuthority - Has freeze authority:', hasFreezeAuthority);
+      
+      if (hasFreezeAuthority) {
+        freezeAuthority = new PublicKey(mintInfo.data.slice(50, 82)).toString();
+        console.log('STEP: analyzeMintAuthority - Freeze authority:', freezeAuthority);
+      }
+      
       // Extract supply (u64 at offset 36)
       const supplyBytes = mintInfo.data.slice(36, 44);
       // Convert bytes to BigInt
@@ -229,6 +240,8 @@ async function analyzeMintAuthority(tokenAddress) {
       success: true,
       mintAuthority: mintAuthority,
       canMintMore: mintAuthority !== null,
+      freezeAuthority: freezeAuthority,
+      canFreeze: freezeAuthority !== null,
       supply: supply,
       decimals: decimals,
       frozen: false // Need more data to determine if frozen
@@ -417,9 +430,11 @@ async function analyzeTokenExtensions(tokenAddress) {
  * Analyze token performance metrics based on transaction history and volume
  * @param {string} tokenAddress - Token mint address
  * @param {number} delayMs - Delay in milliseconds to avoid rate limiting (default: 1500ms)
+ * @param {number} signatureLimit - Recent signatures to analyze (default: 100, max 1000)
+ * @param {AbortSignal} signal - Aborts the Jupiter price request
  * @returns {Object} Token performance metrics
  */
-async function analyzeTokenPerformance(tokenAddress, delayMs = 1500) {
+async function analyzeTokenPerformance(tokenAddress, delayMs = 1500, signatureLimit = 100, signal = null) {
   console.log('STEP: analyzeTokenPerformance - Starting for:', tokenAddress);
   
   try {
@@ -429,11 +444,11 @@ async function analyzeTokenPerformance(tokenAddress, delayMs = 1500) {
     // Get more transaction history to analyze performance with retry
     console.log('STEP: analyzeTokenPerformance - Fetching transaction signatures');
     
-    // Get last 100 signatures for better analysis with retry
+    // Get the recent signatures for better analysis with retry
     const signatures = await withRetry(async () => {
       return await connection.getSignaturesForAddress(
         mintPubkey, 
-        { limit: 100 }
+        { limit: signatureLimit }
       );
     }, {
       maxRetries: 4,
@@ -473,7 +488,8 @@ async function analyzeTokenPerformance(tokenAddress, delayMs = 1500) {
             'Accept': 'application/json',
             'User-Agent': 'SolanaTokenAnalyzer/1.0'
           },
-          timeout: 15000
+          timeout: 15000,
+          signal
         });
         
         if (!res.data || !res.data.data) {
@@ -575,9 +591,10 @@ async function analyzeTokenPerformance(tokenAddress, delayMs = 1500) {
  * Analyzes security aspects of a Solana token
  * @param {Object} tokenData - Collected token data
  * @param {Object} llm - Language model instance for analysis
- * @returns {string} Security analysis
+ * @param {AbortSignal} signal - Aborts the model call
+ * @returns {Object} { success: true, analysis } or { success: false, error }
  */
-async function analyzeTokenSecurity(tokenData, llm) {
+async function analyzeTokenSecurity(tokenData, llm, signal = null) {
   console.log('STEP: analyzeTokenSecurity - Starting analysis');
   
   try {
@@ -598,26 +615,30 @@ async function analyzeTokenSecurity(tokenData, llm) {
     Provide a clear summary of security considerations and potential risks:`;
     
     console.log('STEP: analyzeTokenSecurity - Sending to LLM for analysis');
-    const analysis = await llm.predict(prompt);
+    const analysis = await llm.predict(prompt, { signal });
     console.log('STEP: analyzeTokenSecurity - LLM analysis received, length:', analysis.length);
     
-    return analysis;
+    return { success: true, analysis };
   } catch (error) {
     console.error('ERROR in analyzeTokenSecurity:', error.message);
-    return `Error analyzing token security: ${error.message}`;
+    return { success: false, error: `Error analyzing token security: ${error.message}` };
   }
 }
 
 /**
  * Comprehensive analysis of a Solana program/token
  * @param {string} programAddress - Solana program/token address
- * @param {Object} llm - Language model instance
+ * @param {Object} llm - Language model instance (null to skip the LLM security analysis)
  * @param {Object} options - Analysis options
  * @param {number} options.delayMs - Delay in milliseconds between API requests (default: 1500)
+ * @param {number} options.holderPages - Holder pages of 100 to fetch (default: 0, the first 10 holders only)
+ * @param {number} options.signatureLimit - Recent signatures for the performance analysis (default: 100)
+ * @param {AbortSignal} options.signal - Aborts the price request and the LLM security analysis
  * @returns {Object} Complete program/token analysis
  */
-async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 1500 }) {
+async function analyzeSolanaProgram(programAddress, llm, options = {}) {
   console.log('STEP: analyzeSolanaProgram - Starting analysis for:', programAddress);
+  options = { delayMs: 1500, holderPages: 0, signatureLimit: 100, ...options };
   
   try {
     // Get on-chain program data with retry
@@ -639,6 +660,7 @@ async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 15
     
     let tokenAnalysis = null;
     let securityAnalysis = 'Unable to perform detailed analysis';
+    let securityAnalysisError = null;
     
     if (isTokenMint) {
       console.log('STEP: analyzeSolanaProgram - Performing token mint analysis');
@@ -661,7 +683,7 @@ async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 15
       
       // Fetch token performance data
       console.log('STEP: analyzeSolanaProgram - Analyzing token performance');
-      const performanceInfo = await analyzeTokenPerformance(programAddress, options.delayMs);
+      const performanceInfo = await analyzeTokenPerformance(programAddress, options.delayMs, options.signatureLimit, options.signal);
       
       // Import the token holders module to get holder data
       // This now uses the specialized holder analysis module instead
@@ -672,9 +694,15 @@ async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 15
         // Dynamic import to avoid circular dependencies
         const { analyzeTokenHolderDistribution } = await import('./tokenHolders.js');
         
-        // Use the quick analysis mode (not full pagination) for basic holder data
-        holderInfo = await analyzeTokenHolderDistribution(programAddress, {
-          fetchFullList: false  // Use quick mode for basic analysis
+        // Quick mode (first page only) unless more holder pages were requested
+        holderInfo = await analyzeTokenHolderDistribution(programAddress, options.holderPages > 0 ? {
+          fetchFullList: true,
+          pageSize: 100,
+          maxPages: options.holderPages,
+          delayBetweenPages: 2000,
+          showZeroBalance: false
+        } : {
+          fetchFullList: false
         });
         
         console.log('STEP: analyzeSolanaProgram - Holder data retrieved from tokenHolders module');
@@ -703,12 +731,20 @@ async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 15
       };
       
       // Perform token security analysis
-      console.log('STEP: analyzeSolanaProgram - Performing security analysis');
-      securityAnalysis = await analyzeTokenSecurity({
-        program_data: programData,
-        token_analysis: tokenAnalysis
-      }, llm);
-      console.log('STEP: analyzeSolanaProgram - Security analysis complete');
+      if (llm) {
+        console.log('STEP: analyzeSolanaProgram - Performing security analysis');
+        const security = await analyzeTokenSecurity({
+          program_data: programData,
+          token_analysis: tokenAnalysis
+        }, llm, options.signal);
+        // The error message stands in for the write-up; security_analysis_error flags it
+        securityAnalysis = security.success ? security.analysis : security.error;
+        securityAnalysisError = security.success ? null : security.error;
+        console.log('STEP: analyzeSolanaProgram - Security analysis complete');
+      } else {
+        console.log('STEP: analyzeSolanaProgram - No LLM, skipping security analysis');
+        securityAnalysis = null;
+      }
     } else {
       // This is a program, not a token mint
       console.log('STEP: analyzeSolanaProgram - Skipping token analysis for non-token address');
@@ -719,7 +755,8 @@ async function analyzeSolanaProgram(programAddress, llm, options = { delayMs: 15
     const result = {
       program_data: programData,
       token_analysis: tokenAnalysis,
-      security_analysis: securityAnalysis
+      security_analysis: securityAnalysis,
+      security_analysis_error: securityAnalysisError
     };
     
     console.log('STEP: analyzeSolanaProgram - Analysis complete, returning results');
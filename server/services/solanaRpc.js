@@ -0,0 +1,24 @@
+// server/services/solanaRpc.js
+import { Connection } from '@solana/web3.js';
+import { trackRpcUsage } from './usage.js';
+
+let sharedConnection = null;
+
+/**
+ * Get the process-wide Solana RPC connection (SOLANA_RPC_URL, default mainnet-beta),
+ * creating it on first use. Every RPC call made through it counts as a provider
+ * call of the API key the request or job runs for.
+ * @returns {Connection} Solana connection
+ */
+function getSolanaConnection() {
+  if (!sharedConnection) {
+    sharedConnection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com', {
+      fetchMiddleware: trackRpcUsage
+    });
+  }
+  return sharedConnection;
+}
+
+export {
+  getSolanaConnection
+};
@@ -0,0 +1,366 @@
+// server/services/store.js
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Error for a conditional write whose expected revision is no longer current
+ */
+class StoreConflictError extends Error {
+  constructor(key) {
+    super(`Entry ${key} was modified by another request`);
+    this.name = 'StoreConflictError';
+    this.key = key;
+  }
+}
+
+/**
+ * In-memory key/value store with optional TTL-based eviction
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.ttlMs - Default time-to-live in milliseconds (0 disables expiry)
+   * @param {number} options.sweepIntervalMs - How often expired entries are evicted
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 0;
+    this.entries = new Map();
+    this.sweepTimer = startSweeper(this, options.sweepIntervalMs);
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Read a value with its revision (see setIfRevision)
+   * @param {string} key - Entry key
+   * @returns {Object|null} { value, revision } or null if none/expired
+   */
+  async getVersioned(key) {
+    const value = await this.get(key);
+    return value === null ? null : { value, revision: this.entries.get(key).revision };
+  }
+
+  async set(key, value, options = {}) {
+    const revision = randomUUID();
+    this.entries.set(key, {
+      value,
+      revision,
+      expiresAt: computeExpiry(options.ttlMs ?? this.ttlMs)
+    });
+    return revision;
+  }
+
+  /**
+   * Write a value only if the entry is still at the revision it was read at
+   * @param {string} key - Entry key
+   * @param {any} value - New value
+   * @param {string|null} expectedRevision - Revision from getVersioned (null: the entry must not exist)
+   * @param {Object} options - Write options (ttlMs)
+   * @returns {string} New revision
+   * @throws {StoreConflictError} When another write got there first
+   */
+  async setIfRevision(key, value, expectedRevision, options = {}) {
+    // No await between the check and the write, so the check cannot go stale
+    const entry = this.entries.get(key);
+    const current = entry && !isExpired(entry) ? entry.revision : null;
+    if (current !== expectedRevision) {
+      throw new StoreConflictError(key);
+    }
+    return this.set(key, value, options);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    await this.sweep();
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Evict every expired entry
+   * @returns {number} Number of evicted entries
+   */
+  async sweep() {
+    let evicted = 0;
+    for (const [key, entry] of this.entries) {
+      if (isExpired(entry)) {
+        this.entries.delete(key);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  close() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+  }
+}
+
+/**
+ * Create a file store directory and check that it can be written
+ * @param {string} dir - Directory
+ * @throws {Error} When it cannot be written, e.g. on a read-only filesystem
+ */
+function ensureWritableDir(dir) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch (error) {
+    throw new Error(`File store directory ${path.resolve(dir)} is not writable (${error.code || error.message}). ` +
+      'Set STORE_DIR to a writable directory, or STORE_BACKEND=memory and SESSION_STORE=memory on a read-only filesystem.');
+  }
+}
+
+/**
+ * File-backed key/value store - one JSON document per key, survives restarts.
+ * Conditional writes are serialized within this process only, so a directory
+ * must not be shared by several replicas.
+ */
+class FileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory holding the JSON documents
+   * @param {number} options.ttlMs - Default time-to-live in milliseconds (0 disables expiry)
+   * @param {number} options.sweepIntervalMs - How often expired entries are evicted
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || './data/store';
+    this.ttlMs = options.ttlMs || 0;
+    this.locks = new Map();
+    ensureWritableDir(this.dir);
+    this.sweepTimer = startSweeper(this, options.sweepIntervalMs);
+  }
+
+  // base64url keeps arbitrary client-supplied keys from escaping the directory
+  filePath(key) {
+    return path.join(this.dir, `${Buffer.from(String(key)).toString('base64url')}.json`);
+  }
+
+  async readEntry(filename) {
+    try {
+      const raw = await fs.promises.readFile(filename, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`ERROR: FileStore - Failed to read ${filename}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  async get(key) {
+    const filename = this.filePath(key);
+    const entry = await this.readEntry(filename);
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      await fs.promises.rm(filename, { force: true });
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Read a value with its revision (see setIfRevision)
+   * @param {string} key - Entry key
+   * @returns {Object|null} { value, revision } or null if none/expired
+   */
+  async getVersioned(key) {
+    const entry = await this.readEntry(this.filePath(key));
+    if (!entry || isExpired(entry)) return null;
+    return { value: entry.value, revision: entry.revision ?? null };
+  }
+
+  /**
+   * Run writes to one key one at a time
+   * @param {string} key - Entry key
+   * @param {Function} fn - Write to run
+   * @returns {Promise<any>} Result of fn
+   */
+  withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    });
+    return run;
+  }
+
+  async writeEntry(key, value, options) {
+    const filename = this.filePath(key);
+    const entry = {
+      key,
+      revision: randomUUID(),
+      expiresAt: computeExpiry(options.ttlMs ?? this.ttlMs),
+      value
+    };
+
+    // Write to a temp file and rename so readers never see a partial document
+    const tmpFilename = `${filename}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmpFilename, JSON.stringify(entry));
+    await fs.promises.rename(tmpFilename, filename);
+    return entry.revision;
+  }
+
+  async set(key, value, options = {}) {
+    return this.withLock(key, () => this.writeEntry(key, value, options));
+  }
+
+  /**
+   * Write a value only if the entry is still at the revision it was read at
+   * @param {string} key - Entry key
+   * @param {any} value - New value
+   * @param {string|null} expectedRevision - Revision from getVersioned (null: the entry must not exist)
+   * @param {Object} options - Write options (ttlMs)
+   * @returns {string} New revision
+   * @throws {StoreConflictError} When another write got there first
+   */
+  async setIfRevision(key, value, expectedRevision, options = {}) {
+    return this.withLock(key, async () => {
+      const current = await this.getVersioned(key);
+      if ((current ? current.revision : null) !== expectedRevision) {
+        throw new StoreConflictError(key);
+      }
+      return this.writeEntry(key, value, options);
+    });
+  }
+
+  async delete(key) {
+    await this.withLock(key, () => fs.promises.rm(this.filePath(key), { force: true }));
+  }
+
+  async keys() {
+    await this.sweep();
+    const files = await fs.promises.readdir(this.dir);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => Buffer.from(file.slice(0, -'.json'.length), 'base64url').toString());
+  }
+
+  /**
+   * Evict every expired entry
+   * @returns {number} Number of evicted entries
+   */
+  async sweep() {
+    let evicted = 0;
+    let files = [];
+
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      console.error('ERROR: FileStore.sweep - Failed to list store directory:', error.message);
+      return 0;
+    }
+
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const filename = path.join(this.dir, file);
+      const entry = await this.readEntry(filename);
+      if (entry && isExpired(entry)) {
+        await fs.promises.rm(filename, { force: true });
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  close() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+  }
+}
+
+function computeExpiry(ttlMs) {
+  return ttlMs > 0 ? Date.now() + ttlMs : null;
+}
+
+function isExpired(entry) {
+  return entry.expiresAt !== null && entry.expiresAt !== undefined && entry.expiresAt <= Date.now();
+}
+
+function startSweeper(store, sweepIntervalMs = 5 * 60 * 1000) {
+  if (!store.ttlMs || !sweepIntervalMs) return null;
+
+  const timer = setInterval(() => {
+    store.sweep()
+      .then(evicted => {
+        if (evicted > 0) {
+          console.log(`LOG: store sweep - Evicted ${evicted} expired entries`);
+        }
+      })
+      .catch(error => console.error('ERROR: store sweep -', error.message));
+  }, sweepIntervalMs);
+
+  // Never keep the process alive just for eviction
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Create a store for a namespace using the backend configured for the deployment
+ * @param {string} namespace - Store namespace (used as sub-directory for the file backend)
+ * @param {Object} options - Store options
+ * @param {string} options.backend - 'file' or 'memory' (defaults to STORE_BACKEND or 'file')
+ * @param {number} options.ttlMs - Default time-to-live in milliseconds
+ * @returns {MemoryStore|FileStore} Store instance
+ */
+function createStore(namespace, options = {}) {
+  const backend = options.backend || process.env.STORE_BACKEND || 'file';
+
+  if (backend === 'memory') {
+    return new MemoryStore(options);
+  }
+
+  if (backend === 'file') {
+    return new FileStore({
+      ...options,
+      dir: options.dir || path.join(process.env.STORE_DIR || './data', namespace)
+    });
+  }
+
+  throw new Error(`Unknown store backend: ${backend}`);
+}
+
+/**
+ * Fail at startup, rather than on the first request, when a file store is
+ * configured (the default) but STORE_DIR cannot be written
+ * @throws {Error} When the store directory is not writable
+ */
+function checkStoreConfiguration() {
+  const backends = [
+    process.env.STORE_BACKEND || 'file',
+    process.env.SESSION_STORE || process.env.STORE_BACKEND || 'file'
+  ];
+  if (!backends.includes('file')) return;
+
+  const dir = process.env.STORE_DIR || './data';
+  try {
+    ensureWritableDir(dir);
+  } catch (error) {
+    console.error(`ERROR: checkStoreConfiguration - ${error.message}`);
+    throw error;
+  }
+  console.log(`LOG: checkStoreConfiguration - File stores under ${path.resolve(dir)}`);
+}
+
+export {
+  StoreConflictError,
+  MemoryStore,
+  FileStore,
+  createStore,
+  checkStoreConfiguration
+};
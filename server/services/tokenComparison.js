@@ -0,0 +1,154 @@
+// server/services/tokenComparison.js
+import ResearchBot from '../agents/researchBot.js';
+import { getOrRunAnalysis, ANALYSIS_SECTIONS } from './analysisRunner.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+// Rows of the aligned comparison table, in display order
+const COMPARISON_FIELDS = [
+  { field: 'token_name', label: 'Name', group: 'market' },
+  { field: 'token_symbol', label: 'Symbol', group: 'market' },
+  { field: 'price_usd', label: 'Price (USD)', group: 'market' },
+  { field: 'market_cap', label: 'Market cap (USD)', group: 'market' },
+  { field: 'fdv', label: 'Fully diluted valuation (USD)', group: 'market' },
+  { field: 'price_change_24h', label: 'Price change 24h (%)', group: 'market' },
+  { field: 'liquidity_usd', label: 'Liquidity (USD)', group: 'liquidity' },
+  { field: 'buy_sell_ratio_24h', label: 'Buy/sell ratio 24h', group: 'liquidity' },
+  { field: 'buy_sell_ratio_6h', label: 'Buy/sell ratio 6h', group: 'liquidity' },
+  { field: 'buy_sell_ratio_1h', label: 'Buy/sell ratio 1h', group: 'liquidity' },
+  { field: 'mint_authority_active', label: 'Mint authority active', group: 'security' },
+  { field: 'mint_authority', label: 'Mint authority', group: 'security' },
+  { field: 'freeze_authority_active', label: 'Freeze authority active', group: 'security' },
+  { field: 'freeze_authority', label: 'Freeze authority', group: 'security' },
+  { field: 'top10_concentration_percent', label: 'Top-10 holder concentration (%)', group: 'holders' },
+  { field: 'holder_count', label: 'Holder count (sampled)', group: 'holders' },
+  ...ANALYSIS_SECTIONS.map(section => ({ field: `${section}_rating`, label: `${section} rating (0-10)`, group: 'ratings' })),
+  { field: 'risk_reward_ratio', label: 'Risk/reward ratio (0-5)', group: 'ratings' },
+  { field: 'confidence_score', label: 'Confidence score (0-100)', group: 'ratings' }
+];
+
+function buySellRatio(window) {
+  if (!window || !(window.sells > 0)) return null;
+  return parseFloat((window.buys / window.sells).toFixed(2));
+}
+
+function valueOrNull(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Extract the comparison fields for one token from its analysis and agent state
+ * @param {string} mint - Token mint address
+ * @param {Object} analysis - Final analysis
+ * @param {Object} state - Agent state that produced the analysis
+ * @returns {Object} Flat record keyed by comparison field
+ */
+function extractComparisonRecord(mint, analysis, state) {
+  const tokenInfo = analysis?.token_info || {};
+  const marketData = state?.marketData?.success ? state.marketData : {};
+  const mintInfo = state?.contractData?.token_analysis?.mint_info?.success
+    ? state.contractData.token_analysis.mint_info
+    : null;
+  const whaleActivity = state?.onChainData?.whale_activity?.success ? state.onChainData.whale_activity : null;
+  const transactions = marketData.transactions || {};
+
+  const record = {
+    mint,
+    token_name: valueOrNull(tokenInfo.name ?? marketData.token_name),
+    token_symbol: valueOrNull(tokenInfo.symbol ?? marketData.token_symbol),
+    price_usd: valueOrNull(tokenInfo.price_usd ?? marketData.price_usd),
+    market_cap: valueOrNull(tokenInfo.market_cap ?? marketData.market_cap),
+    fdv: valueOrNull(tokenInfo.fdv ?? marketData.fdv),
+    price_change_24h: valueOrNull(tokenInfo.price_change_24h ?? marketData.price_change?.h24),
+    liquidity_usd: valueOrNull(marketData.liquidity_usd ?? tokenInfo.liquidity_usd),
+    buy_sell_ratio_24h: buySellRatio(transactions.h24),
+    buy_sell_ratio_6h: buySellRatio(transactions.h6),
+    buy_sell_ratio_1h: buySellRatio(transactions.h1),
+    mint_authority_active: mintInfo ? mintInfo.canMintMore : null,
+    mint_authority: mintInfo ? mintInfo.mintAuthority : null,
+    freeze_authority_active: mintInfo ? valueOrNull(mintInfo.canFreeze) : null,
+    freeze_authority: mintInfo ? valueOrNull(mintInfo.freezeAuthority) : null,
+    top10_concentration_percent: whaleActivity ? valueOrNull(whaleActivity.concentration_percentage) : null,
+    holder_count: whaleActivity ? valueOrNull(whaleActivity.total_holders) : null,
+    risk_reward_ratio: valueOrNull(analysis?.risk_reward_ratio),
+    confidence_score: valueOrNull(analysis?.confidence_score)
+  };
+
+  for (const section of ANALYSIS_SECTIONS) {
+    record[`${section}_rating`] = valueOrNull(analysis?.[section]?.rating);
+  }
+
+  return record;
+}
+
+/**
+ * Build the field-major aligned table: one row per field, one value per token
+ * @param {Array} records - Comparison records (see extractComparisonRecord)
+ * @returns {Object} Table with columns (mints) and rows
+ */
+function buildComparisonTable(records) {
+  return {
+    columns: records.map(record => record.mint),
+    rows: COMPARISON_FIELDS.map(({ field, label, group }) => ({
+      field,
+      label,
+      group,
+      values: records.map(record => record[field])
+    }))
+  };
+}
+
+/**
+ * Compare several tokens side by side, reusing recent analyses where possible
+ * @param {Array<string>} mints - Token mint addresses (2-5)
+ * @param {Object} options - Comparison options
+ * @param {boolean} options.refresh - Force fresh analyses instead of reusing recent ones
+ * @param {string} options.llmProvider - LLM provider for new analyses and the verdict
+ * @returns {Object} Aligned comparison table, per-token status and LLM verdict
+ */
+async function compareTokens(mints, options = {}) {
+  console.log(`LOG: compareTokens - Comparing ${mints.length} tokens`);
+
+  const analyses = await mapWithConcurrency(mints, 2, async (mint) => {
+    try {
+      const { response, state, reused } = await getOrRunAnalysis(mint, { refresh: options.refresh, llmProvider: options.llmProvider });
+      if (response.result?.error) {
+        return { mint, status: 'failed', error: response.result.error };
+      }
+      return { mint, status: 'succeeded', reused, analysis: response.result, state };
+    } catch (error) {
+      console.error(`ERROR: compareTokens - Analysis failed for ${mint}:`, error);
+      return { mint, status: 'failed', error: error.message };
+    }
+  });
+
+  const succeeded = analyses.filter(entry => entry.status === 'succeeded');
+  const records = succeeded.map(entry => extractComparisonRecord(entry.mint, entry.analysis, entry.state));
+  const table = buildComparisonTable(records);
+
+  let verdict = null;
+  if (records.length >= 2) {
+    const bot = new ResearchBot({ llmProvider: options.llmProvider });
+    verdict = await bot.generateComparativeVerdict(table);
+  } else {
+    console.log('LOG: compareTokens - Fewer than two successful analyses, skipping verdict');
+  }
+
+  return {
+    tokens: analyses.map(({ mint, status, reused, error }) => ({
+      mint,
+      status,
+      reused: Boolean(reused),
+      ...(error ? { error } : {})
+    })),
+    table,
+    verdict,
+    timestamp: new Date().toISOString()
+  };
+}
+
+export {
+  COMPARISON_FIELDS,
+  extractComparisonRecord,
+  buildComparisonTable,
+  compareTokens
+};
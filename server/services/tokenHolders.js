@@ -1,11 +1,12 @@
 // server/services/tokenHolders.js
-import { Connection, PublicKey } from '@solana/web3.js';
+import { PublicKey } from '@solana/web3.js';
 import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
+import { cachedProviderCall } from './providerCache.js';
+import { getSolanaConnection } from './solanaRpc.js';
 
-// Initialize Solana connection
-const connection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com');
+const connection = getSolanaConnection();
 
 // Set DEBUG mode for development
 const DEBUG = process.env.NODE_ENV !== 'production';
@@ -56,6 +57,8 @@ async function withRetry(
       
       return await fn();
     } catch (error) {
+      // An aborted request was cancelled on purpose; retrying would undo that
+      if (axios.isCancel(error)) throw error;
       lastError = error;
       
       // Check if it's a rate limit error
@@ -122,6 +125,21 @@ async function fetchAllTokenHolders(tokenAddress, options = {
   delayBetweenPages: DEBUG ? 5000 : 2000,  // Longer delay in development
   showZeroBalance: false
 }) {
+  // Share results between concurrent analyses of the same token (e.g. batch runs)
+  return cachedProviderCall(
+    'helius-holders',
+    `${tokenAddress}:${JSON.stringify(options)}`,
+    () => requestAllTokenHolders(tokenAddress, options)
+  );
+}
+
+/**
+ * Uncached implementation of fetchAllTokenHolders
+ * @param {string} tokenAddress - Token mint address
+ * @param {Object} options - Options for fetching (see fetchAllTokenHolders)
+ * @returns {Object} Token holders data
+ */
+async function requestAllTokenHolders(tokenAddress, options) {
   console.log(`STEP: fetchAllTokenHolders - Starting for: ${tokenAddress}`);
   
   if (!process.env.HELIUS_API_KEY) {
@@ -0,0 +1,237 @@
+// server/services/tokenResolver.js
+import axios from 'axios';
+import { withRetry } from './tokenHolders.js';
+import { cachedProviderCall } from './providerCache.js';
+
+const DEXSCREENER_SEARCH_URL = 'https://api.dexscreener.com/latest/dex/search';
+const JUPITER_SEARCH_URL = 'https://lite-api.jup.ag/tokens/v2/search';
+
+// Candidate score (0-100): how well the name matches, plus liquidity, age and verification
+const SCORE_WEIGHTS = {
+  match: { exact: 30, prefix: 15, partial: 5 },
+  liquidity: 30,   // reached at $1M combined liquidity (log scale)
+  age: 15,         // reached at 180 days since the first pool
+  verified: 25     // Jupiter verified token
+};
+
+const MAX_CANDIDATES = 10;
+
+function normalizeName(value) {
+  return String(value || '').trim().replace(/^\$/, '').toLowerCase();
+}
+
+/**
+ * How closely a token's symbol or name matches the query
+ * @param {string} query - Normalized query
+ * @param {Object} token - Token with name and symbol
+ * @returns {string|null} exact, prefix, partial or null when unrelated
+ */
+function matchQuality(query, token) {
+  const symbol = normalizeName(token.symbol);
+  const name = normalizeName(token.name);
+
+  if (symbol === query || name === query) return 'exact';
+  if (symbol.startsWith(query) || name.startsWith(query)) return 'prefix';
+  if (symbol.includes(query) || name.includes(query)) return 'partial';
+  return null;
+}
+
+/**
+ * Search DexScreener for Solana pairs whose base or quote token matches the query
+ * @param {string} query - Project name or ticker
+ * @returns {Object} Matching tokens aggregated over their pairs
+ */
+async function searchDexScreener(query) {
+  return cachedProviderCall('dexscreener-search', query.toLowerCase(), async () => {
+    try {
+      const response = await withRetry(async () => axios.get(DEXSCREENER_SEARCH_URL, {
+        params: { q: query },
+        headers: { 'Accept': 'application/json', 'User-Agent': 'SolanaTokenAnalyzer/1.0' },
+        timeout: 15000
+      }), { maxRetries: 2, initialDelayMs: 1000, maxDelayMs: 5000, backoffFactor: 2, jitterFactor: 0.2 });
+
+      const normalizedQuery = normalizeName(query);
+      const tokens = new Map();
+
+      for (const pair of response.data?.pairs || []) {
+        if (pair.chainId !== 'solana') continue;
+
+        for (const token of [pair.baseToken, pair.quoteToken]) {
+          if (!token?.address || !matchQuality(normalizedQuery, token)) continue;
+
+          const entry = tokens.get(token.address) || {
+            mint: token.address,
+            name: token.name,
+            symbol: token.symbol,
+            liquidity_usd: 0,
+            volume_24h: 0,
+            pair_count: 0,
+            first_pair_created_at: null
+          };
+          entry.liquidity_usd += parseFloat(pair.liquidity?.usd || 0);
+          entry.volume_24h += parseFloat(pair.volume?.h24 || 0);
+          entry.pair_count += 1;
+          if (pair.pairCreatedAt && (!entry.first_pair_created_at || pair.pairCreatedAt < entry.first_pair_created_at)) {
+            entry.first_pair_created_at = pair.pairCreatedAt;
+          }
+          tokens.set(token.address, entry);
+        }
+      }
+
+      console.log(`LOG: searchDexScreener - ${tokens.size} Solana tokens match "${query}"`);
+      return { success: true, tokens: [...tokens.values()] };
+    } catch (error) {
+      console.error('ERROR: searchDexScreener -', error.message);
+      return { success: false, error: `DexScreener search failed: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Search the Jupiter token list for the query
+ * @param {string} query - Project name or ticker
+ * @returns {Object} Matching tokens with verification status
+ */
+async function searchJupiterTokens(query) {
+  return cachedProviderCall('jupiter-search', query.toLowerCase(), async () => {
+    try {
+      const response = await withRetry(async () => axios.get(JUPITER_SEARCH_URL, {
+        params: { query },
+        headers: { 'Accept': 'application/json' },
+        timeout: 10000
+      }), { maxRetries: 2, initialDelayMs: 1000, maxDelayMs: 5000, backoffFactor: 2, jitterFactor: 0.2 });
+
+      const normalizedQuery = normalizeName(query);
+      const tokens = (Array.isArray(response.data) ? response.data : [])
+        .filter(token => token.id && matchQuality(normalizedQuery, token))
+        .map(token => ({
+          mint: token.id,
+          name: token.name,
+          symbol: token.symbol,
+          verified: Boolean(token.isVerified || token.tags?.includes('verified')),
+          liquidity_usd: typeof token.liquidity === 'number' ? token.liquidity : null,
+          holder_count: token.holderCount ?? null,
+          first_pool_created_at: token.firstPool?.createdAt ? Date.parse(token.firstPool.createdAt) : null
+        }));
+
+      console.log(`LOG: searchJupiterTokens - ${tokens.length} tokens match "${query}"`);
+      return { success: true, tokens };
+    } catch (error) {
+      console.error('ERROR: searchJupiterTokens -', error.message);
+      return { success: false, error: `Jupiter token search failed: ${error.message}` };
+    }
+  });
+}
+
+/**
+ * Merge search results per mint and score each candidate
+ * @param {string} query - Project name or ticker
+ * @param {Array} dexTokens - Tokens from searchDexScreener
+ * @param {Array} jupiterTokens - Tokens from searchJupiterTokens
+ * @returns {Array} Candidates, best first
+ */
+function rankCandidates(query, dexTokens, jupiterTokens) {
+  const normalizedQuery = normalizeName(query);
+  const candidates = new Map();
+
+  for (const token of dexTokens) {
+    candidates.set(token.mint, { ...token, verified: null, holder_count: null, sources: ['dexscreener'] });
+  }
+
+  for (const token of jupiterTokens) {
+    const existing = candidates.get(token.mint);
+    if (existing) {
+      existing.verified = token.verified;
+      existing.holder_count = token.holder_count;
+      existing.first_pair_created_at = existing.first_pair_created_at || token.first_pool_created_at;
+      existing.sources.push('jupiter');
+    } else {
+      candidates.set(token.mint, {
+        mint: token.mint,
+        name: token.name,
+        symbol: token.symbol,
+        liquidity_usd: token.liquidity_usd || 0,
+        volume_24h: null,
+        pair_count: 0,
+        first_pair_created_at: token.first_pool_created_at,
+        verified: token.verified,
+        holder_count: token.holder_count,
+        sources: ['jupiter']
+      });
+    }
+  }
+
+  return [...candidates.values()]
+    .map(candidate => {
+      const match = matchQuality(normalizedQuery, candidate);
+      const ageDays = candidate.first_pair_created_at ? (Date.now() - candidate.first_pair_created_at) / 86400000 : null;
+      const liquidityScore = Math.min(SCORE_WEIGHTS.liquidity, SCORE_WEIGHTS.liquidity * Math.log10((candidate.liquidity_usd || 0) + 1) / 6);
+      const ageScore = ageDays === null ? 0 : SCORE_WEIGHTS.age * Math.min(1, ageDays / 180);
+      const verifiedScore = candidate.verified ? SCORE_WEIGHTS.verified : 0;
+
+      return {
+        mint: candidate.mint,
+        name: candidate.name,
+        symbol: candidate.symbol,
+        score: Math.round((SCORE_WEIGHTS.match[match] || 0) + liquidityScore + ageScore + verifiedScore),
+        match,
+        liquidity_usd: candidate.liquidity_usd,
+        volume_24h: candidate.volume_24h,
+        age_days: ageDays === null ? null : parseFloat(ageDays.toFixed(1)),
+        verified: candidate.verified,
+        holder_count: candidate.holder_count,
+        sources: candidate.sources,
+        // Query that analyzes exactly this candidate
+        select_query: `token:${candidate.mint}`
+      };
+    })
+    .sort((a, b) => b.score - a.score || (b.liquidity_usd || 0) - (a.liquidity_usd || 0));
+}
+
+/**
+ * Resolve a project name or ticker to a Solana mint. A candidate wins when its
+ * score reaches NAME_RESOLUTION_MIN_SCORE (default 50) and leads the runner-up by
+ * NAME_RESOLUTION_MIN_MARGIN points (default 15); otherwise the caller gets the
+ * ranked candidates to choose from.
+ * @param {string} query - Project name or ticker
+ * @returns {Object} { status: resolved|ambiguous|not_found, query, mint, candidates, errors, resolved_at }
+ */
+async function resolveProjectName(query) {
+  console.log(`LOG: resolveProjectName - Resolving "${query}"`);
+
+  const [dexResult, jupiterResult] = await Promise.all([
+    searchDexScreener(query),
+    searchJupiterTokens(query)
+  ]);
+
+  const resolvedAt = new Date().toISOString();
+  const errors = [dexResult, jupiterResult].filter(result => !result.success).map(result => result.error);
+  const candidates = rankCandidates(
+    query,
+    dexResult.success ? dexResult.tokens : [],
+    jupiterResult.success ? jupiterResult.tokens : []
+  ).slice(0, MAX_CANDIDATES);
+
+  if (candidates.length === 0) {
+    console.log(`LOG: resolveProjectName - No Solana token matches "${query}"`);
+    return { status: 'not_found', query, mint: null, candidates: [], errors, resolved_at: resolvedAt };
+  }
+
+  const minScore = parseInt(process.env.NAME_RESOLUTION_MIN_SCORE, 10) || 50;
+  const minMargin = parseInt(process.env.NAME_RESOLUTION_MIN_MARGIN, 10) || 15;
+  const [best, runnerUp] = candidates;
+
+  if (best.score >= minScore && (!runnerUp || best.score - runnerUp.score >= minMargin)) {
+    console.log(`LOG: resolveProjectName - Resolved "${query}" to ${best.symbol} (${best.mint}), score ${best.score}`);
+    return { status: 'resolved', query, mint: best.mint, candidates, errors, resolved_at: resolvedAt };
+  }
+
+  console.log(`LOG: resolveProjectName - "${query}" is ambiguous, ${candidates.length} candidates`);
+  return { status: 'ambiguous', query, mint: null, candidates, errors, resolved_at: resolvedAt };
+}
+
+export {
+  matchQuality,
+  rankCandidates,
+  resolveProjectName
+};
@@ -0,0 +1,230 @@
+// server/services/usage.js
+import { AsyncLocalStorage } from 'async_hooks';
+import axios from 'axios';
+import { createStore } from './store.js';
+
+// Counters tracked per API key and day
+const USAGE_METRICS = [
+  'requests',
+  'analyses',
+  'followups',
+  'llm_calls',
+  'llm_tokens',
+  'provider_calls'
+];
+
+// Daily usage records are kept for a little over a month
+const USAGE_RETENTION_MS = 35 * 24 * 60 * 60 * 1000;
+
+// The usage account of the request (or job) currently executing
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Current accounting period - usage and quotas reset daily (UTC)
+ * @returns {string} Period identifier (YYYY-MM-DD)
+ */
+function currentPeriod() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Usage counters of one API key for one period
+ */
+class UsageAccount {
+  constructor(ledger, keyId, period, counters = {}) {
+    this.ledger = ledger;
+    this.keyId = keyId;
+    this.period = period;
+    this.counters = Object.fromEntries(USAGE_METRICS.map(metric => [metric, counters[metric] || 0]));
+  }
+
+  get id() {
+    return `${this.keyId}:${this.period}`;
+  }
+
+  /**
+   * Add to a usage counter
+   * @param {string} metric - One of USAGE_METRICS
+   * @param {number} amount - Amount to add
+   */
+  record(metric, amount = 1) {
+    if (!amount) return;
+    this.counters[metric] = (this.counters[metric] || 0) + amount;
+    this.ledger.markDirty(this);
+  }
+
+  toJSON() {
+    return {
+      key_id: this.keyId,
+      period: this.period,
+      counters: this.counters
+    };
+  }
+}
+
+/**
+ * Keeps per-key daily usage counters in memory and flushes them to a store.
+ * Counting happens on every provider call, so writes are batched.
+ */
+class UsageLedger {
+  /**
+   * @param {Object} store - Key/value store for usage records (see store.js)
+   * @param {Object} options - Ledger options
+   * @param {number} options.flushIntervalMs - How often dirty counters are written
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.accounts = new Map();
+    this.dirty = new Set();
+
+    const flushIntervalMs = options.flushIntervalMs || 5000;
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => console.error('ERROR: UsageLedger.flush -', error.message));
+    }, flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Get the usage account of a key for the current period
+   * @param {string} keyId - API key identifier
+   * @returns {UsageAccount} Usage account
+   */
+  async getAccount(keyId) {
+    const period = currentPeriod();
+    const id = `${keyId}:${period}`;
+
+    let account = this.accounts.get(id);
+    if (!account) {
+      const saved = await this.store.get(id);
+      account = this.accounts.get(id) || new UsageAccount(this, keyId, period, saved?.counters);
+      this.accounts.set(id, account);
+
+      // Drop accounts from previous periods once they have been written
+      for (const [otherId, other] of this.accounts) {
+        if (other.keyId === keyId && other.period !== period && !this.dirty.has(otherId)) {
+          this.accounts.delete(otherId);
+        }
+      }
+    }
+
+    return account;
+  }
+
+  markDirty(account) {
+    this.dirty.add(account.id);
+  }
+
+  /**
+   * Write every changed account to the store
+   */
+  async flush() {
+    const ids = [...this.dirty];
+    this.dirty.clear();
+
+    for (const id of ids) {
+      const account = this.accounts.get(id);
+      if (account) {
+        await this.store.set(id, account.toJSON());
+      }
+    }
+  }
+}
+
+let sharedLedger = null;
+
+/**
+ * Get the process-wide usage ledger, creating it on first use
+ * @returns {UsageLedger} Shared usage ledger
+ */
+function getUsageLedger() {
+  if (!sharedLedger) {
+    sharedLedger = new UsageLedger(createStore('usage', { ttlMs: USAGE_RETENTION_MS }));
+  }
+  return sharedLedger;
+}
+
+/**
+ * Run a function with a usage account bound to its async context
+ * @param {UsageAccount} account - Account to charge
+ * @param {Function} fn - Function to run
+ * @returns {any} Result of fn
+ */
+function runWithUsage(account, fn) {
+  return usageContext.run(account, fn);
+}
+
+/**
+ * Usage account bound to the current async context, if any
+ * @returns {UsageAccount|null} Current usage account
+ */
+function currentUsageAccount() {
+  return usageContext.getStore() || null;
+}
+
+/**
+ * Record usage against an account (defaults to the current context's account)
+ * @param {string} metric - One of USAGE_METRICS
+ * @param {number} amount - Amount to add
+ * @param {UsageAccount} account - Account to charge
+ */
+function recordUsage(metric, amount = 1, account = currentUsageAccount()) {
+  if (account) {
+    account.record(metric, amount);
+  }
+}
+
+/**
+ * LangChain callback handlers charging LLM calls and tokens to an account.
+ * LangChain may run callbacks outside the caller's async context, so the
+ * account is captured when the handlers are created.
+ * @param {UsageAccount} account - Account to charge (defaults to the current one)
+ * @returns {Array} Callback handlers for a LangChain model
+ */
+function createLLMUsageCallbacks(account = currentUsageAccount()) {
+  return [{
+    handleLLMEnd(output) {
+      const tokenUsage = output?.llmOutput?.tokenUsage || output?.llmOutput?.estimatedTokenUsage;
+      recordUsage('llm_calls', 1, account);
+      recordUsage('llm_tokens', tokenUsage?.totalTokens || 0, account);
+    }
+  }];
+}
+
+/**
+ * Solana Connection fetch middleware counting RPC calls as provider calls
+ * @param {any} info - Request info
+ * @param {Object} init - Request init
+ * @param {Function} fetch - Continuation performing the request
+ */
+function trackRpcUsage(info, init, fetch) {
+  recordUsage('provider_calls');
+  fetch(info, init);
+}
+
+let axiosTrackingInstalled = false;
+
+/**
+ * Count every outgoing axios request (DexScreener, Helius, Jupiter, ...) as a provider call
+ */
+function installProviderCallTracking() {
+  if (axiosTrackingInstalled) return;
+  axiosTrackingInstalled = true;
+
+  axios.interceptors.request.use(config => {
+    recordUsage('provider_calls');
+    return config;
+  });
+}
+
+export {
+  USAGE_METRICS,
+  UsageAccount,
+  UsageLedger,
+  getUsageLedger,
+  runWithUsage,
+  currentUsageAccount,
+  recordUsage,
+  createLLMUsageCallbacks,
+  trackRpcUsage,
+  installProviderCallTracking
+};
@@ -0,0 +1,36 @@
+// test/analysisDiff.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { getAnalysis } from '../server/services/analysisHistory.js';
+import { diffAnalyses, recommendationStance } from '../server/services/analysisDiff.js';
+import { MINT, sampleStepResults, stubDataSteps } from './helpers.js';
+
+test('the diff of two stored analyses reports the significant changes', async (t) => {
+  let market = {};
+  stubDataSteps(t, { market_data: async () => sampleStepResults(market).market_data });
+
+  const first = await runAnalysis({ query: `token:${MINT}`, profile: 'quick' });
+  market = { price_usd: 0.025, liquidity_usd: 880000 };
+  const second = await runAnalysis({ query: `token:${MINT}`, profile: 'quick' });
+
+  const diff = diffAnalyses(
+    await getAnalysis(first.response.analysis_id),
+    await getAnalysis(second.response.analysis_id)
+  );
+
+  assert.equal(diff.mint, MINT);
+  const price = diff.changes.find(change => change.field === 'price_usd');
+  assert.equal(price.significance, 'high');
+  // A 3.5% liquidity move stays under the 10% threshold
+  assert.ok(!diff.changes.some(change => change.field === 'liquidity_usd' && change.significance !== 'low'));
+  assert.ok(diff.unchanged.includes('mint_authority_active'));
+  assert.ok(diff.summary.high >= 1);
+  assert.match(diff.narrative, /Price \(USD\)/);
+});
+
+test('recommendation stances read negations as avoid', () => {
+  assert.equal(recommendationStance('Do not buy this token yet.'), 'avoid');
+  assert.equal(recommendationStance('Accumulate on dips.'), 'buy');
+  assert.equal(recommendationStance('Hold and monitor liquidity.'), 'hold');
+});
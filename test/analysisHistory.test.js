@@ -0,0 +1,59 @@
+// test/analysisHistory.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAnalysis, listTokenAnalyses, recordAnalysis } from '../server/services/analysisHistory.js';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+const OTHER_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+test('a finished analysis is stored with its raw outputs and a permalink id', async (t) => {
+  stubDataSteps(t);
+  const { response } = await runAnalysis({ query: `token:${MINT}`, sessionId: 'history-session', llmProvider: 'fake' });
+
+  const record = await getAnalysis(response.analysis_id);
+  assert.equal(record.status, 'completed');
+  assert.equal(record.mint, MINT);
+  assert.equal(record.session_id, 'history-session');
+  assert.equal(record.raw_outputs.market_data.price_usd, 0.0125);
+  assert.deepEqual(record.result, response.result);
+
+  const { analyses } = await listTokenAnalyses(MINT);
+  assert.equal(analyses[0].id, record.id);
+  assert.equal(analyses[0].token_symbol, 'SMPL');
+
+  assert.equal(await getAnalysis('00000000-0000-4000-8000-000000000000'), null);
+});
+
+test('analyses of a mint are listed newest first and paged', async () => {
+  const recorded = [];
+  for (const recommendation of ['first', 'second', 'third']) {
+    recorded.push(await recordAnalysis({
+      query: `token:${OTHER_MINT}`,
+      response: { result: { final_recommendation: recommendation }, market_summary: {} },
+      state: { contractAddress: OTHER_MINT }
+    }));
+  }
+  // Failed analyses are kept and marked
+  const failed = await recordAnalysis({
+    query: `token:${OTHER_MINT}`,
+    response: { result: { error: 'Analysis failed' } },
+    state: { contractAddress: OTHER_MINT }
+  });
+
+  const page = await listTokenAnalyses(OTHER_MINT, { limit: 2, offset: 1 });
+  assert.equal(page.total, 4);
+  assert.deepEqual(page.analyses.map(entry => entry.id), [recorded[2].id, recorded[1].id]);
+  assert.equal((await getAnalysis(failed.id)).status, 'failed');
+});
+
+test('concurrent analyses of the same mint are all indexed', async () => {
+  const mint = 'So11111111111111111111111111111111111111112';
+  await Promise.all(Array.from({ length: 5 }, () => recordAnalysis({
+    query: `token:${mint}`,
+    response: { result: {} },
+    state: { contractAddress: mint }
+  })));
+
+  assert.equal((await listTokenAnalyses(mint)).total, 5);
+});
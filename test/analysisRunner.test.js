@@ -0,0 +1,45 @@
+// test/analysisRunner.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+test('quick profile rates the token by rules only', async (t) => {
+  stubDataSteps(t);
+  const { response } = await runAnalysis({ query: `token:${MINT}`, profile: 'quick' });
+  const { result } = response;
+
+  assert.equal(result.profile.name, 'quick');
+  assert.equal(result.pipeline.steps.github_analysis.status, 'skipped');
+  assert.equal(result.pipeline.steps.social_sentiment.status, 'skipped');
+  assert.equal(result.pipeline.steps.investment_assessment.status, 'completed');
+  assert.equal(result.risk_reward_ratio, null);
+  assert.equal(typeof result.smart_contract_risk.rating, 'number');
+  assert.equal(result.provenance['smart_contract_risk.rating'].source, 'rules');
+  // Sources outside the profile do not lower the coverage
+  assert.equal(result.completeness.sources.security_analysis.counted, false);
+  assert.equal(result.completeness.coverage_percent, 100);
+  assert.ok(response.analysis_id);
+});
+
+test('standard profile runs every step and the LLM assessment', async (t) => {
+  stubDataSteps(t);
+  const events = [];
+  const { response } = await runAnalysis({
+    query: `token:${MINT}`,
+    profile: 'standard',
+    onProgress: event => events.push(event)
+  });
+  const { result } = response;
+
+  assert.equal(result.profile.name, 'standard');
+  for (const step of ['program_analysis', 'market_data', 'on_chain_metrics', 'social_sentiment', 'investment_assessment']) {
+    assert.equal(result.pipeline.steps[step].status, 'completed', step);
+  }
+  assert.equal(result.pipeline.steps.github_analysis.reason, 'No GitHub repository found');
+  assert.deepEqual(result.pipeline.degraded_steps, []);
+  assert.equal(result.provenance['smart_contract_risk.rating'].source, 'llm');
+  assert.equal(result.provenance['token_info.price_usd'].source, 'dexscreener');
+  assert.equal(result.token_info.price_usd, 0.0125);
+  assert.ok(events.some(event => event.type === 'step_completed' && event.step === 'investment_assessment'));
+});
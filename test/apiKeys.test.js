@@ -0,0 +1,99 @@
+// test/apiKeys.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { apiKeyAuth, authenticateApiKey, requireQuota } from '../server/middleware/apiKeys.js';
+
+const API_KEY = 'test-secret-key';
+
+function useKeyFile(t, quotas) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  const keysFile = path.join(dir, 'api-keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify([{ id: `key-${path.basename(dir)}`, key: API_KEY, quotas }]));
+
+  const previous = process.env.API_KEYS_FILE;
+  process.env.API_KEYS_FILE = keysFile;
+  t.after(() => {
+    if (previous === undefined) delete process.env.API_KEYS_FILE;
+    else process.env.API_KEYS_FILE = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+function mockRequest(headers = {}, body = {}) {
+  return { method: 'POST', path: '/analyze', query: {}, body, get: name => headers[name.toLowerCase()] };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function callApiKeyAuth(req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  await apiKeyAuth(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+test('a missing or unknown API key is refused with 401', async (t) => {
+  useKeyFile(t, {});
+
+  assert.equal((await authenticateApiKey(null)).status, 401);
+  assert.equal((await authenticateApiKey('wrong-key')).message, 'Invalid API key');
+
+  const { res, nextCalled } = await callApiKeyAuth(mockRequest());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'UNAUTHORIZED');
+});
+
+test('the query parameter key is only accepted on the stream endpoint', async (t) => {
+  useKeyFile(t, {});
+  const req = { ...mockRequest(), query: { api_key: API_KEY } };
+
+  assert.equal((await callApiKeyAuth(req)).res.statusCode, 401);
+  assert.equal((await callApiKeyAuth({ ...req, method: 'GET', path: '/analyze/stream' })).nextCalled, true);
+});
+
+test('exceeding the request quota is refused with 429 and Retry-After', async (t) => {
+  useKeyFile(t, { requests_per_day: 1 });
+  const req = mockRequest({ 'x-api-key': API_KEY });
+
+  assert.equal((await callApiKeyAuth(req)).nextCalled, true);
+
+  const { res, nextCalled } = await callApiKeyAuth(mockRequest({ 'x-api-key': API_KEY }));
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.details.quota, 'requests_per_day');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('requireQuota refuses operations that would exceed the quota', async (t) => {
+  useKeyFile(t, { analyses_per_day: 2 });
+  const req = mockRequest({ authorization: `Bearer ${API_KEY}` }, { mints: ['a', 'b', 'c'] });
+  assert.equal((await callApiKeyAuth(req)).nextCalled, true);
+
+  const perMint = requireQuota('analyses', request => request.body.mints.length);
+  const res = mockResponse();
+  let nextCalled = false;
+  perMint(req, res, () => { nextCalled = true; });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+
+  // Within the quota the units are charged
+  const single = requireQuota('analyses');
+  single(req, mockResponse(), () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+  assert.equal(req.usageAccount.counters.analyses, 1);
+});
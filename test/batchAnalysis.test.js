@@ -0,0 +1,56 @@
+// test/batchAnalysis.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankBatchResults, runBatchAnalysis, scoreAnalysis } from '../server/services/batchAnalysis.js';
+import { mapWithConcurrency } from '../server/services/concurrency.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+test('the composite score re-weights the components that are present', () => {
+  assert.equal(scoreAnalysis({ risk_reward_ratio: 2.5, confidence_score: 50 }).composite_score, 50);
+
+  const scored = scoreAnalysis({ risk_reward_ratio: 5, smart_contract_risk: { rating: 5 } });
+  assert.equal(scored.composite_score, 75);
+  assert.equal(scored.ratings.smart_contract_risk, 5);
+  assert.equal(scored.ratings.token_performance, null);
+
+  assert.equal(scoreAnalysis({}).composite_score, 0);
+});
+
+test('succeeded tokens are ranked by score and failed ones listed last', () => {
+  const entry = (mint, riskReward) => ({ mint, status: 'succeeded', response: { result: { risk_reward_ratio: riskReward } } });
+  const ranking = rankBatchResults([
+    entry('low', 1),
+    { mint: 'broken', status: 'failed', error: 'Invalid mint address', response: null },
+    entry('high', 4)
+  ]);
+
+  assert.deepEqual(ranking.map(row => [row.mint, row.rank]), [['high', 1], ['low', 2], ['broken', null]]);
+  assert.equal(ranking[2].error, 'Invalid mint address');
+});
+
+test('a failing mint does not abort the batch', async (t) => {
+  stubDataSteps(t);
+  const batch = await runBatchAnalysis([MINT, 'not-a-mint'], { concurrency: 2, llmProvider: 'fake' });
+
+  assert.equal(batch.summary.total, 2);
+  assert.equal(batch.summary.succeeded, 1);
+  assert.equal(batch.results[1].error, 'Invalid mint address');
+  assert.equal(batch.ranking[0].mint, MINT);
+  assert.equal(batch.ranking[0].rank, 1);
+  assert.ok(batch.ranking[0].composite_score > 0);
+});
+
+test('no more than the limit of calls run at once and results keep their order', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return index;
+  });
+
+  assert.equal(maxRunning, 2);
+  assert.deepEqual(results, [0, 1, 2, 3]);
+});
@@ -0,0 +1,74 @@
+// test/conversationMemory.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationMemory, buildStateChunks } from '../server/agents/conversationMemory.js';
+import { FakeChatModel } from '../server/services/llmProviders.js';
+import { sampleStepResults } from './helpers.js';
+
+function sampleState() {
+  const results = sampleStepResults();
+  return {
+    contractData: results.program_analysis,
+    marketData: results.market_data,
+    onChainData: results.on_chain_metrics,
+    finalAnalysis: { final_recommendation: 'Hold', risk_reward_ratio: 2.5 }
+  };
+}
+
+const summarizer = () => new FakeChatModel({
+  fixtures: [{ name: 'summary', match: 'CONVERSATION SUMMARY UPDATE', response: 'The user asked about liquidity.' }]
+});
+
+test('the raw state is split into chunks per source and topic', () => {
+  const chunks = buildStateChunks(sampleState());
+
+  const mintInfo = chunks.find(chunk => chunk.source === 'program_analysis' && chunk.topic === 'token_analysis');
+  assert.match(mintInfo.text, /token_analysis\.mint_info\.canMintMore: false/);
+  assert.ok(chunks.some(chunk => chunk.source === 'analysis' && chunk.topic === 'final_recommendation'));
+  assert.ok(chunks.every(chunk => chunk.text.length <= 800));
+  assert.deepEqual(buildStateChunks(null), []);
+});
+
+test('exchanges beyond the recent window are folded into the summary', async () => {
+  const memory = new ConversationMemory();
+  const llm = summarizer();
+  for (let i = 1; i <= 5; i++) {
+    await memory.addExchange(llm, `Question ${i}`, `Answer ${i}`);
+  }
+
+  assert.equal(memory.summarizedExchanges, 2);
+  assert.equal(memory.summary, 'The user asked about liquidity.');
+  assert.deepEqual(memory.recentExchanges.map(exchange => exchange.question), ['Question 3', 'Question 4', 'Question 5']);
+  assert.equal(llm.calls.length, 2);
+});
+
+test('an extractive summary is kept when the model fails', async () => {
+  const memory = new ConversationMemory();
+  const llm = new FakeChatModel({ fixtures: [] });
+  for (let i = 1; i <= 4; i++) {
+    await memory.addExchange(llm, `Question ${i}`, `Answer ${i}`);
+  }
+
+  assert.equal(memory.summary, 'User asked: Question 1 Answer: Answer 1');
+});
+
+test('retrieval finds the chunks about the question within the budget', () => {
+  const memory = new ConversationMemory();
+  const retrieved = memory.retrieve(sampleState(), 'Is the mint authority revoked?', 2000);
+
+  assert.ok(retrieved.length > 0);
+  assert.equal(retrieved[0].source, 'program_analysis');
+  assert.ok(retrieved.reduce((sum, chunk) => sum + chunk.text.length, 0) <= 2000);
+});
+
+test('memory survives a round trip through the session store', async () => {
+  const memory = new ConversationMemory();
+  await memory.addExchange(summarizer(), 'What is the price?', '$0.0125');
+
+  const restored = ConversationMemory.fromJSON(JSON.parse(JSON.stringify(memory)));
+  assert.ok(restored instanceof ConversationMemory);
+  assert.deepEqual(restored.recentExchanges, [{ question: 'What is the price?', answer: '$0.0125' }]);
+
+  const { dialogue } = restored.buildContext(sampleState(), 'price');
+  assert.match(dialogue, /User: What is the price\?\nAssistant: \$0\.0125/);
+});
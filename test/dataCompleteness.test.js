@@ -0,0 +1,40 @@
+// test/dataCompleteness.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { capConfidenceByCoverage } from '../server/services/dataCompleteness.js';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+test('confidence is capped at the data coverage', () => {
+  const analysis = { confidence_score: 80 };
+  const completeness = { coverage_percent: 45 };
+  capConfidenceByCoverage(analysis, completeness);
+
+  assert.equal(analysis.confidence_score, 45);
+  assert.equal(completeness.llm_confidence_score, 80);
+  assert.equal(completeness.confidence_capped, true);
+});
+
+test('confidence within the coverage is kept', () => {
+  const analysis = { confidence_score: 30 };
+  const completeness = { coverage_percent: 90 };
+  capConfidenceByCoverage(analysis, completeness);
+
+  assert.equal(analysis.confidence_score, 30);
+  assert.equal(completeness.confidence_capped, false);
+});
+
+test('an analysis missing the program data cannot claim the model confidence', async (t) => {
+  stubDataSteps(t, { program_analysis: async () => { throw new Error('RPC unavailable'); } });
+  const { response } = await runAnalysis({ query: `token:${MINT}`, profile: 'standard' });
+  const { result } = response;
+
+  assert.equal(result.pipeline.steps.program_analysis.status, 'failed');
+  assert.ok(result.pipeline.degraded_steps.includes('program_analysis'));
+  assert.equal(result.completeness.sources.mint_info.status, 'failed');
+  // The fake assessment reports 50; mint, holder and program data make up 10 of the 18 counted weight
+  assert.equal(result.completeness.coverage_percent, 44);
+  assert.equal(result.completeness.llm_confidence_score, 50);
+  assert.equal(result.confidence_score, 44);
+  assert.equal(result.provenance.confidence_score.source, 'computed');
+});
@@ -0,0 +1,74 @@
+// test/debateAgents.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDebateTranscripts, formatDebateForJudge, runDebate } from '../server/agents/debateAgents.js';
+import { FakeChatModel } from '../server/services/llmProviders.js';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+const bullCase = {
+  thesis: 'Deep liquidity and a revoked mint authority.',
+  arguments: [
+    { section: 'token_performance', claim: 'Liquidity is deep', evidence: 'liquidity_usd: 50000', strength: 'strong' }
+  ],
+  suggested_ratings: { token_performance: 8 },
+  weakest_point: 'Social data is thin'
+};
+
+const debateInput = { tokenAddress: MINT, contextText: 'Market:\nliquidity_usd: 50000' };
+
+test('both sides argue from the same data and a failed side does not stop the other', async () => {
+  const llm = new FakeChatModel({ fixtures: [{ name: 'bull', match: 'DEBATE ROLE: BULL', response: bullCase }] });
+  const debate = await runDebate(llm, debateInput);
+
+  assert.deepEqual(debate.bull.case, bullCase);
+  assert.deepEqual(debate.bull.unknown_fields, []);
+  assert.equal(debate.bear.side, 'bear');
+  assert.match(debate.bear.error, /Failed to build the bear case/);
+  assert.deepEqual(llm.calls.map(call => call.fixture), ['bull']);
+
+  const judgePrompt = formatDebateForJudge(debate);
+  assert.match(judgePrompt, /Thesis: Deep liquidity and a revoked mint authority\./);
+  assert.match(judgePrompt, /1\. \[token_performance, strong\] Liquidity is deep Evidence: liquidity_usd: 50000/);
+  assert.match(judgePrompt, /Suggested ratings: token_performance 8/);
+  assert.match(judgePrompt, /\(The bear case could not be produced: Failed to build the bear case/);
+});
+
+test('the judge verdict moves out of the analysis into its transcript', () => {
+  const debate = {
+    bull: { side: 'bull', case: bullCase, unknown_fields: [] },
+    bear: { side: 'bear', error: 'Failed to build the bear case: timeout' }
+  };
+  const analysis = {
+    token_performance: { rating: 7 },
+    smart_contract_risk: { rating: 'unknown' },
+    risk_reward_ratio: 2,
+    confidence_score: 60,
+    final_recommendation: 'Hold',
+    stronger_side: 'bull',
+    judge_reasoning: 'The liquidity evidence held up.'
+  };
+
+  const transcripts = buildDebateTranscripts(debate, analysis);
+
+  assert.equal(transcripts.bull.thesis, bullCase.thesis);
+  assert.match(transcripts.bull.transcript, /Weakest point: Social data is thin/);
+  assert.deepEqual(transcripts.bear, { error: 'Failed to build the bear case: timeout' });
+  assert.equal(transcripts.judge.stronger_side, 'bull');
+  assert.deepEqual(transcripts.judge.ratings, { token_performance: 7 });
+  assert.match(transcripts.judge.transcript, /Risk\/reward 2, confidence 60\nRecommendation: Hold$/);
+  assert.equal('stronger_side' in analysis, false);
+  assert.equal('judge_reasoning' in analysis, false);
+});
+
+test('debate mode returns the bull, bear and judge transcripts with the analysis', async (t) => {
+  stubDataSteps(t);
+  const { response } = await runAnalysis({ query: `token:${MINT}`, profile: 'standard', debate: true });
+  const { result } = response;
+
+  assert.equal(result.pipeline.steps.investment_assessment.status, 'completed');
+  assert.match(result.debate.bull.thesis, /bull case/);
+  assert.match(result.debate.bear.thesis, /bear case/);
+  assert.equal(result.debate.judge.stronger_side, 'balanced');
+  assert.equal(result.stronger_side, undefined);
+});
@@ -0,0 +1,50 @@
+// test/followupAgent.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runFollowupAgent } from '../server/agents/followupAgent.js';
+import { MINT } from './helpers.js';
+
+// Chat model answering every prompt with the same turn
+function scriptedModel(turn) {
+  return { predict: async () => JSON.stringify(turn) };
+}
+
+test('citations of sources the agent never had are dropped', async () => {
+  const llm = scriptedModel({
+    action: 'final_answer',
+    answer: 'Liquidity is $850,000 [analysis] and holders doubled [T3].',
+    citations: [
+      { source: 'analysis', claim: 'Liquidity is $850,000' },
+      { source: 'M1', claim: 'Raw market data' },
+      { source: 'T3', claim: 'Holders doubled' }
+    ]
+  });
+
+  const answer = await runFollowupAgent({
+    llm,
+    question: 'How deep is the liquidity?',
+    mint: MINT,
+    analysis: { token_info: { liquidity_usd: 850000 } },
+    retrieved: [{ source: 'market_data', text: '{"liquidity_usd": 850000}' }]
+  });
+
+  assert.deepEqual(answer.citations.map(citation => citation.source), ['analysis', 'M1']);
+  assert.equal(answer.citations[0].tool, null);
+  assert.deepEqual(answer.tool_calls, []);
+});
+
+test('an agent that never answers gets the fallback answer', async () => {
+  process.env.FOLLOWUP_MAX_TOOL_CALLS = '0';
+  try {
+    const answer = await runFollowupAgent({
+      llm: scriptedModel({ action: 'final_answer', answer: 'Unknown' }),
+      question: 'Is the mint authority revoked?',
+      mint: MINT,
+      analysis: {}
+    });
+    assert.match(answer.answer, /Unable to answer/);
+    assert.deepEqual(answer.citations, []);
+  } finally {
+    delete process.env.FOLLOWUP_MAX_TOOL_CALLS;
+  }
+});
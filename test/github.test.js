@@ -0,0 +1,51 @@
+// test/github.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { analyzeGithubRepo, discoverGithubLinks, extractGithubLinks, parseGithubUrl } from '../server/services/github.js';
+
+function marketData(links) {
+  return { success: true, links: { socials: [], website: null, ...links } };
+}
+
+test('GitHub URLs are split into owner and repository', () => {
+  assert.deepEqual(parseGithubUrl('https://github.com/solana-labs/solana.git'), { owner: 'solana-labs', repo: 'solana' });
+  assert.deepEqual(parseGithubUrl('github.com/jito-foundation'), { owner: 'jito-foundation', repo: null });
+  assert.equal(parseGithubUrl('https://github.com/topics/solana'), null);
+  assert.equal(parseGithubUrl('https://gitlab.com/owner/repo'), null);
+});
+
+test('links in text are deduplicated case-insensitively with repositories first', () => {
+  const links = extractGithubLinks(`
+    <a href="https://github.com/bonk-inu">org</a>
+    <a href="https://www.github.com/Bonk-Inu/core/tree/main">repo</a>
+    <a href="https://github.com/bonk-inu/core">again</a>
+    <a href="https://github.com/login">login</a>`);
+
+  assert.deepEqual(links, ['https://github.com/bonk-inu/core', 'https://github.com/bonk-inu']);
+});
+
+test('repositories linked on DexScreener are used without fetching the website', async (t) => {
+  const get = t.mock.method(axios, 'get', async () => ({ data: '' }));
+  const links = await discoverGithubLinks(marketData({
+    socials: [{ type: 'twitter', url: 'https://x.com/bonk' }, { type: 'github', url: 'https://github.com/bonk-inu/core' }],
+    website: 'https://bonkcoin.example'
+  }));
+
+  assert.deepEqual(links, ['https://github.com/bonk-inu/core']);
+  assert.equal(get.mock.callCount(), 0);
+});
+
+test('without a linked repository the project website is searched', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ data: '<footer><a href="https://github.com/sample-dao/program">Code</a></footer>' }));
+  const links = await discoverGithubLinks(marketData({ website: 'https://sample.example' }));
+
+  assert.deepEqual(links, ['https://github.com/sample-dao/program']);
+  assert.deepEqual(await discoverGithubLinks({ success: false }), []);
+});
+
+test('non-GitHub URLs are refused before any API call', async () => {
+  const result = await analyzeGithubRepo('https://example.com/repo');
+  assert.equal(result.success, false);
+  assert.match(result.error, /Not a GitHub repository URL/);
+});
@@ -0,0 +1,91 @@
+// test/helpers.js
+// Canned data-step results, so analyses run offline with the fake LLM provider
+import ResearchBot from '../server/agents/researchBot.js';
+
+const MINT = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const TRANSACTIONS = {
+  h24: { buys: 640, sells: 520, total: 1160 },
+  h6: { buys: 150, sells: 140, total: 290 },
+  h1: { buys: 30, sells: 22, total: 52 },
+  m5: { buys: 3, sells: 2, total: 5 }
+};
+
+/**
+ * Results of the data steps for a healthy token, one fresh copy per call
+ * @param {Object} market - Fields overriding the market data
+ * @returns {Object} step name -> step result
+ */
+function sampleStepResults(market = {}) {
+  const ok = { success: true };
+  return {
+    program_analysis: {
+      program_data: { address: MINT, owner: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', executable: false },
+      token_analysis: {
+        is_token: true,
+        mint_info: { success: true, canMintMore: false, canFreeze: false, mintAuthority: null, freezeAuthority: null, supply: '1000000000', decimals: 5 },
+        metadata: { success: true, name: 'Sample', symbol: 'SMPL', uri: 'https://example.com/sample.json' },
+        holders: { success: true, total_holders: 2500, top_holders: [] },
+        extensions: { success: true, extensions: [] },
+        performance: { ...ok }
+      },
+      security_analysis: 'Mint and freeze authorities are revoked.',
+      security_analysis_error: null
+    },
+    market_data: {
+      success: true,
+      source: 'dexscreener',
+      timestamp: new Date().toISOString(),
+      token_name: 'Sample',
+      token_symbol: 'SMPL',
+      token_address: MINT,
+      price_usd: 0.0125,
+      market_cap: 12500000,
+      fdv: 13000000,
+      liquidity_usd: 850000,
+      volume: { h24: 2100000 },
+      volume_24h: 2100000,
+      price_change: { h24: 4.2 },
+      transactions: TRANSACTIONS,
+      buy_sell_ratio_24h: 1.23,
+      links: { socials: [], website: null },
+      ...market
+    },
+    on_chain_metrics: {
+      success: true,
+      transaction_patterns: { success: true, transaction_frequency: 12 },
+      whale_activity: { success: true, concentration_percentage: 22, total_holders: 2500 },
+      liquidity_metrics: { success: true, liquidity_usd: 850000 },
+      timestamp: new Date().toISOString()
+    },
+    social_sentiment: {
+      success: true,
+      twitter: { success: true, twitter_handle: 'sample', sentiment_score: 0.4 }
+    }
+  };
+}
+
+/**
+ * Replace the run() of the bot's data steps for the duration of a test. The
+ * step graph, profiles, skips and apply() stay the real ones; the assessment
+ * step runs unchanged with the fake LLM.
+ * @param {Object} t - node:test context
+ * @param {Object} runs - step name -> run function; defaults to sampleStepResults()
+ */
+function stubDataSteps(t, runs = {}) {
+  const buildAnalysisSteps = ResearchBot.prototype.buildAnalysisSteps;
+  t.mock.method(ResearchBot.prototype, 'buildAnalysisSteps', function () {
+    const results = sampleStepResults();
+    return buildAnalysisSteps.call(this).map(step => {
+      if (runs[step.name]) return { ...step, run: runs[step.name] };
+      if (results[step.name]) return { ...step, run: async () => results[step.name] };
+      return step;
+    });
+  });
+}
+
+export {
+  MINT,
+  sampleStepResults,
+  stubDataSteps
+};
@@ -0,0 +1,64 @@
+// test/inputParser.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { PublicKey } from '@solana/web3.js';
+import { parseInputText, resolveInput } from '../server/services/inputParser.js';
+import { getSolanaConnection } from '../server/services/solanaRpc.js';
+import { MINT } from './helpers.js';
+
+const PAIR = '58oQChx4yWmvKdwLLZzBi4ChoCc2fqCUWBkwMihLYQo2';
+
+test('inputs are classified without network calls', () => {
+  const cases = [
+    [`analyze token:${MINT} please`, 'token_prefix', MINT],
+    [`https://dexscreener.com/solana/${PAIR}`, 'dexscreener_url', PAIR],
+    [`birdeye.so/token/${MINT}?chain=solana`, 'birdeye_url', MINT],
+    [`https://solscan.io/token/${MINT}#holders`, 'solscan_url', MINT],
+    [`https://pump.fun/coin/${MINT}`, 'pumpfun_url', MINT],
+    ['https://github.com/solana-labs/solana-program-library', 'github_url', 'solana-program-library'],
+    [`What about ${MINT}?`, 'address', MINT],
+    ['Is $BONK a buy?', 'cashtag', 'BONK'],
+    ['  Bonk  ', 'project_name', 'Bonk']
+  ];
+
+  for (const [text, kind, value] of cases) {
+    const parsed = parseInputText(text);
+    assert.equal(parsed.input_kind, kind, text);
+    assert.equal(parsed.value, value, text);
+  }
+
+  assert.equal(parseInputText('https://github.com/solana-labs').url, 'https://github.com/solana-labs');
+  // A price is not a cashtag
+  assert.equal(parseInputText('under $5').input_kind, 'project_name');
+});
+
+test('names and cashtags are resolved by name, token: prefixes as mints', async () => {
+  const cashtag = await resolveInput('$BONK');
+  assert.equal(cashtag.type, 'project_name');
+  assert.equal(cashtag.confidence, 'high');
+
+  const prefixed = await resolveInput(`token:${MINT}`);
+  assert.equal(prefixed.type, 'contract_address');
+  assert.equal(prefixed.input.address_type, 'mint');
+  assert.equal(prefixed.input.resolved_mint, MINT);
+});
+
+test('a pair address is replaced by the base mint of its pair', async (t) => {
+  // Pool accounts are owned by the AMM program, not a token program
+  t.mock.method(getSolanaConnection(), 'getAccountInfo', async () => ({
+    executable: false,
+    owner: new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8'),
+    data: Buffer.alloc(752)
+  }));
+  t.mock.method(axios, 'get', async () => ({
+    data: { pair: { pairAddress: PAIR, dexId: 'raydium', baseToken: { address: MINT, name: 'Bonk', symbol: 'BONK' }, quoteToken: {} } }
+  }));
+
+  const resolved = await resolveInput(`https://dexscreener.com/solana/${PAIR}`);
+  assert.equal(resolved.type, 'contract_address');
+  assert.equal(resolved.value, MINT);
+  assert.equal(resolved.input.address_type, 'pair');
+  assert.equal(resolved.input.pair_address, PAIR);
+  assert.equal(resolved.input.dex, 'raydium');
+});
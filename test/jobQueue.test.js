@@ -0,0 +1,65 @@
+// test/jobQueue.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobQueue, isJobFinished } from '../server/services/jobQueue.js';
+import { MemoryStore } from '../server/services/store.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+async function waitForFinish(queue, jobId, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = await queue.get(jobId);
+    if (isJobFinished(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+test('queued and running jobs can be cancelled', async (t) => {
+  // The program analysis never returns, so the first job stays running until cancelled
+  stubDataSteps(t, { program_analysis: () => new Promise(() => {}) });
+  const queue = new JobQueue({ concurrency: 1, store: new MemoryStore() });
+
+  const running = await queue.submit({ query: `token:${MINT}`, profile: 'quick' });
+  const queued = await queue.submit({ query: `token:${MINT}`, profile: 'quick' });
+  assert.equal((await queue.get(queued.id)).status, 'queued');
+
+  const cancelledQueued = await queue.cancel(queued.id);
+  assert.equal(cancelledQueued.status, 'cancelled');
+  assert.equal(cancelledQueued.error, 'Cancelled before start');
+
+  // The pipeline may stop before cancel() returns
+  const cancelling = await queue.cancel(running.id);
+  assert.ok(['cancelling', 'cancelled'].includes(cancelling.status));
+
+  const finished = await waitForFinish(queue, running.id);
+  assert.equal(finished.status, 'cancelled');
+  assert.equal(finished.error, 'Cancelled by client');
+  assert.equal(finished.result, null);
+});
+
+test('a completed job carries the analysis response', async (t) => {
+  stubDataSteps(t);
+  const queue = new JobQueue({ concurrency: 1, store: new MemoryStore() });
+
+  const job = await queue.submit({ query: `token:${MINT}`, profile: 'quick' });
+  const finished = await waitForFinish(queue, job.id);
+
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.profile, 'quick');
+  assert.equal(finished.result.result.profile.name, 'quick');
+  assert.equal(finished.steps.investment_assessment, 'completed');
+});
+
+test('jobs left unfinished by a previous process are failed at startup', async () => {
+  const store = new MemoryStore();
+  await store.set('left-running', { id: 'left-running', status: 'running', steps: {} });
+  await store.set('done', { id: 'done', status: 'completed', steps: {} });
+  const queue = new JobQueue({ store });
+
+  assert.equal(await queue.recoverInterrupted(), 1);
+  const recovered = await queue.get('left-running');
+  assert.equal(recovered.status, 'failed');
+  assert.match(recovered.error, /server restarted while the job was running/);
+  assert.equal((await queue.get('done')).status, 'completed');
+});
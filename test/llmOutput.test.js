@@ -0,0 +1,62 @@
+// test/llmOutput.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { fillUnknownFields, generateValidatedJson, parseJsonResponse } from '../server/services/llmOutput.js';
+import { FakeChatModel } from '../server/services/llmProviders.js';
+import { debateJudgeSchema } from '../server/schemas/llmAnalysis.js';
+
+const verdictSchema = z.object({
+  verdict: z.string().min(1),
+  score: z.number().min(0).max(10),
+  stance: z.enum(['buy', 'hold', 'avoid']).default('hold'),
+  status: z.enum(['Confirmed', 'Unknown']),
+  tags: z.array(z.string()),
+  note: z.string().optional()
+});
+
+test('JSON is found in fenced blocks and surrounding prose', () => {
+  assert.deepEqual(parseJsonResponse('```json\n{"a": 1}\n```').value, { a: 1 });
+  assert.deepEqual(parseJsonResponse('Here it is: {"a": 2} - done').value, { a: 2 });
+  assert.ok(parseJsonResponse('no json here').error);
+});
+
+test('an invalid answer is sent back with its problems and the repair is returned', async () => {
+  const llm = new FakeChatModel({
+    fixtures: [
+      { name: 'repair', match: ['Your previous response was', 'score'], response: { verdict: 'Fine', score: 6, status: 'Confirmed', tags: ['a'] } },
+      { name: 'first', match: 'Rate the token', response: { verdict: 'Fine', score: 42, status: 'Confirmed', tags: ['a'] } }
+    ]
+  });
+
+  const result = await generateValidatedJson(llm, 'Rate the token', verdictSchema, { maxRepairs: 2 });
+  assert.equal(result.repairAttempts, 1);
+  assert.deepEqual(result.unknownFields, []);
+  assert.equal(result.data.score, 6);
+  assert.equal(result.data.stance, 'hold');
+  assert.deepEqual(llm.calls.map(call => call.fixture), ['first', 'repair']);
+});
+
+test('fields still invalid after the repairs are filled with values the schema allows', async () => {
+  const llm = new FakeChatModel({
+    fixtures: [{ name: 'partial', match: 'Rate the token', response: { score: 'high', stance: 'moon', tags: ['ok', 3], note: 7, extra: true } }]
+  });
+
+  const result = await generateValidatedJson(llm, 'Rate the token', verdictSchema, { maxRepairs: 1 });
+  assert.equal(result.repairAttempts, 1);
+  assert.deepEqual(result.unknownFields, ['verdict', 'score', 'stance', 'status']);
+  assert.deepEqual(result.data, { extra: true, verdict: 'Unknown', score: null, stance: 'hold', status: 'Unknown', tags: ['ok'] });
+  assert.ok(result.issues.length > 0);
+});
+
+test('a judge verdict without a stronger side is filled with an allowed value', () => {
+  const unknownFields = [];
+  const data = fillUnknownFields(debateJudgeSchema, { judge_reasoning: 'Both cases are thin' }, unknownFields);
+
+  assert.ok(unknownFields.includes('stronger_side'));
+  assert.ok(unknownFields.includes('smart_contract_risk.rating'));
+  assert.equal(data.stronger_side, null);
+  assert.equal(debateJudgeSchema.shape.stronger_side.safeParse(data.stronger_side).success, true);
+  assert.equal(data.smart_contract_risk.comment, 'Unknown');
+  assert.deepEqual(data.specific_concerns, []);
+});
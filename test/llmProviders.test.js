@@ -0,0 +1,45 @@
+// test/llmProviders.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeChatModel, createChatModel, providerUnavailableReason } from '../server/services/llmProviders.js';
+
+test('the fake model answers with the first fixture whose texts all occur', async () => {
+  const model = new FakeChatModel({
+    fixtures: [
+      { name: 'both', match: ['ALPHA', 'BETA'], response: { answer: 'both' } },
+      { name: 'alpha', match: 'ALPHA', response: 'alpha only' }
+    ]
+  });
+
+  assert.equal(await model.predict('ALPHA prompt'), 'alpha only');
+  assert.deepEqual(JSON.parse(await model.predict('ALPHA and BETA prompt')), { answer: 'both' });
+  await assert.rejects(model.predict('GAMMA prompt'), /No LLM fixture matches/);
+  assert.deepEqual(model.calls.map(call => call.fixture), ['alpha', 'both']);
+});
+
+test('an aborted call is refused', async () => {
+  const model = new FakeChatModel({ fixtures: [{ name: 'alpha', match: 'ALPHA', response: 'alpha only' }] });
+  const controller = new AbortController();
+  controller.abort(new Error('Step timed out'));
+
+  await assert.rejects(model.predict('ALPHA prompt', { signal: controller.signal }), /Step timed out/);
+  assert.equal(model.calls.length, 0);
+});
+
+test('the fake provider is refused outside tests unless enabled', () => {
+  const { NODE_ENV, LLM_ENABLE_FAKE } = process.env;
+  try {
+    process.env.NODE_ENV = 'production';
+    delete process.env.LLM_ENABLE_FAKE;
+    assert.match(providerUnavailableReason('fake'), /only available with NODE_ENV=test/);
+    assert.throws(() => createChatModel('fake'), /only available with NODE_ENV=test/);
+
+    process.env.LLM_ENABLE_FAKE = '1';
+    assert.equal(providerUnavailableReason('fake'), null);
+    assert.ok(createChatModel('fake') instanceof FakeChatModel);
+  } finally {
+    process.env.NODE_ENV = NODE_ENV;
+    if (LLM_ENABLE_FAKE === undefined) delete process.env.LLM_ENABLE_FAKE;
+    else process.env.LLM_ENABLE_FAKE = LLM_ENABLE_FAKE;
+  }
+});
@@ -0,0 +1,69 @@
+// test/marketFeed.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarketFeed, detectSignificantMoves, loadAnalysisBaseline } from '../server/services/marketFeed.js';
+import { recordAnalysis } from '../server/services/analysisHistory.js';
+import { getUsageLedger, recordUsage } from '../server/services/usage.js';
+import { MINT, sampleStepResults } from './helpers.js';
+
+const THRESHOLDS = { price_usd: 10, liquidity_usd: 20, volume_24h: 50 };
+
+function storeAnalysis(mint, marketData, result = { recommendation: 'Hold' }) {
+  return recordAnalysis({
+    query: `token:${mint}`,
+    response: { result, market_summary: {} },
+    state: { contractAddress: mint, marketData }
+  });
+}
+
+test('moves at or past a threshold raise alerts with their direction', () => {
+  const baseline = { price_usd: 1, liquidity_usd: 1000, volume_24h: 500 };
+  const alerts = detectSignificantMoves(baseline, { price_usd: 0.9, liquidity_usd: 1150, volume_24h: 1000 }, THRESHOLDS);
+
+  assert.deepEqual(alerts.map(alert => [alert.metric, alert.direction]), [['price_usd', 'down'], ['volume_24h', 'up']]);
+  assert.equal(alerts[0].change_pct, -10);
+  assert.equal(alerts[1].threshold_pct, 50);
+
+  assert.deepEqual(detectSignificantMoves(null, { price_usd: 2 }, THRESHOLDS), []);
+  // A zero baseline has no percent change
+  assert.deepEqual(detectSignificantMoves({ price_usd: 0 }, { price_usd: 1 }, THRESHOLDS), []);
+});
+
+test('the baseline takes each figure from the newest successful analysis that has it', async () => {
+  const mint = 'So11111111111111111111111111111111111111112';
+  const older = await storeAnalysis(mint, sampleStepResults({ price_usd: 0.5, liquidity_usd: 4000 }).market_data);
+  const withoutLiquidity = await storeAnalysis(mint, sampleStepResults({ price_usd: 0.8, liquidity_usd: null }).market_data);
+  await storeAnalysis(mint, { success: false, error: 'DexScreener unavailable' });
+  await storeAnalysis(mint, sampleStepResults({ price_usd: 9 }).market_data, { error: 'Analysis failed' });
+
+  const baseline = await loadAnalysisBaseline(mint);
+  assert.equal(baseline.source, 'history');
+  assert.equal(baseline.analysis_id, withoutLiquidity.id);
+  assert.equal(baseline.price_usd, 0.8);
+  assert.equal(baseline.liquidity_usd, 4000);
+  assert.equal(baseline.figure_sources.liquidity_usd.analysis_id, older.id);
+
+  assert.equal(await loadAnalysisBaseline('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'), null);
+});
+
+test('feed polls are charged to the subscriber\'s API key', async () => {
+  const feed = new MarketFeed({
+    intervalMs: 60000,
+    thresholds: THRESHOLDS,
+    fetchMarketData: async () => {
+      recordUsage('provider_calls');
+      return sampleStepResults({ price_usd: 0.015 }).market_data;
+    }
+  });
+
+  const message = await new Promise(resolve => {
+    feed.subscribe({ send: resolve, apiKeyId: 'feed-key' }, MINT, { price_usd: 0.0125, liquidity_usd: null, volume_24h: null });
+  });
+  feed.stop();
+
+  assert.equal(message.type, 'snapshot');
+  assert.equal(message.significant_move, true);
+  assert.equal(message.alerts[0].metric, 'price_usd');
+  const account = await getUsageLedger().getAccount('feed-key');
+  assert.equal(account.counters.provider_calls, 1);
+});
@@ -0,0 +1,95 @@
+// test/pipeline.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StepTimeoutError, runStepGraph } from '../server/agents/pipeline.js';
+
+function step(name, overrides = {}) {
+  return {
+    name,
+    deps: [],
+    timeoutMs: 1000,
+    run: async () => ({ success: true, step: name }),
+    apply: () => {},
+    ...overrides
+  };
+}
+
+test('a step that times out is recorded and its dependents still run', async () => {
+  const applied = {};
+  const failed = [];
+  const record = await runStepGraph([
+    step('slow', { timeoutMs: 20, run: () => new Promise(() => {}), apply: data => { applied.slow = data; } }),
+    step('after', { deps: ['slow'], apply: data => { applied.after = data; } })
+  ], {
+    onResult: (name, data) => { if (data.success === false) failed.push(name); }
+  });
+
+  assert.equal(record.slow.status, 'timed_out');
+  assert.equal(record.slow.timeout_ms, 20);
+  assert.equal(applied.slow.success, false);
+  assert.equal(applied.slow.timed_out, true);
+  assert.deepEqual(failed, ['slow']);
+  assert.equal(record.after.status, 'completed');
+  assert.equal(applied.after.step, 'after');
+});
+
+test('the signal passed to a step is aborted when it times out', async () => {
+  let stepSignal;
+  await runStepGraph([
+    step('slow', { timeoutMs: 20, run: signal => { stepSignal = signal; return new Promise(() => {}); } })
+  ]);
+
+  assert.equal(stepSignal.aborted, true);
+  assert.ok(stepSignal.reason instanceof StepTimeoutError);
+  assert.equal(stepSignal.reason.step, 'slow');
+});
+
+test('cancelling the pipeline aborts the running steps', async () => {
+  const controller = new AbortController();
+  let stepSignal;
+  const run = runStepGraph([
+    step('slow', { run: signal => { stepSignal = signal; return new Promise(() => {}); } })
+  ], { signal: controller.signal });
+
+  setTimeout(() => controller.abort(new Error('Cancelled')), 10);
+  await assert.rejects(run, /Cancelled/);
+  assert.equal(stepSignal.aborted, true);
+  assert.equal(stepSignal.reason.message, 'Cancelled');
+});
+
+test('a skipped step is recorded with its reason and never runs', async () => {
+  let ran = false;
+  const skipped = [];
+  const record = await runStepGraph([
+    step('optional', { skip: () => 'Not needed', run: async () => { ran = true; return {}; } })
+  ], {
+    onSkip: (name, reason) => skipped.push([name, reason])
+  });
+
+  assert.equal(ran, false);
+  assert.equal(record.optional.status, 'skipped');
+  assert.equal(record.optional.reason, 'Not needed');
+  assert.deepEqual(skipped, [['optional', 'Not needed']]);
+});
+
+test('a skip check that throws fails the step instead of the pipeline', async () => {
+  const applied = {};
+  const record = await runStepGraph([
+    step('broken', { skip: () => { throw new Error('boom'); }, apply: data => { applied.broken = data; } }),
+    step('after', { deps: ['broken'] })
+  ]);
+
+  assert.equal(record.broken.status, 'failed');
+  assert.match(record.broken.error, /skip check failed: boom/);
+  assert.equal(applied.broken.success, false);
+  assert.equal(record.after.status, 'completed');
+});
+
+test('a step reporting success: false is recorded as failed', async () => {
+  const record = await runStepGraph([
+    step('degraded', { run: async () => ({ success: false, error: 'All on-chain analyses failed' }) })
+  ]);
+
+  assert.equal(record.degraded.status, 'failed');
+  assert.equal(record.degraded.error, 'All on-chain analyses failed');
+});
@@ -0,0 +1,61 @@
+// test/promptContext.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPromptContext, estimateTokens } from '../server/services/promptContext.js';
+
+const sections = [
+  {
+    key: 'program_analysis',
+    title: 'Program',
+    data: { mint_authority: { is_revoked: true }, token_name: 'Sample', supply: '1000000000' }
+  },
+  {
+    key: 'market_data',
+    title: 'Market',
+    data: {
+      name: 'Sample',
+      price_usd: 0.0125,
+      raw_main_pair: { pairAddress: 'abc' },
+      tags: ['meme', 'dog'],
+      holders: Array.from({ length: 12 }, (_, i) => ({ owner: `holder-${i}` }))
+    }
+  },
+  { key: 'social_sentiment', title: 'Social', data: { sentiment_score: 0.4, comment: 'x'.repeat(200) } },
+  { key: 'github_analysis', title: 'GitHub', data: null }
+];
+
+function droppedBy(report, reason) {
+  return report.dropped_fields.filter(field => field.reason === reason).map(field => field.path);
+}
+
+test('sections are flattened to path: value lines without raw payloads or duplicates', () => {
+  const { text, report } = buildPromptContext(sections, { tokenBudget: 10000 });
+
+  assert.match(text, /^Program:\nmint_authority\.is_revoked: true\ntoken_name: Sample/);
+  assert.match(text, /tags: \["meme","dog"\]/);
+  assert.doesNotMatch(text, /GitHub/);
+  assert.deepEqual(droppedBy(report, 'omitted'), ['market_data.raw_main_pair']);
+  // The market name repeats the program's token name
+  assert.deepEqual(report.dropped_fields.find(field => field.reason === 'duplicate'), {
+    path: 'market_data.name',
+    reason: 'duplicate',
+    duplicate_of: 'program_analysis.token_name'
+  });
+  assert.deepEqual(droppedBy(report, 'truncated'), ['market_data.holders[10-11]']);
+  assert.equal(report.estimated_tokens, estimateTokens(text));
+});
+
+test('the lowest-priority fields are dropped first when the budget runs out', () => {
+  const { text, report } = buildPromptContext(sections, { tokenBudget: 120 });
+
+  assert.ok(report.estimated_tokens <= 120);
+  assert.match(text, /mint_authority\.is_revoked: true/);
+  const budgetDrops = droppedBy(report, 'budget');
+  assert.ok(budgetDrops.includes('social_sentiment.comment'));
+  assert.ok(!budgetDrops.includes('program_analysis.mint_authority.is_revoked'));
+});
+
+test('a section whose fields were all dropped keeps its heading', () => {
+  const { text } = buildPromptContext([{ key: 'market_data', title: 'Market', data: { raw_main_pair: {} } }], { tokenBudget: 100 });
+  assert.equal(text, 'Market:\n(no data)');
+});
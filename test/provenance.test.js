@@ -0,0 +1,83 @@
+// test/provenance.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyAnalysisFigures } from '../server/services/provenance.js';
+import { MINT } from './helpers.js';
+
+const FETCHED_AT = '2026-10-19T12:00:00.000Z';
+
+function collectedState() {
+  return {
+    contractAddress: MINT,
+    marketData: {
+      success: true,
+      timestamp: FETCHED_AT,
+      token_name: 'Bonk',
+      token_symbol: 'BONK',
+      price_usd: 0.0125,
+      market_cap: 1000000,
+      liquidity_usd: 50000
+    }
+  };
+}
+
+test('reported figures are confirmed, corrected, filled or flagged unverified', () => {
+  const analysis = {
+    token_info: {
+      name: 'BONK',
+      symbol: 'BONK',
+      address: MINT,
+      // Within the 1% tolerance
+      price_usd: 0.0126,
+      market_cap: 2000000,
+      fdv: 5000000,
+      liquidity_usd: null
+    }
+  };
+
+  const report = verifyAnalysisFigures(analysis, collectedState());
+
+  assert.equal(report.fields['token_info.name'].verification, 'confirmed');
+  assert.deepEqual(report.fields['token_info.price_usd'], { verification: 'confirmed', source: 'dexscreener', fetched_at: FETCHED_AT });
+  assert.equal(analysis.token_info.price_usd, 0.0125);
+
+  assert.equal(report.fields['token_info.market_cap'].verification, 'corrected');
+  assert.equal(analysis.token_info.market_cap, 1000000);
+
+  assert.equal(report.fields['token_info.liquidity_usd'].verification, 'filled');
+  assert.equal(analysis.token_info.liquidity_usd, 50000);
+
+  // Nothing collected to compare the FDV with
+  assert.deepEqual(report.fields['token_info.fdv'], { verification: 'unverified' });
+  assert.equal(analysis.token_info.fdv, 5000000);
+  assert.equal(report.fields['token_info.price_change_24h'], undefined);
+
+  assert.deepEqual(
+    { checked: report.checked, confirmed: report.confirmed, corrected: report.corrected, filled: report.filled, unverified: report.unverified },
+    { checked: 7, confirmed: 4, corrected: 1, filled: 1, unverified: 1 });
+  assert.deepEqual(report.discrepancies.map(({ path, action }) => [path, action]), [
+    ['token_info.market_cap', 'corrected'],
+    ['token_info.fdv', 'unverified'],
+    ['token_info.liquidity_usd', 'filled']
+  ]);
+});
+
+test('null market summary figures are filled rather than corrected', () => {
+  const analysis = {
+    market_summary: { token_name: 'Bonk', price_usd: null, market_cap: null, fdv: null, price_change_24h: null, liquidity_usd: null }
+  };
+
+  const report = verifyAnalysisFigures(analysis, collectedState());
+
+  assert.equal(report.corrected, 0);
+  assert.equal(report.fields['market_summary.price_usd'].verification, 'filled');
+  assert.equal(analysis.market_summary.price_usd, 0.0125);
+  assert.equal(analysis.market_summary.fdv, null);
+  assert.equal(report.fields['market_summary.fdv'], undefined);
+});
+
+test('sections the analysis does not have are not checked', () => {
+  const report = verifyAnalysisFigures({}, collectedState());
+  assert.equal(report.checked, 0);
+  assert.deepEqual(report.discrepancies, []);
+});
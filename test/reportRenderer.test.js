@@ -0,0 +1,67 @@
+// test/reportRenderer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderReport } from '../server/services/reportRenderer.js';
+import { MINT } from './helpers.js';
+
+const ANALYSIS_ID = '3f2b8c1e-5d4a-4b6f-9e7d-1a2b3c4d5e6f';
+
+const analysis = {
+  token_info: { name: 'Sample', symbol: 'SMPL', address: MINT, price_usd: 0.0125, market_cap: 12500000 },
+  smart_contract_risk: { rating: 8, comment: 'Authorities <revoked> & supply fixed', key_risks: ['None, so far'] },
+  transaction_analysis: { rating: null, comment: 'Raw transaction data from DexScreener' },
+  risk_reward_ratio: 2.5,
+  confidence_score: 50,
+  investment_timeframe: 'Medium term',
+  specific_catalysts: ['Growing volume'],
+  specific_concerns: ['Thin "liquidity", for now'],
+  final_recommendation: 'Hold',
+  raw_transactions: { h24: { buys: 640, sells: 520, total: 1160 } },
+  timestamp: '2026-01-01T00:00:00.000Z'
+};
+
+const meta = { analysisId: ANALYSIS_ID, query: `token:${MINT}`, createdAt: '2026-01-01T00:00:00.000Z' };
+
+test('markdown reports list the token, sections and transactions', () => {
+  const report = renderReport(analysis, 'markdown', meta);
+
+  assert.equal(report.contentType, 'text/markdown; charset=utf-8');
+  assert.equal(report.filename, 'analysis-SMPL-3f2b8c1e.md');
+  assert.match(report.body, /^# Token Analysis: Sample \(SMPL\)/);
+  assert.match(report.body, /## Smart Contract Risk — 8\/10/);
+  assert.match(report.body, /Hold/);
+  assert.match(report.body, /\| 24h \| 640 \| 520 \| 1,160 \| 1\.23 \|/);
+});
+
+test('html reports escape model text', () => {
+  const report = renderReport(analysis, 'html', meta);
+
+  assert.equal(report.contentType, 'text/html; charset=utf-8');
+  assert.match(report.body, /^<!DOCTYPE html>/i);
+  assert.match(report.body, /Authorities &lt;revoked&gt; &amp; supply fixed/);
+  assert.doesNotMatch(report.body, /<revoked>/);
+});
+
+test('pdf reports are PDF documents', () => {
+  const report = renderReport(analysis, 'pdf', meta);
+
+  assert.equal(report.contentType, 'application/pdf');
+  assert.equal(report.filename, 'analysis-SMPL-3f2b8c1e.pdf');
+  assert.equal(Buffer.from(report.body).subarray(0, 5).toString(), '%PDF-');
+});
+
+test('csv reports hold one row per numeric metric', () => {
+  const report = renderReport(analysis, 'csv', meta);
+  const lines = report.body.trim().split('\n');
+
+  assert.equal(lines[0], 'analysis_id,section,metric,value');
+  assert.ok(lines.includes(`${ANALYSIS_ID},token_info,price_usd,0.0125`));
+  assert.ok(lines.includes(`${ANALYSIS_ID},smart_contract_risk,rating,8`));
+  assert.ok(lines.includes(`${ANALYSIS_ID},transactions,24h_buy_sell_ratio,1.23`));
+  // An unrated section has no rating row
+  assert.ok(!lines.some(line => line.includes('transaction_analysis,rating')));
+});
+
+test('unknown formats are refused', () => {
+  assert.throws(() => renderReport(analysis, 'docx', meta), /Unsupported report format: docx/);
+});
@@ -0,0 +1,77 @@
+// test/ruleScoring.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRuleBasedAnalysis, compareWithLLMRatings, scoreAnalysisRules } from '../server/services/ruleScoring.js';
+import { sampleStepResults } from './helpers.js';
+
+function scoreSample(overrides = {}) {
+  const results = { ...sampleStepResults(), ...overrides };
+  return scoreAnalysisRules({
+    contractData: results.program_analysis,
+    marketData: results.market_data,
+    onChainData: results.on_chain_metrics,
+    socialData: results.social_sentiment
+  });
+}
+
+test('each section starts at 5 and adds the points of the rules that apply', () => {
+  const sections = scoreSample();
+
+  assert.equal(sections.smart_contract_risk.rating, 8);
+  assert.deepEqual(sections.transaction_analysis.rules.map(rule => [rule.rule, rule.points]), [
+    ['transaction_count_24h', 2],
+    ['buy_sell_ratio_24h', 0],
+    ['activity_trend', 0]
+  ]);
+  assert.equal(sections.transaction_analysis.rating, 7);
+  // The sample has no on-chain transaction total
+  assert.deepEqual(sections.on_chain_metrics.skipped_rules, ['transaction_frequency']);
+});
+
+test('an active mint authority lowers the contract rating', () => {
+  const results = sampleStepResults();
+  const mintInfo = results.program_analysis.token_analysis.mint_info;
+  mintInfo.canMintMore = true;
+  mintInfo.mintAuthority = 'Authority111';
+
+  const sections = scoreSample({ program_analysis: results.program_analysis });
+  const rule = sections.smart_contract_risk.rules.find(applied => applied.rule === 'mint_authority');
+  assert.equal(rule.points, -2);
+  assert.match(rule.explanation, /Authority111 can still mint/);
+  assert.equal(sections.smart_contract_risk.rating, 4);
+});
+
+test('sections without collected data are left unrated', () => {
+  const sections = scoreAnalysisRules({ marketData: { success: false } });
+
+  for (const score of Object.values(sections)) {
+    assert.equal(score.rating, null);
+    assert.deepEqual(score.rules, []);
+  }
+});
+
+test('rule and LLM ratings far enough apart are flagged as disagreements', () => {
+  const comparison = compareWithLLMRatings(scoreSample(), {
+    smart_contract_risk: { rating: 3 },
+    token_performance: { rating: 8 },
+    transaction_analysis: { rating: null }
+  });
+
+  assert.deepEqual(comparison.disagreements, ['smart_contract_risk']);
+  assert.equal(comparison.sections.smart_contract_risk.difference, -5);
+  assert.equal(comparison.sections.token_performance.disagreement, false);
+  // An unrated LLM section is not compared
+  assert.equal(comparison.sections.transaction_analysis.llm_rating, null);
+  assert.equal(comparison.sections.transaction_analysis.difference, null);
+});
+
+test('an analysis without the LLM is built from the rule ratings alone', () => {
+  const analysis = buildRuleBasedAnalysis(scoreSample(), 'quick');
+
+  assert.equal(analysis.transaction_analysis.rating, 7);
+  assert.equal(analysis.risk_reward_ratio, null);
+  assert.equal(analysis.confidence_score, null);
+  assert.ok(analysis.specific_catalysts.includes('Mint authority is revoked, supply is fixed'));
+  assert.ok(analysis.specific_concerns.includes('No project website listed'));
+  assert.match(analysis.final_recommendation, /^Rule-based ratings only \(quick profile/);
+});
@@ -0,0 +1,54 @@
+// test/store.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryStore, FileStore, StoreConflictError } from '../server/services/store.js';
+import { SessionStore } from '../server/services/sessionStore.js';
+import { AgentState } from '../server/agents/researchBot.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory store entries expire after their TTL', async () => {
+  const store = new MemoryStore({ ttlMs: 30 });
+  await store.set('short', { value: 1 });
+  await store.set('long', { value: 2 }, { ttlMs: 10000 });
+
+  assert.deepEqual(await store.get('short'), { value: 1 });
+  await delay(60);
+  assert.equal(await store.get('short'), null);
+  assert.deepEqual(await store.get('long'), { value: 2 });
+});
+
+test('file store entries expire after their TTL', async (t) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  const store = new FileStore({ dir, ttlMs: 30 });
+  await store.set('session', { step: 'start' });
+
+  assert.deepEqual(await store.get('session'), { step: 'start' });
+  await delay(60);
+  assert.equal(await store.get('session'), null);
+});
+
+test('a stale session save is rejected instead of overwriting a newer one', async () => {
+  const sessions = new SessionStore(new MemoryStore());
+  const initial = new AgentState();
+  initial.projectName = 'sample';
+  await sessions.save('session-1', initial);
+
+  const first = await sessions.load('session-1');
+  const second = await sessions.load('session-1');
+  first.currentStep = 'followup';
+  await sessions.save('session-1', first);
+
+  second.currentStep = 'stale';
+  await assert.rejects(sessions.save('session-1', second), StoreConflictError);
+  assert.equal((await sessions.load('session-1')).currentStep, 'followup');
+});
+
+test('a file store fails clearly when its directory cannot be written', () => {
+  assert.throws(() => new FileStore({ dir: '/etc/hostname/store' }), /is not writable .*STORE_BACKEND=memory/);
+});
@@ -0,0 +1,45 @@
+// test/tokenComparison.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOrRunAnalysis } from '../server/services/analysisRunner.js';
+import { compareTokens } from '../server/services/tokenComparison.js';
+import { UsageAccount, runWithUsage } from '../server/services/usage.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+const OTHER_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+function testAccount() {
+  return new UsageAccount({ markDirty() {} }, 'test-key', '2026-01-01');
+}
+
+test('recent analyses are reused per provider and profile, and only new ones are charged', async (t) => {
+  stubDataSteps(t);
+  const account = testAccount();
+
+  const first = await runWithUsage(account, () => getOrRunAnalysis(MINT, { llmProvider: 'fake', refresh: true }));
+  const second = await runWithUsage(account, () => getOrRunAnalysis(MINT, { llmProvider: 'fake' }));
+  assert.equal(first.reused, false);
+  assert.equal(second.reused, true);
+  assert.equal(account.counters.analyses, 1);
+
+  // A deeper default profile does not reuse the standard analysis
+  process.env.ANALYSIS_PROFILE = 'deep';
+  try {
+    const deep = await runWithUsage(account, () => getOrRunAnalysis(MINT, { llmProvider: 'fake' }));
+    assert.equal(deep.reused, false);
+    assert.equal(deep.state.profile, 'deep');
+    assert.equal(account.counters.analyses, 2);
+  } finally {
+    delete process.env.ANALYSIS_PROFILE;
+  }
+});
+
+test('a comparison lines up the tokens and validates the verdict', async (t) => {
+  stubDataSteps(t);
+  const comparison = await compareTokens([MINT, OTHER_MINT], { llmProvider: 'fake', refresh: true });
+
+  assert.deepEqual(comparison.table.columns, [MINT, OTHER_MINT]);
+  assert.equal(comparison.tokens.filter(token => token.status === 'succeeded').length, 2);
+  // The offline verdict prefers no token
+  assert.equal(comparison.verdict.preferred_mint, null);
+});
@@ -0,0 +1,85 @@
+// test/tokenResolver.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { matchQuality, rankCandidates, resolveProjectName } from '../server/services/tokenResolver.js';
+
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const IMPOSTER = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const YEAR_AGO = Date.now() - 365 * 86400000;
+
+function pair(address, name, symbol, liquidity) {
+  return {
+    chainId: 'solana',
+    baseToken: { address, name, symbol },
+    quoteToken: { address: 'So11111111111111111111111111111111111111112', name: 'Wrapped SOL', symbol: 'SOL' },
+    liquidity: { usd: liquidity },
+    volume: { h24: liquidity / 2 },
+    pairCreatedAt: YEAR_AGO
+  };
+}
+
+/**
+ * Answer the DexScreener and Jupiter searches from canned results
+ * @param {Object} t - node:test context
+ * @param {Array} pairs - DexScreener pairs
+ * @param {Array} jupiterTokens - Jupiter search results
+ */
+function mockSearches(t, pairs, jupiterTokens) {
+  t.mock.method(axios, 'get', async (url) => ({
+    data: url.includes('dexscreener') ? { pairs } : jupiterTokens
+  }));
+}
+
+test('symbols and names match exactly, by prefix or partially', () => {
+  assert.equal(matchQuality('bonk', { symbol: '$BONK', name: 'Bonk' }), 'exact');
+  assert.equal(matchQuality('bon', { symbol: 'BONK', name: 'Bonk' }), 'prefix');
+  assert.equal(matchQuality('onk', { symbol: 'BONK', name: 'Bonk' }), 'partial');
+  assert.equal(matchQuality('wif', { symbol: 'BONK', name: 'Bonk' }), null);
+});
+
+test('candidates found by both sources are merged and ranked', () => {
+  const candidates = rankCandidates('bonk',
+    [{ mint: BONK, name: 'Bonk', symbol: 'BONK', liquidity_usd: 1000000, volume_24h: 10, pair_count: 3, first_pair_created_at: YEAR_AGO }],
+    [
+      { mint: BONK, name: 'Bonk', symbol: 'BONK', verified: true, holder_count: 900000, first_pool_created_at: YEAR_AGO },
+      { mint: IMPOSTER, name: 'Bonk 2.0', symbol: 'BONK2', verified: false, liquidity_usd: 500, first_pool_created_at: null }
+    ]);
+
+  assert.deepEqual(candidates.map(candidate => candidate.mint), [BONK, IMPOSTER]);
+  assert.deepEqual(candidates[0].sources, ['dexscreener', 'jupiter']);
+  assert.equal(candidates[0].score, 100);
+  assert.equal(candidates[0].select_query, `token:${BONK}`);
+  assert.equal(candidates[1].match, 'prefix');
+});
+
+test('a clear leader is resolved to its mint', async (t) => {
+  mockSearches(t,
+    [pair(BONK, 'Bonk', 'BONK', 2000000), pair(IMPOSTER, 'Bonk Inu', 'BONKINU', 300)],
+    [{ id: BONK, name: 'Bonk', symbol: 'BONK', isVerified: true }]);
+
+  const resolution = await resolveProjectName('$BONK');
+  assert.equal(resolution.status, 'resolved');
+  assert.equal(resolution.mint, BONK);
+  assert.deepEqual(resolution.errors, []);
+  assert.equal(resolution.candidates.length, 2);
+});
+
+test('close candidates are returned for the caller to choose from', async (t) => {
+  mockSearches(t,
+    [pair(BONK, 'Samo', 'SAMO', 100000), pair(IMPOSTER, 'Samoyed', 'SAMO', 90000)],
+    []);
+
+  const resolution = await resolveProjectName('samo');
+  assert.equal(resolution.status, 'ambiguous');
+  assert.equal(resolution.mint, null);
+  assert.equal(resolution.candidates.length, 2);
+});
+
+test('a name nothing matches is not found', async (t) => {
+  mockSearches(t, [pair(BONK, 'Bonk', 'BONK', 2000000)], []);
+
+  const resolution = await resolveProjectName('nothingmatches');
+  assert.equal(resolution.status, 'not_found');
+  assert.deepEqual(resolution.candidates, []);
+});
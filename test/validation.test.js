@@ -0,0 +1,75 @@
+// test/validation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRequest, validateResponse } from '../server/middleware/validation.js';
+import { analyzeRequestSchema, analyzeResponseSchema, tokenAnalysesQuerySchema } from '../server/schemas/api.js';
+import { buildOpenApiDocument } from '../server/schemas/openapi.js';
+import { runAnalysis } from '../server/services/analysisRunner.js';
+import { MINT, stubDataSteps } from './helpers.js';
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('invalid requests are refused with 400 and every problem by path', () => {
+  const res = mockResponse();
+  let nextCalled = false;
+  validateRequest({ body: analyzeRequestSchema })({ body: { query: '  ', profile: 'extreme' } }, res, () => { nextCalled = true; });
+
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, 'VALIDATION_ERROR');
+  assert.deepEqual(res.body.details.map(issue => issue.path), ['body.query', 'body.session_id', 'body.profile']);
+});
+
+test('valid requests continue with the parsed values', () => {
+  const req = { query: { limit: '5' } };
+  let nextCalled = false;
+  validateRequest({ query: tokenAnalysesQuerySchema })(req, mockResponse(), () => { nextCalled = true; });
+
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.query, { limit: 5 });
+});
+
+test('strict response validation replaces a non-conforming payload with a 500', () => {
+  const previous = process.env.API_RESPONSE_VALIDATION;
+  process.env.API_RESPONSE_VALIDATION = 'strict';
+  try {
+    const res = mockResponse();
+    validateResponse(analyzeResponseSchema)({ method: 'POST', baseUrl: '/api', path: '/analyze' }, res, () => {});
+    res.json({ result: 'not an analysis' });
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(res.body.code, 'RESPONSE_VALIDATION_FAILED');
+  } finally {
+    if (previous === undefined) delete process.env.API_RESPONSE_VALIDATION;
+    else process.env.API_RESPONSE_VALIDATION = previous;
+  }
+});
+
+test('an offline analysis response matches its documented schema', async (t) => {
+  stubDataSteps(t);
+  const { response } = await runAnalysis({ query: `token:${MINT}`, llmProvider: 'fake' });
+
+  const parsed = analyzeResponseSchema.safeParse(response);
+  assert.equal(parsed.success, true, JSON.stringify(parsed.error?.issues));
+});
+
+test('the OpenAPI document lists the routes and accepts query keys only for the stream', () => {
+  const document = buildOpenApiDocument();
+
+  assert.equal(document.openapi, '3.0.3');
+  assert.ok(document.paths['/analyze'].post);
+  assert.ok(document.components.schemas.AnalyzeResponse);
+  assert.deepEqual(document.security, [{ ApiKeyHeader: [] }, { BearerAuth: [] }]);
+  assert.ok(document.paths['/analyze/stream'].get.security.some(scheme => scheme.ApiKeyQuery));
+
+  const streamParameters = document.paths['/analyze/stream'].get.parameters.map(parameter => parameter.name);
+  assert.ok(streamParameters.includes('query'));
+  assert.equal(document.paths['/analyze'].post.responses[400].description, 'Request validation failed (code VALIDATION_ERROR)');
+});